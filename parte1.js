@@ -8,6 +8,9 @@
  * 3. Gerenciador de Inputs (Teclado/Mouse)
  * 4. Sistema de Câmera para mundo infinito
  * 5. Geração Procedural de Chunks e Biomas
+ * 6. Números aleatórios determinísticos (seed)
+ * 7. Geração de chunks em Web Worker (com fallback na main thread)
+ * 8. Barramento de eventos entre sistemas
  */
 
 // ============================================================================
@@ -19,12 +22,20 @@ const GameConfig = {
     CANVAS_WIDTH: window.innerWidth,
     CANVAS_HEIGHT: window.innerHeight,
     TARGET_FPS: 60,
+    FIXED_TIMESTEP: 1 / 60,  // Passo fixo da simulação (60 Hz)
+    MAX_STEPS_PER_FRAME: 5,  // Limite de passos por frame (evita espiral da morte)
     
     // Mundo
     CHUNK_SIZE: 64,          // Tamanho do chunk em tiles
     TILE_SIZE: 32,           // Tamanho de cada tile em pixels
     RENDER_DISTANCE: 3,      // Chunks renderizados em cada direção do jogador
-    WORLD_SEED: Date.now(),  // Seed para geração procedural
+    WORLD_SEED: getSeedFromUrl() ?? Date.now(), // Seed para geração procedural (?seed= na URL)
+    USE_CHUNK_WORKER: true,  // Gera tiles em um Web Worker (fallback: main thread)
+    MAX_CHUNK_REQUESTS: 2,   // Chunks sendo gerados ao mesmo tempo no worker
+    CHUNKS_PER_FRAME: 1,     // Chunks gerados por frame na main thread (sem worker)
+    CHUNK_CACHE_SCALES: [0.5, 1],            // Escalas pré-renderizadas dos chunks (escolhida pelo zoom)
+    CHUNK_CACHE_MAX_PIXELS: 24 * 1024 * 1024, // Limite de pixels em cache (~96 MB)
+    CHUNK_CACHE_RENDERS_PER_FRAME: 2,        // Chunks pré-renderizados por frame
     
     // Câmera
     CAMERA_SMOOTHING: 0.1,   // Suavização do movimento da câmera
@@ -35,6 +46,30 @@ const GameConfig = {
     MAX_DELTA_TIME: 0.1      // Limite para delta time (evita bugs com tabs inativas)
 };
 
+/**
+ * Lê a seed do parâmetro `?seed=` da URL
+ * Valores não numéricos (ex.: ?seed=banana) são convertidos por hash
+ */
+function getSeedFromUrl() {
+    const value = new URLSearchParams(window.location.search).get('seed');
+    if (value === null || value === '') return null;
+    
+    const numeric = Number(value);
+    return Number.isFinite(numeric) ? numeric : hashString(value);
+}
+
+/**
+ * Hash FNV-1a de uma string (32 bits)
+ */
+function hashString(text) {
+    let h = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
 // ============================================================================
 // CLASSE PRINCIPAL DO JOGO - GAME ENGINE
 // ============================================================================
@@ -48,6 +83,8 @@ class GameEngine {
         this.frameCount = 0;
         this.fps = 0;
         this.deltaTime = 0;
+        this.alpha = 0;           // Fator de interpolação entre passos fixos
+        this.stepsLastFrame = 0;
         
         // Referências para sistemas principais
         this.canvas = null;
@@ -213,6 +250,8 @@ class GameEngine {
      * Cria tiles básicos para debug
      */
     createBasicTiles() {
+        const random = RandomService.getInstance().stream('worldgen');
+        
         // Tile de grama
         const grassCanvas = document.createElement('canvas');
         grassCanvas.width = GameConfig.TILE_SIZE;
@@ -229,8 +268,8 @@ class GameEngine {
         // Detalhes na grama
         grassCtx.fillStyle = '#228b22';
         for (let i = 0; i < 20; i++) {
-            const x = Math.random() * GameConfig.TILE_SIZE;
-            const y = Math.random() * GameConfig.TILE_SIZE;
+            const x = random.next() * GameConfig.TILE_SIZE;
+            const y = random.next() * GameConfig.TILE_SIZE;
             grassCtx.fillRect(x, y, 2, 1);
         }
         
@@ -246,9 +285,9 @@ class GameEngine {
         // Detalhes na floresta
         forestCtx.fillStyle = '#228b22';
         for (let i = 0; i < 30; i++) {
-            const x = Math.random() * GameConfig.TILE_SIZE;
-            const y = Math.random() * GameConfig.TILE_SIZE;
-            const size = Math.random() * 3 + 1;
+            const x = random.next() * GameConfig.TILE_SIZE;
+            const y = random.next() * GameConfig.TILE_SIZE;
+            const size = random.next() * 3 + 1;
             forestCtx.fillRect(x, y, size, size);
         }
         
@@ -267,8 +306,8 @@ class GameEngine {
         // Detalhes no deserto
         desertCtx.fillStyle = '#8b7355';
         for (let i = 0; i < 15; i++) {
-            const x = Math.random() * GameConfig.TILE_SIZE;
-            const y = Math.random() * GameConfig.TILE_SIZE;
+            const x = random.next() * GameConfig.TILE_SIZE;
+            const y = random.next() * GameConfig.TILE_SIZE;
             desertCtx.beginPath();
             desertCtx.arc(x, y, 1, 0, Math.PI * 2);
             desertCtx.fill();
@@ -293,27 +332,14 @@ class GameEngine {
         this.isRunning = true;
         this.lastTime = performance.now();
         
+        this.accumulator = 0;
+        
         if (GameConfig.USE_REQUEST_ANIMATION_FRAME) {
             requestAnimationFrame(this.gameLoop);
         } else {
             setInterval(() => {
-                const currentTime = performance.now();
-                this.deltaTime = (currentTime - this.lastTime) / 1000;
-                this.lastTime = currentTime;
-                
-                // Limita o delta time para evitar bugs
-                this.deltaTime = Math.min(this.deltaTime, GameConfig.MAX_DELTA_TIME);
-                
-                this.update(this.deltaTime);
-                this.render();
-                
-                this.frameCount++;
-                
-                // Calcula FPS a cada segundo
-                if (currentTime > this.lastFpsUpdate + 1000) {
-                    this.fps = this.frameCount;
-                    this.frameCount = 0;
-                    this.lastFpsUpdate = currentTime;
+                if (this.isRunning) {
+                    this.tick(performance.now());
                 }
             }, 1000 / GameConfig.TARGET_FPS);
         }
@@ -335,18 +361,42 @@ class GameEngine {
     gameLoop(currentTime) {
         if (!this.isRunning) return;
         
-        // Calcula delta time
+        this.tick(currentTime);
+        
+        // Continua o loop
+        requestAnimationFrame(this.gameLoop);
+    }
+    
+    /**
+     * Executa um frame: passos fixos de simulação + renderização interpolada
+     */
+    tick(currentTime) {
+        // Calcula delta time do frame
         this.deltaTime = (currentTime - this.lastTime) / 1000;
         this.lastTime = currentTime;
         
         // Limita o delta time
         this.deltaTime = Math.min(this.deltaTime, GameConfig.MAX_DELTA_TIME);
         
-        // Atualiza lógica do jogo
-        this.update(this.deltaTime);
+        // Simulação em passos fixos, consumindo o tempo acumulado
+        const step = GameConfig.FIXED_TIMESTEP;
+        this.accumulator += this.deltaTime;
+        this.stepsLastFrame = 0;
         
-        // Renderiza frame
-        this.render();
+        while (this.accumulator >= step && this.stepsLastFrame < GameConfig.MAX_STEPS_PER_FRAME) {
+            this.update(step);
+            this.accumulator -= step;
+            this.stepsLastFrame++;
+        }
+        
+        // Descarta o atraso que não coube no limite de passos
+        if (this.accumulator >= step) {
+            this.accumulator %= step;
+        }
+        
+        // Renderiza frame interpolando entre o último e o atual estado
+        this.alpha = this.accumulator / step;
+        this.render(this.alpha);
         
         // Contador de FPS
         this.frameCount++;
@@ -358,9 +408,6 @@ class GameEngine {
             // Atualiza estatísticas periodicamente
             this.updateStats();
         }
-        
-        // Continua o loop
-        requestAnimationFrame(this.gameLoop);
     }
     
     /**
@@ -384,8 +431,9 @@ class GameEngine {
     
     /**
      * Renderiza o jogo
+     * @param {number} alpha - Fração do passo fixo decorrida (0-1) para interpolação
      */
-    render() {
+    render(alpha = 1) {
         this.stats.renders++;
         
         // Limpa o canvas
@@ -395,6 +443,7 @@ class GameEngine {
         this.context.save();
         
         // Aplica transformações da câmera
+        this.camera.interpolate(alpha);
         this.camera.applyTransform(this.context);
         
         // Renderiza o mundo
@@ -485,6 +534,14 @@ class InputManager {
             wheel: 0
         };
         
+        // Eventos entre dois frames valem durante todo o frame seguinte
+        this.pressedKeys = new Set();   // Teclas pressionadas neste frame
+        this.pendingPresses = new Set();
+        this.pendingWheel = 0;
+        
+        // Ações nomeadas -> teclas (ex.: 'skill1' -> ['z'])
+        this.actions = new Map();
+        
         this.bindEvents();
     }
     
@@ -520,8 +577,11 @@ class InputManager {
      * Atualiza estado dos inputs
      */
     update() {
-        // Reseta scroll do mouse
-        this.mouse.wheel = 0;
+        // Scroll e teclas pressionadas desde o último frame
+        this.mouse.wheel = this.pendingWheel;
+        this.pendingWheel = 0;
+        this.pressedKeys = this.pendingPresses;
+        this.pendingPresses = new Set();
         
         // Limpa inputs se a janela não estiver focada
         if (!document.hasFocus()) {
@@ -533,6 +593,11 @@ class InputManager {
      * Handler para tecla pressionada
      */
     onKeyDown(e) {
+        // Repetição automática do teclado não conta como novo pressionamento
+        if (!this.keys[e.key.toLowerCase()]) {
+            this.pendingPresses.add(e.key.toLowerCase());
+        }
+        
         this.keys[e.key.toLowerCase()] = true;
         this.keys[e.keyCode] = true;
         
@@ -585,7 +650,7 @@ class InputManager {
      * Handler para scroll do mouse
      */
     onMouseWheel(e) {
-        this.mouse.wheel = Math.sign(e.deltaY);
+        this.pendingWheel = Math.sign(e.deltaY);
         e.preventDefault();
     }
     
@@ -631,6 +696,41 @@ class InputManager {
         return this.keys[key.toLowerCase()] || this.keys[this.keyCodeFromKey(key)] || false;
     }
     
+    /**
+     * Verifica se uma tecla foi pressionada neste frame
+     */
+    isKeyPressed(key) {
+        return this.pressedKeys.has(key.toLowerCase());
+    }
+    
+    /**
+     * Associa uma ação a uma ou mais teclas (substitui a associação anterior)
+     */
+    bindAction(action, keys) {
+        this.actions.set(action, (Array.isArray(keys) ? keys : [keys]).map(key => key.toLowerCase()));
+    }
+    
+    /**
+     * Teclas associadas a uma ação
+     */
+    getActionKeys(action) {
+        return this.actions.get(action) || [];
+    }
+    
+    /**
+     * Verifica se alguma tecla da ação está pressionada
+     */
+    isActionDown(action) {
+        return this.getActionKeys(action).some(key => this.isKeyDown(key));
+    }
+    
+    /**
+     * Verifica se alguma tecla da ação foi pressionada neste frame
+     */
+    isActionPressed(action) {
+        return this.getActionKeys(action).some(key => this.isKeyPressed(key));
+    }
+    
     /**
      * Obtém código da tecla a partir da string
      */
@@ -657,6 +757,8 @@ class InputManager {
      */
     clearAllInputs() {
         this.keys = {};
+        this.pressedKeys.clear();
+        this.pendingPresses.clear();
         this.mouse.down = false;
         this.mouse.rightDown = false;
     }
@@ -696,6 +798,10 @@ class Camera {
         this.position = { x: 0, y: 0 };
         this.target = { x: 0, y: 0 };
         
+        // Posição anterior e interpolada (passo fixo)
+        this.previousPosition = { x: 0, y: 0 };
+        this.renderPosition = { x: 0, y: 0 };
+        
         // Configurações
         this.zoom = GameConfig.ZOOM_LEVEL;
         this.minZoom = 0.5;
@@ -726,6 +832,10 @@ class Camera {
      * Atualiza a posição da câmera
      */
     update(targetEntity, deltaTime) {
+        // Guarda posição para interpolação
+        this.previousPosition.x = this.position.x;
+        this.previousPosition.y = this.position.y;
+        
         // Atualiza target para seguir a entidade
         this.target.x = targetEntity.position.x;
         this.target.y = targetEntity.position.y;
@@ -750,6 +860,14 @@ class Camera {
         this.handleZoom();
     }
     
+    /**
+     * Interpola a posição de renderização entre os dois últimos passos
+     */
+    interpolate(alpha) {
+        this.renderPosition.x = this.previousPosition.x + (this.position.x - this.previousPosition.x) * alpha;
+        this.renderPosition.y = this.previousPosition.y + (this.position.y - this.previousPosition.y) * alpha;
+    }
+    
     /**
      * Aplica transformações da câmera ao contexto
      */
@@ -763,7 +881,7 @@ class Camera {
         context.scale(this.zoom, this.zoom);
         
         // Move para a posição da câmera (invertido para seguir o mundo)
-        context.translate(-this.position.x, -this.position.y);
+        context.translate(-this.renderPosition.x, -this.renderPosition.y);
         
         // Aplica shake se necessário
         if (this.shakeTimer > 0) {
@@ -784,8 +902,8 @@ class Camera {
      * Converte coordenadas da tela para coordenadas do mundo
      */
     screenToWorld(screenX, screenY) {
-        const worldX = (screenX - this.offset.x) / this.zoom + this.position.x;
-        const worldY = (screenY - this.offset.y) / this.zoom + this.position.y;
+        const worldX = (screenX - this.offset.x) / this.zoom + this.renderPosition.x;
+        const worldY = (screenY - this.offset.y) / this.zoom + this.renderPosition.y;
         return { x: worldX, y: worldY };
     }
     
@@ -793,8 +911,8 @@ class Camera {
      * Converte coordenadas do mundo para coordenadas da tela
      */
     worldToScreen(worldX, worldY) {
-        const screenX = (worldX - this.position.x) * this.zoom + this.offset.x;
-        const screenY = (worldY - this.position.y) * this.zoom + this.offset.y;
+        const screenX = (worldX - this.renderPosition.x) * this.zoom + this.offset.x;
+        const screenY = (worldY - this.renderPosition.y) * this.zoom + this.offset.y;
         return { x: screenX, y: screenY };
     }
     
@@ -805,8 +923,8 @@ class Camera {
         const halfWidth = (this.canvas.width / this.zoom) / 2 + margin;
         const halfHeight = (this.canvas.height / this.zoom) / 2 + margin;
         
-        return Math.abs(worldX - this.position.x) < halfWidth &&
-               Math.abs(worldY - this.position.y) < halfHeight;
+        return Math.abs(worldX - this.renderPosition.x) < halfWidth &&
+               Math.abs(worldY - this.renderPosition.y) < halfHeight;
     }
     
     /**
@@ -864,12 +982,37 @@ class Camera {
         this.offset.y = this.canvas.height / 2;
     }
     
+    /**
+     * Serializa o estado da câmera para save
+     */
+    serialize() {
+        return {
+            position: { ...this.position },
+            target: { ...this.target },
+            zoom: this.zoom
+        };
+    }
+    
+    /**
+     * Restaura o estado salvo da câmera
+     */
+    deserialize(data) {
+        this.position = { ...data.position };
+        this.target = { ...data.target };
+        this.previousPosition = { ...data.position };
+        this.renderPosition = { ...data.position };
+        this.zoom = data.zoom;
+        this.shakeTimer = 0;
+    }
+    
     /**
      * Reseta a câmera para posição inicial
      */
     reset() {
         this.position = { x: 0, y: 0 };
         this.target = { x: 0, y: 0 };
+        this.previousPosition = { x: 0, y: 0 };
+        this.renderPosition = { x: 0, y: 0 };
         this.zoom = GameConfig.ZOOM_LEVEL;
         this.shakeTimer = 0;
     }
@@ -879,24 +1022,59 @@ class Camera {
 // CLASSE WORLD - GERENCIAMENTO DO MUNDO INFINITO
 // ============================================================================
 
+/**
+ * Cores sólidas dos tiles (usadas sem texturas e nos placeholders)
+ */
+const TileColors = {
+    grass: '#32cd32',
+    flower: '#ff69b4',
+    water: '#1e90ff',
+    mountain: '#8b4513',
+    hill: '#a0522d',
+    tree: '#006400',
+    rock: '#808080',
+    sand: '#f4a460',
+    cactus: '#228b22'
+};
+
 class World {
     constructor() {
         // Sistema de chunks
         this.chunks = new Map(); // Mapa de chunks por coordenada
         this.loadedChunks = new Set(); // Chunks atualmente carregados
         
-        // Geração procedural
-        this.noise = new PerlinNoise(GameConfig.WORLD_SEED);
-        this.biomeNoise = new PerlinNoise(GameConfig.WORLD_SEED + 1);
-        
-        // Cache de biomas
-        this.biomeCache = new Map();
+        // Alterações feitas em tiles, por chunk (sobrevivem à regeneração)
+        this.modifiedTiles = new Map(); // chunkKey -> Map(índice local -> propriedades)
         
         // Configurações
         this.chunkSize = GameConfig.CHUNK_SIZE;
         this.tileSize = GameConfig.TILE_SIZE;
         this.renderDistance = GameConfig.RENDER_DISTANCE;
         
+        // Geração procedural
+        this.seed = GameConfig.WORLD_SEED;
+        this.generator = new ChunkGenerator(this.getGeneratorConfig());
+        
+        // Geração assíncrona (Web Worker)
+        this.pendingChunks = new Map(); // chunkKey -> { x, y, priority, requested }
+        this.chunkWorker = null;
+        this.requestsInFlight = 0;
+        this.generationEpoch = 0; // Descarta resultados de antes de um reset
+        this.maxChunkRequests = GameConfig.MAX_CHUNK_REQUESTS;
+        this.chunksPerFrame = GameConfig.CHUNKS_PER_FRAME;
+        
+        // Cache de chunks pré-renderizados (ordem de inserção = LRU)
+        this.chunkCache = new Map(); // "chunkKey@escala" -> { canvas, chunkKey, scale, pixels, dirty }
+        this.chunkCachePixels = 0;
+        this.chunkCacheRenders = 0; // Pré-renderizações no frame atual
+        
+        // Texturas (definido quando os assets são carregados)
+        this.assets = null;
+        
+        if (GameConfig.USE_CHUNK_WORKER) {
+            this.startChunkWorker();
+        }
+        
         // Estatísticas
         this.generatedChunks = 0;
         this.unloadedChunks = 0;
@@ -904,6 +1082,68 @@ class World {
         console.log('🌍 Mundo inicializado com seed:', GameConfig.WORLD_SEED);
     }
     
+    /**
+     * Configuração do gerador: seeds derivadas da seed do mundo
+     * (objeto simples, para poder ser enviado ao worker)
+     */
+    getGeneratorConfig() {
+        return {
+            chunkSize: this.chunkSize,
+            terrainSeed: RandomService.deriveSeed(this.seed, 'worldgen:terrain'),
+            biomeSeed: RandomService.deriveSeed(this.seed, 'worldgen:biome')
+        };
+    }
+    
+    /**
+     * Inicia o Web Worker de geração de chunks
+     * Sem suporte a workers, os chunks são gerados na main thread
+     */
+    startChunkWorker() {
+        if (typeof Worker === 'undefined' || typeof Blob === 'undefined') {
+            console.warn('⚠️ Web Workers indisponíveis - chunks serão gerados na main thread');
+            return;
+        }
+        
+        try {
+            // O worker roda o mesmo código de geração da main thread
+            const source = [
+                PerlinNoise.toString(),
+                ChunkGenerator.toString(),
+                `(${chunkWorkerMain.toString()})();`
+            ].join('\n\n');
+            
+            const url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+            this.chunkWorker = new Worker(url);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.warn('⚠️ Falha ao criar worker de chunks - usando main thread:', error);
+            this.chunkWorker = null;
+            return;
+        }
+        
+        this.chunkWorker.onmessage = (event) => this.onChunkGenerated(event.data);
+        this.chunkWorker.onerror = (error) => {
+            console.error('❌ Erro no worker de chunks - usando main thread:', error.message || error);
+            this.stopChunkWorker();
+        };
+        
+        this.chunkWorker.postMessage({ type: 'init', config: this.getGeneratorConfig() });
+        console.log('🧵 Worker de geração de chunks iniciado');
+    }
+    
+    /**
+     * Encerra o worker; pedidos pendentes voltam para a fila da main thread
+     */
+    stopChunkWorker() {
+        if (this.chunkWorker) {
+            this.chunkWorker.terminate();
+            this.chunkWorker = null;
+        }
+        
+        this.requestsInFlight = 0;
+        this.pendingChunks.forEach(request => { request.requested = false; });
+    }
+    
     /**
      * Atualiza o mundo com base na posição do jogador
      */
@@ -920,7 +1160,8 @@ class World {
             const chunkKey = `${x},${y}`;
             
             if (!this.chunks.has(chunkKey)) {
-                this.generateChunk(x, y);
+                // Prioridade pela distância ao jogador (menor = antes)
+                this.requestChunk(x, y, Math.hypot(x - playerChunkX, y - playerChunkY));
             }
             
             if (!this.loadedChunks.has(chunkKey)) {
@@ -928,12 +1169,81 @@ class World {
             }
         });
         
+        // O chunk do jogador é necessário imediatamente (colisão, pathfinding)
+        this.generateChunk(playerChunkX, playerChunkY);
+        
+        // Envia/gera os pedidos pendentes mais próximos
+        this.processChunkQueue();
+        
         // Descarga de chunks fora do raio de renderização
         this.unloadDistantChunks(playerChunkX, playerChunkY);
     }
     
     /**
-     * Gera um novo chunk
+     * Enfileira a geração assíncrona de um chunk
+     */
+    requestChunk(chunkX, chunkY, priority = 0) {
+        const chunkKey = `${chunkX},${chunkY}`;
+        const request = this.pendingChunks.get(chunkKey);
+        
+        if (request) {
+            request.priority = priority;
+        } else {
+            this.pendingChunks.set(chunkKey, { x: chunkX, y: chunkY, priority, requested: false });
+        }
+    }
+    
+    /**
+     * Despacha os pedidos de maior prioridade: para o worker (limitado aos
+     * pedidos em andamento) ou, sem worker, gera alguns por frame
+     */
+    processChunkQueue() {
+        if (this.pendingChunks.size === 0) return;
+        
+        const queue = Array.from(this.pendingChunks.values())
+            .filter(request => !request.requested)
+            .sort((a, b) => a.priority - b.priority);
+        
+        if (this.chunkWorker) {
+            for (const request of queue) {
+                if (this.requestsInFlight >= this.maxChunkRequests) break;
+                
+                request.requested = true;
+                this.requestsInFlight++;
+                this.chunkWorker.postMessage({
+                    type: 'generate',
+                    x: request.x,
+                    y: request.y,
+                    epoch: this.generationEpoch
+                });
+            }
+        } else {
+            queue.slice(0, this.chunksPerFrame).forEach(request => {
+                this.generateChunk(request.x, request.y);
+            });
+        }
+    }
+    
+    /**
+     * Recebe um chunk gerado pelo worker
+     */
+    onChunkGenerated(data) {
+        // Resultado de antes de um reset (outra seed)
+        if (data.epoch !== this.generationEpoch) return;
+        
+        this.requestsInFlight = Math.max(0, this.requestsInFlight - 1);
+        
+        const chunkKey = `${data.x},${data.y}`;
+        this.pendingChunks.delete(chunkKey);
+        
+        // Pode ter sido gerado de forma síncrona enquanto isso
+        if (!this.chunks.has(chunkKey)) {
+            this.addChunk(data);
+        }
+    }
+    
+    /**
+     * Gera um novo chunk de forma síncrona
      */
     generateChunk(chunkX, chunkY) {
         const chunkKey = `${chunkX},${chunkY}`;
@@ -945,178 +1255,108 @@ class World {
         
         console.log(`🔄 Gerando chunk: (${chunkX}, ${chunkY})`);
         
+        // Se estava na fila, o pedido deixa de ser necessário
+        const request = this.pendingChunks.get(chunkKey);
+        if (request && !request.requested) {
+            this.pendingChunks.delete(chunkKey);
+        }
+        
+        return this.addChunk(this.generator.generateChunkData(chunkX, chunkY));
+    }
+    
+    /**
+     * Monta e armazena um chunk a partir dos dados gerados (worker ou main thread)
+     */
+    addChunk(data) {
         // Cria novo chunk
         const chunk = {
-            x: chunkX,
-            y: chunkY,
-            tiles: [],
-            biome: null,
+            x: data.x,
+            y: data.y,
+            tiles: this.generator.unpackTiles(data),
+            biome: data.biome,
             entities: [],
             items: [],
             generated: false
         };
         
-        // Determina bioma principal do chunk
-        chunk.biome = this.determineBiome(chunkX, chunkY);
-        
-        // Gera tiles do chunk
-        this.generateChunkTiles(chunk);
+        // Reaplica alterações salvas
+        this.applyTileModifications(chunk);
         
         // Marca como gerado
         chunk.generated = true;
         
         // Armazena chunk
+        const chunkKey = `${chunk.x},${chunk.y}`;
         this.chunks.set(chunkKey, chunk);
         this.generatedChunks++;
         
+        // Imagens em cache de uma geração anterior não valem mais
+        this.markChunkDirty(chunkKey);
+        
         return chunk;
     }
     
     /**
-     * Gera os tiles de um chunk
+     * Verifica se um chunk está aguardando geração
      */
-    generateChunkTiles(chunk) {
-        const { x: chunkX, y: chunkY, biome } = chunk;
-        const tiles = [];
-        
-        // Offset do chunk em coordenadas de mundo
-        const worldStartX = chunkX * this.chunkSize;
-        const worldStartY = chunkY * this.chunkSize;
-        
-        // Gera cada tile no chunk
-        for (let y = 0; y < this.chunkSize; y++) {
-            const row = [];
-            for (let x = 0; x < this.chunkSize; x++) {
-                // Coordenada global do tile
-                const worldX = worldStartX + x;
-                const worldY = worldStartY + y;
-                
-                // Gera tile baseado no bioma e ruído
-                const tile = this.generateTile(worldX, worldY, biome);
-                row.push(tile);
-            }
-            tiles.push(row);
-        }
-        
-        chunk.tiles = tiles;
+    isChunkPending(chunkX, chunkY) {
+        return this.pendingChunks.has(`${chunkX},${chunkY}`);
     }
     
     /**
-     * Determina o bioma para coordenadas do chunk
+     * Aplica ao chunk recém-gerado as alterações registradas para ele
      */
-    determineBiome(chunkX, chunkY) {
-        const cacheKey = `${chunkX},${chunkY}`;
+    applyTileModifications(chunk) {
+        const modifications = this.modifiedTiles.get(`${chunk.x},${chunk.y}`);
+        if (!modifications) return;
         
-        // Verifica cache
-        if (this.biomeCache.has(cacheKey)) {
-            return this.biomeCache.get(cacheKey);
-        }
-        
-        // Usa ruído para determinar bioma
-        const noiseValue = this.biomeNoise.get(chunkX * 0.1, chunkY * 0.1);
-        
-        let biome;
-        if (noiseValue < 0.3) {
-            biome = 'desert';
-        } else if (noiseValue < 0.6) {
-            biome = 'grassland';
-        } else {
-            biome = 'forest';
-        }
-        
-        // Armazena em cache
-        this.biomeCache.set(cacheKey, biome);
-        
-        return biome;
+        modifications.forEach((properties, index) => {
+            const tile = chunk.tiles[Math.floor(index / this.chunkSize)][index % this.chunkSize];
+            Object.assign(tile, properties);
+            tile.walkable = this.isTileWalkable(tile.type);
+        });
     }
     
     /**
-     * Gera um tile individual
+     * Altera propriedades de um tile (coordenadas de tile) e registra a
+     * alteração no chunk, para que persista em saves e regenerações
      */
-    generateTile(worldX, worldY, biome) {
-        // Valor de ruído para detalhes do tile
-        const detailNoise = this.noise.get(worldX * 0.2, worldY * 0.2);
+    setTile(tileX, tileY, properties) {
+        const chunkX = Math.floor(tileX / this.chunkSize);
+        const chunkY = Math.floor(tileY / this.chunkSize);
+        const chunkKey = `${chunkX},${chunkY}`;
+        const index = (tileY - chunkY * this.chunkSize) * this.chunkSize + (tileX - chunkX * this.chunkSize);
         
-        // Valor de ruído para variação de altura
-        const heightNoise = this.noise.get(worldX * 0.05, worldY * 0.05);
+        if (!this.modifiedTiles.has(chunkKey)) {
+            this.modifiedTiles.set(chunkKey, new Map());
+        }
         
-        let tileType = 'grass'; // Padrão
+        const modifications = this.modifiedTiles.get(chunkKey);
+        modifications.set(index, { ...modifications.get(index), ...properties });
         
-        // Determina tipo de tile baseado no bioma
-        switch (biome) {
-            case 'grassland':
-                tileType = this.generateGrasslandTile(detailNoise, heightNoise);
-                break;
-            case 'forest':
-                tileType = this.generateForestTile(detailNoise, heightNoise);
-                break;
-            case 'desert':
-                tileType = this.generateDesertTile(detailNoise, heightNoise);
-                break;
+        // Atualiza o chunk se já estiver gerado
+        const tile = this.getTile(tileX, tileY);
+        if (tile) {
+            Object.assign(tile, properties);
+            tile.walkable = this.isTileWalkable(tile.type);
+            this.markChunkDirty(chunkKey);
         }
         
-        return {
-            type: tileType,
-            biome: biome,
-            walkable: this.isTileWalkable(tileType),
-            height: heightNoise,
-            variation: Math.floor(detailNoise * 4) // 0-3 variações
-        };
-    }
-    
-    /**
-     * Gera tile para bioma de grassland
-     */
-    generateGrasslandTile(detailNoise, heightNoise) {
-        if (heightNoise > 0.7) {
-            return 'mountain';
-        } else if (heightNoise > 0.6) {
-            return 'hill';
-        } else if (detailNoise < 0.2) {
-            return 'water';
-        } else if (detailNoise < 0.3) {
-            return 'flower';
-        } else {
-            return 'grass';
-        }
-    }
-    
-    /**
-     * Gera tile para bioma de forest
-     */
-    generateForestTile(detailNoise, heightNoise) {
-        if (heightNoise > 0.7) {
-            return 'mountain';
-        } else if (detailNoise < 0.3) {
-            return 'tree';
-        } else if (detailNoise < 0.4) {
-            return 'rock';
-        } else {
-            return 'grass';
-        }
+        return tile;
     }
     
     /**
-     * Gera tile para bioma de deserto
+     * Determina o bioma para coordenadas do chunk
      */
-    generateDesertTile(detailNoise, heightNoise) {
-        if (heightNoise > 0.8) {
-            return 'mountain';
-        } else if (detailNoise < 0.2) {
-            return 'cactus';
-        } else if (detailNoise < 0.3) {
-            return 'rock';
-        } else {
-            return 'sand';
-        }
+    determineBiome(chunkX, chunkY) {
+        return this.generator.determineBiome(chunkX, chunkY);
     }
     
     /**
      * Verifica se um tile é transitável
      */
     isTileWalkable(tileType) {
-        const unwalkableTiles = ['mountain', 'water', 'tree', 'cactus'];
-        return !unwalkableTiles.includes(tileType);
+        return this.generator.isTileWalkable(tileType);
     }
     
     /**
@@ -1149,9 +1389,10 @@ class World {
             }
         });
         
-        // Remove chunks da lista de carregados
+        // Remove chunks da lista de carregados (e suas imagens em cache)
         chunksToUnload.forEach(chunkKey => {
             this.loadedChunks.delete(chunkKey);
+            this.removeChunkCache(chunkKey);
             this.unloadedChunks++;
         });
     }
@@ -1160,46 +1401,76 @@ class World {
      * Renderiza o mundo visível
      */
     render(context, camera) {
+        this.chunkCacheRenders = 0;
+        
         // Itera sobre chunks carregados
         this.loadedChunks.forEach(chunkKey => {
             const chunk = this.chunks.get(chunkKey);
             
             if (chunk && chunk.generated) {
                 this.renderChunk(context, chunk, camera);
+            } else {
+                const [chunkX, chunkY] = chunkKey.split(',').map(Number);
+                this.renderChunkPlaceholder(context, chunkX, chunkY, camera);
             }
         });
     }
     
     /**
-     * Renderiza um chunk individual
+     * Renderiza um chunk ainda em geração com a cor base do seu bioma
+     */
+    renderChunkPlaceholder(context, chunkX, chunkY, camera) {
+        const chunkPixels = this.chunkSize * this.tileSize;
+        const worldStartX = chunkX * chunkPixels;
+        const worldStartY = chunkY * chunkPixels;
+        
+        if (!camera.isInView(worldStartX + chunkPixels / 2, worldStartY + chunkPixels / 2, chunkPixels / 2)) {
+            return;
+        }
+        
+        const placeholderColors = {
+            grassland: '#2a8f2a',
+            forest: '#0f4f0f',
+            desert: '#c98d52'
+        };
+        
+        context.fillStyle = placeholderColors[this.determineBiome(chunkX, chunkY)] || '#222222';
+        context.fillRect(worldStartX, worldStartY, chunkPixels, chunkPixels);
+        
+        // Padrão de "carregando" para diferenciar do terreno real
+        context.fillStyle = 'rgba(0, 0, 0, 0.15)';
+        for (let offset = 0; offset < chunkPixels; offset += this.tileSize * 4) {
+            context.fillRect(worldStartX, worldStartY + offset, chunkPixels, this.tileSize);
+        }
+    }
+    
+    /**
+     * Renderiza um chunk individual
      */
     renderChunk(context, chunk, camera) {
-        const { x: chunkX, y: chunkY, tiles, biome } = chunk;
+        const { x: chunkX, y: chunkY, biome } = chunk;
         
         // Offset do chunk em coordenadas de mundo
         const worldStartX = chunkX * this.chunkSize * this.tileSize;
         const worldStartY = chunkY * this.chunkSize * this.tileSize;
         
-        // Verifica se o chunk está na visão da câmera
+        // Verifica se o chunk cruza a visão da câmera (margem de meio chunk
+        // a partir do centro); só esses chunks entram no cache
         const chunkCenterX = worldStartX + (this.chunkSize * this.tileSize) / 2;
         const chunkCenterY = worldStartY + (this.chunkSize * this.tileSize) / 2;
         
-        if (!camera.isInView(chunkCenterX, chunkCenterY, this.chunkSize * this.tileSize)) {
+        if (!camera.isInView(chunkCenterX, chunkCenterY, (this.chunkSize * this.tileSize) / 2)) {
             return; // Não renderiza chunks fora da visão
         }
         
-        // Renderiza cada tile visível
-        for (let y = 0; y < this.chunkSize; y++) {
-            for (let x = 0; x < this.chunkSize; x++) {
-                const tile = tiles[y][x];
-                const tileX = worldStartX + x * this.tileSize;
-                const tileY = worldStartY + y * this.tileSize;
-                
-                // Verifica se o tile está na visão da câmera
-                if (camera.isInView(tileX + this.tileSize/2, tileY + this.tileSize/2, this.tileSize)) {
-                    this.renderTile(context, tile, tileX, tileY);
-                }
-            }
+        // Chunk pré-renderizado: um único drawImage
+        const cached = this.getChunkCanvas(chunk, camera.zoom);
+        if (cached) {
+            context.drawImage(cached.canvas, worldStartX, worldStartY,
+                              this.chunkSize * this.tileSize,
+                              this.chunkSize * this.tileSize);
+        } else {
+            this.renderChunkTiles(context, chunk, camera);
         }
         
         // Debug: mostra borda do chunk
@@ -1223,45 +1494,150 @@ class World {
     }
     
     /**
-     * Renderiza um tile individual
+     * Renderiza os tiles visíveis de um chunk diretamente (sem cache)
      */
-    renderTile(context, tile, x, y) {
-        // Por enquanto, usa cores sólidas baseadas no tipo
-        // Na próxima parte, substituiremos por sprites
+    renderChunkTiles(context, chunk, camera) {
+        const worldStartX = chunk.x * this.chunkSize * this.tileSize;
+        const worldStartY = chunk.y * this.chunkSize * this.tileSize;
         
-        switch (tile.type) {
-            case 'grass':
-                context.fillStyle = '#32cd32';
-                break;
-            case 'flower':
-                context.fillStyle = '#ff69b4';
-                break;
-            case 'water':
-                context.fillStyle = '#1e90ff';
-                break;
-            case 'mountain':
-                context.fillStyle = '#8b4513';
-                break;
-            case 'hill':
-                context.fillStyle = '#a0522d';
-                break;
-            case 'tree':
-                context.fillStyle = '#006400';
-                break;
-            case 'rock':
-                context.fillStyle = '#808080';
-                break;
-            case 'sand':
-                context.fillStyle = '#f4a460';
-                break;
-            case 'cactus':
-                context.fillStyle = '#228b22';
-                break;
-            default:
-                context.fillStyle = '#000000';
+        for (let y = 0; y < this.chunkSize; y++) {
+            for (let x = 0; x < this.chunkSize; x++) {
+                const tile = chunk.tiles[y][x];
+                const tileX = worldStartX + x * this.tileSize;
+                const tileY = worldStartY + y * this.tileSize;
+                
+                // Verifica se o tile está na visão da câmera
+                if (camera.isInView(tileX + this.tileSize/2, tileY + this.tileSize/2, this.tileSize)) {
+                    this.renderTile(context, tile, tileX, tileY);
+                }
+            }
         }
+    }
+    
+    /**
+     * Escolhe a escala de cache para o zoom atual
+     * (menor escala que não perde resolução; acima disso, a maior)
+     */
+    getCacheScale(zoom) {
+        const scales = GameConfig.CHUNK_CACHE_SCALES;
+        return scales.find(scale => scale >= zoom) ?? scales[scales.length - 1];
+    }
+    
+    /**
+     * Obtém a imagem pré-renderizada do chunk, criando ou atualizando se
+     * necessário. Retorna null se o limite de pré-renderizações do frame
+     * foi atingido (o chunk é desenhado tile a tile nesse frame)
+     */
+    getChunkCanvas(chunk, zoom) {
+        const chunkKey = `${chunk.x},${chunk.y}`;
+        const scale = this.getCacheScale(zoom);
+        const cacheKey = `${chunkKey}@${scale}`;
+        let entry = this.chunkCache.get(cacheKey);
         
-        context.fillRect(x, y, this.tileSize, this.tileSize);
+        if (!entry || entry.dirty) {
+            if (this.chunkCacheRenders >= GameConfig.CHUNK_CACHE_RENDERS_PER_FRAME) {
+                return null;
+            }
+            
+            if (!entry) {
+                const size = Math.ceil(this.chunkSize * this.tileSize * scale);
+                const canvas = document.createElement('canvas');
+                canvas.width = size;
+                canvas.height = size;
+                
+                entry = { canvas, chunkKey, scale, pixels: size * size, dirty: true };
+                this.chunkCachePixels += entry.pixels;
+            }
+            
+            this.renderChunkToCanvas(chunk, entry);
+            this.chunkCacheRenders++;
+        }
+        
+        // Move para o fim da fila (usado mais recentemente)
+        this.chunkCache.delete(cacheKey);
+        this.chunkCache.set(cacheKey, entry);
+        this.evictChunkCache(entry);
+        
+        return entry;
+    }
+    
+    /**
+     * Desenha todos os tiles do chunk na imagem em cache
+     */
+    renderChunkToCanvas(chunk, entry) {
+        const context = entry.canvas.getContext('2d');
+        context.imageSmoothingEnabled = false;
+        
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.clearRect(0, 0, entry.canvas.width, entry.canvas.height);
+        context.setTransform(entry.scale, 0, 0, entry.scale, 0, 0);
+        
+        for (let y = 0; y < this.chunkSize; y++) {
+            for (let x = 0; x < this.chunkSize; x++) {
+                this.renderTile(context, chunk.tiles[y][x], x * this.tileSize, y * this.tileSize);
+            }
+        }
+        
+        entry.dirty = false;
+    }
+    
+    /**
+     * Marca as imagens em cache de um chunk para serem redesenhadas
+     */
+    markChunkDirty(chunkKey) {
+        GameConfig.CHUNK_CACHE_SCALES.forEach(scale => {
+            const entry = this.chunkCache.get(`${chunkKey}@${scale}`);
+            if (entry) {
+                entry.dirty = true;
+            }
+        });
+    }
+    
+    /**
+     * Descarta as imagens em cache de um chunk (ex.: ao descarregá-lo)
+     */
+    removeChunkCache(chunkKey) {
+        GameConfig.CHUNK_CACHE_SCALES.forEach(scale => {
+            const cacheKey = `${chunkKey}@${scale}`;
+            const entry = this.chunkCache.get(cacheKey);
+            if (entry) {
+                this.chunkCache.delete(cacheKey);
+                this.chunkCachePixels -= entry.pixels;
+            }
+        });
+    }
+    
+    /**
+     * Remove as imagens usadas há mais tempo até respeitar o limite de pixels
+     */
+    evictChunkCache(keep) {
+        for (const [cacheKey, entry] of this.chunkCache) {
+            if (this.chunkCachePixels <= GameConfig.CHUNK_CACHE_MAX_PIXELS) break;
+            if (entry === keep) continue;
+            
+            this.chunkCache.delete(cacheKey);
+            this.chunkCachePixels -= entry.pixels;
+        }
+    }
+    
+    /**
+     * Descarta todas as imagens em cache
+     */
+    clearChunkCache() {
+        this.chunkCache.clear();
+        this.chunkCachePixels = 0;
+    }
+    
+    /**
+     * Renderiza um tile individual
+     */
+    renderTile(context, tile, x, y) {
+        // Frame do atlas do AssetManager (arquivo ou placeholder procedural)
+        if (this.assets) {
+            this.assets.drawFrame(context, `tiles/${tile.type}`, x, y, this.tileSize, this.tileSize);
+        } else {
+            this.renderTileColor(context, tile, x, y);
+        }
         
         // Adiciona algum detalhe baseado na variação
         if (tile.variation > 0) {
@@ -1277,6 +1653,14 @@ class World {
         }
     }
     
+    /**
+     * Renderiza um tile com a cor sólida do seu tipo (sem assets carregados)
+     */
+    renderTileColor(context, tile, x, y) {
+        context.fillStyle = TileColors[tile.type] || '#000000';
+        context.fillRect(x, y, this.tileSize, this.tileSize);
+    }
+    
     /**
      * Obtém chunk em coordenadas específicas
      */
@@ -1292,25 +1676,340 @@ class World {
      * Obtém tile em coordenadas específicas
      */
     getTileAt(worldX, worldY) {
-        const chunk = this.getChunkAt(worldX, worldY);
+        return this.getTile(
+            Math.floor(worldX / this.tileSize),
+            Math.floor(worldY / this.tileSize)
+        );
+    }
+    
+    /**
+     * Obtém tile em coordenadas de tile (não de pixel)
+     */
+    getTile(tileX, tileY) {
+        const chunkX = Math.floor(tileX / this.chunkSize);
+        const chunkY = Math.floor(tileY / this.chunkSize);
+        const chunk = this.chunks.get(`${chunkX},${chunkY}`);
         
         if (!chunk || !chunk.generated) {
             return null;
         }
         
-        const localX = Math.floor((worldX % (this.chunkSize * this.tileSize)) / this.tileSize);
-        const localY = Math.floor((worldY % (this.chunkSize * this.tileSize)) / this.tileSize);
+        // Coordenadas locais (funciona também para coordenadas negativas)
+        const localX = tileX - chunkX * this.chunkSize;
+        const localY = tileY - chunkY * this.chunkSize;
+        
+        return chunk.tiles[localY][localX];
+    }
+    
+    /**
+     * Serializa seed e alterações de tiles (chunks são regenerados pela seed)
+     */
+    serialize() {
+        const modifiedTiles = {};
+        
+        this.modifiedTiles.forEach((modifications, chunkKey) => {
+            modifiedTiles[chunkKey] = Array.from(modifications.entries());
+        });
+        
+        return {
+            seed: this.seed,
+            modifiedTiles: modifiedTiles
+        };
+    }
+    
+    /**
+     * Restaura um mundo salvo: reinicia a geração com a seed salva e
+     * reaplica as alterações quando cada chunk for gerado novamente
+     */
+    deserialize(data) {
+        this.applySave(this.readSave(data));
+    }
+    
+    /**
+     * Converte os dados salvos no estado do mundo, sem alterar o mundo atual
+     * (um save inválido falha aqui, antes do reset)
+     */
+    readSave(data) {
+        const modifiedTiles = new Map();
+        Object.entries(data.modifiedTiles || {}).forEach(([chunkKey, entries]) => {
+            modifiedTiles.set(chunkKey, new Map(entries));
+        });
+        
+        return {
+            seed: data.seed,
+            modifiedTiles: modifiedTiles
+        };
+    }
+    
+    /**
+     * Reinicia o mundo com um estado lido por readSave
+     */
+    applySave(state) {
+        this.reset(state.seed);
+        Object.assign(this, state);
+    }
+    
+    /**
+     * Descarta todos os chunks e recomeça a geração com uma seed
+     */
+    reset(seed) {
+        GameConfig.WORLD_SEED = seed;
+        
+        this.seed = seed;
+        this.generator = new ChunkGenerator(this.getGeneratorConfig());
+        
+        // Pedidos em andamento no worker passam a ser ignorados
+        this.generationEpoch++;
+        this.pendingChunks.clear();
+        this.requestsInFlight = 0;
+        this.chunkWorker?.postMessage({ type: 'init', config: this.getGeneratorConfig() });
+        
+        this.chunks.clear();
+        this.loadedChunks.clear();
+        this.modifiedTiles.clear();
+        this.clearChunkCache();
+        
+        this.generatedChunks = 0;
+        this.unloadedChunks = 0;
+        
+        console.log('🌍 Mundo reiniciado com seed:', seed);
+    }
+    
+    /**
+     * Verifica se a posição de mundo é transitável
+     * Tiles ainda não gerados são considerados transitáveis
+     */
+    isWalkableAt(worldX, worldY) {
+        const tile = this.getTileAt(worldX, worldY);
+        return !tile || this.isTileWalkable(tile.type);
+    }
+}
+
+// ============================================================================
+// CLASSE CHUNK GENERATOR - GERAÇÃO DE TILES (MAIN THREAD OU WEB WORKER)
+// ============================================================================
+
+/**
+ * Gera os tiles de um chunk a partir das seeds de ruído.
+ * Não depende de GameConfig, DOM ou de outras classes além de PerlinNoise:
+ * o mesmo código roda na main thread e dentro do worker (via toString()).
+ */
+class ChunkGenerator {
+    constructor(config) {
+        this.chunkSize = config.chunkSize;
+        
+        // Geradores de ruído
+        this.noise = new PerlinNoise(config.terrainSeed);
+        this.biomeNoise = new PerlinNoise(config.biomeSeed);
+        
+        // Cache de biomas
+        this.biomeCache = new Map();
+        
+        // Tipos gerados proceduralmente (índice usado no formato compactado)
+        this.tileTypes = ['grass', 'flower', 'water', 'mountain', 'hill', 'tree', 'rock', 'sand', 'cactus'];
+        this.unwalkableTiles = ['mountain', 'water', 'tree', 'cactus'];
+    }
+    
+    /**
+     * Gera um chunk no formato compactado (typed arrays), que pode ser
+     * transferido do worker sem cópia
+     */
+    generateChunkData(chunkX, chunkY) {
+        const biome = this.determineBiome(chunkX, chunkY);
+        const tileCount = this.chunkSize * this.chunkSize;
+        
+        const types = new Uint8Array(tileCount);
+        const heights = new Float32Array(tileCount);
+        const variations = new Uint8Array(tileCount);
+        
+        // Offset do chunk em coordenadas de mundo
+        const worldStartX = chunkX * this.chunkSize;
+        const worldStartY = chunkY * this.chunkSize;
+        
+        for (let y = 0; y < this.chunkSize; y++) {
+            for (let x = 0; x < this.chunkSize; x++) {
+                const tile = this.generateTile(worldStartX + x, worldStartY + y, biome);
+                const index = y * this.chunkSize + x;
+                
+                types[index] = this.tileTypes.indexOf(tile.type);
+                heights[index] = tile.height;
+                variations[index] = tile.variation;
+            }
+        }
+        
+        return { x: chunkX, y: chunkY, biome, types, heights, variations };
+    }
+    
+    /**
+     * Converte os dados compactados na matriz de tiles usada pelo World
+     */
+    unpackTiles(data) {
+        const tiles = [];
         
-        // Garante que as coordenadas locais estão dentro dos limites
-        if (localX >= 0 && localX < this.chunkSize && 
-            localY >= 0 && localY < this.chunkSize) {
-            return chunk.tiles[localY][localX];
+        for (let y = 0; y < this.chunkSize; y++) {
+            const row = [];
+            for (let x = 0; x < this.chunkSize; x++) {
+                const index = y * this.chunkSize + x;
+                const type = this.tileTypes[data.types[index]];
+                
+                row.push({
+                    type: type,
+                    biome: data.biome,
+                    walkable: this.isTileWalkable(type),
+                    height: data.heights[index],
+                    variation: data.variations[index]
+                });
+            }
+            tiles.push(row);
         }
         
-        return null;
+        return tiles;
+    }
+    
+    /**
+     * Determina o bioma para coordenadas do chunk
+     */
+    determineBiome(chunkX, chunkY) {
+        const cacheKey = `${chunkX},${chunkY}`;
+        
+        // Verifica cache
+        if (this.biomeCache.has(cacheKey)) {
+            return this.biomeCache.get(cacheKey);
+        }
+        
+        // Usa ruído para determinar bioma
+        const noiseValue = this.biomeNoise.get(chunkX * 0.1, chunkY * 0.1);
+        
+        let biome;
+        if (noiseValue < 0.3) {
+            biome = 'desert';
+        } else if (noiseValue < 0.6) {
+            biome = 'grassland';
+        } else {
+            biome = 'forest';
+        }
+        
+        // Armazena em cache
+        this.biomeCache.set(cacheKey, biome);
+        
+        return biome;
+    }
+    
+    /**
+     * Gera um tile individual
+     */
+    generateTile(worldX, worldY, biome) {
+        // Valor de ruído para detalhes do tile
+        const detailNoise = this.noise.get(worldX * 0.2, worldY * 0.2);
+        
+        // Valor de ruído para variação de altura
+        const heightNoise = this.noise.get(worldX * 0.05, worldY * 0.05);
+        
+        let tileType = 'grass'; // Padrão
+        
+        // Determina tipo de tile baseado no bioma
+        switch (biome) {
+            case 'grassland':
+                tileType = this.generateGrasslandTile(detailNoise, heightNoise);
+                break;
+            case 'forest':
+                tileType = this.generateForestTile(detailNoise, heightNoise);
+                break;
+            case 'desert':
+                tileType = this.generateDesertTile(detailNoise, heightNoise);
+                break;
+        }
+        
+        return {
+            type: tileType,
+            biome: biome,
+            walkable: this.isTileWalkable(tileType),
+            height: heightNoise,
+            variation: Math.floor(detailNoise * 4) // 0-3 variações
+        };
+    }
+    
+    /**
+     * Gera tile para bioma de grassland
+     */
+    generateGrasslandTile(detailNoise, heightNoise) {
+        if (heightNoise > 0.7) {
+            return 'mountain';
+        } else if (heightNoise > 0.6) {
+            return 'hill';
+        } else if (detailNoise < 0.2) {
+            return 'water';
+        } else if (detailNoise < 0.3) {
+            return 'flower';
+        } else {
+            return 'grass';
+        }
+    }
+    
+    /**
+     * Gera tile para bioma de forest
+     */
+    generateForestTile(detailNoise, heightNoise) {
+        if (heightNoise > 0.7) {
+            return 'mountain';
+        } else if (detailNoise < 0.3) {
+            return 'tree';
+        } else if (detailNoise < 0.4) {
+            return 'rock';
+        } else {
+            return 'grass';
+        }
+    }
+    
+    /**
+     * Gera tile para bioma de deserto
+     */
+    generateDesertTile(detailNoise, heightNoise) {
+        if (heightNoise > 0.8) {
+            return 'mountain';
+        } else if (detailNoise < 0.2) {
+            return 'cactus';
+        } else if (detailNoise < 0.3) {
+            return 'rock';
+        } else {
+            return 'sand';
+        }
+    }
+    
+    /**
+     * Verifica se um tile é transitável
+     */
+    isTileWalkable(tileType) {
+        return !this.unwalkableTiles.includes(tileType);
     }
 }
 
+/**
+ * Ponto de entrada do worker de chunks
+ * Executado dentro do worker (o World monta o script com toString())
+ */
+function chunkWorkerMain() {
+    let generator = null;
+    
+    self.onmessage = (event) => {
+        const message = event.data;
+        
+        switch (message.type) {
+            case 'init':
+                generator = new ChunkGenerator(message.config);
+                break;
+            case 'generate': {
+                const data = generator.generateChunkData(message.x, message.y);
+                data.epoch = message.epoch;
+                
+                // Transfere os buffers em vez de copiar
+                self.postMessage(data, [data.types.buffer, data.heights.buffer, data.variations.buffer]);
+                break;
+            }
+        }
+    };
+}
+
 // ============================================================================
 // CLASSE PLAYER - ENTIDADE DO JOGADOR
 // ============================================================================
@@ -1456,6 +2155,8 @@ class PerlinNoise {
     
     /**
      * Função de hash para coordenadas
+     * O valor depende apenas de (seed, x, y), nunca da ordem em que as
+     * coordenadas são consultadas, então a mesma seed gera o mesmo mundo
      */
     hash(x, y) {
         const key = `${x},${y}`;
@@ -1463,8 +2164,11 @@ class PerlinNoise {
             return this.memory.get(key);
         }
         
-        // Usa o gerador de números aleatórios com seed
-        const value = this.random();
+        let h = (this.seed | 0) ^ Math.imul(x, 374761393) ^ Math.imul(y, 668265263);
+        h = Math.imul(h ^ (h >>> 13), 1274126177);
+        h ^= h >>> 16;
+        
+        const value = (h >>> 0) / 4294967296;
         this.memory.set(key, value);
         return value;
     }
@@ -1531,6 +2235,218 @@ class PerlinNoise {
     }
 }
 
+// ============================================================================
+// RANDOM SERVICE - NÚMEROS ALEATÓRIOS DETERMINÍSTICOS
+// ============================================================================
+
+/**
+ * Sequência pseudoaleatória com seed (mulberry32)
+ */
+class RandomStream {
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+    
+    /**
+     * Próximo número em [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    /**
+     * Número real em [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+    
+    /**
+     * Inteiro em [min, max] (inclusivo)
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+    
+    /**
+     * Retorna true com probabilidade `probability`
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+    
+    /**
+     * Escolhe um elemento do array
+     */
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+}
+
+/**
+ * Serviço central de aleatoriedade
+ * Cada sistema usa uma stream nomeada ('worldgen', 'ai', 'loot'...), derivada
+ * da seed do mundo: consumir números em uma stream não altera as outras.
+ */
+class RandomService {
+    constructor(seed = GameConfig.WORLD_SEED) {
+        this.streams = new Map();
+        this.setSeed(seed);
+    }
+    
+    static getInstance() {
+        if (!RandomService.instance) {
+            RandomService.instance = new RandomService();
+        }
+        return RandomService.instance;
+    }
+    
+    /**
+     * Redefine a seed, reiniciando todas as streams
+     * (as instâncias de stream já obtidas continuam válidas)
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        this.streams.forEach((stream, name) => {
+            stream.state = RandomService.deriveSeed(seed, name);
+        });
+    }
+    
+    /**
+     * Obtém (ou cria) uma stream nomeada
+     */
+    stream(name) {
+        if (!this.streams.has(name)) {
+            this.streams.set(name, new RandomStream(RandomService.deriveSeed(this.seed, name)));
+        }
+        return this.streams.get(name);
+    }
+    
+    /**
+     * Deriva uma seed de 32 bits independente para um nome
+     */
+    static deriveSeed(seed, name) {
+        const low = seed >>> 0;
+        const high = Math.floor(seed / 4294967296) >>> 0;
+        
+        let h = hashString(name) ^ Math.imul(low, 0x9E3779B1) ^ Math.imul(high, 0x85EBCA77);
+        h = Math.imul(h ^ (h >>> 16), 0x7FEB352D);
+        h = Math.imul(h ^ (h >>> 15), 0x846CA68B);
+        return (h ^ (h >>> 16)) >>> 0;
+    }
+    
+    /**
+     * Serializa a seed e o estado de cada stream
+     */
+    serialize() {
+        const streams = {};
+        this.streams.forEach((stream, name) => {
+            streams[name] = stream.state;
+        });
+        
+        return {
+            seed: this.seed,
+            streams: streams
+        };
+    }
+    
+    /**
+     * Restaura seed e estados das streams
+     */
+    deserialize(data) {
+        this.setSeed(data.seed);
+        
+        Object.entries(data.streams).forEach(([name, state]) => {
+            this.stream(name).state = state;
+        });
+    }
+}
+
+// ============================================================================
+// EVENT EMITTER - COMUNICAÇÃO ENTRE SISTEMAS
+// ============================================================================
+
+/**
+ * Emissor de eventos simples (on/off/once/emit)
+ * Cada evento carrega um único objeto de dados
+ */
+class EventEmitter {
+    constructor() {
+        this.listeners = new Map(); // evento -> [handlers]
+    }
+    
+    /**
+     * Registra um handler; retorna a função que o remove
+     */
+    on(event, handler) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(handler);
+        
+        return () => this.off(event, handler);
+    }
+    
+    /**
+     * Registra um handler chamado apenas uma vez
+     */
+    once(event, handler) {
+        const off = this.on(event, (data) => {
+            off();
+            handler(data);
+        });
+        return off;
+    }
+    
+    /**
+     * Remove um handler
+     */
+    off(event, handler) {
+        const handlers = this.listeners.get(event);
+        if (!handlers) return;
+        
+        const index = handlers.indexOf(handler);
+        if (index !== -1) {
+            handlers.splice(index, 1);
+        }
+    }
+    
+    /**
+     * Dispara um evento; erros em um handler não impedem os demais
+     */
+    emit(event, data = {}) {
+        const handlers = this.listeners.get(event);
+        if (!handlers || handlers.length === 0) return;
+        
+        // Cópia: handlers podem se remover durante o disparo
+        [...handlers].forEach(handler => {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`❌ Erro no handler do evento "${event}":`, error);
+            }
+        });
+    }
+    
+    /**
+     * Remove todos os handlers (de um evento ou de todos)
+     */
+    clear(event = null) {
+        if (event) {
+            this.listeners.delete(event);
+        } else {
+            this.listeners.clear();
+        }
+    }
+}
+
+// Barramento global de eventos do jogo
+const GameEvents = new EventEmitter();
+
 // ============================================================================
 // INICIALIZAÇÃO E EXPOSIÇÃO GLOBAL
 // ============================================================================
@@ -1558,6 +2474,7 @@ document.addEventListener('DOMContentLoaded', () => {
     };
     
     console.log('🎮 Jogo pronto! Use window.game para debugging.');
+    console.log(`🎲 Seed do mundo: ${GameConfig.WORLD_SEED} (reproduza com ?seed=${GameConfig.WORLD_SEED})`);
     console.log('📝 Comandos disponíveis:');
     console.log('  - window.toggleDebug() - Alterna visualização de chunks');
     console.log('  - game.stop() - Para o game loop');
@@ -1571,8 +2488,14 @@ if (typeof module !== 'undefined' && module.exports) {
         InputManager,
         Camera,
         World,
+        TileColors,
+        ChunkGenerator,
         Player,
         PerlinNoise,
+        RandomStream,
+        RandomService,
+        EventEmitter,
+        GameEvents,
         GameConfig
     };
 }
\ No newline at end of file
@@ -0,0 +1,655 @@
+/**
+ * INFINITE RPG - PARTE 10: ATRIBUTOS E EQUIPAMENTO
+ *
+ * Esta parte implementa:
+ * 1. StatsComponent: atributos base + modificadores aditivos e multiplicativos
+ *    (equipamento, buffs temporários e níveis)
+ * 2. Atributos aplicados ao vivo em PhysicsComponent, HealthComponent,
+ *    CombatComponent e RangedWeaponComponent
+ * 3. EquipmentComponent: slots de arma, armadura e acessório
+ * 4. Ficha do personagem (tecla P)
+ */
+
+// ============================================================================
+// ATRIBUTOS
+// ============================================================================
+
+const StatDefinitions = {
+    maxHealth: { name: 'Vida Máxima' },
+    speed: { name: 'Velocidade' },
+    damage: { name: 'Dano' },
+    rangedDamage: { name: 'Dano à Distância' },
+    defense: { name: 'Defesa' }
+};
+
+/**
+ * Texto de um modificador (ex.: "+10 Dano", "-5% Velocidade")
+ */
+function formatStatModifier(modifier) {
+    const name = StatDefinitions[modifier.stat] ? StatDefinitions[modifier.stat].name : modifier.stat;
+    const value = modifier.type === 'mult'
+        ? `${Math.round(modifier.value * 100)}%`
+        : `${Math.round(modifier.value * 10) / 10}`;
+    
+    return `${modifier.value >= 0 ? '+' : ''}${value} ${name}`;
+}
+
+// ============================================================================
+// STATS COMPONENT
+// ============================================================================
+
+/**
+ * Componente Stats - Valor final = (base + soma dos aditivos) * (1 + soma dos multiplicativos)
+ * Modificadores com `duration` (segundos) expiram sozinhos (buffs)
+ */
+class StatsComponent extends Component {
+    initialize(config) {
+        this.base = { ...config.base };
+        this.modifiers = [];
+        this.nextModifierId = 1;
+        
+        // Velocidade máxima acompanha a velocidade (mantém a folga original)
+        this.maxSpeedRatio = config.maxSpeedRatio || 1;
+        
+        this.dirty = true;
+    }
+    
+    update(deltaTime) {
+        for (let i = this.modifiers.length - 1; i >= 0; i--) {
+            const modifier = this.modifiers[i];
+            if (modifier.duration === null) continue;
+            
+            modifier.duration -= deltaTime;
+            if (modifier.duration <= 0) {
+                this.modifiers.splice(i, 1);
+                this.dirty = true;
+            }
+        }
+        
+        if (this.dirty) {
+            this.apply();
+        }
+    }
+    
+    /**
+     * Valor final de um atributo
+     */
+    get(stat) {
+        let additive = 0;
+        let multiplier = 1;
+        
+        this.modifiers.forEach(modifier => {
+            if (modifier.stat !== stat) return;
+            
+            if (modifier.type === 'mult') {
+                multiplier += modifier.value;
+            } else {
+                additive += modifier.value;
+            }
+        });
+        
+        return Math.max(0, ((this.base[stat] || 0) + additive) * multiplier);
+    }
+    
+    getBase(stat) {
+        return this.base[stat] || 0;
+    }
+    
+    setBase(stat, value) {
+        this.base[stat] = value;
+        this.dirty = true;
+    }
+    
+    /**
+     * Adiciona um modificador
+     * @param {Object} modifier - { stat, type: 'add'|'mult', value, source, duration }
+     * @returns {number} Id do modificador
+     */
+    addModifier(modifier) {
+        const id = this.nextModifierId++;
+        
+        this.modifiers.push({
+            id: id,
+            stat: modifier.stat,
+            type: modifier.type || 'add',
+            value: modifier.value,
+            source: modifier.source || null,
+            duration: modifier.duration !== undefined ? modifier.duration : null
+        });
+        
+        this.dirty = true;
+        return id;
+    }
+    
+    removeModifier(id) {
+        const index = this.modifiers.findIndex(modifier => modifier.id === id);
+        if (index === -1) return false;
+        
+        this.modifiers.splice(index, 1);
+        this.dirty = true;
+        return true;
+    }
+    
+    /**
+     * Remove todos os modificadores de uma origem (ex.: 'equipment:weapon')
+     */
+    removeModifiersFrom(source) {
+        const count = this.modifiers.length;
+        this.modifiers = this.modifiers.filter(modifier => modifier.source !== source);
+        
+        if (this.modifiers.length !== count) {
+            this.dirty = true;
+        }
+    }
+    
+    /**
+     * Aplica os valores finais aos componentes da entidade
+     */
+    apply() {
+        this.dirty = false;
+        
+        const physics = this.entity.getComponent('PhysicsComponent');
+        if (physics && this.base.speed !== undefined) {
+            physics.speed = this.get('speed');
+            physics.maxSpeed = physics.speed * this.maxSpeedRatio;
+        }
+        
+        const health = this.entity.getComponent('HealthComponent');
+        if (health) {
+            if (this.base.maxHealth !== undefined) {
+                // Aumentos de vida máxima também curam a diferença
+                const maxHealth = Math.round(this.get('maxHealth'));
+                if (maxHealth > health.maxHealth && !health.dead) {
+                    health.health += maxHealth - health.maxHealth;
+                }
+                health.maxHealth = maxHealth;
+                health.health = Math.min(health.health, maxHealth);
+            }
+            
+            if (this.base.defense !== undefined) {
+                health.defense = this.get('defense');
+            }
+        }
+        
+        const combat = this.entity.getComponent('CombatComponent');
+        if (combat && this.base.damage !== undefined) {
+            combat.damage = this.get('damage');
+        }
+        
+        const weapon = this.entity.getComponent('RangedWeaponComponent');
+        if (weapon && this.base.rangedDamage !== undefined) {
+            weapon.projectile.damage = this.get('rangedDamage');
+        }
+        
+        GameEvents.emit('stats:changed', { entity: this.entity, stats: this });
+    }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            base: { ...this.base },
+            modifiers: this.modifiers.map(modifier => ({ ...modifier })),
+            nextModifierId: this.nextModifierId,
+            maxSpeedRatio: this.maxSpeedRatio
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        this.base = { ...data.base };
+        this.modifiers = data.modifiers.map(modifier => ({ ...modifier }));
+        this.nextModifierId = data.nextModifierId;
+        this.maxSpeedRatio = data.maxSpeedRatio;
+        this.dirty = true;
+    }
+}
+
+/**
+ * Adiciona StatsComponent usando os valores atuais dos componentes como base
+ */
+function attachStats(entity, base = {}) {
+    const physics = entity.getComponent('PhysicsComponent');
+    const health = entity.getComponent('HealthComponent');
+    const combat = entity.getComponent('CombatComponent');
+    const weapon = entity.getComponent('RangedWeaponComponent');
+    
+    const derived = {};
+    if (physics) derived.speed = physics.speed;
+    if (health) {
+        derived.maxHealth = health.maxHealth;
+        derived.defense = health.defense;
+    }
+    if (combat) derived.damage = combat.damage;
+    if (weapon) derived.rangedDamage = weapon.projectile.damage;
+    
+    return entity.addComponent(StatsComponent, {
+        base: { ...derived, ...base },
+        maxSpeedRatio: physics && physics.speed > 0 ? physics.maxSpeed / physics.speed : 1
+    });
+}
+
+// ============================================================================
+// EQUIPMENT COMPONENT
+// ============================================================================
+
+const EquipmentSlots = {
+    weapon: { name: 'Arma' },
+    armor: { name: 'Armadura' },
+    accessory: { name: 'Acessório' }
+};
+
+/**
+ * Componente Equipment - Itens equipados (um por slot) e seus modificadores
+ * Itens equipáveis têm `slot` e `modifiers` na definição
+ */
+class EquipmentComponent extends Component {
+    initialize(config) {
+        this.slots = {};
+        Object.keys(EquipmentSlots).forEach(slot => {
+            this.slots[slot] = null;
+        });
+    }
+    
+    getEquipped(slot) {
+        return this.slots[slot] || null;
+    }
+    
+    /**
+     * Equipa o item de um slot do inventário
+     * O item anteriormente equipado volta para o inventário
+     */
+    equip(inventoryIndex) {
+        const inventory = this.entity.getComponent('InventoryComponent');
+        const stack = inventory?.getSlot(inventoryIndex);
+        if (!stack) return false;
+        
+        const definition = ItemDatabase.getInstance().get(stack.id);
+        if (!definition || !definition.slot || !(definition.slot in this.slots)) return false;
+        
+        const previous = this.slots[definition.slot];
+        
+        stack.quantity--;
+        if (stack.quantity <= 0) {
+            inventory.slots[inventoryIndex] = previous ? { id: previous.id, quantity: 1 } : null;
+        } else if (previous && inventory.addItem(previous.id, 1) > 0) {
+            // Sem espaço para o item anterior: desfaz
+            stack.quantity++;
+            GameEvents.emit('equipment:failed', { entity: this.entity, slot: definition.slot, reason: 'Inventário cheio' });
+            return false;
+        }
+        
+        this.slots[definition.slot] = { id: definition.id };
+        this.applySlotModifiers(definition.slot);
+        
+        inventory.changed();
+        GameEvents.emit('equipment:changed', { entity: this.entity, slot: definition.slot, itemId: definition.id });
+        return true;
+    }
+    
+    /**
+     * Desequipa para o inventário (falha se estiver cheio)
+     */
+    unequip(slot) {
+        const equipped = this.slots[slot];
+        if (!equipped) return false;
+        
+        const inventory = this.entity.getComponent('InventoryComponent');
+        if (!inventory || inventory.addItem(equipped.id, 1) > 0) {
+            GameEvents.emit('equipment:failed', { entity: this.entity, slot: slot, reason: 'Inventário cheio' });
+            return false;
+        }
+        
+        this.slots[slot] = null;
+        this.applySlotModifiers(slot);
+        
+        GameEvents.emit('equipment:changed', { entity: this.entity, slot: slot, itemId: null });
+        return true;
+    }
+    
+    /**
+     * Substitui os modificadores do slot pelos do item equipado
+     */
+    applySlotModifiers(slot) {
+        const stats = this.entity.getComponent('StatsComponent');
+        if (!stats) return;
+        
+        const source = `equipment:${slot}`;
+        stats.removeModifiersFrom(source);
+        
+        const equipped = this.slots[slot];
+        const definition = equipped ? ItemDatabase.getInstance().get(equipped.id) : null;
+        
+        (definition && definition.modifiers || []).forEach(modifier => {
+            stats.addModifier({ ...modifier, source: source });
+        });
+    }
+    
+    serialize() {
+        const slots = {};
+        Object.entries(this.slots).forEach(([slot, item]) => {
+            slots[slot] = item ? { ...item } : null;
+        });
+        
+        return {
+            ...super.serialize(),
+            slots: slots
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        
+        // Modificadores já vêm salvos no StatsComponent
+        Object.entries(data.slots).forEach(([slot, item]) => {
+            this.slots[slot] = item ? { ...item } : null;
+        });
+    }
+}
+
+[StatsComponent, EquipmentComponent].forEach(componentType => Component.register(componentType));
+
+// ============================================================================
+// FICHA DO PERSONAGEM
+// ============================================================================
+
+/**
+ * Ficha do personagem: atributos finais e slots de equipamento
+ * Clique em um slot para desequipar
+ */
+class CharacterSheetUI {
+    constructor(game) {
+        this.game = game;
+        this.open = false;
+        
+        this.x = 20;
+        this.y = 60;
+        this.width = 240;
+        this.slotSize = 40;
+        
+        // Avisos de equipamento (ex.: sem espaço para desequipar)
+        this.notifications = [];
+        GameEvents.on('equipment:failed', ({ reason }) => {
+            this.notifications.push({ text: `⚠️ ${reason}`, timer: 3 });
+        });
+        
+        this.bindEvents();
+    }
+    
+    bindEvents() {
+        document.addEventListener('keydown', (e) => {
+            const key = e.key.toLowerCase();
+            
+            if (key === 'p') {
+                this.open = !this.open;
+            } else if (key === 'escape') {
+                this.open = false;
+            }
+        });
+        
+        document.addEventListener('mousedown', (e) => {
+            if (!this.open || e.button !== 0) return;
+            
+            const slot = this.getSlotAt(this.game.inputManager.mouse.x, this.game.inputManager.mouse.y);
+            if (slot) {
+                this.game.entityManager.getPlayer()?.getComponent('EquipmentComponent')?.unequip(slot);
+            }
+        });
+    }
+    
+    /**
+     * Retângulos dos slots de equipamento
+     */
+    getSlotRects() {
+        return Object.keys(EquipmentSlots).map((slot, index) => ({
+            slot: slot,
+            x: this.x + 12 + index * (this.slotSize + 34),
+            y: this.y + 32,
+            size: this.slotSize
+        }));
+    }
+    
+    getSlotAt(screenX, screenY) {
+        const rect = this.getSlotRects().find(rect =>
+            screenX >= rect.x && screenX <= rect.x + rect.size &&
+            screenY >= rect.y && screenY <= rect.y + rect.size
+        );
+        return rect ? rect.slot : null;
+    }
+    
+    update(deltaTime) {
+        for (let i = this.notifications.length - 1; i >= 0; i--) {
+            this.notifications[i].timer -= deltaTime;
+            if (this.notifications[i].timer <= 0) {
+                this.notifications.splice(i, 1);
+            }
+        }
+    }
+    
+    render(context) {
+        context.save();
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        
+        this.renderNotifications(context);
+        
+        const player = this.game.entityManager.getPlayer();
+        const stats = player?.getComponent('StatsComponent');
+        if (this.open && stats) {
+            this.renderSheet(context, stats, player.getComponent('EquipmentComponent'));
+        }
+        
+        context.restore();
+    }
+    
+    renderNotifications(context) {
+        context.font = 'bold 13px monospace';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        
+        this.notifications.forEach((notification, index) => {
+            context.globalAlpha = Math.min(1, notification.timer);
+            context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            context.fillRect(this.game.canvas.width / 2 - 150, 60 + index * 26, 300, 22);
+            context.fillStyle = '#ffd700';
+            context.fillText(notification.text, this.game.canvas.width / 2, 71 + index * 26);
+        });
+        
+        context.globalAlpha = 1;
+        context.textAlign = 'left';
+    }
+    
+    renderSheet(context, stats, equipment) {
+        const statNames = Object.keys(StatDefinitions).filter(stat => stats.base[stat] !== undefined);
+        const height = 100 + statNames.length * 18;
+        
+        context.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        context.fillRect(this.x, this.y, this.width, height);
+        context.strokeStyle = '#888888';
+        context.strokeRect(this.x, this.y, this.width, height);
+        
+        context.fillStyle = '#ffffff';
+        context.font = 'bold 13px monospace';
+        context.textBaseline = 'top';
+        context.fillText('Personagem', this.x + 12, this.y + 8);
+        
+        // Slots de equipamento
+        const database = ItemDatabase.getInstance();
+        context.font = '10px monospace';
+        
+        this.getSlotRects().forEach(rect => {
+            const equipped = equipment?.getEquipped(rect.slot);
+            
+            context.fillStyle = 'rgba(255, 255, 255, 0.08)';
+            context.fillRect(rect.x, rect.y, rect.size, rect.size);
+            
+            const definition = equipped ? database.get(equipped.id) : null;
+            context.strokeStyle = definition ? database.getRarity(definition).color : '#555555';
+            context.strokeRect(rect.x + 0.5, rect.y + 0.5, rect.size - 1, rect.size - 1);
+            
+            if (definition) {
+                database.drawIcon(context, equipped.id, rect.x + 6, rect.y + 6, rect.size - 12);
+            }
+            
+            context.fillStyle = '#aaaaaa';
+            context.fillText(EquipmentSlots[rect.slot].name, rect.x, rect.y + rect.size + 3);
+        });
+        
+        // Atributos: valor final (diferença para a base)
+        context.font = '12px monospace';
+        statNames.forEach((stat, index) => {
+            const y = this.y + 96 + index * 18;
+            const value = stats.get(stat);
+            const difference = value - stats.getBase(stat);
+            
+            context.fillStyle = '#ffffff';
+            context.fillText(`${StatDefinitions[stat].name}: ${Math.round(value)}`, this.x + 12, y);
+            
+            if (Math.abs(difference) >= 0.5) {
+                context.fillStyle = difference > 0 ? '#3ce03c' : '#e03c3c';
+                context.fillText(`(${difference > 0 ? '+' : ''}${Math.round(difference)})`, this.x + 180, y);
+            }
+        });
+    }
+}
+
+// ============================================================================
+// INTEGRAÇÃO COM O SISTEMA EXISTENTE
+// ============================================================================
+
+// Jogador, NPCs e criaturas recebem atributos; o jogador também equipamento
+const createPlayerWithoutStats = EntityManager.prototype.createPlayer;
+EntityManager.prototype.createPlayer = function(config = {}) {
+    const player = createPlayerWithoutStats.call(this, config);
+    
+    attachStats(player, config.stats);
+    player.addComponent(EquipmentComponent);
+    
+    return player;
+};
+
+const createNPCWithoutStats = EntityManager.prototype.createNPC;
+EntityManager.prototype.createNPC = function(config = {}) {
+    const npc = createNPCWithoutStats.call(this, config);
+    
+    attachStats(npc, config.stats);
+    
+    return npc;
+};
+
+const createCreatureWithoutStats = EntityManager.prototype.createCreature;
+EntityManager.prototype.createCreature = function(config = {}) {
+    const creature = createCreatureWithoutStats.call(this, config);
+    
+    attachStats(creature, config.stats);
+    
+    return creature;
+};
+
+// Save v7: atributos, equipamento e defesa salvos
+// (a base dos atributos vem dos componentes salvos, como em attachStats)
+SaveConfig.VERSION = 7;
+SaveMigrations[6] = (data) => {
+    data.entities.entities.forEach(entityData => {
+        const health = entityData.components.HealthComponent;
+        if (health) health.defense = 0;
+    });
+    
+    addComponentToSave(data, StatsComponent, entityData => {
+        if (!['player', 'npc', 'creature'].includes(entityData.type)) return null;
+        
+        const { PhysicsComponent: physics, HealthComponent: health, CombatComponent: combat, RangedWeaponComponent: weapon } = entityData.components;
+        const base = {};
+        if (physics) base.speed = physics.speed;
+        if (health) {
+            base.maxHealth = health.maxHealth;
+            base.defense = health.defense;
+        }
+        if (combat) base.damage = combat.damage;
+        if (weapon) base.rangedDamage = weapon.projectile.damage;
+        
+        return {
+            base: base,
+            maxSpeedRatio: physics && physics.speed > 0 ? physics.maxSpeed / physics.speed : 1
+        };
+    });
+    
+    return addComponentToSave(data, EquipmentComponent, entityData => entityData.type === 'player' ? {} : null);
+};
+
+// Usar um item equipável (clique direito no inventário) o equipa
+const useSlotWithoutEquipment = InventoryComponent.prototype.useSlot;
+InventoryComponent.prototype.useSlot = function(index) {
+    const slot = this.getSlot(index);
+    const definition = slot ? ItemDatabase.getInstance().get(slot.id) : null;
+    const equipment = this.entity.getComponent('EquipmentComponent');
+    
+    if (definition && definition.slot && equipment) {
+        return equipment.equip(index);
+    }
+    
+    return useSlotWithoutEquipment.call(this, index);
+};
+
+// Tooltip mostra os modificadores do item
+const getTooltipLinesWithoutModifiers = InventoryUI.prototype.getTooltipLines;
+InventoryUI.prototype.getTooltipLines = function(definition, rarity) {
+    const lines = getTooltipLinesWithoutModifiers.call(this, definition, rarity);
+    
+    (definition.modifiers || []).forEach(modifier => {
+        lines.push({ text: formatStatModifier(modifier), color: modifier.value >= 0 ? '#3ce03c' : '#e03c3c' });
+    });
+    
+    if (definition.slot) {
+        lines.push({ text: `Clique direito: equipar (${EquipmentSlots[definition.slot]?.name || definition.slot})`, color: '#aaaaaa' });
+    }
+    
+    return lines;
+};
+
+const initializeEntitiesWithoutStats = GameEngine.prototype.initializeEntities;
+GameEngine.prototype.initializeEntities = function() {
+    initializeEntitiesWithoutStats.call(this);
+    
+    if (!this.characterSheet) {
+        this.characterSheet = new CharacterSheetUI(this);
+    }
+};
+
+const updateWithoutCharacterSheet = GameEngine.prototype.update;
+GameEngine.prototype.update = function(deltaTime) {
+    updateWithoutCharacterSheet.call(this, deltaTime);
+    
+    this.characterSheet?.update(deltaTime);
+};
+
+const isMenuOpenWithoutCharacterSheet = GameEngine.prototype.isMenuOpen;
+GameEngine.prototype.isMenuOpen = function() {
+    return isMenuOpenWithoutCharacterSheet.call(this) || !!this.characterSheet?.open;
+};
+
+const renderUIWithoutCharacterSheet = GameEngine.prototype.renderUI;
+GameEngine.prototype.renderUI = function() {
+    renderUIWithoutCharacterSheet.call(this);
+    
+    this.characterSheet?.render(this.context);
+};
+
+ControlsHelp.push('P - Personagem');
+
+console.log('✅ Parte 10 - Atributos e Equipamento carregado!');
+console.log('📋 Comandos disponíveis:');
+console.log('  P - Ficha do personagem (clique em um slot para desequipar)');
+console.log('  Clique direito em um item equipável no inventário - Equipar');
+console.log('  game.player.getComponent(\'StatsComponent\').addModifier({ stat, type, value, duration })');
+
+// Exporta classes para uso em módulos futuros
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        StatDefinitions,
+        formatStatModifier,
+        StatsComponent,
+        attachStats,
+        EquipmentSlots,
+        EquipmentComponent,
+        CharacterSheetUI
+    };
+}
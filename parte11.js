@@ -0,0 +1,865 @@
+/**
+ * INFINITE RPG - PARTE 11: EXPERIÊNCIA E HABILIDADES
+ *
+ * Esta parte implementa:
+ * 1. ExperienceComponent: nível, XP com curva configurável e pontos de habilidade
+ * 2. XP concedido ao derrotar criaturas
+ * 3. Efeitos de level up (bônus de atributos, cura e destaque visual)
+ * 4. Árvore de habilidades definida por dados: passivas e ativas
+ * 5. Habilidades ativas associadas a teclas pelo InputManager (Z, X, C, V)
+ * 6. Tela da árvore de habilidades (tecla K) e barra de habilidades
+ */
+
+// ============================================================================
+// CURVA DE NÍVEIS
+// ============================================================================
+
+const LevelCurve = {
+    base: 100,          // XP do nível 1 para o 2
+    growth: 1.4,        // Multiplicador por nível
+    maxLevel: 50,
+    skillPointsPerLevel: 1,
+    
+    // Bônus de atributos por nível acima do 1
+    statsPerLevel: [
+        { stat: 'maxHealth', type: 'add', value: 10 },
+        { stat: 'damage', type: 'add', value: 1.5 }
+    ]
+};
+
+// ============================================================================
+// ÁRVORE DE HABILIDADES
+// ============================================================================
+
+/**
+ * Habilidades (passivas aplicam `modifiers` por rank; ativas executam
+ * uma entrada de SkillAbilities). `position` é a célula na tela da árvore
+ */
+const SkillTreeDefinitions = [
+    {
+        id: 'vitality',
+        name: 'Vitalidade',
+        description: '+15 de vida máxima por rank.',
+        type: 'passive',
+        maxRank: 5,
+        position: { column: 0, row: 0 },
+        modifiers: [{ stat: 'maxHealth', type: 'add', value: 15 }]
+    },
+    {
+        id: 'strength',
+        name: 'Força',
+        description: '+3 de dano corpo a corpo por rank.',
+        type: 'passive',
+        maxRank: 5,
+        position: { column: 1, row: 0 },
+        modifiers: [{ stat: 'damage', type: 'add', value: 3 }]
+    },
+    {
+        id: 'swiftness',
+        name: 'Agilidade',
+        description: '+5% de velocidade por rank.',
+        type: 'passive',
+        maxRank: 3,
+        position: { column: 2, row: 0 },
+        modifiers: [{ stat: 'speed', type: 'mult', value: 0.05 }]
+    },
+    {
+        id: 'toughness',
+        name: 'Resistência',
+        description: '+4 de defesa por rank.',
+        type: 'passive',
+        maxRank: 3,
+        requires: ['vitality'],
+        position: { column: 0, row: 1 },
+        modifiers: [{ stat: 'defense', type: 'add', value: 4 }]
+    },
+    {
+        id: 'marksman',
+        name: 'Pontaria',
+        description: '+2 de dano à distância por rank.',
+        type: 'passive',
+        maxRank: 3,
+        requires: ['strength'],
+        position: { column: 1, row: 1 },
+        modifiers: [{ stat: 'rangedDamage', type: 'add', value: 2 }]
+    },
+    {
+        id: 'dash',
+        name: 'Investida',
+        description: 'Avança rapidamente e fica invulnerável por um instante.',
+        type: 'active',
+        action: 'skill1',
+        cooldown: 3,
+        requires: ['swiftness'],
+        position: { column: 2, row: 1 },
+        ability: 'dash',
+        params: { force: 9000, duration: 0.12, invulnerability: 0.3 }
+    },
+    {
+        id: 'whirlwind',
+        name: 'Redemoinho',
+        description: 'Golpeia todos os inimigos ao redor.',
+        type: 'active',
+        action: 'skill2',
+        cooldown: 6,
+        requires: ['strength'],
+        position: { column: 1, row: 2 },
+        ability: 'whirlwind',
+        params: { damageMultiplier: 1.5, range: 50 }
+    },
+    {
+        id: 'fireball',
+        name: 'Bola de Fogo',
+        description: 'Projétil que explode causando dano de fogo em área.',
+        type: 'active',
+        action: 'skill3',
+        cooldown: 5,
+        requires: ['marksman'],
+        position: { column: 2, row: 2 },
+        ability: 'projectile',
+        params: {
+            speed: 350, damage: 25, damageType: 'fire', radius: 6, aoeRadius: 60, lifetime: 1.5, explodeOnExpire: true,
+            statusEffects: [{ id: 'burn' }]
+        }
+    },
+    {
+        id: 'second_wind',
+        name: 'Fôlego',
+        description: 'Recupera 35% da vida máxima.',
+        type: 'active',
+        action: 'skill4',
+        cooldown: 20,
+        requires: ['toughness'],
+        position: { column: 0, row: 2 },
+        ability: 'heal',
+        params: { percent: 0.35 }
+    }
+];
+
+/**
+ * Teclas padrão das ações de habilidade
+ */
+const SkillActionKeys = {
+    skill1: ['z'],
+    skill2: ['x'],
+    skill3: ['c'],
+    skill4: ['v']
+};
+
+/**
+ * Execução das habilidades ativas
+ * (entity, params, target: ponto do mundo mirado) -> true se executou
+ */
+const SkillAbilities = {
+    dash: (entity, params, target) => {
+        const transform = entity.getComponent('TransformComponent');
+        const physics = entity.getComponent('PhysicsComponent');
+        if (!transform || !physics) return false;
+        
+        // Direção do movimento ou, parado, do mouse
+        let direction = physics.movementInput;
+        if (direction.x === 0 && direction.y === 0 && target) {
+            direction = { x: target.x - transform.position.x, y: target.y - transform.position.y };
+        }
+        
+        const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y);
+        if (length === 0) return false;
+        
+        physics.applyForce(direction.x / length * params.force, direction.y / length * params.force, params.duration);
+        
+        const health = entity.getComponent('HealthComponent');
+        if (health) {
+            health.invulnerableTimer = Math.max(health.invulnerableTimer, params.invulnerability);
+        }
+        return true;
+    },
+    
+    whirlwind: (entity, params) => {
+        const combat = entity.getComponent('CombatComponent');
+        if (!combat) return false;
+        
+        // Golpe em 360° com dano e alcance aumentados
+        combat.performHit({
+            arc: Math.PI * 2,
+            damage: combat.damage * params.damageMultiplier,
+            range: params.range
+        });
+        return true;
+    },
+    
+    projectile: (entity, params, target) => {
+        const transform = entity.getComponent('TransformComponent');
+        if (!transform || !target) return false;
+        
+        const direction = { x: target.x - transform.position.x, y: target.y - transform.position.y };
+        const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y) || 1;
+        
+        EntityManager.getInstance().createProjectile({
+            ...params,
+            position: {
+                x: transform.position.x + direction.x / length * 16,
+                y: transform.position.y + direction.y / length * 16
+            },
+            direction: direction,
+            owner: entity
+        });
+        return true;
+    },
+    
+    heal: (entity, params) => {
+        const health = entity.getComponent('HealthComponent');
+        if (!health || health.dead || health.health >= health.maxHealth) return false;
+        
+        health.heal(health.maxHealth * params.percent);
+        return true;
+    }
+};
+
+// ============================================================================
+// EXPERIENCE COMPONENT
+// ============================================================================
+
+/**
+ * Componente Experience - Nível e XP
+ * Criaturas usam apenas `reward` (XP concedido a quem as derrota)
+ */
+class ExperienceComponent extends Component {
+    initialize(config) {
+        this.level = config.level || 1;
+        this.experience = config.experience || 0;
+        this.skillPoints = config.skillPoints || 0;
+        this.reward = config.reward || 0;
+        this.curve = { ...LevelCurve, ...config.curve };
+    }
+    
+    /**
+     * XP necessário para passar do nível informado para o próximo
+     */
+    getRequiredExperience(level = this.level) {
+        return Math.round(this.curve.base * Math.pow(this.curve.growth, level - 1));
+    }
+    
+    /**
+     * Adiciona XP, subindo quantos níveis forem necessários
+     */
+    addExperience(amount) {
+        if (amount <= 0 || this.level >= this.curve.maxLevel) return;
+        
+        this.experience += amount;
+        GameEvents.emit('experience:gained', { entity: this.entity, amount: amount });
+        
+        while (this.level < this.curve.maxLevel && this.experience >= this.getRequiredExperience()) {
+            this.experience -= this.getRequiredExperience();
+            this.levelUp();
+        }
+        
+        if (this.level >= this.curve.maxLevel) {
+            this.experience = 0;
+        }
+    }
+    
+    levelUp() {
+        this.level++;
+        this.skillPoints += this.curve.skillPointsPerLevel;
+        
+        this.applyLevelModifiers();
+        
+        // Level up recupera a vida
+        const health = this.entity.getComponent('HealthComponent');
+        if (health && !health.dead) {
+            health.health = health.maxHealth;
+        }
+        
+        GameEvents.emit('player:levelup', { entity: this.entity, level: this.level });
+    }
+    
+    /**
+     * Bônus de atributos do nível atual (origem 'level')
+     */
+    applyLevelModifiers() {
+        const stats = this.entity.getComponent('StatsComponent');
+        if (!stats) return;
+        
+        stats.removeModifiersFrom('level');
+        this.curve.statsPerLevel.forEach(modifier => {
+            stats.addModifier({ ...modifier, value: modifier.value * (this.level - 1), source: 'level' });
+        });
+        
+        // Vida máxima nova já disponível neste frame
+        stats.apply();
+    }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            level: this.level,
+            experience: this.experience,
+            skillPoints: this.skillPoints,
+            reward: this.reward
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        this.level = data.level;
+        this.experience = data.experience;
+        this.skillPoints = data.skillPoints;
+        this.reward = data.reward;
+    }
+}
+
+// ============================================================================
+// SKILLS COMPONENT
+// ============================================================================
+
+/**
+ * Componente Skills - Ranks desbloqueados e recarga das habilidades ativas
+ */
+class SkillsComponent extends Component {
+    initialize(config) {
+        this.ranks = { ...config.ranks };
+        this.cooldowns = {};
+    }
+    
+    update(deltaTime) {
+        Object.keys(this.cooldowns).forEach(id => {
+            this.cooldowns[id] -= deltaTime;
+            if (this.cooldowns[id] <= 0) {
+                delete this.cooldowns[id];
+            }
+        });
+    }
+    
+    static getDefinition(id) {
+        return SkillTreeDefinitions.find(skill => skill.id === id) || null;
+    }
+    
+    getRank(id) {
+        return this.ranks[id] || 0;
+    }
+    
+    /**
+     * Verifica pontos disponíveis, rank máximo e pré-requisitos
+     */
+    canUnlock(id) {
+        const skill = SkillsComponent.getDefinition(id);
+        const experience = this.entity.getComponent('ExperienceComponent');
+        if (!skill || !experience || experience.skillPoints <= 0) return false;
+        
+        if (this.getRank(id) >= (skill.maxRank || 1)) return false;
+        
+        return (skill.requires || []).every(required => this.getRank(required) > 0);
+    }
+    
+    /**
+     * Gasta um ponto para desbloquear (ou subir o rank de) uma habilidade
+     */
+    unlock(id) {
+        if (!this.canUnlock(id)) return false;
+        
+        const skill = SkillsComponent.getDefinition(id);
+        this.entity.getComponent('ExperienceComponent').skillPoints--;
+        this.ranks[id] = this.getRank(id) + 1;
+        
+        if (skill.modifiers) {
+            this.applyPassive(skill);
+        }
+        
+        GameEvents.emit('skill:unlocked', { entity: this.entity, skill: id, rank: this.ranks[id] });
+        return true;
+    }
+    
+    /**
+     * Modificadores da passiva multiplicados pelo rank (origem 'skill:<id>')
+     */
+    applyPassive(skill) {
+        const stats = this.entity.getComponent('StatsComponent');
+        if (!stats) return;
+        
+        const source = `skill:${skill.id}`;
+        const rank = this.getRank(skill.id);
+        
+        stats.removeModifiersFrom(source);
+        skill.modifiers.forEach(modifier => {
+            stats.addModifier({ ...modifier, value: modifier.value * rank, source: source });
+        });
+    }
+    
+    /**
+     * Habilidade ativa desbloqueada associada a uma ação
+     */
+    getSkillForAction(action) {
+        return SkillTreeDefinitions.find(skill =>
+            skill.type === 'active' && skill.action === action && this.getRank(skill.id) > 0
+        ) || null;
+    }
+    
+    getCooldown(id) {
+        return this.cooldowns[id] || 0;
+    }
+    
+    /**
+     * Usa uma habilidade ativa
+     * @param {Object} target - Ponto do mundo mirado (mouse)
+     */
+    activate(id, target = null) {
+        const skill = SkillsComponent.getDefinition(id);
+        if (!skill || skill.type !== 'active' || this.getRank(id) <= 0) return false;
+        if (this.getCooldown(id) > 0) return false;
+        
+        const health = this.entity.getComponent('HealthComponent');
+        if (health && health.dead) return false;
+        
+        const ability = SkillAbilities[skill.ability];
+        if (!ability) {
+            console.warn(`⚠️ Habilidade sem implementação: ${skill.ability}`);
+            return false;
+        }
+        
+        if (!ability(this.entity, skill.params || {}, target)) return false;
+        
+        this.cooldowns[id] = skill.cooldown || 0;
+        GameEvents.emit('skill:used', { entity: this.entity, skill: id });
+        return true;
+    }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            ranks: { ...this.ranks },
+            cooldowns: { ...this.cooldowns }
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        
+        // Modificadores das passivas já vêm salvos no StatsComponent
+        this.ranks = { ...data.ranks };
+        this.cooldowns = { ...data.cooldowns };
+    }
+}
+
+[ExperienceComponent, SkillsComponent].forEach(componentType => Component.register(componentType));
+
+// ============================================================================
+// EFEITOS DE LEVEL UP
+// ============================================================================
+
+/**
+ * Anel dourado e texto "LEVEL UP" sobre quem subiu de nível
+ */
+class LevelUpEffects {
+    constructor() {
+        this.effects = [];
+        this.duration = 1.5;
+        
+        GameEvents.on('player:levelup', ({ entity, level }) => {
+            this.effects.push({ entity: entity, level: level, timer: this.duration });
+            EntityManager.getInstance().assets?.playSound('sfx/pickup', 1);
+        });
+    }
+    
+    update(deltaTime) {
+        for (let i = this.effects.length - 1; i >= 0; i--) {
+            this.effects[i].timer -= deltaTime;
+            if (this.effects[i].timer <= 0) {
+                this.effects.splice(i, 1);
+            }
+        }
+    }
+    
+    render(context) {
+        context.save();
+        context.textAlign = 'center';
+        context.font = 'bold 14px monospace';
+        
+        this.effects.forEach(effect => {
+            const transform = effect.entity.getComponent('TransformComponent');
+            if (!transform) return;
+            
+            const progress = 1 - effect.timer / this.duration;
+            const { x, y } = transform.renderPosition;
+            
+            context.globalAlpha = 1 - progress;
+            context.strokeStyle = '#ffd700';
+            context.lineWidth = 3;
+            context.beginPath();
+            context.arc(x, y, 10 + progress * 50, 0, Math.PI * 2);
+            context.stroke();
+            
+            context.fillStyle = '#ffd700';
+            context.fillText(`LEVEL UP! ${effect.level}`, x, y - 30 - progress * 20);
+        });
+        
+        context.restore();
+    }
+    
+    clear() {
+        this.effects = [];
+    }
+}
+
+// ============================================================================
+// INTERFACE DA ÁRVORE DE HABILIDADES
+// ============================================================================
+
+/**
+ * Tela da árvore de habilidades (clique em um nó para gastar um ponto)
+ */
+class SkillTreeUI {
+    constructor(game) {
+        this.game = game;
+        this.open = false;
+        
+        this.nodeSize = 44;
+        this.spacingX = 110;
+        this.spacingY = 80;
+        this.hoveredSkill = null;
+        
+        this.bindEvents();
+    }
+    
+    bindEvents() {
+        document.addEventListener('keydown', (e) => {
+            const key = e.key.toLowerCase();
+            
+            if (key === 'k') {
+                this.open = !this.open;
+            } else if (key === 'escape') {
+                this.open = false;
+            }
+        });
+        
+        document.addEventListener('mousedown', (e) => {
+            if (!this.open || e.button !== 0) return;
+            
+            const skill = this.getSkillAt(this.game.inputManager.mouse.x, this.game.inputManager.mouse.y);
+            if (skill) {
+                this.game.entityManager.getPlayer()?.getComponent('SkillsComponent')?.unlock(skill.id);
+            }
+        });
+    }
+    
+    getBounds() {
+        const columns = Math.max(...SkillTreeDefinitions.map(skill => skill.position.column)) + 1;
+        const rows = Math.max(...SkillTreeDefinitions.map(skill => skill.position.row)) + 1;
+        const width = columns * this.spacingX + 40;
+        const height = rows * this.spacingY + 70;
+        
+        return {
+            x: Math.floor((this.game.canvas.width - width) / 2),
+            y: Math.floor((this.game.canvas.height - height) / 2),
+            width: width,
+            height: height
+        };
+    }
+    
+    getNodeRect(skill) {
+        const bounds = this.getBounds();
+        return {
+            x: bounds.x + 20 + skill.position.column * this.spacingX + (this.spacingX - this.nodeSize) / 2,
+            y: bounds.y + 45 + skill.position.row * this.spacingY,
+            size: this.nodeSize
+        };
+    }
+    
+    getSkillAt(screenX, screenY) {
+        return SkillTreeDefinitions.find(skill => {
+            const rect = this.getNodeRect(skill);
+            return screenX >= rect.x && screenX <= rect.x + rect.size &&
+                   screenY >= rect.y && screenY <= rect.y + rect.size;
+        }) || null;
+    }
+    
+    render(context) {
+        if (!this.open) return;
+        
+        const player = this.game.entityManager.getPlayer();
+        const skills = player?.getComponent('SkillsComponent');
+        const experience = player?.getComponent('ExperienceComponent');
+        if (!skills || !experience) return;
+        
+        const bounds = this.getBounds();
+        const mouse = this.game.inputManager.mouse;
+        this.hoveredSkill = this.getSkillAt(mouse.x, mouse.y);
+        
+        context.save();
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        
+        context.fillStyle = 'rgba(0, 0, 0, 0.85)';
+        context.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        context.strokeStyle = '#888888';
+        context.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        
+        context.fillStyle = '#ffffff';
+        context.font = 'bold 13px monospace';
+        context.textBaseline = 'top';
+        context.fillText(`Habilidades - ${experience.skillPoints} ponto(s)`, bounds.x + 12, bounds.y + 10);
+        
+        // Ligações de pré-requisitos
+        context.lineWidth = 2;
+        SkillTreeDefinitions.forEach(skill => {
+            const rect = this.getNodeRect(skill);
+            (skill.requires || []).forEach(requiredId => {
+                const required = SkillsComponent.getDefinition(requiredId);
+                if (!required) return;
+                
+                const from = this.getNodeRect(required);
+                context.strokeStyle = skills.getRank(requiredId) > 0 ? '#c8a03c' : '#444444';
+                context.beginPath();
+                context.moveTo(from.x + from.size / 2, from.y + from.size);
+                context.lineTo(rect.x + rect.size / 2, rect.y);
+                context.stroke();
+            });
+        });
+        
+        // Nós
+        context.font = '10px monospace';
+        context.textAlign = 'center';
+        SkillTreeDefinitions.forEach(skill => {
+            const rect = this.getNodeRect(skill);
+            const rank = skills.getRank(skill.id);
+            const maxRank = skill.maxRank || 1;
+            
+            context.fillStyle = rank > 0 ? 'rgba(200, 160, 60, 0.35)' : 'rgba(255, 255, 255, 0.08)';
+            context.fillRect(rect.x, rect.y, rect.size, rect.size);
+            
+            context.strokeStyle = skills.canUnlock(skill.id) ? '#3ce03c' : rank > 0 ? '#c8a03c' : '#555555';
+            context.lineWidth = skill === this.hoveredSkill ? 3 : 1;
+            context.strokeRect(rect.x + 0.5, rect.y + 0.5, rect.size - 1, rect.size - 1);
+            
+            context.fillStyle = '#ffffff';
+            context.fillText(skill.type === 'active' ? '★' : '◆', rect.x + rect.size / 2, rect.y + 8);
+            context.fillText(`${rank}/${maxRank}`, rect.x + rect.size / 2, rect.y + 26);
+            context.fillText(skill.name, rect.x + rect.size / 2, rect.y + rect.size + 4);
+        });
+        
+        if (this.hoveredSkill) {
+            const skill = this.hoveredSkill;
+            const keys = skill.action ? this.game.inputManager.getActionKeys(skill.action).join('/').toUpperCase() : '';
+            const details = skill.type === 'active' ? ` [${keys}] Recarga: ${skill.cooldown}s` : '';
+            
+            context.textAlign = 'left';
+            context.fillStyle = '#aaaaaa';
+            context.fillText(`${skill.description}${details}`, bounds.x + 12, bounds.y + bounds.height - 18);
+        }
+        
+        context.restore();
+    }
+}
+
+// ============================================================================
+// INTEGRAÇÃO COM O SISTEMA EXISTENTE
+// ============================================================================
+
+// Jogador recebe nível e habilidades; criaturas concedem XP
+const createPlayerWithoutExperience = EntityManager.prototype.createPlayer;
+EntityManager.prototype.createPlayer = function(config = {}) {
+    const player = createPlayerWithoutExperience.call(this, config);
+    
+    player.addComponent(ExperienceComponent, { ...config.experience });
+    player.addComponent(SkillsComponent, {});
+    
+    return player;
+};
+
+const createCreatureWithoutExperience = EntityManager.prototype.createCreature;
+EntityManager.prototype.createCreature = function(config = {}) {
+    const creature = createCreatureWithoutExperience.call(this, config);
+    
+    const level = config.level || 1;
+    creature.addComponent(ExperienceComponent, {
+        level: level,
+        reward: config.xpReward || 25 * level
+    });
+    
+    return creature;
+};
+
+// Save v8: nível, experiência e habilidades salvos
+SaveConfig.VERSION = 8;
+SaveMigrations[7] = (data) => {
+    addComponentToSave(data, ExperienceComponent, entityData => ({
+        player: {},
+        creature: { level: 1, reward: 25 }
+    })[entityData.type]);
+    
+    return addComponentToSave(data, SkillsComponent, entityData => entityData.type === 'player' ? {} : null);
+};
+
+// XP para quem derrotou (projéteis creditam o dono)
+GameEvents.on('entity:died', ({ entity, killer }) => {
+    const reward = entity.getComponent('ExperienceComponent')?.reward || 0;
+    const experience = killer?.getComponent('ExperienceComponent');
+    
+    if (reward > 0 && experience && killer !== entity) {
+        experience.addExperience(reward);
+    }
+});
+
+const initializeEntitiesWithoutSkills = GameEngine.prototype.initializeEntities;
+GameEngine.prototype.initializeEntities = function() {
+    initializeEntitiesWithoutSkills.call(this);
+    
+    Object.entries(SkillActionKeys).forEach(([action, keys]) => {
+        if (this.inputManager.getActionKeys(action).length === 0) {
+            this.inputManager.bindAction(action, keys);
+        }
+    });
+    
+    if (!this.skillTreeUI) {
+        this.skillTreeUI = new SkillTreeUI(this);
+        this.levelUpEffects = new LevelUpEffects();
+    }
+};
+
+// Ações de habilidade mirando no mouse
+const processPlayerInputWithoutSkills = GameEngine.prototype.processPlayerInput;
+GameEngine.prototype.processPlayerInput = function() {
+    processPlayerInputWithoutSkills.call(this);
+    
+    const skills = this.entityManager.getPlayer()?.getComponent('SkillsComponent');
+    if (!skills) return;
+    
+    Object.keys(SkillActionKeys).forEach(action => {
+        if (!this.inputManager.isActionPressed(action)) return;
+        
+        const skill = skills.getSkillForAction(action);
+        if (skill) {
+            const target = this.camera.screenToWorld(this.inputManager.mouse.x, this.inputManager.mouse.y);
+            skills.activate(skill.id, target);
+        }
+    });
+};
+
+const updateWithoutSkills = GameEngine.prototype.update;
+GameEngine.prototype.update = function(deltaTime) {
+    updateWithoutSkills.call(this, deltaTime);
+    
+    this.levelUpEffects?.update(deltaTime);
+};
+
+const isMenuOpenWithoutSkillTree = GameEngine.prototype.isMenuOpen;
+GameEngine.prototype.isMenuOpen = function() {
+    return isMenuOpenWithoutSkillTree.call(this) || !!this.skillTreeUI?.open;
+};
+
+// Nível sobre o jogador e efeitos de level up no mundo
+const renderEntitiesWithoutLevels = EntityManager.prototype.render;
+EntityManager.prototype.render = function(context, alpha = 1) {
+    renderEntitiesWithoutLevels.call(this, context, alpha);
+    
+    const player = this.getPlayer();
+    const experience = player?.getComponent('ExperienceComponent');
+    const transform = player?.getComponent('TransformComponent');
+    const render = player?.getComponent('RenderComponent');
+    
+    if (experience && transform && render && render.visible) {
+        context.save();
+        context.fillStyle = '#ffffff';
+        context.font = '10px Arial';
+        context.textAlign = 'center';
+        context.fillText(`Lv${experience.level}`, transform.renderPosition.x, transform.renderPosition.y - render.height / 2 - 6);
+        context.restore();
+    }
+    
+    window.game?.levelUpEffects?.render(context);
+};
+
+// Barra de XP e barra de habilidades
+const renderUIWithoutSkills = GameEngine.prototype.renderUI;
+GameEngine.prototype.renderUI = function() {
+    renderUIWithoutSkills.call(this);
+    
+    const player = this.entityManager.getPlayer();
+    const experience = player?.getComponent('ExperienceComponent');
+    const skills = player?.getComponent('SkillsComponent');
+    if (!experience || !skills) return;
+    
+    const context = this.context;
+    context.save();
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    
+    // XP (abaixo da barra de vida)
+    const width = 200;
+    const x = this.canvas.width - width - 20;
+    const y = 42;
+    const required = experience.getRequiredExperience();
+    
+    context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    context.fillRect(x - 4, y - 4, width + 8, 16);
+    context.fillStyle = '#8a5cff';
+    context.fillRect(x, y, width * Math.min(1, experience.experience / required), 8);
+    context.fillStyle = '#ffffff';
+    context.font = '10px monospace';
+    context.textBaseline = 'top';
+    context.fillText(
+        `Nv ${experience.level}  XP ${Math.floor(experience.experience)}/${required}` +
+        (experience.skillPoints > 0 ? `  (${experience.skillPoints} pts - K)` : ''),
+        x, y + 12
+    );
+    
+    // Habilidades ativas por ação
+    const slotSize = 36;
+    const actions = Object.keys(SkillActionKeys);
+    const startX = Math.floor((this.canvas.width - actions.length * (slotSize + 6)) / 2);
+    const slotY = this.canvas.height - slotSize - 12;
+    
+    actions.forEach((action, index) => {
+        const slotX = startX + index * (slotSize + 6);
+        const skill = skills.getSkillForAction(action);
+        
+        context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        context.fillRect(slotX, slotY, slotSize, slotSize);
+        context.strokeStyle = skill ? '#c8a03c' : '#444444';
+        context.lineWidth = 1;
+        context.strokeRect(slotX + 0.5, slotY + 0.5, slotSize - 1, slotSize - 1);
+        
+        context.fillStyle = '#aaaaaa';
+        context.textAlign = 'left';
+        context.fillText(this.inputManager.getActionKeys(action).join('/').toUpperCase(), slotX + 3, slotY + 2);
+        
+        if (!skill) return;
+        
+        context.fillStyle = '#ffffff';
+        context.textAlign = 'center';
+        context.fillText(skill.name.substring(0, 5), slotX + slotSize / 2, slotY + 16);
+        
+        // Recarga cobre o slot de baixo para cima
+        const cooldown = skills.getCooldown(skill.id);
+        if (cooldown > 0) {
+            const ratio = cooldown / skill.cooldown;
+            context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            context.fillRect(slotX, slotY + slotSize * (1 - ratio), slotSize, slotSize * ratio);
+            context.fillStyle = '#ffffff';
+            context.fillText(String(Math.ceil(cooldown)), slotX + slotSize / 2, slotY + slotSize - 12);
+        }
+    });
+    
+    context.restore();
+    
+    this.skillTreeUI?.render(context);
+};
+
+ControlsHelp.push('K - Habilidades | Z/X/C/V - Usar habilidade');
+
+console.log('✅ Parte 11 - Experiência e Habilidades carregado!');
+console.log('📋 Comandos disponíveis:');
+console.log('  K - Árvore de habilidades');
+console.log('  Z/X/C/V - Habilidades ativas (game.inputManager.bindAction(\'skill1\', [\'q\']) troca a tecla)');
+console.log('  game.player.getComponent(\'ExperienceComponent\').addExperience(xp)');
+
+// Exporta classes para uso em módulos futuros
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LevelCurve,
+        SkillTreeDefinitions,
+        SkillActionKeys,
+        SkillAbilities,
+        ExperienceComponent,
+        SkillsComponent,
+        LevelUpEffects,
+        SkillTreeUI
+    };
+}
@@ -0,0 +1,524 @@
+/**
+ * INFINITE RPG - PARTE 12: EFEITOS DE STATUS
+ *
+ * Esta parte implementa:
+ * 1. Definições de efeitos (veneno, queimadura, lentidão, atordoamento...)
+ * 2. StatusEffectsComponent: duração, regras de acúmulo e ticks de dano/cura
+ * 3. Modificadores de movimento via StatsComponent (aplicados ao PhysicsComponent)
+ * 4. Efeitos de controle que suspendem a IA ou o input do jogador
+ * 5. Aplicação por golpes, projéteis e tipos de dano
+ * 6. Tinta no RenderComponent e ícones sobre a barra de vida e no HUD
+ */
+
+// ============================================================================
+// DEFINIÇÕES DE EFEITOS
+// ============================================================================
+
+/**
+ * Regras de acúmulo (stacking) ao reaplicar um efeito ativo:
+ * - refresh: reinicia a duração
+ * - stack: soma um acúmulo (até maxStacks) e reinicia a duração
+ * - extend: soma a duração (até maxDuration)
+ * - ignore: mantém o efeito atual
+ */
+const StatusEffectDefinitions = {
+    poison: {
+        name: 'Veneno',
+        icon: 'V',
+        color: '#7ac74f',
+        duration: 6,
+        stacking: 'stack',
+        maxStacks: 5,
+        tickInterval: 1,
+        tick: { damage: 3, type: 'poison' }
+    },
+    burn: {
+        name: 'Queimadura',
+        icon: 'Q',
+        color: '#ff6a00',
+        duration: 3,
+        stacking: 'refresh',
+        tickInterval: 0.5,
+        tick: { damage: 4, type: 'fire' }
+    },
+    slow: {
+        name: 'Lentidão',
+        icon: 'L',
+        color: '#7fc8ff',
+        duration: 3,
+        stacking: 'refresh',
+        modifiers: [{ stat: 'speed', type: 'mult', value: -0.4 }]
+    },
+    stun: {
+        name: 'Atordoado',
+        icon: 'A',
+        color: '#ffe14d',
+        duration: 1.2,
+        stacking: 'ignore',
+        control: true
+    },
+    regeneration: {
+        name: 'Regeneração',
+        icon: 'R',
+        color: '#ff7ab8',
+        duration: 8,
+        stacking: 'extend',
+        maxDuration: 30,
+        tickInterval: 1,
+        tick: { heal: 4 }
+    },
+    haste: {
+        name: 'Pressa',
+        icon: 'P',
+        color: '#e8e8e8',
+        duration: 5,
+        stacking: 'refresh',
+        modifiers: [{ stat: 'speed', type: 'mult', value: 0.3 }]
+    }
+};
+
+/**
+ * Efeitos aplicados automaticamente por tipo de dano (exceto dano periódico)
+ */
+const DamageTypeStatusEffects = {
+    fire: [{ id: 'burn', chance: 0.3 }],
+    ice: [{ id: 'slow', chance: 0.5 }],
+    poison: [{ id: 'poison', chance: 0.5 }]
+};
+
+// ============================================================================
+// STATUS EFFECTS COMPONENT
+// ============================================================================
+
+/**
+ * Componente StatusEffects - Efeitos temporários ativos na entidade
+ */
+class StatusEffectsComponent extends Component {
+    initialize(config) {
+        this.effects = new Map(); // id -> { id, duration, remaining, stacks, tickTimer, source }
+        this.immunities = config.immunities || [];
+        
+        // IA desligada por efeitos de controle (religada ao terminarem)
+        this.suspendedAI = false;
+        this.appliedTint = null;
+    }
+    
+    /**
+     * Aplica (ou reaplica, seguindo a regra de acúmulo) um efeito
+     * @param {string} id - Id em StatusEffectDefinitions
+     * @param {Object} options - { duration, stacks, source }
+     * @returns {boolean} true se o efeito foi aplicado ou alterado
+     */
+    apply(id, options = {}) {
+        const definition = StatusEffectDefinitions[id];
+        if (!definition) {
+            console.warn(`⚠️ Efeito desconhecido: ${id}`);
+            return false;
+        }
+        
+        const health = this.entity.getComponent('HealthComponent');
+        if (this.immunities.includes(id) || (health && health.dead)) return false;
+        
+        const duration = options.duration || definition.duration;
+        const existing = this.effects.get(id);
+        
+        if (existing) {
+            switch (definition.stacking) {
+                case 'ignore':
+                    return false;
+                case 'extend':
+                    existing.remaining = Math.min(definition.maxDuration || Infinity, existing.remaining + duration);
+                    existing.duration = Math.max(existing.duration, existing.remaining);
+                    break;
+                case 'stack':
+                    existing.stacks = Math.min(definition.maxStacks || 1, existing.stacks + (options.stacks || 1));
+                    existing.remaining = existing.duration = Math.max(existing.remaining, duration);
+                    break;
+                default:
+                    existing.remaining = existing.duration = Math.max(existing.remaining, duration);
+            }
+            
+            existing.source = options.source || existing.source;
+            this.applyModifiers(existing);
+        } else {
+            const effect = {
+                id: id,
+                duration: duration,
+                remaining: duration,
+                stacks: Math.min(definition.maxStacks || 1, options.stacks || 1),
+                tickTimer: definition.tickInterval || 0,
+                source: options.source || null
+            };
+            
+            this.effects.set(id, effect);
+            this.applyModifiers(effect);
+            this.updateControl();
+        }
+        
+        GameEvents.emit('status:applied', { entity: this.entity, effect: id, stacks: this.getStacks(id) });
+        return true;
+    }
+    
+    /**
+     * Remove um efeito e desfaz seus modificadores
+     */
+    remove(id) {
+        if (!this.effects.has(id)) return false;
+        
+        this.effects.delete(id);
+        this.entity.getComponent('StatsComponent')?.removeModifiersFrom(`status:${id}`);
+        this.updateControl();
+        
+        GameEvents.emit('status:removed', { entity: this.entity, effect: id });
+        return true;
+    }
+    
+    /**
+     * Remove todos os efeitos (ou apenas os que passam no filtro)
+     */
+    clear(filter = null) {
+        [...this.effects.keys()]
+            .filter(id => !filter || filter(StatusEffectDefinitions[id], id))
+            .forEach(id => this.remove(id));
+    }
+    
+    has(id) {
+        return this.effects.has(id);
+    }
+    
+    getStacks(id) {
+        return this.effects.get(id)?.stacks || 0;
+    }
+    
+    isControlled() {
+        for (const id of this.effects.keys()) {
+            if (StatusEffectDefinitions[id].control) return true;
+        }
+        return false;
+    }
+    
+    update(deltaTime) {
+        const health = this.entity.getComponent('HealthComponent');
+        if (health && health.dead) {
+            if (this.effects.size > 0) this.clear();
+            this.updateTint();
+            return;
+        }
+        
+        for (const effect of [...this.effects.values()]) {
+            const definition = StatusEffectDefinitions[effect.id];
+            
+            if (definition.tickInterval) {
+                effect.tickTimer -= deltaTime;
+                while (effect.tickTimer <= 0 && this.effects.has(effect.id)) {
+                    effect.tickTimer += definition.tickInterval;
+                    this.tick(effect, definition);
+                    
+                    // O tick pode ter matado a entidade
+                    if (health && health.dead) return;
+                }
+            }
+            
+            effect.remaining -= deltaTime;
+            if (effect.remaining <= 0) {
+                this.remove(effect.id);
+            }
+        }
+        
+        // Controle mantém a entidade parada
+        if (this.suspendedAI || this.isControlled()) {
+            this.entity.getComponent('PhysicsComponent')?.stop();
+        }
+        
+        this.updateTint();
+    }
+    
+    /**
+     * Dano ou cura periódica, proporcional aos acúmulos
+     */
+    tick(effect, definition) {
+        const health = this.entity.getComponent('HealthComponent');
+        if (!health) return;
+        
+        if (definition.tick.damage) {
+            health.takeDamage({
+                amount: definition.tick.damage * effect.stacks,
+                type: definition.tick.type || 'physical',
+                source: effect.source,
+                periodic: true
+            });
+        }
+        
+        if (definition.tick.heal) {
+            health.heal(definition.tick.heal * effect.stacks);
+        }
+    }
+    
+    /**
+     * Modificadores do efeito (origem 'status:<id>'), multiplicados pelos acúmulos
+     */
+    applyModifiers(effect) {
+        const definition = StatusEffectDefinitions[effect.id];
+        if (!definition.modifiers) return;
+        
+        const stats = this.entity.getComponent('StatsComponent') || attachStats(this.entity);
+        const source = `status:${effect.id}`;
+        
+        stats.removeModifiersFrom(source);
+        definition.modifiers.forEach(modifier => {
+            stats.addModifier({ ...modifier, value: modifier.value * effect.stacks, source: source });
+        });
+        
+        // Velocidade nova já vale neste frame
+        stats.apply();
+    }
+    
+    /**
+     * Liga/desliga a IA conforme os efeitos de controle ativos
+     * (o input do jogador é bloqueado em processPlayerInput)
+     */
+    updateControl() {
+        const controlled = this.isControlled();
+        const ai = this.entity.getComponent('AIComponent');
+        
+        if (controlled && !this.suspendedAI) {
+            this.suspendedAI = true;
+            if (ai) ai.enabled = false;
+            
+            const combat = this.entity.getComponent('CombatComponent');
+            if (combat) combat.pendingAttack = false;
+            
+            this.entity.getComponent('PhysicsComponent')?.stop();
+        } else if (!controlled && this.suspendedAI) {
+            this.suspendedAI = false;
+            if (ai) ai.enabled = true;
+        }
+    }
+    
+    /**
+     * Tinta do efeito aplicado mais recentemente
+     * Só limpa a tinta que este componente colocou
+     */
+    updateTint() {
+        const render = this.entity.getComponent('RenderComponent');
+        if (!render) return;
+        
+        const latest = [...this.effects.keys()].pop();
+        const tint = latest ? StatusEffectDefinitions[latest].color : null;
+        
+        if (tint !== this.appliedTint) {
+            if (tint || render.tint === this.appliedTint) {
+                render.tint = tint;
+            }
+            this.appliedTint = tint;
+        }
+    }
+    
+    /**
+     * Ícones dos efeitos acima da barra de vida
+     */
+    render(context) {
+        if (this.effects.size === 0) return;
+        
+        const transform = this.entity.getComponent('TransformComponent');
+        const render = this.entity.getComponent('RenderComponent');
+        if (!transform || (render && !render.visible)) return;
+        
+        const size = 8;
+        const gap = 2;
+        const total = this.effects.size * (size + gap) - gap;
+        let x = transform.renderPosition.x - total / 2;
+        const y = transform.renderPosition.y - (render ? render.height / 2 : 16) - 10 - size;
+        
+        context.save();
+        context.font = 'bold 7px monospace';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        
+        for (const effect of this.effects.values()) {
+            StatusEffectsComponent.drawIcon(context, effect, x, y, size);
+            x += size + gap;
+        }
+        
+        context.restore();
+    }
+    
+    /**
+     * Ícone de um efeito (quadrado colorido com a inicial)
+     */
+    static drawIcon(context, effect, x, y, size) {
+        const definition = StatusEffectDefinitions[effect.id];
+        
+        context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        context.fillRect(x - 1, y - 1, size + 2, size + 2);
+        context.fillStyle = definition.color;
+        context.fillRect(x, y, size, size);
+        
+        // Parte escura indica o tempo já decorrido
+        const elapsed = 1 - effect.remaining / effect.duration;
+        context.fillStyle = 'rgba(0, 0, 0, 0.45)';
+        context.fillRect(x, y, size, size * elapsed);
+        
+        context.fillStyle = '#000000';
+        context.fillText(definition.icon, x + size / 2, y + size / 2 + 0.5);
+    }
+    
+    destroy() {
+        super.destroy();
+        this.effects.clear();
+    }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            effects: [...this.effects.values()].map(effect => ({
+                id: effect.id,
+                duration: effect.duration,
+                remaining: effect.remaining,
+                stacks: effect.stacks,
+                tickTimer: effect.tickTimer
+            })),
+            immunities: [...this.immunities],
+            suspendedAI: this.suspendedAI
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        
+        // Modificadores dos efeitos já vêm salvos no StatsComponent
+        this.effects = new Map(data.effects
+            .filter(effect => StatusEffectDefinitions[effect.id])
+            .map(effect => [effect.id, { ...effect, source: null }]));
+        this.immunities = [...data.immunities];
+        this.suspendedAI = data.suspendedAI;
+        this.appliedTint = null;
+    }
+}
+
+Component.register(StatusEffectsComponent);
+
+// ============================================================================
+// INTEGRAÇÃO COM O SISTEMA EXISTENTE
+// ============================================================================
+
+// Jogador, NPCs e criaturas podem receber efeitos
+const createPlayerWithoutStatus = EntityManager.prototype.createPlayer;
+EntityManager.prototype.createPlayer = function(config = {}) {
+    const player = createPlayerWithoutStatus.call(this, config);
+    player.addComponent(StatusEffectsComponent, { ...config.statusEffects });
+    return player;
+};
+
+const createNPCWithoutStatus = EntityManager.prototype.createNPC;
+EntityManager.prototype.createNPC = function(config = {}) {
+    const npc = createNPCWithoutStatus.call(this, config);
+    npc.addComponent(StatusEffectsComponent, { ...config.statusEffects });
+    return npc;
+};
+
+const createCreatureWithoutStatus = EntityManager.prototype.createCreature;
+EntityManager.prototype.createCreature = function(config = {}) {
+    const creature = createCreatureWithoutStatus.call(this, config);
+    creature.addComponent(StatusEffectsComponent, { ...config.statusEffects });
+    return creature;
+};
+
+// Save v9: efeitos ativos e efeitos dos golpes salvos
+SaveConfig.VERSION = 9;
+SaveMigrations[8] = (data) => {
+    data.entities.entities.forEach(entityData => {
+        const combat = entityData.components.CombatComponent;
+        if (combat) combat.statusEffects = [];
+    });
+    
+    return addComponentToSave(data, StatusEffectsComponent, entityData =>
+        ['player', 'npc', 'creature'].includes(entityData.type) ? {} : null
+    );
+};
+
+// Golpes e projéteis aplicam seus efeitos (e os do tipo de dano) ao acertar
+const takeDamageWithoutStatus = HealthComponent.prototype.takeDamage;
+HealthComponent.prototype.takeDamage = function(damage) {
+    const applied = takeDamageWithoutStatus.call(this, damage);
+    
+    const status = this.entity.getComponent('StatusEffectsComponent');
+    if (applied <= 0 || this.dead || damage.periodic || !status) return applied;
+    
+    const effects = [
+        ...(damage.statusEffects || []),
+        ...(DamageTypeStatusEffects[damage.type || 'physical'] || [])
+    ];
+    
+    const random = RandomService.getInstance().stream('combat');
+    effects.forEach(({ id, chance = 1, ...options }) => {
+        if (chance >= 1 || random.next() < chance) {
+            status.apply(id, { ...options, source: damage.source || null });
+        }
+    });
+    
+    return applied;
+};
+
+// Jogador atordoado não se move, não ataca nem usa habilidades
+const processPlayerInputWithoutStatus = GameEngine.prototype.processPlayerInput;
+GameEngine.prototype.processPlayerInput = function() {
+    const player = this.entityManager.getPlayer();
+    const status = player?.getComponent('StatusEffectsComponent');
+    
+    if (status && status.isControlled()) {
+        player.getComponent('PhysicsComponent')?.stop();
+        return;
+    }
+    
+    processPlayerInputWithoutStatus.call(this);
+};
+
+// Efeitos do jogador no HUD (abaixo da barra de XP)
+const renderUIWithoutStatus = GameEngine.prototype.renderUI;
+GameEngine.prototype.renderUI = function() {
+    renderUIWithoutStatus.call(this);
+    
+    const status = this.entityManager.getPlayer()?.getComponent('StatusEffectsComponent');
+    if (!status || status.effects.size === 0) return;
+    
+    const context = this.context;
+    const size = 20;
+    let x = this.canvas.width - 20 - size;
+    const y = 72;
+    
+    context.save();
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    
+    for (const effect of status.effects.values()) {
+        context.font = 'bold 12px monospace';
+        StatusEffectsComponent.drawIcon(context, effect, x, y, size);
+        
+        context.font = '9px monospace';
+        context.fillStyle = '#ffffff';
+        context.fillText(`${Math.ceil(effect.remaining)}s`, x + size / 2, y + size + 7);
+        if (effect.stacks > 1) {
+            context.fillText(`x${effect.stacks}`, x + size - 2, y + 3);
+        }
+        
+        x -= size + 6;
+    }
+    
+    context.restore();
+};
+
+console.log('✅ Parte 12 - Efeitos de Status carregado!');
+console.log('📋 Comandos disponíveis:');
+console.log('  game.player.getComponent(\'StatusEffectsComponent\').apply(\'poison\' | \'burn\' | \'slow\' | \'stun\' | \'regeneration\' | \'haste\')');
+console.log('  game.entityManager.createCreature({ position, combat: { statusEffects: [{ id: \'poison\', chance: 0.5 }] } })');
+
+// Exporta classes para uso em módulos futuros
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        StatusEffectDefinitions,
+        DamageTypeStatusEffects,
+        StatusEffectsComponent
+    };
+}
@@ -0,0 +1,456 @@
+/**
+ * INFINITE RPG - PARTE 13: TABELAS DE LOOT
+ *
+ * Esta parte implementa:
+ * 1. Tabelas de loot com pesos e tabelas aninhadas (padrão + assets/data/loot.json)
+ * 2. Drops garantidos e número de sorteios configurável
+ * 3. Modificadores de peso por bioma (World.determineBiome)
+ * 4. Sorteios com RNG de seed (stream 'loot'), reproduzíveis
+ * 5. LootComponent: criaturas derrubam itens ao morrer
+ * 6. Simulação de milhares de drops para depurar a distribuição
+ */
+
+// ============================================================================
+// DEFINIÇÕES DE TABELAS
+// ============================================================================
+
+/**
+ * Tabelas embutidas no jogo (formato JSON)
+ * assets/data/loot.json (mesmo formato) acrescenta ou substitui tabelas
+ *
+ * - rolls: número de sorteios (número ou { min, max })
+ * - guaranteed: entradas sempre resolvidas (com `chance` opcional)
+ * - entries: entradas sorteadas por peso
+ *   { item, weight, min, max } | { table, weight } | { weight } (nada)
+ * - biomes: { <bioma>: { weights: { <item ou table:id>: multiplicador }, bonusRolls } }
+ */
+const LootTableDefinitions = [
+    {
+        id: 'goblin',
+        rolls: { min: 1, max: 2 },
+        guaranteed: [
+            { item: 'wood', min: 1, max: 2 }
+        ],
+        entries: [
+            { item: 'herb', weight: 30, min: 1, max: 2 },
+            { item: 'stone', weight: 20, min: 1, max: 3 },
+            { item: 'health_potion', weight: 10 },
+            { table: 'equipment', weight: 5 },
+            { weight: 35 }
+        ],
+        biomes: {
+            forest: { weights: { 'table:equipment': 2 } }
+        }
+    },
+    {
+        id: 'creature',
+        rolls: 1,
+        entries: [
+            { item: 'herb', weight: 30 },
+            { item: 'stone', weight: 20 },
+            { weight: 50 }
+        ]
+    },
+    {
+        id: 'equipment',
+        rolls: 1,
+        entries: [
+            { item: 'iron_sword', weight: 40 },
+            { item: 'leather_armor', weight: 40 },
+            { item: 'swift_ring', weight: 20 }
+        ],
+        biomes: {
+            desert: { weights: { swift_ring: 2 } }
+        }
+    }
+];
+
+/**
+ * Multiplicadores de peso aplicados a todas as tabelas em cada bioma
+ * (os pesos do bioma na própria tabela têm prioridade)
+ */
+const LootBiomeModifiers = {
+    forest: { wood: 1.5, herb: 1.3 },
+    grassland: { herb: 1.2 },
+    desert: { herb: 0.4, stone: 1.5 }
+};
+
+// ============================================================================
+// LOOT TABLE DATABASE
+// ============================================================================
+
+/**
+ * Registro de tabelas e sorteio de drops (singleton)
+ */
+class LootTableDatabase {
+    constructor() {
+        if (LootTableDatabase.instance) {
+            return LootTableDatabase.instance;
+        }
+        
+        this.tables = new Map();
+        this.maxDepth = 8; // Proteção contra tabelas que se referenciam
+        this.register(LootTableDefinitions);
+        
+        LootTableDatabase.instance = this;
+    }
+    
+    static getInstance() {
+        if (!LootTableDatabase.instance) {
+            new LootTableDatabase();
+        }
+        return LootTableDatabase.instance;
+    }
+    
+    /**
+     * Registra tabelas (array ou { tables: [...] }), preenchendo padrões
+     */
+    register(definitions) {
+        const list = Array.isArray(definitions) ? definitions : (definitions && definitions.tables) || [];
+        
+        list.forEach(definition => {
+            if (!definition.id) {
+                console.warn('⚠️ Tabela de loot sem id ignorada:', definition);
+                return;
+            }
+            
+            this.tables.set(definition.id, {
+                rolls: 1,
+                guaranteed: [],
+                entries: [],
+                biomes: {},
+                ...definition
+            });
+        });
+        
+        return list.length;
+    }
+    
+    get(id) {
+        return this.tables.get(id) || null;
+    }
+    
+    has(id) {
+        return this.tables.has(id);
+    }
+    
+    /**
+     * Lista referências inválidas (itens ou tabelas inexistentes)
+     */
+    validate() {
+        const problems = [];
+        const items = ItemDatabase.getInstance();
+        
+        this.tables.forEach((table, id) => {
+            [...table.guaranteed, ...table.entries].forEach(entry => {
+                if (entry.item && !items.has(entry.item)) {
+                    problems.push(`${id}: item desconhecido '${entry.item}'`);
+                }
+                if (entry.table && !this.has(entry.table)) {
+                    problems.push(`${id}: tabela desconhecida '${entry.table}'`);
+                }
+            });
+        });
+        
+        return problems;
+    }
+    
+    /**
+     * Sorteia os drops de uma tabela
+     * @param {string} tableId
+     * @param {Object} options - { biome, random (RandomStream) }
+     * @returns {Array} [{ id, quantity }] com pilhas iguais somadas
+     */
+    roll(tableId, options = {}) {
+        const drops = new Map();
+        const context = {
+            biome: options.biome || null,
+            random: options.random || RandomService.getInstance().stream('loot')
+        };
+        
+        this.rollTable(tableId, context, drops, 0);
+        
+        return [...drops.entries()].map(([id, quantity]) => ({ id, quantity }));
+    }
+    
+    rollTable(tableId, context, drops, depth) {
+        const table = this.get(tableId);
+        if (!table) {
+            console.warn(`⚠️ Tabela de loot desconhecida: ${tableId}`);
+            return;
+        }
+        if (depth > this.maxDepth) {
+            console.warn(`⚠️ Tabela de loot aninhada demais: ${tableId}`);
+            return;
+        }
+        
+        const random = context.random;
+        const biome = (context.biome && table.biomes[context.biome]) || {};
+        
+        table.guaranteed.forEach(entry => {
+            if (entry.chance === undefined || random.chance(entry.chance)) {
+                this.resolveEntry(entry, context, drops, depth);
+            }
+        });
+        
+        // Pesos com os modificadores do bioma
+        const modifiers = { ...LootBiomeModifiers[context.biome], ...biome.weights };
+        const weighted = table.entries.map(entry => ({
+            entry: entry,
+            weight: Math.max(0, (entry.weight || 0) * (modifiers[LootTableDatabase.getEntryKey(entry)] ?? 1))
+        }));
+        const totalWeight = weighted.reduce((sum, { weight }) => sum + weight, 0);
+        if (totalWeight <= 0) return;
+        
+        const rolls = LootTableDatabase.resolveRange(table.rolls, random) + (biome.bonusRolls || 0);
+        
+        for (let i = 0; i < rolls; i++) {
+            let pick = random.next() * totalWeight;
+            
+            for (const { entry, weight } of weighted) {
+                pick -= weight;
+                if (pick < 0) {
+                    this.resolveEntry(entry, context, drops, depth);
+                    break;
+                }
+            }
+        }
+    }
+    
+    /**
+     * Entrada sorteada: item (com quantidade), tabela aninhada ou nada
+     */
+    resolveEntry(entry, context, drops, depth) {
+        if (entry.item) {
+            const quantity = LootTableDatabase.resolveRange({ min: entry.min || 1, max: entry.max || entry.min || 1 }, context.random);
+            if (quantity > 0) {
+                drops.set(entry.item, (drops.get(entry.item) || 0) + quantity);
+            }
+        } else if (entry.table) {
+            this.rollTable(entry.table, context, drops, depth + 1);
+        }
+    }
+    
+    /**
+     * Chave usada pelos modificadores de bioma
+     */
+    static getEntryKey(entry) {
+        if (entry.item) return entry.item;
+        if (entry.table) return `table:${entry.table}`;
+        return 'nothing';
+    }
+    
+    /**
+     * Número fixo ou inteiro sorteado em { min, max }
+     */
+    static resolveRange(value, random) {
+        if (typeof value === 'number') return value;
+        return random.int(value.min || 0, value.max !== undefined ? value.max : value.min || 0);
+    }
+    
+    /**
+     * Simula muitos drops com uma stream própria (não altera a stream 'loot')
+     * @returns {Object} { table, biome, iterations, empty, items: { id: { drops, rate, average } } }
+     */
+    simulate(tableId, iterations = 10000, options = {}) {
+        const seed = options.seed !== undefined
+            ? options.seed
+            : RandomService.deriveSeed(RandomService.getInstance().seed, 'loot:simulate');
+        const random = new RandomStream(seed);
+        const totals = new Map();
+        let empty = 0;
+        
+        for (let i = 0; i < iterations; i++) {
+            const drops = this.roll(tableId, { biome: options.biome, random: random });
+            if (drops.length === 0) empty++;
+            
+            drops.forEach(({ id, quantity }) => {
+                const total = totals.get(id) || { drops: 0, quantity: 0 };
+                total.drops++;
+                total.quantity += quantity;
+                totals.set(id, total);
+            });
+        }
+        
+        const items = {};
+        [...totals.entries()]
+            .sort((a, b) => b[1].drops - a[1].drops)
+            .forEach(([id, total]) => {
+                items[id] = {
+                    drops: total.drops,
+                    rate: `${(total.drops / iterations * 100).toFixed(2)}%`,
+                    average: Number((total.quantity / total.drops).toFixed(2))
+                };
+            });
+        
+        return {
+            table: tableId,
+            biome: options.biome || null,
+            iterations: iterations,
+            empty: `${(empty / iterations * 100).toFixed(2)}%`,
+            items: items
+        };
+    }
+}
+
+// ============================================================================
+// LOOT COMPONENT
+// ============================================================================
+
+/**
+ * Componente Loot - Tabela sorteada quando a entidade morre
+ */
+class LootComponent extends Component {
+    initialize(config) {
+        this.table = config.table || 'creature';
+        this.scatter = config.scatter || 24;     // Raio de espalhamento dos itens
+        this.pickupDelay = config.pickupDelay !== undefined ? config.pickupDelay : 0.5;
+        this.dropped = false;
+    }
+    
+    /**
+     * Sorteia e cria os itens no mundo (uma vez)
+     */
+    drop() {
+        if (this.dropped) return [];
+        this.dropped = true;
+        
+        const transform = this.entity.getComponent('TransformComponent');
+        if (!transform) return [];
+        
+        const entityManager = EntityManager.getInstance();
+        const position = { ...transform.position };
+        const random = RandomService.getInstance().stream('loot');
+        
+        const drops = LootTableDatabase.getInstance().roll(this.table, {
+            biome: entityManager.world?.getBiomeAt(position.x, position.y),
+            random: random
+        });
+        
+        drops.forEach(({ id, quantity }) => {
+            const angle = random.range(0, Math.PI * 2);
+            const distance = drops.length > 1 ? random.range(this.scatter / 2, this.scatter) : 0;
+            
+            entityManager.createItem({
+                itemId: id,
+                quantity: quantity,
+                position: {
+                    x: position.x + Math.cos(angle) * distance,
+                    y: position.y + Math.sin(angle) * distance
+                },
+                pickupDelay: this.pickupDelay
+            });
+        });
+        
+        if (drops.length > 0) {
+            GameEvents.emit('loot:dropped', { entity: this.entity, table: this.table, drops: drops });
+        }
+        
+        return drops;
+    }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            table: this.table,
+            scatter: this.scatter,
+            pickupDelay: this.pickupDelay,
+            dropped: this.dropped
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        this.table = data.table;
+        this.scatter = data.scatter;
+        this.pickupDelay = data.pickupDelay;
+        this.dropped = data.dropped;
+    }
+}
+
+Component.register(LootComponent);
+
+// ============================================================================
+// INTEGRAÇÃO COM O SISTEMA EXISTENTE
+// ============================================================================
+
+AssetManifest.json['data/loot'] = { src: 'assets/data/loot.json', fallback: null };
+
+/**
+ * Bioma na posição em pixels
+ */
+World.prototype.getBiomeAt = function(worldX, worldY) {
+    return this.determineBiome(
+        Math.floor(worldX / this.tileSize / this.chunkSize),
+        Math.floor(worldY / this.tileSize / this.chunkSize)
+    );
+};
+
+// Criaturas derrubam loot (config.lootTable; false desativa)
+const createCreatureWithoutLoot = EntityManager.prototype.createCreature;
+EntityManager.prototype.createCreature = function(config = {}) {
+    const creature = createCreatureWithoutLoot.call(this, config);
+    
+    if (config.lootTable !== false) {
+        creature.addComponent(LootComponent, {
+            table: config.lootTable || 'creature'
+        });
+    }
+    
+    return creature;
+};
+
+// Save v10: tabela de loot das criaturas salva (goblins usam a tabela própria)
+SaveConfig.VERSION = 10;
+SaveMigrations[9] = (data) => addComponentToSave(data, LootComponent, entityData => {
+    if (entityData.type !== 'creature') return null;
+    return { table: entityData.name.startsWith('Goblin') ? 'goblin' : 'creature' };
+});
+
+GameEvents.on('entity:died', ({ entity }) => {
+    entity.getComponent('LootComponent')?.drop();
+});
+
+// Tabelas de assets/data/loot.json após o carregamento
+const preloadAssetsWithoutLoot = GameEngine.prototype.preloadAssets;
+GameEngine.prototype.preloadAssets = async function() {
+    await preloadAssetsWithoutLoot.call(this);
+    
+    const loot = LootTableDatabase.getInstance();
+    const data = this.assets.getData('data/loot');
+    if (data) {
+        const count = loot.register(data);
+        console.log(`🎲 ${count} tabelas de loot carregadas de assets/data/loot.json`);
+    }
+    
+    loot.validate().forEach(problem => console.warn(`⚠️ Loot: ${problem}`));
+};
+
+/**
+ * Comando de depuração: simula drops e mostra a distribuição
+ */
+GameEngine.prototype.simulateLoot = function(tableId, iterations = 10000, biome = null) {
+    const report = LootTableDatabase.getInstance().simulate(tableId, iterations, { biome: biome });
+    
+    console.log(`🎲 ${report.iterations} drops de '${report.table}'${biome ? ` (${biome})` : ''} - sem drop: ${report.empty}`);
+    if (typeof console.table === 'function') {
+        console.table(report.items);
+    }
+    
+    return report;
+};
+
+console.log('✅ Parte 13 - Tabelas de Loot carregado!');
+console.log('📋 Comandos disponíveis:');
+console.log('  game.simulateLoot(tabela, iterações, bioma) - distribuição de drops');
+console.log('  game.entityManager.createCreature({ position, lootTable: \'goblin\' })');
+
+// Exporta classes para uso em módulos futuros
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LootTableDefinitions,
+        LootBiomeModifiers,
+        LootTableDatabase,
+        LootComponent
+    };
+}
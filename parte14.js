@@ -0,0 +1,648 @@
+/**
+ * INFINITE RPG - PARTE 14: COLETA DE RECURSOS
+ *
+ * Esta parte implementa:
+ * 1. Tiles coletáveis (árvore, rocha, cacto, flor) e ferramentas necessárias
+ * 2. GatheringComponent: coleta ao longo do tempo segurando F
+ * 3. Tiles coletados viram um tipo esgotado (toco, cascalho...) e dão recursos
+ * 4. Rebrota por tempo, usando o relógio do mundo salvo nos saves
+ * 5. Alterações guardadas por chunk (persistem ao descarregar chunks)
+ */
+
+// ============================================================================
+// DEFINIÇÕES DE RECURSOS
+// ============================================================================
+
+/**
+ * Tipos de ferramenta (itens com `tool: { type, power }`)
+ */
+const ToolTypes = {
+    axe: { name: 'Machado' },
+    pickaxe: { name: 'Picareta' }
+};
+
+/**
+ * Tiles coletáveis
+ * - tool: tipo de ferramenta exigido (null = mãos)
+ * - time: segundos de coleta com ferramenta de poder 1
+ * - depleted: tipo do tile após a coleta
+ * - lootTable: tabela de loot sorteada (LootTableDatabase)
+ * - regrowTime: segundos (tempo de mundo) até voltar ao tipo original
+ */
+const ResourceTiles = {
+    tree: { name: 'Árvore', tool: 'axe', time: 2, depleted: 'stump', lootTable: 'resource_tree', regrowTime: 180 },
+    rock: { name: 'Rocha', tool: 'pickaxe', time: 3, depleted: 'rubble', lootTable: 'resource_rock', regrowTime: 300 },
+    cactus: { name: 'Cacto', tool: 'axe', time: 1.5, depleted: 'cactus_stump', lootTable: 'resource_cactus', regrowTime: 120 },
+    flower: { name: 'Flor', tool: null, time: 0.6, depleted: 'grass', lootTable: 'resource_flower', regrowTime: 90 }
+};
+
+/**
+ * Tiles esgotados (cor sólida e placeholder do atlas)
+ */
+const DepletedTileColors = {
+    stump: '#5d4025',
+    rubble: '#9a9a8c',
+    cactus_stump: '#7d8a3a'
+};
+
+const GatheringItemDefinitions = [
+    {
+        id: 'cactus_pulp',
+        name: 'Polpa de Cacto',
+        description: 'Úmida e nutritiva. Recupera 8 pontos de vida.',
+        type: 'consumable',
+        rarity: 'common',
+        maxStack: 20,
+        color: '#9ccc65',
+        value: 2,
+        use: { heal: 8 }
+    },
+    {
+        id: 'stone_axe',
+        name: 'Machado de Pedra',
+        description: 'Corta árvores e cactos.',
+        type: 'tool',
+        rarity: 'common',
+        maxStack: 1,
+        color: '#8d6e63',
+        value: 10,
+        tool: { type: 'axe', power: 1 }
+    },
+    {
+        id: 'stone_pickaxe',
+        name: 'Picareta de Pedra',
+        description: 'Quebra rochas.',
+        type: 'tool',
+        rarity: 'common',
+        maxStack: 1,
+        color: '#90a4ae',
+        value: 10,
+        tool: { type: 'pickaxe', power: 1 }
+    }
+];
+
+const GatheringLootTables = [
+    {
+        id: 'resource_tree',
+        guaranteed: [{ item: 'wood', min: 2, max: 4 }],
+        entries: [
+            { item: 'wood', weight: 30 },
+            { item: 'herb', weight: 10 },
+            { weight: 60 }
+        ]
+    },
+    {
+        id: 'resource_rock',
+        guaranteed: [{ item: 'stone', min: 1, max: 3 }],
+        entries: [
+            { item: 'stone', weight: 25 },
+            { weight: 75 }
+        ]
+    },
+    {
+        id: 'resource_cactus',
+        guaranteed: [{ item: 'cactus_pulp', min: 1, max: 2 }],
+        entries: []
+    },
+    {
+        id: 'resource_flower',
+        guaranteed: [{ item: 'herb' }],
+        entries: []
+    }
+];
+
+// ============================================================================
+// GATHERING COMPONENT
+// ============================================================================
+
+/**
+ * Componente Gathering - Coleta de tiles pelo jogador
+ */
+class GatheringComponent extends Component {
+    initialize(config) {
+        this.reach = config.reach || 56; // Distância máxima até o centro do tile
+        
+        // Coleta em andamento
+        this.target = null; // { tileX, tileY, type }
+        this.progress = 0;
+        this.duration = 0;
+    }
+    
+    getWorld() {
+        return EntityManager.getInstance().world;
+    }
+    
+    /**
+     * Distância do jogador até o centro de um tile
+     */
+    distanceToTile(tileX, tileY) {
+        const transform = this.entity.getComponent('TransformComponent');
+        const tileSize = this.getWorld().tileSize;
+        const dx = (tileX + 0.5) * tileSize - transform.position.x;
+        const dy = (tileY + 0.5) * tileSize - transform.position.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+    
+    /**
+     * Tile coletável mirado: o do ponto informado (mouse), se estiver ao
+     * alcance, ou o mais próximo do jogador
+     * @returns {Object|null} { tileX, tileY, type }
+     */
+    findTarget(point = null) {
+        const world = this.getWorld();
+        const transform = this.entity.getComponent('TransformComponent');
+        if (!world || !transform) return null;
+        
+        if (point) {
+            const tileX = Math.floor(point.x / world.tileSize);
+            const tileY = Math.floor(point.y / world.tileSize);
+            const tile = world.getTile(tileX, tileY);
+            
+            if (tile && ResourceTiles[tile.type] && this.distanceToTile(tileX, tileY) <= this.reach) {
+                return { tileX, tileY, type: tile.type };
+            }
+        }
+        
+        const centerX = Math.floor(transform.position.x / world.tileSize);
+        const centerY = Math.floor(transform.position.y / world.tileSize);
+        const radius = Math.ceil(this.reach / world.tileSize);
+        let best = null;
+        let bestDistance = this.reach;
+        
+        for (let tileY = centerY - radius; tileY <= centerY + radius; tileY++) {
+            for (let tileX = centerX - radius; tileX <= centerX + radius; tileX++) {
+                const tile = world.getTile(tileX, tileY);
+                if (!tile || !ResourceTiles[tile.type]) continue;
+                
+                const distance = this.distanceToTile(tileX, tileY);
+                if (distance <= bestDistance) {
+                    best = { tileX, tileY, type: tile.type };
+                    bestDistance = distance;
+                }
+            }
+        }
+        
+        return best;
+    }
+    
+    /**
+     * Melhor ferramenta do tipo no inventário ou equipada
+     * @returns {Object|null} Definição do item
+     */
+    getTool(toolType) {
+        const database = ItemDatabase.getInstance();
+        const inventory = this.entity.getComponent('InventoryComponent');
+        const equipment = this.entity.getComponent('EquipmentComponent');
+        
+        const owned = [
+            ...(inventory ? inventory.slots : []),
+            ...(equipment ? Object.values(equipment.slots) : [])
+        ];
+        
+        let best = null;
+        owned.forEach(slot => {
+            const definition = slot && database.get(slot.id);
+            if (definition && definition.tool && definition.tool.type === toolType &&
+                (!best || definition.tool.power > best.tool.power)) {
+                best = definition;
+            }
+        });
+        
+        return best;
+    }
+    
+    /**
+     * Verifica se o tile pode ser coletado agora
+     * @returns {Object} { ok, reason }
+     */
+    canGather(target) {
+        const resource = target && ResourceTiles[target.type];
+        if (!resource) return { ok: false, reason: 'Nada para coletar' };
+        
+        if (resource.tool && !this.getTool(resource.tool)) {
+            return { ok: false, reason: `Precisa de: ${ToolTypes[resource.tool]?.name || resource.tool}` };
+        }
+        
+        return { ok: true, reason: null };
+    }
+    
+    /**
+     * Começa a coletar um tile
+     */
+    start(target) {
+        if (!this.canGather(target).ok) return false;
+        
+        const resource = ResourceTiles[target.type];
+        const tool = resource.tool ? this.getTool(resource.tool) : null;
+        
+        this.target = target;
+        this.progress = 0;
+        this.duration = resource.time / (tool ? tool.tool.power : 1);
+        
+        GameEvents.emit('resource:started', { entity: this.entity, ...target });
+        return true;
+    }
+    
+    cancel() {
+        this.target = null;
+        this.progress = 0;
+    }
+    
+    isGathering() {
+        return this.target !== null;
+    }
+    
+    update(deltaTime) {
+        if (!this.target) return;
+        
+        // O tile pode ter mudado (outra coleta, rebrota) ou o jogador se afastou
+        const tile = this.getWorld()?.getTile(this.target.tileX, this.target.tileY);
+        if (!tile || tile.type !== this.target.type ||
+            this.distanceToTile(this.target.tileX, this.target.tileY) > this.reach) {
+            this.cancel();
+            return;
+        }
+        
+        this.progress += deltaTime;
+        if (this.progress >= this.duration) {
+            this.complete();
+        }
+    }
+    
+    /**
+     * Esgota o tile e entrega os recursos (o que não couber cai no chão)
+     */
+    complete() {
+        const { tileX, tileY, type } = this.target;
+        const resource = ResourceTiles[type];
+        const world = this.getWorld();
+        const biome = world.getTile(tileX, tileY).biome;
+        
+        this.cancel();
+        
+        world.setTile(tileX, tileY, {
+            type: resource.depleted,
+            regrowFrom: type,
+            regrowAt: world.time + resource.regrowTime
+        });
+        window.game?.pathfinder?.invalidate();
+        
+        const drops = LootTableDatabase.getInstance().roll(resource.lootTable, { biome: biome });
+        const inventory = this.entity.getComponent('InventoryComponent');
+        const entityManager = EntityManager.getInstance();
+        
+        drops.forEach(({ id, quantity }) => {
+            const leftover = inventory ? inventory.addItem(id, quantity) : quantity;
+            if (leftover > 0) {
+                entityManager.createItem({
+                    itemId: id,
+                    quantity: leftover,
+                    position: {
+                        x: (tileX + 0.5) * world.tileSize,
+                        y: (tileY + 0.5) * world.tileSize
+                    },
+                    pickupDelay: 1
+                });
+            }
+        });
+        
+        entityManager.assets?.playSound('sfx/pickup');
+        GameEvents.emit('resource:gathered', { entity: this.entity, tileX, tileY, type, drops });
+    }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            reach: this.reach
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        this.reach = data.reach;
+        this.cancel();
+    }
+}
+
+Component.register(GatheringComponent);
+
+// ============================================================================
+// REBROTA
+// ============================================================================
+
+/**
+ * Tiles esgotados voltam ao tipo original quando o relógio do mundo
+ * alcança `regrowAt`. Os dados ficam nas alterações por chunk do World,
+ * então a rebrota acontece mesmo com o chunk descarregado.
+ */
+class ResourceRegrowth {
+    constructor(world) {
+        this.world = world;
+        this.checkInterval = 1; // segundos
+        this.checkTimer = 0;
+    }
+    
+    update(deltaTime) {
+        this.checkTimer -= deltaTime;
+        if (this.checkTimer > 0) return;
+        this.checkTimer = this.checkInterval;
+        
+        const world = this.world;
+        const due = [];
+        
+        world.modifiedTiles.forEach((modifications, chunkKey) => {
+            const [chunkX, chunkY] = chunkKey.split(',').map(Number);
+            
+            modifications.forEach((properties, index) => {
+                if (properties.regrowFrom && properties.regrowAt <= world.time) {
+                    due.push({
+                        tileX: chunkX * world.chunkSize + index % world.chunkSize,
+                        tileY: chunkY * world.chunkSize + Math.floor(index / world.chunkSize)
+                    });
+                }
+            });
+        });
+        
+        due.forEach(({ tileX, tileY }) => this.regrow(tileX, tileY));
+    }
+    
+    /**
+     * Restaura o tile gerado (adiada se houver alguém em cima de um tile sólido)
+     */
+    regrow(tileX, tileY) {
+        const world = this.world;
+        const type = world.getTileModification(tileX, tileY).regrowFrom;
+        
+        if (!world.isTileWalkable(type) && this.isOccupied(tileX, tileY)) {
+            world.setTile(tileX, tileY, { regrowAt: world.time + 5 });
+            return;
+        }
+        
+        world.resetTile(tileX, tileY);
+        window.game?.pathfinder?.invalidate();
+        
+        GameEvents.emit('resource:regrown', { tileX, tileY, type });
+    }
+    
+    isOccupied(tileX, tileY) {
+        const tileSize = this.world.tileSize;
+        const entityManager = EntityManager.getInstance();
+        
+        return ['player', 'creature', 'npc'].some(tag => entityManager.getEntitiesByTag(tag).some(entity => {
+            const transform = entity.getComponent('TransformComponent');
+            return transform &&
+                Math.floor(transform.position.x / tileSize) === tileX &&
+                Math.floor(transform.position.y / tileSize) === tileY;
+        }));
+    }
+}
+
+// ============================================================================
+// INTEGRAÇÃO COM O SISTEMA EXISTENTE
+// ============================================================================
+
+Object.assign(TileColors, DepletedTileColors);
+Object.entries(DepletedTileColors).forEach(([type, color]) => {
+    AssetManifest.images[`tiles/${type}`] = { src: `assets/tiles/${type}.png`, placeholder: { color: color } };
+});
+
+GatheringItemDefinitions.forEach(definition => {
+    AssetManifest.images[`icons/${definition.id}`] = {
+        src: `assets/icons/${definition.id}.png`,
+        width: 16,
+        height: 16,
+        placeholder: { color: definition.color, shape: 'circle' }
+    };
+});
+ItemDatabase.getInstance().register(GatheringItemDefinitions);
+LootTableDatabase.getInstance().register(GatheringLootTables);
+
+/**
+ * Alteração registrada para um tile (ou null)
+ */
+World.prototype.getTileModification = function(tileX, tileY) {
+    const chunkX = Math.floor(tileX / this.chunkSize);
+    const chunkY = Math.floor(tileY / this.chunkSize);
+    const index = (tileY - chunkY * this.chunkSize) * this.chunkSize + (tileX - chunkX * this.chunkSize);
+    
+    return this.modifiedTiles.get(`${chunkX},${chunkY}`)?.get(index) || null;
+};
+
+/**
+ * Descarta as alterações de um tile, voltando ao que a seed gera
+ */
+World.prototype.resetTile = function(tileX, tileY) {
+    const chunkX = Math.floor(tileX / this.chunkSize);
+    const chunkY = Math.floor(tileY / this.chunkSize);
+    const chunkKey = `${chunkX},${chunkY}`;
+    const index = (tileY - chunkY * this.chunkSize) * this.chunkSize + (tileX - chunkX * this.chunkSize);
+    
+    const modifications = this.modifiedTiles.get(chunkKey);
+    if (modifications) {
+        modifications.delete(index);
+        if (modifications.size === 0) {
+            this.modifiedTiles.delete(chunkKey);
+        }
+    }
+    
+    const chunk = this.chunks.get(chunkKey);
+    if (chunk && chunk.generated) {
+        const localX = tileX - chunkX * this.chunkSize;
+        const localY = tileY - chunkY * this.chunkSize;
+        chunk.tiles[localY][localX] = this.generator.generateTile(tileX, tileY, chunk.biome);
+        this.markChunkDirty(chunkKey);
+    }
+};
+
+// Relógio do mundo (segundos de jogo), salvo junto com as alterações
+const serializeWorldWithoutTime = World.prototype.serialize;
+World.prototype.serialize = function() {
+    return {
+        ...serializeWorldWithoutTime.call(this),
+        time: this.time || 0
+    };
+};
+
+const readSaveWithoutTime = World.prototype.readSave;
+World.prototype.readSave = function(data) {
+    return {
+        ...readSaveWithoutTime.call(this, data),
+        time: data.time
+    };
+};
+
+// Jogador coleta recursos e começa com ferramentas básicas
+const createPlayerWithoutGathering = EntityManager.prototype.createPlayer;
+EntityManager.prototype.createPlayer = function(config = {}) {
+    const player = createPlayerWithoutGathering.call(this, config);
+    
+    player.addComponent(GatheringComponent, { ...config.gathering });
+    
+    const inventory = player.getComponent('InventoryComponent');
+    if (inventory && config.tools !== false) {
+        inventory.addItem('stone_axe');
+        inventory.addItem('stone_pickaxe');
+    }
+    
+    return player;
+};
+
+// Save v11: relógio do mundo, tiles esgotados e coleta salvos
+// (o jogador de saves antigos recebe as ferramentas iniciais)
+SaveConfig.VERSION = 11;
+SaveMigrations[10] = (data) => {
+    data.world.time = 0;
+    
+    data.entities.entities
+        .filter(entityData => entityData.type === 'player')
+        .forEach(entityData => updateSavedComponent(entityData, InventoryComponent, inventory => {
+            inventory.addItem('stone_axe');
+            inventory.addItem('stone_pickaxe');
+        }));
+    
+    return addComponentToSave(data, GatheringComponent, entityData => entityData.type === 'player' ? {} : null);
+};
+
+const initializeEntitiesWithoutGathering = GameEngine.prototype.initializeEntities;
+GameEngine.prototype.initializeEntities = function() {
+    initializeEntitiesWithoutGathering.call(this);
+    
+    if (this.world.time === undefined) {
+        this.world.time = 0;
+    }
+    
+    if (this.inputManager.getActionKeys('gather').length === 0) {
+        this.inputManager.bindAction('gather', ['f']);
+    }
+    
+    if (!this.resourceRegrowth) {
+        this.resourceRegrowth = new ResourceRegrowth(this.world);
+    }
+};
+
+const updateWithoutGathering = GameEngine.prototype.update;
+GameEngine.prototype.update = function(deltaTime) {
+    updateWithoutGathering.call(this, deltaTime);
+    
+    this.world.time = (this.world.time || 0) + deltaTime;
+    this.resourceRegrowth?.update(deltaTime);
+};
+
+// Segurar F coleta o tile mirado; soltar cancela
+const processPlayerInputWithoutGathering = GameEngine.prototype.processPlayerInput;
+GameEngine.prototype.processPlayerInput = function() {
+    processPlayerInputWithoutGathering.call(this);
+    
+    const gathering = this.entityManager.getPlayer()?.getComponent('GatheringComponent');
+    if (!gathering) return;
+    
+    if (!this.inputManager.isActionDown('gather') || this.isMenuOpen()) {
+        if (gathering.isGathering()) gathering.cancel();
+        return;
+    }
+    
+    if (!gathering.isGathering()) {
+        const mouseWorld = this.camera.screenToWorld(this.inputManager.mouse.x, this.inputManager.mouse.y);
+        gathering.start(gathering.findTarget(mouseWorld));
+    }
+};
+
+// Tile mirado e barra de progresso (espaço do mundo)
+const renderEntitiesWithoutGathering = EntityManager.prototype.render;
+EntityManager.prototype.render = function(context, alpha = 1) {
+    renderEntitiesWithoutGathering.call(this, context, alpha);
+    
+    const game = window.game;
+    const gathering = this.getPlayer()?.getComponent('GatheringComponent');
+    if (!game || !gathering || !this.world) return;
+    
+    const mouseWorld = game.camera.screenToWorld(game.inputManager.mouse.x, game.inputManager.mouse.y);
+    const target = gathering.target || gathering.findTarget(mouseWorld);
+    if (!target) return;
+    
+    const size = this.world.tileSize;
+    const x = target.tileX * size;
+    const y = target.tileY * size;
+    
+    context.save();
+    context.strokeStyle = gathering.canGather(target).ok ? 'rgba(255, 255, 255, 0.8)' : 'rgba(224, 60, 60, 0.8)';
+    context.lineWidth = 2;
+    context.strokeRect(x + 1, y + 1, size - 2, size - 2);
+    
+    if (gathering.isGathering()) {
+        const ratio = Math.min(1, gathering.progress / gathering.duration);
+        context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        context.fillRect(x, y - 8, size, 5);
+        context.fillStyle = '#e0c93c';
+        context.fillRect(x, y - 8, size * ratio, 5);
+    }
+    
+    context.restore();
+};
+
+// Dica de coleta acima da barra de habilidades
+const renderUIWithoutGathering = GameEngine.prototype.renderUI;
+GameEngine.prototype.renderUI = function() {
+    renderUIWithoutGathering.call(this);
+    
+    const gathering = this.entityManager.getPlayer()?.getComponent('GatheringComponent');
+    if (!gathering || gathering.isGathering() || this.isMenuOpen()) return;
+    
+    const mouseWorld = this.camera.screenToWorld(this.inputManager.mouse.x, this.inputManager.mouse.y);
+    const target = gathering.findTarget(mouseWorld);
+    if (!target) return;
+    
+    const check = gathering.canGather(target);
+    const key = this.inputManager.getActionKeys('gather').join('/').toUpperCase();
+    const text = check.ok ? `[${key}] Coletar ${ResourceTiles[target.type].name}` : check.reason;
+    
+    const context = this.context;
+    context.save();
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.font = '12px monospace';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    
+    const width = context.measureText(text).width + 16;
+    const x = this.canvas.width / 2;
+    const y = this.canvas.height - 70;
+    
+    context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    context.fillRect(x - width / 2, y - 10, width, 20);
+    context.fillStyle = check.ok ? '#ffffff' : '#e03c3c';
+    context.fillText(text, x, y);
+    context.restore();
+};
+
+// Ferramentas mostram tipo e poder no tooltip
+const getTooltipLinesWithoutTools = InventoryUI.prototype.getTooltipLines;
+InventoryUI.prototype.getTooltipLines = function(definition, rarity) {
+    const lines = getTooltipLinesWithoutTools.call(this, definition, rarity);
+    
+    if (definition.tool) {
+        const name = ToolTypes[definition.tool.type]?.name || definition.tool.type;
+        lines.push({ text: `Ferramenta: ${name} (poder ${definition.tool.power})`, color: '#e0c93c' });
+    }
+    
+    return lines;
+};
+
+ControlsHelp.push('F (segurar) - Coletar recurso');
+
+console.log('✅ Parte 14 - Coleta de Recursos carregado!');
+console.log('📋 Comandos disponíveis:');
+console.log('  F (segurar) - Coletar árvore, rocha, cacto ou flor');
+console.log('  game.world.resetTile(tileX, tileY) - restaura um tile gerado');
+
+// Exporta classes para uso em módulos futuros
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ToolTypes,
+        ResourceTiles,
+        DepletedTileColors,
+        GatheringItemDefinitions,
+        GatheringLootTables,
+        GatheringComponent,
+        ResourceRegrowth
+    };
+}
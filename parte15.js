@@ -0,0 +1,791 @@
+/**
+ * INFINITE RPG - PARTE 15: CRAFTING
+ *
+ * Esta parte implementa:
+ * 1. Receitas definidas por dados (padrão + assets/data/recipes.json)
+ * 2. Estações de trabalho (bancada, fornalha) encontradas pelo SpatialHashGrid
+ * 3. CraftingComponent: fila de fabricação com tempo, insumos e reembolso
+ * 4. Descoberta de receitas ao obter os ingredientes
+ * 5. Menu de crafting no canvas (tecla O)
+ */
+
+// ============================================================================
+// ESTAÇÕES E ITENS
+// ============================================================================
+
+const WorkstationTypes = {
+    workbench: { name: 'Bancada', color: '#a0703c', size: 30 },
+    furnace: { name: 'Fornalha', color: '#b5452a', size: 30 }
+};
+
+const CraftingItemDefinitions = [
+    {
+        id: 'iron_ore',
+        name: 'Minério de Ferro',
+        description: 'Precisa ser fundido em uma fornalha.',
+        type: 'material',
+        rarity: 'uncommon',
+        maxStack: 99,
+        color: '#a1887f',
+        value: 4
+    },
+    {
+        id: 'iron_ingot',
+        name: 'Lingote de Ferro',
+        description: 'Metal pronto para forjar.',
+        type: 'material',
+        rarity: 'uncommon',
+        maxStack: 99,
+        color: '#cfd8dc',
+        value: 12
+    },
+    {
+        id: 'iron_axe',
+        name: 'Machado de Ferro',
+        description: 'Corta árvores e cactos com rapidez.',
+        type: 'tool',
+        rarity: 'uncommon',
+        maxStack: 1,
+        color: '#b0bec5',
+        value: 40,
+        tool: { type: 'axe', power: 2 }
+    },
+    {
+        id: 'iron_pickaxe',
+        name: 'Picareta de Ferro',
+        description: 'Quebra rochas com rapidez.',
+        type: 'tool',
+        rarity: 'uncommon',
+        maxStack: 1,
+        color: '#b0bec5',
+        value: 40,
+        tool: { type: 'pickaxe', power: 2 }
+    }
+];
+
+// ============================================================================
+// RECEITAS
+// ============================================================================
+
+/**
+ * Receitas embutidas no jogo (formato JSON)
+ * assets/data/recipes.json (mesmo formato) acrescenta ou substitui receitas
+ *
+ * - inputs / output: { id, quantity }
+ * - time: segundos de fabricação
+ * - station: tipo de estação exigida por perto (null = em qualquer lugar)
+ * - known: conhecida desde o início; as demais são descobertas quando o
+ *   jogador tem todos os itens de `discover` (padrão: os insumos)
+ */
+const RecipeDefinitions = [
+    {
+        id: 'health_potion',
+        inputs: [{ id: 'herb', quantity: 3 }],
+        output: { id: 'health_potion', quantity: 1 },
+        time: 1.5,
+        station: null,
+        known: true
+    },
+    {
+        id: 'stone_axe',
+        inputs: [{ id: 'wood', quantity: 3 }, { id: 'stone', quantity: 2 }],
+        output: { id: 'stone_axe', quantity: 1 },
+        time: 2,
+        station: null,
+        known: true
+    },
+    {
+        id: 'stone_pickaxe',
+        inputs: [{ id: 'wood', quantity: 3 }, { id: 'stone', quantity: 3 }],
+        output: { id: 'stone_pickaxe', quantity: 1 },
+        time: 2,
+        station: null,
+        known: true
+    },
+    {
+        id: 'iron_ingot',
+        inputs: [{ id: 'iron_ore', quantity: 3 }],
+        output: { id: 'iron_ingot', quantity: 1 },
+        time: 4,
+        station: 'furnace'
+    },
+    {
+        id: 'iron_sword',
+        inputs: [{ id: 'iron_ingot', quantity: 3 }, { id: 'wood', quantity: 1 }],
+        output: { id: 'iron_sword', quantity: 1 },
+        time: 5,
+        station: 'workbench'
+    },
+    {
+        id: 'iron_axe',
+        inputs: [{ id: 'iron_ingot', quantity: 2 }, { id: 'wood', quantity: 2 }],
+        output: { id: 'iron_axe', quantity: 1 },
+        time: 4,
+        station: 'workbench'
+    },
+    {
+        id: 'iron_pickaxe',
+        inputs: [{ id: 'iron_ingot', quantity: 2 }, { id: 'wood', quantity: 2 }],
+        output: { id: 'iron_pickaxe', quantity: 1 },
+        time: 4,
+        station: 'workbench'
+    },
+    {
+        id: 'swift_ring',
+        inputs: [{ id: 'iron_ingot', quantity: 2 }, { id: 'herb', quantity: 5 }],
+        output: { id: 'swift_ring', quantity: 1 },
+        time: 6,
+        station: 'workbench',
+        discover: ['iron_ingot', 'herb']
+    }
+];
+
+/**
+ * Registro de receitas (singleton)
+ */
+class RecipeBook {
+    constructor() {
+        if (RecipeBook.instance) {
+            return RecipeBook.instance;
+        }
+        
+        this.recipes = new Map();
+        this.register(RecipeDefinitions);
+        
+        RecipeBook.instance = this;
+    }
+    
+    static getInstance() {
+        if (!RecipeBook.instance) {
+            new RecipeBook();
+        }
+        return RecipeBook.instance;
+    }
+    
+    /**
+     * Registra receitas (array ou { recipes: [...] }), preenchendo padrões
+     */
+    register(definitions) {
+        const list = Array.isArray(definitions) ? definitions : (definitions && definitions.recipes) || [];
+        
+        list.forEach(definition => {
+            if (!definition.id || !definition.output) {
+                console.warn('⚠️ Receita sem id ou resultado ignorada:', definition);
+                return;
+            }
+            
+            this.recipes.set(definition.id, {
+                inputs: [],
+                time: 1,
+                station: null,
+                known: false,
+                ...definition,
+                discover: definition.discover || (definition.inputs || []).map(input => input.id)
+            });
+        });
+        
+        return list.length;
+    }
+    
+    get(id) {
+        return this.recipes.get(id) || null;
+    }
+    
+    getAll() {
+        return [...this.recipes.values()];
+    }
+}
+
+// ============================================================================
+// WORKSTATION COMPONENT
+// ============================================================================
+
+/**
+ * Componente Workstation - Marca a entidade como estação de trabalho
+ */
+class WorkstationComponent extends Component {
+    initialize(config) {
+        this.station = config.station || 'workbench';
+        this.range = config.range || 72; // Distância de uso
+    }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            station: this.station,
+            range: this.range
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        this.station = data.station;
+        this.range = data.range;
+    }
+}
+
+// ============================================================================
+// CRAFTING COMPONENT
+// ============================================================================
+
+/**
+ * Componente Crafting - Receitas conhecidas e fila de fabricação
+ * Os insumos saem do inventário ao entrar na fila (e voltam se cancelar)
+ */
+class CraftingComponent extends Component {
+    initialize(config) {
+        this.known = new Set(config.known || RecipeBook.getInstance().getAll()
+            .filter(recipe => recipe.known)
+            .map(recipe => recipe.id));
+        
+        this.queue = [];          // [{ recipe, remaining }]
+        this.maxQueue = config.maxQueue || 5;
+    }
+    
+    getInventory() {
+        return this.entity.getComponent('InventoryComponent');
+    }
+    
+    isKnown(recipeId) {
+        return this.known.has(recipeId);
+    }
+    
+    /**
+     * Aprende uma receita
+     */
+    discover(recipeId) {
+        const recipe = RecipeBook.getInstance().get(recipeId);
+        if (!recipe || this.known.has(recipeId)) return false;
+        
+        this.known.add(recipeId);
+        GameEvents.emit('recipe:discovered', { entity: this.entity, recipe: recipeId });
+        return true;
+    }
+    
+    /**
+     * Descobre receitas cujos itens de descoberta estão todos no inventário
+     */
+    checkDiscoveries() {
+        const inventory = this.getInventory();
+        if (!inventory) return;
+        
+        RecipeBook.getInstance().getAll().forEach(recipe => {
+            if (!this.known.has(recipe.id) && recipe.discover.length > 0 &&
+                recipe.discover.every(itemId => inventory.hasItem(itemId))) {
+                this.discover(recipe.id);
+            }
+        });
+    }
+    
+    /**
+     * Estação do tipo mais próxima ao alcance (consulta no SpatialHashGrid)
+     */
+    findStation(stationType) {
+        const transform = this.entity.getComponent('TransformComponent');
+        const broadPhase = EntityManager.getInstance().collisionSystem?.broadPhase;
+        if (!transform || !broadPhase) return null;
+        
+        let best = null;
+        let bestDistance = Infinity;
+        
+        for (const entity of broadPhase.query(transform.position.x, transform.position.y, 128)) {
+            const workstation = entity.getComponent('WorkstationComponent');
+            const stationTransform = entity.getComponent('TransformComponent');
+            if (!entity.active || !workstation || workstation.station !== stationType || !stationTransform) continue;
+            
+            const dx = stationTransform.position.x - transform.position.x;
+            const dy = stationTransform.position.y - transform.position.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            
+            if (distance <= workstation.range && distance < bestDistance) {
+                best = entity;
+                bestDistance = distance;
+            }
+        }
+        
+        return best;
+    }
+    
+    /**
+     * Verifica se a receita pode ser fabricada agora
+     * @returns {Object} { ok, reason }
+     */
+    canCraft(recipeId) {
+        const recipe = RecipeBook.getInstance().get(recipeId);
+        const inventory = this.getInventory();
+        
+        if (!recipe || !inventory) return { ok: false, reason: 'Receita inválida' };
+        if (!this.known.has(recipeId)) return { ok: false, reason: 'Receita desconhecida' };
+        if (this.queue.length >= this.maxQueue) return { ok: false, reason: 'Fila cheia' };
+        
+        const missing = recipe.inputs.find(input => !inventory.hasItem(input.id, input.quantity));
+        if (missing) {
+            return { ok: false, reason: `Falta: ${ItemDatabase.getInstance().get(missing.id)?.name || missing.id}` };
+        }
+        
+        if (recipe.station && !this.findStation(recipe.station)) {
+            return { ok: false, reason: `Precisa de: ${WorkstationTypes[recipe.station]?.name || recipe.station}` };
+        }
+        
+        return { ok: true, reason: null };
+    }
+    
+    /**
+     * Coloca a receita na fila, consumindo os insumos
+     */
+    craft(recipeId) {
+        if (!this.canCraft(recipeId).ok) return false;
+        
+        const recipe = RecipeBook.getInstance().get(recipeId);
+        const inventory = this.getInventory();
+        recipe.inputs.forEach(input => inventory.removeItem(input.id, input.quantity));
+        
+        this.queue.push({ recipe: recipeId, remaining: recipe.time });
+        GameEvents.emit('craft:queued', { entity: this.entity, recipe: recipeId });
+        return true;
+    }
+    
+    /**
+     * Cancela um item da fila devolvendo os insumos
+     */
+    cancel(index = this.queue.length - 1) {
+        const job = this.queue[index];
+        if (!job) return false;
+        
+        this.queue.splice(index, 1);
+        RecipeBook.getInstance().get(job.recipe)?.inputs.forEach(input => this.give(input.id, input.quantity));
+        return true;
+    }
+    
+    update(deltaTime) {
+        const job = this.queue[0];
+        if (!job) return;
+        
+        const recipe = RecipeBook.getInstance().get(job.recipe);
+        if (!recipe) {
+            this.queue.shift();
+            return;
+        }
+        
+        // Afastar-se da estação interrompe (e reembolsa) a fila
+        if (recipe.station && !this.findStation(recipe.station)) {
+            while (this.queue.length > 0) {
+                this.cancel();
+            }
+            GameEvents.emit('craft:interrupted', { entity: this.entity, recipe: recipe.id, station: recipe.station });
+            return;
+        }
+        
+        job.remaining -= deltaTime;
+        if (job.remaining <= 0) {
+            this.queue.shift();
+            this.give(recipe.output.id, recipe.output.quantity || 1);
+            
+            GameEvents.emit('craft:completed', { entity: this.entity, recipe: recipe.id, item: recipe.output.id });
+        }
+    }
+    
+    /**
+     * Entrega itens ao inventário (o que não couber cai no chão)
+     */
+    give(itemId, quantity) {
+        const inventory = this.getInventory();
+        const leftover = inventory ? inventory.addItem(itemId, quantity) : quantity;
+        
+        if (leftover > 0) {
+            const transform = this.entity.getComponent('TransformComponent');
+            EntityManager.getInstance().createItem({
+                itemId: itemId,
+                quantity: leftover,
+                position: { ...transform.position },
+                pickupDelay: 1.5
+            });
+        }
+    }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            known: [...this.known],
+            queue: this.queue.map(job => ({ ...job })),
+            maxQueue: this.maxQueue
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        this.known = new Set(data.known);
+        this.queue = data.queue.map(job => ({ ...job }));
+        this.maxQueue = data.maxQueue;
+    }
+}
+
+[WorkstationComponent, CraftingComponent].forEach(componentType => Component.register(componentType));
+
+// ============================================================================
+// INTERFACE DE CRAFTING
+// ============================================================================
+
+/**
+ * Menu de crafting (clique fabrica, shift+clique fabrica 5, clique direito
+ * na fila cancela o último)
+ */
+class CraftingUI {
+    constructor(game) {
+        this.game = game;
+        this.open = false;
+        
+        this.width = 340;
+        this.rowHeight = 34;
+        this.hoveredRecipe = null;
+        
+        // Avisos de receitas descobertas e de fila interrompida
+        this.notifications = [];
+        GameEvents.on('recipe:discovered', ({ recipe }) => {
+            const output = RecipeBook.getInstance().get(recipe).output;
+            this.notifications.push({
+                text: `📜 Nova receita: ${ItemDatabase.getInstance().get(output.id)?.name || recipe}`,
+                timer: 3
+            });
+        });
+        GameEvents.on('craft:interrupted', () => {
+            this.notifications.push({ text: '⚠️ Crafting interrompido: estação fora de alcance', timer: 3 });
+        });
+        
+        this.bindEvents();
+    }
+    
+    bindEvents() {
+        document.addEventListener('keydown', (e) => {
+            const key = e.key.toLowerCase();
+            
+            if (key === 'o') {
+                this.open = !this.open;
+            } else if (key === 'escape') {
+                this.open = false;
+            }
+        });
+        
+        document.addEventListener('mousedown', (e) => {
+            if (!this.open) return;
+            
+            const crafting = this.getCrafting();
+            if (!crafting) return;
+            
+            const mouse = this.game.inputManager.mouse;
+            if (e.button === 2) {
+                if (this.isInside(mouse.x, mouse.y)) crafting.cancel();
+                return;
+            }
+            
+            const recipe = this.getRecipeAt(mouse.x, mouse.y);
+            if (e.button === 0 && recipe) {
+                const times = e.shiftKey ? 5 : 1;
+                for (let i = 0; i < times && crafting.craft(recipe.id); i++);
+            }
+        });
+    }
+    
+    getCrafting() {
+        return this.game.entityManager.getPlayer()?.getComponent('CraftingComponent') || null;
+    }
+    
+    /**
+     * Receitas conhecidas, na ordem de registro
+     */
+    getVisibleRecipes() {
+        const crafting = this.getCrafting();
+        if (!crafting) return [];
+        return RecipeBook.getInstance().getAll().filter(recipe => crafting.isKnown(recipe.id));
+    }
+    
+    getBounds() {
+        const rows = this.getVisibleRecipes().length;
+        return {
+            x: this.game.canvas.width - this.width - 20,
+            y: 110,
+            width: this.width,
+            height: 40 + rows * this.rowHeight + 44
+        };
+    }
+    
+    isInside(screenX, screenY) {
+        const bounds = this.getBounds();
+        return screenX >= bounds.x && screenX <= bounds.x + bounds.width &&
+               screenY >= bounds.y && screenY <= bounds.y + bounds.height;
+    }
+    
+    getRecipeAt(screenX, screenY) {
+        const bounds = this.getBounds();
+        if (!this.isInside(screenX, screenY)) return null;
+        
+        const index = Math.floor((screenY - bounds.y - 32) / this.rowHeight);
+        return this.getVisibleRecipes()[index] || null;
+    }
+    
+    update(deltaTime) {
+        for (let i = this.notifications.length - 1; i >= 0; i--) {
+            this.notifications[i].timer -= deltaTime;
+            if (this.notifications[i].timer <= 0) {
+                this.notifications.splice(i, 1);
+            }
+        }
+    }
+    
+    render(context) {
+        context.save();
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        
+        this.renderNotifications(context);
+        
+        const crafting = this.getCrafting();
+        const inventory = crafting?.getInventory();
+        if (this.open && crafting && inventory) {
+            this.renderPanel(context, crafting, inventory);
+        }
+        
+        context.restore();
+    }
+    
+    renderNotifications(context) {
+        context.font = 'bold 13px monospace';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        
+        this.notifications.forEach((notification, index) => {
+            context.globalAlpha = Math.min(1, notification.timer);
+            context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            context.fillRect(this.game.canvas.width / 2 - 150, 60 + index * 26, 300, 22);
+            context.fillStyle = '#ffd700';
+            context.fillText(notification.text, this.game.canvas.width / 2, 71 + index * 26);
+        });
+        
+        context.globalAlpha = 1;
+    }
+    
+    renderPanel(context, crafting, inventory) {
+        const database = ItemDatabase.getInstance();
+        const bounds = this.getBounds();
+        const recipes = this.getVisibleRecipes();
+        const mouse = this.game.inputManager.mouse;
+        this.hoveredRecipe = this.getRecipeAt(mouse.x, mouse.y);
+        
+        context.fillStyle = 'rgba(0, 0, 0, 0.85)';
+        context.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        context.strokeStyle = '#888888';
+        context.lineWidth = 1;
+        context.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        
+        const unknown = RecipeBook.getInstance().getAll().length - recipes.length;
+        context.textAlign = 'left';
+        context.textBaseline = 'top';
+        context.fillStyle = '#ffffff';
+        context.font = 'bold 13px monospace';
+        context.fillText('Crafting', bounds.x + 10, bounds.y + 10);
+        context.fillStyle = '#888888';
+        context.font = '10px monospace';
+        context.fillText(`${unknown} receita(s) por descobrir`, bounds.x + 110, bounds.y + 12);
+        
+        recipes.forEach((recipe, index) => {
+            const y = bounds.y + 32 + index * this.rowHeight;
+            const output = database.get(recipe.output.id);
+            const check = crafting.canCraft(recipe.id);
+            
+            if (recipe === this.hoveredRecipe) {
+                context.fillStyle = 'rgba(255, 255, 255, 0.1)';
+                context.fillRect(bounds.x + 4, y, bounds.width - 8, this.rowHeight - 2);
+            }
+            
+            database.drawIcon(context, recipe.output.id, bounds.x + 8, y + 4, 24);
+            
+            context.font = '11px monospace';
+            context.fillStyle = check.ok ? '#ffffff' : '#888888';
+            const quantity = recipe.output.quantity > 1 ? ` x${recipe.output.quantity}` : '';
+            context.fillText(`${output?.name || recipe.output.id}${quantity}`, bounds.x + 40, y + 3);
+            
+            // Insumos (vermelho quando faltam) e estação
+            context.font = '10px monospace';
+            let x = bounds.x + 40;
+            recipe.inputs.forEach(input => {
+                const text = `${input.quantity} ${database.get(input.id)?.name || input.id}  `;
+                context.fillStyle = inventory.hasItem(input.id, input.quantity) ? '#aaaaaa' : '#e03c3c';
+                context.fillText(text, x, y + 18);
+                x += context.measureText(text).width;
+            });
+            
+            context.textAlign = 'right';
+            if (recipe.station) {
+                context.fillStyle = crafting.findStation(recipe.station) ? '#aaaaaa' : '#e03c3c';
+                context.fillText(WorkstationTypes[recipe.station]?.name || recipe.station, bounds.x + bounds.width - 10, y + 3);
+            }
+            context.fillStyle = '#aaaaaa';
+            context.fillText(`${recipe.time}s`, bounds.x + bounds.width - 10, y + 18);
+            context.textAlign = 'left';
+        });
+        
+        // Fila
+        const queueY = bounds.y + bounds.height - 38;
+        const job = crafting.queue[0];
+        context.font = '10px monospace';
+        context.fillStyle = '#ffffff';
+        
+        if (job) {
+            const recipe = RecipeBook.getInstance().get(job.recipe);
+            const ratio = recipe ? 1 - job.remaining / recipe.time : 0;
+            
+            context.fillText(`Fabricando: ${database.get(recipe?.output.id)?.name || job.recipe} (fila ${crafting.queue.length}/${crafting.maxQueue})`, bounds.x + 10, queueY);
+            context.fillStyle = 'rgba(255, 255, 255, 0.15)';
+            context.fillRect(bounds.x + 10, queueY + 16, bounds.width - 20, 8);
+            context.fillStyle = '#e0c93c';
+            context.fillRect(bounds.x + 10, queueY + 16, (bounds.width - 20) * Math.max(0, Math.min(1, ratio)), 8);
+        } else {
+            const hint = this.hoveredRecipe ? crafting.canCraft(this.hoveredRecipe.id).reason : null;
+            context.fillStyle = hint ? '#e03c3c' : '#888888';
+            context.fillText(hint || 'Clique: fabricar | Shift: x5 | Direito: cancelar', bounds.x + 10, queueY + 8);
+        }
+    }
+}
+
+// ============================================================================
+// INTEGRAÇÃO COM O SISTEMA EXISTENTE
+// ============================================================================
+
+CraftingItemDefinitions.forEach(definition => {
+    AssetManifest.images[`icons/${definition.id}`] = {
+        src: `assets/icons/${definition.id}.png`,
+        width: 16,
+        height: 16,
+        placeholder: { color: definition.color, shape: 'circle' }
+    };
+});
+ItemDatabase.getInstance().register(CraftingItemDefinitions);
+AssetManifest.json['data/recipes'] = { src: 'assets/data/recipes.json', fallback: null };
+
+// Rochas também podem dar minério de ferro
+LootTableDatabase.getInstance().get('resource_rock').entries.push({ item: 'iron_ore', weight: 20 });
+
+/**
+ * Cria uma estação de trabalho (corpo estático na layer 'terrain')
+ */
+EntityManager.prototype.createWorkstation = function(config = {}) {
+    const type = WorkstationTypes[config.station] || WorkstationTypes.workbench;
+    const workstation = this.createEntity(type.name, 'workstation');
+    
+    workstation.addComponent(TransformComponent, {
+        position: config.position || { x: 0, y: 0 }
+    });
+    
+    workstation.addComponent(RenderComponent, {
+        color: type.color,
+        width: type.size,
+        height: type.size
+    });
+    
+    workstation.addComponent(ColliderComponent, {
+        type: 'circle',
+        radius: type.size / 2,
+        collisionLayer: 'terrain',
+        collidesWith: ['player', 'npc', 'creature']
+    });
+    
+    workstation.addComponent(WorkstationComponent, {
+        station: config.station || 'workbench',
+        range: config.range
+    });
+    
+    workstation.addTag('workstation');
+    workstation.addTag('terrain');
+    
+    return workstation;
+};
+
+const createPlayerWithoutCrafting = EntityManager.prototype.createPlayer;
+EntityManager.prototype.createPlayer = function(config = {}) {
+    const player = createPlayerWithoutCrafting.call(this, config);
+    player.addComponent(CraftingComponent, { ...config.crafting });
+    return player;
+};
+
+// Bancada e fornalha perto do início (criadas no jogo novo e nos saves antigos)
+const StartingWorkstations = [
+    { station: 'workbench', position: { x: -90, y: -40 } },
+    { station: 'furnace', position: { x: -90, y: 20 } }
+];
+
+// Save v12: receitas conhecidas, fila de crafting e estações salvas
+SaveConfig.VERSION = 12;
+SaveMigrations[11] = (data) => {
+    addComponentToSave(data, CraftingComponent, entityData => entityData.type === 'player' ? {} : null);
+    
+    return addEntitiesToSave(data, entityManager => {
+        StartingWorkstations.forEach(config => entityManager.createWorkstation(config));
+    });
+};
+
+// Novos itens no inventário podem revelar receitas
+GameEvents.on('inventory:changed', ({ entity }) => {
+    entity.getComponent('CraftingComponent')?.checkDiscoveries();
+});
+
+// Receitas de assets/data/recipes.json após o carregamento
+const preloadAssetsWithoutRecipes = GameEngine.prototype.preloadAssets;
+GameEngine.prototype.preloadAssets = async function() {
+    await preloadAssetsWithoutRecipes.call(this);
+    
+    const data = this.assets.getData('data/recipes');
+    if (data) {
+        const count = RecipeBook.getInstance().register(data);
+        console.log(`📜 ${count} receitas carregadas de assets/data/recipes.json`);
+    }
+};
+
+const initializeEntitiesWithoutCrafting = GameEngine.prototype.initializeEntities;
+GameEngine.prototype.initializeEntities = function() {
+    initializeEntitiesWithoutCrafting.call(this);
+    
+    if (!this.craftingUI) {
+        this.craftingUI = new CraftingUI(this);
+    }
+    
+    StartingWorkstations.forEach(config => this.entityManager.createWorkstation(config));
+};
+
+const updateWithoutCrafting = GameEngine.prototype.update;
+GameEngine.prototype.update = function(deltaTime) {
+    updateWithoutCrafting.call(this, deltaTime);
+    
+    this.craftingUI?.update(deltaTime);
+};
+
+const isMenuOpenWithoutCrafting = GameEngine.prototype.isMenuOpen;
+GameEngine.prototype.isMenuOpen = function() {
+    return isMenuOpenWithoutCrafting.call(this) || !!this.craftingUI?.open;
+};
+
+const renderUIWithoutCrafting = GameEngine.prototype.renderUI;
+GameEngine.prototype.renderUI = function() {
+    renderUIWithoutCrafting.call(this);
+    
+    this.craftingUI?.render(this.context);
+};
+
+ControlsHelp.push('O - Crafting');
+
+console.log('✅ Parte 15 - Crafting carregado!');
+console.log('📋 Comandos disponíveis:');
+console.log('  O - Menu de crafting');
+console.log('  game.player.getComponent(\'CraftingComponent\').discover(id) / craft(id)');
+console.log('  game.entityManager.createWorkstation({ station: \'workbench\' | \'furnace\', position })');
+
+// Exporta classes para uso em módulos futuros
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        WorkstationTypes,
+        CraftingItemDefinitions,
+        RecipeDefinitions,
+        RecipeBook,
+        WorkstationComponent,
+        CraftingComponent,
+        CraftingUI
+    };
+}
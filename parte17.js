@@ -0,0 +1,784 @@
+/**
+ * INFINITE RPG - PARTE 17: DIÁLOGOS
+ *
+ * Esta parte implementa:
+ * 1. Árvores de diálogo definidas por dados (padrão + assets/data/dialogues.json)
+ * 2. Escolhas com condições (inventário, flags, estado de missão)
+ * 3. Ações de diálogo (dar/tomar itens, flags, iniciar missões)
+ * 4. Caixa de texto com efeito de máquina de escrever e retrato
+ * 5. Tecla E conversa com o NPC mais próximo; a IA dele pausa durante a conversa
+ */
+
+// ============================================================================
+// ÁRVORES DE DIÁLOGO
+// ============================================================================
+
+/**
+ * Diálogos embutidos no jogo (formato JSON)
+ * assets/data/dialogues.json (mesmo formato) acrescenta ou substitui árvores
+ *
+ * - portrait: id da imagem do retrato (AssetManifest)
+ * - start: id do nó inicial, ou [{ node, conditions }] (o primeiro que passar)
+ * - nodes: { id: { text, speaker, actions, next, choices } }
+ *   - text aceita {npc} e {player}
+ *   - next: nó seguinte quando não há escolhas (null encerra)
+ *   - choices: [{ text, next, conditions, actions }]
+ * - conditions: [{ type, ..., not }] (tipos em DialogueConditions)
+ * - actions: [{ type, ... }] (tipos em DialogueActions)
+ */
+const DialogueDefinitions = {
+    villager: {
+        portrait: 'portraits/villager',
+        start: [
+            { node: 'welcome_back', conditions: [{ type: 'visited' }] },
+            { node: 'greeting' }
+        ],
+        nodes: {
+            greeting: {
+                text: 'Olá, viajante! Não vemos muitos forasteiros por aqui. Eu sou {npc}.',
+                next: 'menu'
+            },
+            welcome_back: {
+                text: 'De volta, {player}? Em que posso ajudar?',
+                next: 'menu'
+            },
+            menu: {
+                text: 'O que você gostaria de saber?',
+                choices: [
+                    { text: 'Que lugar é este?', next: 'about' },
+                    {
+                        text: 'Tem algo para um viajante?',
+                        next: 'gift',
+                        conditions: [{ type: 'flag', flag: 'villager_gift', not: true }],
+                        actions: [
+                            { type: 'giveItem', item: 'health_potion', quantity: 2 },
+                            { type: 'setFlag', flag: 'villager_gift' }
+                        ]
+                    },
+                    {
+                        text: 'Troco 5 ervas por uma poção.',
+                        next: 'trade_done',
+                        conditions: [{ type: 'hasItem', item: 'herb', quantity: 5 }],
+                        actions: [
+                            { type: 'takeItem', item: 'herb', quantity: 5 },
+                            { type: 'giveItem', item: 'health_potion', quantity: 1 }
+                        ]
+                    },
+                    { text: 'Até mais.', next: null }
+                ]
+            },
+            about: {
+                text: 'Uma terra sem fim. Dizem que quanto mais longe você vai, mais estranhas ficam as coisas. Cuidado com os goblins.',
+                next: 'menu'
+            },
+            gift: {
+                text: 'Tome estas poções. A estrada é perigosa.',
+                next: 'menu'
+            },
+            trade_done: {
+                text: 'Ótimas ervas! Aqui está sua poção.',
+                next: 'menu'
+            }
+        }
+    }
+};
+
+/**
+ * Registro de árvores de diálogo (singleton)
+ */
+class DialogueDatabase {
+    constructor() {
+        if (DialogueDatabase.instance) {
+            return DialogueDatabase.instance;
+        }
+        
+        this.dialogues = new Map();
+        this.register(DialogueDefinitions);
+        
+        DialogueDatabase.instance = this;
+    }
+    
+    static getInstance() {
+        if (!DialogueDatabase.instance) {
+            new DialogueDatabase();
+        }
+        return DialogueDatabase.instance;
+    }
+    
+    /**
+     * Registra árvores ({ id: árvore } ou { dialogues: { id: árvore } })
+     */
+    register(definitions) {
+        const entries = Object.entries((definitions && definitions.dialogues) || definitions || {});
+        
+        entries.forEach(([id, definition]) => {
+            if (!definition.nodes || !definition.start) {
+                console.warn(`⚠️ Diálogo sem nós ou início ignorado: ${id}`);
+                return;
+            }
+            
+            this.dialogues.set(id, { id, ...definition });
+        });
+        
+        return entries.length;
+    }
+    
+    get(id) {
+        return this.dialogues.get(id) || null;
+    }
+    
+    has(id) {
+        return this.dialogues.has(id);
+    }
+}
+
+// ============================================================================
+// CONDIÇÕES E AÇÕES
+// ============================================================================
+
+/**
+ * Condições: (condição, contexto) => boolean
+ * O contexto tem { player, npc, memory }; `not: true` inverte o resultado
+ */
+const DialogueConditions = {
+    hasItem: (condition, { player }) => {
+        const inventory = player.getComponent('InventoryComponent');
+        return !!inventory && inventory.hasItem(condition.item, condition.quantity || 1);
+    },
+    
+    flag: (condition, { memory }) => {
+        const value = memory?.getFlag(condition.flag);
+        return condition.value === undefined ? !!value : value === condition.value;
+    },
+    
+    // Já conversou com este NPC antes
+    visited: (condition, { npc }) => (npc.getComponent('DialogueComponent')?.visits || 0) > 0,
+    
+    level: (condition, { player }) => (player.getComponent('ExperienceComponent')?.level || 1) >= (condition.min || 1),
+    
+    // Estado de missão ('none', 'active', 'completed'...) no QuestLogComponent
+    quest: (condition, { player }) => {
+        const status = player.getComponent('QuestLogComponent')?.getStatus(condition.quest) || 'none';
+        return Array.isArray(condition.status) ? condition.status.includes(status) : status === condition.status;
+    }
+};
+
+/**
+ * Ações: (ação, contexto) => void
+ */
+const DialogueActions = {
+    giveItem: (action, { player }) => {
+        const quantity = action.quantity || 1;
+        const inventory = player.getComponent('InventoryComponent');
+        const leftover = inventory ? inventory.addItem(action.item, quantity) : quantity;
+        
+        if (leftover > 0) {
+            EntityManager.getInstance().createItem({
+                itemId: action.item,
+                quantity: leftover,
+                position: { ...player.getComponent('TransformComponent').position },
+                pickupDelay: 1.5
+            });
+        }
+    },
+    
+    takeItem: (action, { player }) => {
+        player.getComponent('InventoryComponent')?.removeItem(action.item, action.quantity || 1);
+    },
+    
+    setFlag: (action, { memory }) => {
+        memory?.setFlag(action.flag, action.value === undefined ? true : action.value);
+    },
+    
+    startQuest: (action, { player, npc }) => {
+        const questLog = player.getComponent('QuestLogComponent');
+        if (!questLog) {
+            console.warn(`⚠️ Sem registro de missões para iniciar: ${action.quest}`);
+            return;
+        }
+        questLog.start(action.quest, { giver: npc });
+    }
+};
+
+/**
+ * Avalia uma lista de condições (todas precisam passar)
+ */
+function checkDialogueConditions(conditions, context) {
+    return (conditions || []).every(condition => {
+        const check = DialogueConditions[condition.type];
+        if (!check) {
+            console.warn(`⚠️ Condição de diálogo desconhecida: ${condition.type}`);
+            return false;
+        }
+        return !!check(condition, context) !== !!condition.not;
+    });
+}
+
+/**
+ * Executa uma lista de ações
+ */
+function runDialogueActions(actions, context) {
+    (actions || []).forEach(action => {
+        const run = DialogueActions[action.type];
+        if (!run) {
+            console.warn(`⚠️ Ação de diálogo desconhecida: ${action.type}`);
+            return;
+        }
+        run(action, context);
+        GameEvents.emit('dialogue:action', { npc: context.npc, action });
+    });
+}
+
+// ============================================================================
+// COMPONENTES
+// ============================================================================
+
+/**
+ * Componente Dialogue - Árvore de diálogo de um NPC
+ */
+class DialogueComponent extends Component {
+    initialize(config) {
+        this.dialogue = config.dialogue || 'villager';
+        this.portrait = config.portrait || null; // Sobrepõe o retrato da árvore
+        this.visits = config.visits || 0;
+        this.talking = false;
+    }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            dialogue: this.dialogue,
+            portrait: this.portrait,
+            visits: this.visits
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        this.dialogue = data.dialogue;
+        this.portrait = data.portrait;
+        this.visits = data.visits;
+    }
+}
+
+/**
+ * Componente DialogueMemory - Flags de conversa do jogador
+ */
+class DialogueMemoryComponent extends Component {
+    initialize(config) {
+        this.flags = { ...config.flags };
+    }
+    
+    getFlag(flag) {
+        return this.flags[flag];
+    }
+    
+    setFlag(flag, value = true) {
+        this.flags[flag] = value;
+    }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            flags: { ...this.flags }
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        this.flags = { ...data.flags };
+    }
+}
+
+[DialogueComponent, DialogueMemoryComponent].forEach(componentType => Component.register(componentType));
+
+// ============================================================================
+// INTERFACE DE DIÁLOGO
+// ============================================================================
+
+/**
+ * Conversa ativa e caixa de texto (máquina de escrever + retrato)
+ * E/Espaço/clique: completa o texto ou avança | 1-9 ou clique: escolhe | Esc: encerra
+ */
+class DialogueUI {
+    constructor(game) {
+        this.game = game;
+        this.npc = null;
+        this.tree = null;
+        this.node = null;
+        this.choices = [];       // Escolhas visíveis do nó atual
+        this.text = '';
+        this.visibleChars = 0;
+        this.charsPerSecond = 45;
+        this.hoveredChoice = -1;
+        
+        this.bindEvents();
+    }
+    
+    get open() {
+        return !!this.node;
+    }
+    
+    bindEvents() {
+        document.addEventListener('keydown', (e) => {
+            if (e.key.toLowerCase() === 'escape') this.end();
+        });
+        
+        document.addEventListener('mousedown', (e) => {
+            if (!this.open || e.button !== 0) return;
+            
+            const mouse = this.game.inputManager.mouse;
+            const choice = this.getChoiceAt(mouse.x, mouse.y);
+            if (choice !== -1 && this.isTextComplete()) {
+                this.choose(choice);
+            } else if (this.isInside(mouse.x, mouse.y)) {
+                this.advance();
+            }
+        });
+    }
+    
+    getContext() {
+        const player = this.game.entityManager.getPlayer();
+        return {
+            player,
+            npc: this.npc,
+            memory: player?.getComponent('DialogueMemoryComponent') || null
+        };
+    }
+    
+    /**
+     * Inicia a conversa com um NPC
+     */
+    start(npc) {
+        const dialogue = npc.getComponent('DialogueComponent');
+        const tree = DialogueDatabase.getInstance().get(dialogue?.dialogue);
+        if (!tree) {
+            console.warn(`⚠️ Diálogo não encontrado: ${dialogue?.dialogue}`);
+            return false;
+        }
+        
+        this.npc = npc;
+        this.tree = tree;
+        dialogue.talking = true;
+        npc.getComponent('PhysicsComponent')?.stop();
+        
+        const start = Array.isArray(tree.start)
+            ? tree.start.find(entry => checkDialogueConditions(entry.conditions, this.getContext()))?.node
+            : tree.start;
+        
+        GameEvents.emit('dialogue:started', { npc, dialogue: tree.id });
+        this.goTo(start);
+        return true;
+    }
+    
+    /**
+     * Encerra a conversa e devolve a IA ao NPC
+     */
+    end() {
+        if (!this.npc) return;
+        
+        const npc = this.npc;
+        const dialogue = npc.getComponent('DialogueComponent');
+        if (dialogue) {
+            dialogue.talking = false;
+            dialogue.visits++;
+        }
+        
+        this.npc = null;
+        this.tree = null;
+        this.node = null;
+        this.choices = [];
+        
+        GameEvents.emit('dialogue:ended', { npc });
+    }
+    
+    /**
+     * Vai para um nó (null ou inexistente encerra)
+     */
+    goTo(nodeId) {
+        const node = nodeId ? this.tree.nodes[nodeId] : null;
+        if (!node) {
+            this.end();
+            return;
+        }
+        
+        const context = this.getContext();
+        this.node = node;
+        this.nodeId = nodeId;
+        
+        runDialogueActions(node.actions, context);
+        
+        this.choices = (node.choices || []).filter(choice => checkDialogueConditions(choice.conditions, context));
+        this.text = this.format(node.text || '');
+        this.visibleChars = 0;
+        
+        GameEvents.emit('dialogue:node', { npc: this.npc, dialogue: this.tree.id, node: nodeId });
+    }
+    
+    /**
+     * Substitui {npc} e {player}
+     */
+    format(text) {
+        return text
+            .replace(/\{npc\}/g, this.npc?.name || '')
+            .replace(/\{player\}/g, this.game.entityManager.getPlayer()?.name || '');
+    }
+    
+    isTextComplete() {
+        return this.visibleChars >= this.text.length;
+    }
+    
+    /**
+     * Completa o texto; se já completo e sem escolhas, segue para `next`
+     */
+    advance() {
+        if (!this.open) return;
+        
+        if (!this.isTextComplete()) {
+            this.visibleChars = this.text.length;
+        } else if (this.choices.length === 0) {
+            this.goTo(this.node.next);
+        }
+    }
+    
+    choose(index) {
+        const choice = this.choices[index];
+        if (!choice || !this.isTextComplete()) return;
+        
+        // A escolha pode ter deixado de valer (ex.: itens gastos)
+        const context = this.getContext();
+        if (!checkDialogueConditions(choice.conditions, context)) return;
+        
+        runDialogueActions(choice.actions, context);
+        GameEvents.emit('dialogue:choice', { npc: this.npc, dialogue: this.tree.id, node: this.nodeId, choice: index });
+        this.goTo(choice.next);
+    }
+    
+    update(deltaTime) {
+        if (!this.open) return;
+        
+        // NPC morto ou longe demais encerra a conversa
+        const player = this.game.entityManager.getPlayer();
+        const transform = player?.getComponent('TransformComponent');
+        const npcTransform = this.npc.getComponent('TransformComponent');
+        
+        if (!this.npc.active || this.npc.getComponent('HealthComponent')?.dead || !transform || !npcTransform ||
+            Math.hypot(npcTransform.position.x - transform.position.x,
+                       npcTransform.position.y - transform.position.y) > 128) {
+            this.end();
+            return;
+        }
+        
+        this.visibleChars = Math.min(this.text.length, this.visibleChars + this.charsPerSecond * deltaTime);
+    }
+    
+    getBounds() {
+        const width = Math.min(this.game.canvas.width - 40, 680);
+        const height = 130 + this.choices.length * 18;
+        
+        return {
+            x: Math.floor((this.game.canvas.width - width) / 2),
+            y: this.game.canvas.height - height - 20,
+            width,
+            height
+        };
+    }
+    
+    isInside(screenX, screenY) {
+        const bounds = this.getBounds();
+        return screenX >= bounds.x && screenX <= bounds.x + bounds.width &&
+               screenY >= bounds.y && screenY <= bounds.y + bounds.height;
+    }
+    
+    /**
+     * Índice da escolha sob a posição de tela (ou -1)
+     */
+    getChoiceAt(screenX, screenY) {
+        if (!this.isInside(screenX, screenY)) return -1;
+        
+        const bounds = this.getBounds();
+        const index = Math.floor((screenY - (bounds.y + bounds.height - 12 - this.choices.length * 18)) / 18);
+        return index >= 0 && index < this.choices.length ? index : -1;
+    }
+    
+    /**
+     * Quebra o texto em linhas que cabem na largura
+     */
+    wrap(context, text, width) {
+        const lines = [];
+        let line = '';
+        
+        text.split(' ').forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (context.measureText(candidate).width > width && line) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        
+        if (line) lines.push(line);
+        return lines;
+    }
+    
+    render(context) {
+        if (!this.open) return;
+        
+        const bounds = this.getBounds();
+        const mouse = this.game.inputManager.mouse;
+        this.hoveredChoice = this.isTextComplete() ? this.getChoiceAt(mouse.x, mouse.y) : -1;
+        
+        context.save();
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        
+        context.fillStyle = 'rgba(10, 10, 20, 0.9)';
+        context.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        context.strokeStyle = '#aaaaaa';
+        context.lineWidth = 1;
+        context.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        
+        // Retrato (textura ou cor do NPC)
+        const portraitSize = 80;
+        const portraitX = bounds.x + 12;
+        const portraitY = bounds.y + 12;
+        const portrait = this.npc.getComponent('DialogueComponent')?.portrait || this.tree.portrait;
+        
+        if (portrait && this.game.assets) {
+            this.game.assets.drawFrame(context, portrait, portraitX, portraitY, portraitSize, portraitSize);
+        } else {
+            context.fillStyle = this.npc.getComponent('RenderComponent')?.color || '#33aaff';
+            context.fillRect(portraitX, portraitY, portraitSize, portraitSize);
+        }
+        context.strokeStyle = '#ffffff';
+        context.strokeRect(portraitX, portraitY, portraitSize, portraitSize);
+        
+        // Nome e texto
+        const textX = portraitX + portraitSize + 14;
+        const textWidth = bounds.x + bounds.width - textX - 12;
+        
+        context.textAlign = 'left';
+        context.textBaseline = 'top';
+        context.fillStyle = '#ffd700';
+        context.font = 'bold 13px monospace';
+        context.fillText(this.format(this.node.speaker || '{npc}'), textX, bounds.y + 12);
+        
+        context.fillStyle = '#ffffff';
+        context.font = '12px monospace';
+        this.wrap(context, this.text.slice(0, Math.floor(this.visibleChars)), textWidth)
+            .forEach((line, index) => context.fillText(line, textX, bounds.y + 34 + index * 16));
+        
+        // Escolhas (depois que o texto termina)
+        if (this.isTextComplete()) {
+            const choicesY = bounds.y + bounds.height - 12 - this.choices.length * 18;
+            
+            this.choices.forEach((choice, index) => {
+                context.fillStyle = index === this.hoveredChoice ? '#ffd700' : '#cccccc';
+                context.fillText(`${index + 1}. ${this.format(choice.text)}`, textX, choicesY + index * 18);
+            });
+            
+            if (this.choices.length === 0) {
+                const key = this.game.inputManager.getActionKeys('interact').join('/').toUpperCase();
+                context.fillStyle = '#888888';
+                context.font = '10px monospace';
+                context.textAlign = 'right';
+                context.fillText(`[${key}] continuar`, bounds.x + bounds.width - 12, bounds.y + bounds.height - 20);
+            }
+        }
+        
+        context.restore();
+    }
+}
+
+// ============================================================================
+// INTEGRAÇÃO COM O SISTEMA EXISTENTE
+// ============================================================================
+
+AssetManifest.images['portraits/villager'] = {
+    src: 'assets/portraits/villager.png',
+    width: 64,
+    height: 64,
+    placeholder: { color: '#33aaff' }
+};
+
+AssetManifest.json['data/dialogues'] = { src: 'assets/data/dialogues.json', fallback: null };
+
+// NPCs conversam (config.dialogue escolhe a árvore); jogador guarda as flags
+const createNPCWithoutDialogue = EntityManager.prototype.createNPC;
+EntityManager.prototype.createNPC = function(config = {}) {
+    const npc = createNPCWithoutDialogue.call(this, config);
+    
+    if (config.dialogue !== false) {
+        npc.addComponent(DialogueComponent, { dialogue: config.dialogue, portrait: config.portrait });
+    }
+    
+    return npc;
+};
+
+const createPlayerWithoutDialogue = EntityManager.prototype.createPlayer;
+EntityManager.prototype.createPlayer = function(config = {}) {
+    const player = createPlayerWithoutDialogue.call(this, config);
+    player.addComponent(DialogueMemoryComponent, { ...config.dialogueMemory });
+    return player;
+};
+
+// Save v14: diálogos dos NPCs e flags de conversa do jogador salvos
+SaveConfig.VERSION = 14;
+SaveMigrations[13] = (data) => {
+    addComponentToSave(data, DialogueComponent, entityData => entityData.type === 'npc' ? {} : null);
+    return addComponentToSave(data, DialogueMemoryComponent, entityData => entityData.type === 'player' ? {} : null);
+};
+
+// NPC em conversa fica parado
+const updateAIWithoutDialogue = AIComponent.prototype.update;
+AIComponent.prototype.update = function(deltaTime) {
+    if (this.entity.getComponent('DialogueComponent')?.talking) {
+        this.entity.getComponent('PhysicsComponent')?.stop();
+        return;
+    }
+    
+    updateAIWithoutDialogue.call(this, deltaTime);
+};
+
+// Diálogos de assets/data/dialogues.json após o carregamento
+const preloadAssetsWithoutDialogues = GameEngine.prototype.preloadAssets;
+GameEngine.prototype.preloadAssets = async function() {
+    await preloadAssetsWithoutDialogues.call(this);
+    
+    const data = this.assets.getData('data/dialogues');
+    if (data) {
+        const count = DialogueDatabase.getInstance().register(data);
+        console.log(`💬 ${count} diálogos carregados de assets/data/dialogues.json`);
+    }
+};
+
+/**
+ * NPC com diálogo mais próximo do jogador, dentro do alcance
+ */
+EntityManager.prototype.findNearestTalker = function(position, reach = 64) {
+    let best = null;
+    let bestDistance = reach;
+    
+    this.getEntitiesByTag('npc').forEach(npc => {
+        const transform = npc.getComponent('TransformComponent');
+        if (!npc.active || !transform || !npc.getComponent('DialogueComponent') ||
+            npc.getComponent('HealthComponent')?.dead) return;
+        
+        const distance = Math.hypot(transform.position.x - position.x, transform.position.y - position.y);
+        if (distance <= bestDistance) {
+            best = npc;
+            bestDistance = distance;
+        }
+    });
+    
+    return best;
+};
+
+const initializeEntitiesWithoutDialogue = GameEngine.prototype.initializeEntities;
+GameEngine.prototype.initializeEntities = function() {
+    initializeEntitiesWithoutDialogue.call(this);
+    
+    if (!this.dialogueUI) {
+        this.dialogueUI = new DialogueUI(this);
+    }
+};
+
+const updateWithoutDialogue = GameEngine.prototype.update;
+GameEngine.prototype.update = function(deltaTime) {
+    updateWithoutDialogue.call(this, deltaTime);
+    this.dialogueUI?.update(deltaTime);
+};
+
+const isMenuOpenWithoutDialogue = GameEngine.prototype.isMenuOpen;
+GameEngine.prototype.isMenuOpen = function() {
+    return isMenuOpenWithoutDialogue.call(this) || !!this.dialogueUI?.open;
+};
+
+// Durante a conversa o jogador fica parado; E conversa com o NPC mais próximo
+// (antes de portas e baús, que recebem a tecla só se não houver NPC)
+const processPlayerInputWithoutDialogue = GameEngine.prototype.processPlayerInput;
+GameEngine.prototype.processPlayerInput = function() {
+    const input = this.inputManager;
+    const player = this.entityManager.getPlayer();
+    
+    if (this.dialogueUI?.open) {
+        player?.getComponent('PhysicsComponent')?.stop();
+        
+        if (input.isActionPressed('interact') || input.isKeyPressed(' ')) {
+            this.dialogueUI.advance();
+        }
+        
+        for (let i = 0; i < 9; i++) {
+            if (input.isKeyPressed(String(i + 1))) {
+                this.dialogueUI.choose(i);
+                break;
+            }
+        }
+        return;
+    }
+    
+    if (player && this.dialogueUI && input.isActionPressed('interact') && !this.isMenuOpen()) {
+        const npc = this.entityManager.findNearestTalker(player.getComponent('TransformComponent').position);
+        
+        if (npc && this.dialogueUI.start(npc)) {
+            input.getActionKeys('interact').forEach(key => input.pressedKeys.delete(key));
+        }
+    }
+    
+    processPlayerInputWithoutDialogue.call(this);
+};
+
+// Dica de conversa acima da barra de habilidades
+const renderUIWithoutDialogue = GameEngine.prototype.renderUI;
+GameEngine.prototype.renderUI = function() {
+    renderUIWithoutDialogue.call(this);
+    
+    this.dialogueUI?.render(this.context);
+    
+    const player = this.entityManager.getPlayer();
+    if (!player || this.isMenuOpen()) return;
+    
+    const npc = this.entityManager.findNearestTalker(player.getComponent('TransformComponent').position);
+    if (!npc) return;
+    
+    const key = this.inputManager.getActionKeys('interact').join('/').toUpperCase();
+    const text = `[${key}] Conversar com ${npc.name}`;
+    
+    const context = this.context;
+    context.save();
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.font = '12px monospace';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    
+    const width = context.measureText(text).width + 16;
+    const x = this.canvas.width / 2;
+    const y = this.canvas.height - 94;
+    
+    context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    context.fillRect(x - width / 2, y - 10, width, 20);
+    context.fillStyle = '#ffffff';
+    context.fillText(text, x, y);
+    context.restore();
+};
+
+console.log('✅ Parte 17 - Diálogos carregado!');
+console.log('📋 Comandos disponíveis:');
+console.log('  E - Conversar com o NPC mais próximo (1-9 escolhe, Esc encerra)');
+console.log('  DialogueDatabase.getInstance().register({ id: { start, nodes } })');
+console.log('  DialogueConditions / DialogueActions - tipos de condição e ação');
+
+// Exporta classes para uso em módulos futuros
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DialogueDefinitions,
+        DialogueDatabase,
+        DialogueConditions,
+        DialogueActions,
+        checkDialogueConditions,
+        runDialogueActions,
+        DialogueComponent,
+        DialogueMemoryComponent,
+        DialogueUI
+    };
+}
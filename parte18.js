@@ -0,0 +1,892 @@
+/**
+ * INFINITE RPG - PARTE 18: MISSÕES
+ *
+ * Esta parte implementa:
+ * 1. Missões definidas por dados (padrão + assets/data/quests.json)
+ * 2. Objetivos: matar, coletar, alcançar local/bioma, conversar e escoltar
+ * 3. QuestLogComponent: progresso guiado por eventos, recompensas e saves
+ * 4. NPCs oferecem e recebem missões pelo diálogo (marcadores ! e ?)
+ * 5. Rastreador na tela e diário de missões (tecla J)
+ */
+
+// ============================================================================
+// MISSÕES
+// ============================================================================
+
+/**
+ * Missões embutidas no jogo (formato JSON)
+ * assets/data/quests.json (mesmo formato) acrescenta ou substitui missões
+ *
+ * - giver: id do diálogo dos NPCs que oferecem a missão
+ * - requires: missões que precisam estar concluídas antes
+ * - turnIn: objetivos prontos só concluem ao falar com quem deu a missão
+ * - objectives:
+ *   - { type: 'kill', target, count }          alvo: 'creature' ou prefixo do nome
+ *   - { type: 'collect', item, count, consume } consume: entrega os itens
+ *   - { type: 'reach', position, radius } ou { type: 'reach', biome }
+ *   - { type: 'talk', npc }                     nome do NPC ou id do diálogo
+ *   - { type: 'escort', npc, destination, radius }
+ * - rewards: { experience, items: [{ id, quantity }] }
+ */
+const QuestDefinitions = [
+    {
+        id: 'goblin_hunt',
+        name: 'Caçada aos Goblins',
+        description: 'Os goblins estão rondando a vila. Derrote três deles.',
+        giver: 'villager',
+        turnIn: true,
+        objectives: [
+            { type: 'kill', target: 'goblin', count: 3, description: 'Derrote goblins' }
+        ],
+        rewards: { experience: 150, items: [{ id: 'health_potion', quantity: 2 }] }
+    },
+    {
+        id: 'herbalist',
+        name: 'Ervas Medicinais',
+        description: 'Junte ervas para as poções da vila.',
+        giver: 'villager',
+        turnIn: true,
+        objectives: [
+            { type: 'collect', item: 'herb', count: 8, consume: true, description: 'Colete ervas' }
+        ],
+        rewards: { experience: 80, items: [{ id: 'iron_ingot', quantity: 2 }] }
+    },
+    {
+        id: 'message',
+        name: 'Recado',
+        description: 'Leve um recado ao Villager 3.',
+        giver: 'villager',
+        objectives: [
+            { type: 'talk', npc: 'Villager 3', description: 'Fale com Villager 3' }
+        ],
+        rewards: { experience: 40 }
+    },
+    {
+        id: 'desert_expedition',
+        name: 'Expedição ao Deserto',
+        description: 'Dizem que há ruínas nas areias. Encontre o deserto.',
+        giver: 'villager',
+        requires: ['goblin_hunt'],
+        objectives: [
+            { type: 'reach', biome: 'desert', description: 'Chegue ao deserto' }
+        ],
+        rewards: { experience: 120 }
+    },
+    {
+        id: 'escort_villager',
+        name: 'Companhia na Estrada',
+        description: 'Acompanhe o Villager 2 até o acampamento ao sul.',
+        giver: 'villager',
+        requires: ['message'],
+        objectives: [
+            { type: 'escort', npc: 'Villager 2', destination: { x: 0, y: 640 }, radius: 96, description: 'Escolte Villager 2' }
+        ],
+        rewards: { experience: 100, items: [{ id: 'swift_ring', quantity: 1 }] }
+    }
+];
+
+/**
+ * Registro de missões (singleton)
+ */
+class QuestDatabase {
+    constructor() {
+        if (QuestDatabase.instance) {
+            return QuestDatabase.instance;
+        }
+        
+        this.quests = new Map();
+        this.register(QuestDefinitions);
+        
+        QuestDatabase.instance = this;
+    }
+    
+    static getInstance() {
+        if (!QuestDatabase.instance) {
+            new QuestDatabase();
+        }
+        return QuestDatabase.instance;
+    }
+    
+    /**
+     * Registra missões (array ou { quests: [...] }), preenchendo padrões
+     */
+    register(definitions) {
+        const list = Array.isArray(definitions) ? definitions : (definitions && definitions.quests) || [];
+        
+        list.forEach(definition => {
+            if (!definition.id || !Array.isArray(definition.objectives)) {
+                console.warn('⚠️ Missão sem id ou objetivos ignorada:', definition);
+                return;
+            }
+            
+            this.quests.set(definition.id, {
+                description: '',
+                giver: null,
+                requires: [],
+                turnIn: false,
+                rewards: {},
+                ...definition
+            });
+        });
+        
+        return list.length;
+    }
+    
+    get(id) {
+        return this.quests.get(id) || null;
+    }
+    
+    getAll() {
+        return [...this.quests.values()];
+    }
+    
+    getByGiver(dialogueId) {
+        return this.getAll().filter(quest => quest.giver === dialogueId);
+    }
+}
+
+/**
+ * O NPC corresponde ao alvo (nome exato ou id do diálogo)?
+ */
+function matchesQuestNPC(npc, target) {
+    return npc.name === target || npc.getComponent('DialogueComponent')?.dialogue === target;
+}
+
+/**
+ * A criatura corresponde ao alvo ('creature' ou prefixo do nome)?
+ */
+function matchesQuestTarget(entity, target) {
+    if (target === 'creature') return entity.type === 'creature';
+    return entity.name.toLowerCase().startsWith(target.toLowerCase());
+}
+
+// ============================================================================
+// QUEST LOG COMPONENT
+// ============================================================================
+
+/**
+ * Componente QuestLog - Missões do jogador
+ * Estados: 'none' (não iniciada), 'active', 'ready' (aguardando entrega),
+ * 'completed' e 'failed'
+ */
+class QuestLogComponent extends Component {
+    initialize(config) {
+        this.quests = new Map(); // id -> { id, status, progress: [], giver (id do NPC), escort }
+        this.tracked = config.tracked || null;
+        
+        this.checkInterval = 0.5; // segundos (objetivos de posição)
+        this.checkTimer = 0;
+    }
+    
+    getStatus(questId) {
+        return this.quests.get(questId)?.status || 'none';
+    }
+    
+    getQuests(status) {
+        return [...this.quests.values()].filter(quest => !status || quest.status === status);
+    }
+    
+    canStart(questId) {
+        const definition = QuestDatabase.getInstance().get(questId);
+        return !!definition && this.getStatus(questId) === 'none' &&
+               definition.requires.every(required => this.getStatus(required) === 'completed');
+    }
+    
+    /**
+     * Aceita uma missão
+     * @param {Object} options - { giver } entidade que ofereceu
+     */
+    start(questId, options = {}) {
+        if (!this.canStart(questId)) return false;
+        
+        const definition = QuestDatabase.getInstance().get(questId);
+        const quest = {
+            id: questId,
+            status: 'active',
+            progress: definition.objectives.map(() => 0),
+            giver: options.giver?.id || null,
+            escort: null
+        };
+        this.quests.set(questId, quest);
+        
+        // Escoltado passa a seguir o jogador
+        definition.objectives.forEach(objective => {
+            if (objective.type !== 'escort') return;
+            
+            const npc = EntityManager.getInstance().getEntitiesByTag('npc').find(entity => matchesQuestNPC(entity, objective.npc));
+            const ai = npc?.getComponent('AIComponent');
+            if (ai) {
+                quest.escort = { id: npc.id, behavior: ai.behavior };
+                ai.behavior = 'friendly';
+            }
+        });
+        
+        if (!this.tracked) this.tracked = questId;
+        
+        GameEvents.emit('quest:started', { entity: this.entity, quest: questId });
+        
+        this.refresh(quest);
+        return true;
+    }
+    
+    /**
+     * Conta um evento para os objetivos do tipo nas missões ativas
+     * @param {string} type - 'kill', 'talk'...
+     * @param {Function} matches - (objetivo) => boolean
+     */
+    notify(type, matches) {
+        this.getQuests().forEach(quest => {
+            if (quest.status !== 'active' && quest.status !== 'ready') return;
+            
+            const definition = QuestDatabase.getInstance().get(quest.id);
+            let changed = false;
+            
+            definition?.objectives.forEach((objective, index) => {
+                const required = objective.count || 1;
+                if (objective.type === type && quest.progress[index] < required && matches(objective)) {
+                    quest.progress[index]++;
+                    changed = true;
+                }
+            });
+            
+            if (changed) {
+                GameEvents.emit('quest:progress', { entity: this.entity, quest: quest.id });
+                this.refresh(quest);
+            }
+        });
+    }
+    
+    /**
+     * Recalcula objetivos de estado (itens, posição, escolta) e a conclusão
+     */
+    refresh(quest) {
+        const definition = QuestDatabase.getInstance().get(quest.id);
+        if (!definition || (quest.status !== 'active' && quest.status !== 'ready')) return;
+        
+        const inventory = this.entity.getComponent('InventoryComponent');
+        const transform = this.entity.getComponent('TransformComponent');
+        const world = EntityManager.getInstance().world;
+        
+        definition.objectives.forEach((objective, index) => {
+            if (objective.type === 'collect') {
+                quest.progress[index] = Math.min(objective.count || 1, inventory ? inventory.countItem(objective.item) : 0);
+            } else if (objective.type === 'reach' && transform && quest.progress[index] < 1) {
+                const position = transform.position;
+                const reached = objective.biome
+                    ? world?.getBiomeAt(position.x, position.y) === objective.biome
+                    : Math.hypot(position.x - objective.position.x, position.y - objective.position.y) <= (objective.radius || 64);
+                if (reached) quest.progress[index] = 1;
+            } else if (objective.type === 'escort' && quest.progress[index] < 1) {
+                this.refreshEscort(quest, objective, index);
+            }
+        });
+        
+        if (quest.status === 'failed') return;
+        
+        const done = definition.objectives.every((objective, index) => quest.progress[index] >= (objective.count || 1));
+        
+        if (done && quest.status === 'active') {
+            if (definition.turnIn) {
+                quest.status = 'ready';
+                GameEvents.emit('quest:ready', { entity: this.entity, quest: quest.id });
+            } else {
+                this.complete(quest.id);
+            }
+        } else if (!done && quest.status === 'ready') {
+            // Ex.: itens de coleta usados antes da entrega
+            quest.status = 'active';
+        }
+    }
+    
+    refreshEscort(quest, objective, index) {
+        const npc = quest.escort && EntityManager.getInstance().entities.get(quest.escort.id);
+        
+        if (!npc || !npc.active || npc.getComponent('HealthComponent')?.dead) {
+            this.fail(quest.id);
+            return;
+        }
+        
+        const position = npc.getComponent('TransformComponent').position;
+        const destination = objective.destination;
+        
+        if (Math.hypot(position.x - destination.x, position.y - destination.y) <= (objective.radius || 64)) {
+            quest.progress[index] = 1;
+            this.releaseEscort(quest);
+        }
+    }
+    
+    /**
+     * Devolve o comportamento original ao NPC escoltado
+     */
+    releaseEscort(quest) {
+        if (!quest.escort) return;
+        
+        const ai = EntityManager.getInstance().entities.get(quest.escort.id)?.getComponent('AIComponent');
+        if (ai) ai.behavior = quest.escort.behavior;
+        quest.escort = null;
+    }
+    
+    /**
+     * Entrega uma missão pronta
+     */
+    turnIn(questId) {
+        const quest = this.quests.get(questId);
+        if (!quest || quest.status !== 'ready') return false;
+        
+        // Confere de novo (itens podem ter saído do inventário)
+        this.refresh(quest);
+        if (quest.status !== 'ready') return false;
+        
+        return this.complete(questId);
+    }
+    
+    complete(questId) {
+        const quest = this.quests.get(questId);
+        const definition = QuestDatabase.getInstance().get(questId);
+        if (!quest || !definition) return false;
+        
+        const inventory = this.entity.getComponent('InventoryComponent');
+        definition.objectives.forEach(objective => {
+            if (objective.type === 'collect' && objective.consume) {
+                inventory?.removeItem(objective.item, objective.count || 1);
+            }
+        });
+        
+        this.releaseEscort(quest);
+        quest.status = 'completed';
+        this.giveRewards(definition.rewards);
+        
+        if (this.tracked === questId) {
+            this.tracked = this.getQuests().find(other => other.status === 'active' || other.status === 'ready')?.id || null;
+        }
+        
+        GameEvents.emit('quest:completed', { entity: this.entity, quest: questId });
+        return true;
+    }
+    
+    fail(questId) {
+        const quest = this.quests.get(questId);
+        if (!quest) return false;
+        
+        this.releaseEscort(quest);
+        quest.status = 'failed';
+        
+        GameEvents.emit('quest:failed', { entity: this.entity, quest: questId });
+        return true;
+    }
+    
+    /**
+     * Desiste da missão (pode ser aceita de novo)
+     */
+    abandon(questId) {
+        const quest = this.quests.get(questId);
+        if (!quest || quest.status === 'completed') return false;
+        
+        this.releaseEscort(quest);
+        this.quests.delete(questId);
+        if (this.tracked === questId) this.tracked = null;
+        return true;
+    }
+    
+    giveRewards(rewards = {}) {
+        if (rewards.experience) {
+            this.entity.getComponent('ExperienceComponent')?.addExperience(rewards.experience);
+        }
+        
+        (rewards.items || []).forEach(item => {
+            DialogueActions.giveItem({ item: item.id, quantity: item.quantity }, { player: this.entity });
+        });
+    }
+    
+    update(deltaTime) {
+        this.checkTimer -= deltaTime;
+        if (this.checkTimer > 0) return;
+        this.checkTimer = this.checkInterval;
+        
+        this.getQuests().forEach(quest => this.refresh(quest));
+    }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            quests: this.getQuests().map(quest => ({
+                ...quest,
+                progress: [...quest.progress],
+                escort: quest.escort ? { ...quest.escort } : null
+            })),
+            tracked: this.tracked
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        this.quests = new Map(data.quests.map(quest => [quest.id, {
+            ...quest,
+            progress: [...quest.progress],
+            escort: quest.escort ? { ...quest.escort } : null
+        }]));
+        this.tracked = data.tracked;
+    }
+}
+
+Component.register(QuestLogComponent);
+
+// ============================================================================
+// DIÁRIO E RASTREADOR
+// ============================================================================
+
+/**
+ * Diário de missões (J) e rastreador da missão acompanhada
+ * Clique numa missão do diário: acompanhar | clique direito: desistir
+ */
+class QuestJournalUI {
+    constructor(game) {
+        this.game = game;
+        this.open = false;
+        this.width = 560;
+        this.rowHeight = 22;
+        this.selected = null;
+        
+        // Avisos de missão
+        this.notifications = [];
+        const notify = (text) => this.notifications.push({ text, timer: 3 });
+        const name = (quest) => QuestDatabase.getInstance().get(quest)?.name || quest;
+        
+        GameEvents.on('quest:started', ({ quest }) => notify(`📜 Missão aceita: ${name(quest)}`));
+        GameEvents.on('quest:ready', ({ quest }) => notify(`❔ Pronta para entregar: ${name(quest)}`));
+        GameEvents.on('quest:completed', ({ quest }) => notify(`🏆 Missão concluída: ${name(quest)}`));
+        GameEvents.on('quest:failed', ({ quest }) => notify(`❌ Missão falhou: ${name(quest)}`));
+        
+        this.bindEvents();
+    }
+    
+    bindEvents() {
+        document.addEventListener('keydown', (e) => {
+            const key = e.key.toLowerCase();
+            
+            if (key === 'j') {
+                this.open = !this.open;
+            } else if (key === 'escape') {
+                this.open = false;
+            }
+        });
+        
+        document.addEventListener('mousedown', (e) => {
+            if (!this.open) return;
+            
+            const questLog = this.getQuestLog();
+            const mouse = this.game.inputManager.mouse;
+            const quest = this.getQuestAt(mouse.x, mouse.y);
+            if (!questLog || !quest) return;
+            
+            if (e.button === 0) {
+                this.selected = quest.id;
+                if (quest.status === 'active' || quest.status === 'ready') questLog.tracked = quest.id;
+            } else if (e.button === 2) {
+                questLog.abandon(quest.id);
+            }
+        });
+    }
+    
+    getQuestLog() {
+        return this.game.entityManager.getPlayer()?.getComponent('QuestLogComponent') || null;
+    }
+    
+    /**
+     * Missões do diário: em andamento primeiro, depois concluídas/falhas
+     */
+    getEntries() {
+        const questLog = this.getQuestLog();
+        if (!questLog) return [];
+        
+        const order = { ready: 0, active: 1, failed: 2, completed: 3 };
+        return questLog.getQuests().sort((a, b) => order[a.status] - order[b.status]);
+    }
+    
+    getBounds() {
+        const height = 320;
+        return {
+            x: Math.floor((this.game.canvas.width - this.width) / 2),
+            y: Math.floor((this.game.canvas.height - height) / 2),
+            width: this.width,
+            height
+        };
+    }
+    
+    getQuestAt(screenX, screenY) {
+        const bounds = this.getBounds();
+        const localX = screenX - bounds.x;
+        const localY = screenY - bounds.y - 36;
+        if (localX < 0 || localX > 220 || localY < 0) return null;
+        
+        return this.getEntries()[Math.floor(localY / this.rowHeight)] || null;
+    }
+    
+    /**
+     * Texto de um objetivo com o progresso
+     */
+    describeObjective(objective, progress) {
+        const required = objective.count || 1;
+        const text = objective.description || objective.type;
+        return required > 1 ? `${text}: ${progress}/${required}` : `${text}${progress >= required ? ' ✔' : ''}`;
+    }
+    
+    update(deltaTime) {
+        for (let i = this.notifications.length - 1; i >= 0; i--) {
+            this.notifications[i].timer -= deltaTime;
+            if (this.notifications[i].timer <= 0) {
+                this.notifications.splice(i, 1);
+            }
+        }
+    }
+    
+    render(context) {
+        context.save();
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        
+        this.renderNotifications(context);
+        
+        const questLog = this.getQuestLog();
+        if (questLog) {
+            if (this.open) {
+                this.renderJournal(context, questLog);
+            } else if (!this.game.isMenuOpen()) {
+                this.renderTracker(context, questLog);
+            }
+        }
+        
+        context.restore();
+    }
+    
+    renderNotifications(context) {
+        context.font = 'bold 13px monospace';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        
+        this.notifications.forEach((notification, index) => {
+            const y = this.game.canvas.height / 2 - 120 + index * 26;
+            context.globalAlpha = Math.min(1, notification.timer);
+            context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            context.fillRect(this.game.canvas.width / 2 - 170, y - 11, 340, 22);
+            context.fillStyle = '#ffd700';
+            context.fillText(notification.text, this.game.canvas.width / 2, y);
+        });
+        
+        context.globalAlpha = 1;
+    }
+    
+    /**
+     * Missão acompanhada, abaixo do painel de debug
+     */
+    renderTracker(context, questLog) {
+        const quest = questLog.quests.get(questLog.tracked);
+        const definition = quest && QuestDatabase.getInstance().get(quest.id);
+        if (!definition) return;
+        
+        const lines = definition.objectives.map((objective, index) => this.describeObjective(objective, quest.progress[index]));
+        if (quest.status === 'ready') lines.push('Volte para entregar');
+        
+        const x = 10;
+        const y = 200;
+        
+        context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        context.fillRect(x, y, 260, 24 + lines.length * 14);
+        
+        context.textAlign = 'left';
+        context.textBaseline = 'top';
+        context.font = 'bold 12px monospace';
+        context.fillStyle = '#ffd700';
+        context.fillText(definition.name, x + 8, y + 6);
+        
+        context.font = '10px monospace';
+        lines.forEach((line, index) => {
+            context.fillStyle = quest.status === 'ready' && index === lines.length - 1 ? '#7ac74f' : '#dddddd';
+            context.fillText(line, x + 8, y + 22 + index * 14);
+        });
+    }
+    
+    renderJournal(context, questLog) {
+        const bounds = this.getBounds();
+        const entries = this.getEntries();
+        const mouse = this.game.inputManager.mouse;
+        const hovered = this.getQuestAt(mouse.x, mouse.y);
+        const statusColors = { active: '#ffffff', ready: '#7ac74f', completed: '#888888', failed: '#e03c3c' };
+        
+        context.fillStyle = 'rgba(0, 0, 0, 0.85)';
+        context.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        context.strokeStyle = '#888888';
+        context.lineWidth = 1;
+        context.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        
+        context.textAlign = 'left';
+        context.textBaseline = 'top';
+        context.fillStyle = '#ffffff';
+        context.font = 'bold 13px monospace';
+        context.fillText('Diário de Missões', bounds.x + 10, bounds.y + 10);
+        
+        if (entries.length === 0) {
+            context.fillStyle = '#888888';
+            context.font = '11px monospace';
+            context.fillText('Nenhuma missão. Converse com os moradores (E).', bounds.x + 10, bounds.y + 40);
+            return;
+        }
+        
+        // Lista
+        entries.forEach((quest, index) => {
+            const y = bounds.y + 36 + index * this.rowHeight;
+            const definition = QuestDatabase.getInstance().get(quest.id);
+            
+            if (quest === hovered || quest.id === this.selected) {
+                context.fillStyle = 'rgba(255, 255, 255, 0.1)';
+                context.fillRect(bounds.x + 4, y, 216, this.rowHeight - 2);
+            }
+            
+            context.fillStyle = statusColors[quest.status];
+            context.font = '11px monospace';
+            const marker = questLog.tracked === quest.id ? '▶ ' : '  ';
+            context.fillText(`${marker}${definition?.name || quest.id}`, bounds.x + 8, y + 4);
+        });
+        
+        // Detalhes
+        const quest = questLog.quests.get(this.selected) || entries[0];
+        const definition = QuestDatabase.getInstance().get(quest.id);
+        if (!definition) return;
+        
+        const x = bounds.x + 236;
+        let y = bounds.y + 36;
+        const width = bounds.width - 250;
+        
+        context.fillStyle = '#ffd700';
+        context.font = 'bold 12px monospace';
+        context.fillText(definition.name, x, y);
+        y += 20;
+        
+        context.font = '11px monospace';
+        context.fillStyle = '#dddddd';
+        this.game.dialogueUI.wrap(context, definition.description, width).forEach(line => {
+            context.fillText(line, x, y);
+            y += 14;
+        });
+        y += 8;
+        
+        definition.objectives.forEach((objective, index) => {
+            const done = quest.progress[index] >= (objective.count || 1);
+            context.fillStyle = done ? '#7ac74f' : '#ffffff';
+            context.fillText(`• ${this.describeObjective(objective, quest.progress[index])}`, x, y);
+            y += 14;
+        });
+        y += 8;
+        
+        const rewards = [];
+        if (definition.rewards.experience) rewards.push(`${definition.rewards.experience} XP`);
+        (definition.rewards.items || []).forEach(item => {
+            rewards.push(`${item.quantity || 1}x ${ItemDatabase.getInstance().get(item.id)?.name || item.id}`);
+        });
+        
+        context.fillStyle = '#e0c93c';
+        context.fillText(`Recompensa: ${rewards.join(', ') || '-'}`, x, y);
+        
+        context.fillStyle = '#888888';
+        context.font = '10px monospace';
+        context.fillText('Clique: acompanhar | Direito: desistir', bounds.x + 10, bounds.y + bounds.height - 20);
+    }
+}
+
+// ============================================================================
+// INTEGRAÇÃO COM O SISTEMA EXISTENTE
+// ============================================================================
+
+AssetManifest.json['data/quests'] = { src: 'assets/data/quests.json', fallback: null };
+
+// Condições e ações de diálogo sobre missões
+DialogueConditions.questAvailable = (condition, { player }) => {
+    return !!player.getComponent('QuestLogComponent')?.canStart(condition.quest);
+};
+
+// Só quem ofereceu a missão a recebe de volta (missões sem NPC: qualquer um)
+DialogueConditions.questGiver = (condition, { player, npc }) => {
+    const quest = player.getComponent('QuestLogComponent')?.quests.get(condition.quest);
+    return !!quest && (!quest.giver || quest.giver === npc.id);
+};
+
+DialogueActions.completeQuest = (action, { player }) => {
+    player.getComponent('QuestLogComponent')?.turnIn(action.quest);
+};
+
+/**
+ * Monta no diálogo de cada NPC que oferece missões o nó 'quests'
+ * (ofertas e entregas) e a escolha que leva até ele no nó 'menu'
+ */
+function buildQuestDialogues() {
+    const dialogues = DialogueDatabase.getInstance();
+    const givers = new Set(QuestDatabase.getInstance().getAll().map(quest => quest.giver).filter(Boolean));
+    
+    givers.forEach(dialogueId => {
+        const tree = dialogues.get(dialogueId);
+        if (!tree) return;
+        
+        const choices = [];
+        
+        QuestDatabase.getInstance().getByGiver(dialogueId).forEach(quest => {
+            choices.push({
+                text: `Entregar: ${quest.name}`,
+                next: 'quest_thanks',
+                conditions: [
+                    { type: 'quest', quest: quest.id, status: 'ready' },
+                    { type: 'questGiver', quest: quest.id }
+                ],
+                actions: [{ type: 'completeQuest', quest: quest.id }]
+            });
+            choices.push({
+                text: `Missão: ${quest.name}`,
+                next: `quest_offer_${quest.id}`,
+                conditions: [{ type: 'questAvailable', quest: quest.id }]
+            });
+            
+            tree.nodes[`quest_offer_${quest.id}`] = {
+                text: quest.description,
+                choices: [
+                    { text: 'Pode contar comigo.', next: 'quest_accepted', actions: [{ type: 'startQuest', quest: quest.id }] },
+                    { text: 'Agora não.', next: 'quests' }
+                ]
+            };
+        });
+        
+        choices.push({ text: 'Voltar.', next: 'menu' });
+        
+        tree.nodes.quests = { text: 'Sempre há algo a fazer por aqui.', choices };
+        tree.nodes.quest_accepted = { text: 'Obrigado! Volte quando terminar.', next: 'menu' };
+        tree.nodes.quest_thanks = { text: 'Muito obrigado! Aqui está sua recompensa.', next: 'menu' };
+        
+        const menu = tree.nodes.menu;
+        if (menu && !menu.choices.some(choice => choice.next === 'quests')) {
+            menu.choices.splice(menu.choices.length - 1, 0, { text: 'Precisa de ajuda?', next: 'quests' });
+        }
+    });
+}
+
+buildQuestDialogues();
+
+const createPlayerWithoutQuests = EntityManager.prototype.createPlayer;
+EntityManager.prototype.createPlayer = function(config = {}) {
+    const player = createPlayerWithoutQuests.call(this, config);
+    player.addComponent(QuestLogComponent, { ...config.quests });
+    return player;
+};
+
+// Save v15: diário de missões do jogador salvo
+SaveConfig.VERSION = 15;
+SaveMigrations[14] = (data) => addComponentToSave(data, QuestLogComponent, entityData =>
+    entityData.type === 'player' ? {} : null
+);
+
+// Eventos que fazem os objetivos avançar
+GameEvents.on('entity:died', ({ entity, killer }) => {
+    killer?.getComponent('QuestLogComponent')?.notify('kill', objective => matchesQuestTarget(entity, objective.target));
+});
+
+GameEvents.on('dialogue:started', ({ npc }) => {
+    EntityManager.getInstance().getPlayer()?.getComponent('QuestLogComponent')
+        ?.notify('talk', objective => matchesQuestNPC(npc, objective.npc));
+});
+
+GameEvents.on('inventory:changed', ({ entity }) => {
+    const questLog = entity.getComponent('QuestLogComponent');
+    questLog?.getQuests().forEach(quest => questLog.refresh(quest));
+});
+
+// Missões de assets/data/quests.json após o carregamento
+const preloadAssetsWithoutQuests = GameEngine.prototype.preloadAssets;
+GameEngine.prototype.preloadAssets = async function() {
+    await preloadAssetsWithoutQuests.call(this);
+    
+    const data = this.assets.getData('data/quests');
+    if (data) {
+        const count = QuestDatabase.getInstance().register(data);
+        console.log(`📜 ${count} missões carregadas de assets/data/quests.json`);
+    }
+    
+    // Diálogos também podem ter vindo do JSON
+    buildQuestDialogues();
+};
+
+const initializeEntitiesWithoutQuests = GameEngine.prototype.initializeEntities;
+GameEngine.prototype.initializeEntities = function() {
+    initializeEntitiesWithoutQuests.call(this);
+    
+    if (!this.questJournalUI) {
+        this.questJournalUI = new QuestJournalUI(this);
+    }
+};
+
+const updateWithoutQuests = GameEngine.prototype.update;
+GameEngine.prototype.update = function(deltaTime) {
+    updateWithoutQuests.call(this, deltaTime);
+    this.questJournalUI?.update(deltaTime);
+};
+
+const isMenuOpenWithoutJournal = GameEngine.prototype.isMenuOpen;
+GameEngine.prototype.isMenuOpen = function() {
+    return isMenuOpenWithoutJournal.call(this) || !!this.questJournalUI?.open;
+};
+
+// Marcadores sobre NPCs: ! (missão disponível) e ? (missão para entregar)
+const renderEntitiesWithoutQuests = EntityManager.prototype.render;
+EntityManager.prototype.render = function(context, alpha = 1) {
+    renderEntitiesWithoutQuests.call(this, context, alpha);
+    
+    const questLog = this.getPlayer()?.getComponent('QuestLogComponent');
+    if (!questLog) return;
+    
+    context.save();
+    context.font = 'bold 16px monospace';
+    context.textAlign = 'center';
+    context.textBaseline = 'bottom';
+    
+    this.getEntitiesByTag('npc').forEach(npc => {
+        const dialogue = npc.getComponent('DialogueComponent');
+        if (!dialogue) return;
+        
+        const quests = QuestDatabase.getInstance().getByGiver(dialogue.dialogue);
+        const marker = quests.some(quest => questLog.getStatus(quest.id) === 'ready') ? '?'
+            : quests.some(quest => questLog.canStart(quest.id)) ? '!' : null;
+        if (!marker) return;
+        
+        const position = npc.getComponent('TransformComponent').renderPosition;
+        const height = npc.getComponent('RenderComponent')?.height || 20;
+        
+        context.fillStyle = '#000000';
+        context.fillText(marker, position.x + 1, position.y - height / 2 - 5);
+        context.fillStyle = marker === '?' ? '#7ac74f' : '#ffd700';
+        context.fillText(marker, position.x, position.y - height / 2 - 6);
+    });
+    
+    context.restore();
+};
+
+const renderUIWithoutQuests = GameEngine.prototype.renderUI;
+GameEngine.prototype.renderUI = function() {
+    renderUIWithoutQuests.call(this);
+    this.questJournalUI?.render(this.context);
+};
+
+ControlsHelp.push('J - Diário de missões');
+
+console.log('✅ Parte 18 - Missões carregado!');
+console.log('📋 Comandos disponíveis:');
+console.log('  J - Diário de missões');
+console.log('  game.player.getComponent(\'QuestLogComponent\').start(id) / abandon(id)');
+console.log('  QuestDatabase.getInstance().register([...]) - novas missões');
+
+// Exporta classes para uso em módulos futuros
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QuestDefinitions,
+        QuestDatabase,
+        QuestLogComponent,
+        QuestJournalUI,
+        matchesQuestNPC,
+        matchesQuestTarget,
+        buildQuestDialogues
+    };
+}
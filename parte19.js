@@ -0,0 +1,647 @@
+/**
+ * INFINITE RPG - PARTE 19: COMÉRCIO
+ *
+ * Esta parte implementa:
+ * 1. Moeda de ouro (item) ganha em combate e usada nas compras
+ * 2. Mercadores (createNPC({ merchant })) com inventário, ouro e regras de preço
+ * 3. Reabastecimento do estoque e do ouro com o tempo
+ * 4. Preços conforme a escassez de cada bioma
+ * 5. Janela de compra/venda com preços no tooltip e comparação com o equipado
+ */
+
+// ============================================================================
+// MOEDA E MERCADORES
+// ============================================================================
+
+const CurrencyItemDefinitions = [
+    {
+        id: 'gold_coin',
+        name: 'Moeda de Ouro',
+        description: 'Aceita por qualquer mercador.',
+        type: 'currency',
+        rarity: 'common',
+        maxStack: 999,
+        color: '#ffd700',
+        value: 1
+    }
+];
+
+/**
+ * Tipos de mercador
+ *
+ * - stock: [{ item, quantity }] estoque que o mercador repõe
+ * - gold: ouro disponível para comprar do jogador
+ * - buys: tipos de item que o mercador aceita
+ * - markup: multiplicador do valor na venda ao jogador
+ * - sellRate: fração do valor paga ao jogador
+ * - restockInterval: segundos entre reposições
+ */
+const MerchantDefinitions = {
+    general: {
+        name: 'Mercador',
+        color: '#e0a030',
+        stock: [
+            { item: 'health_potion', quantity: 5 },
+            { item: 'herb', quantity: 10 },
+            { item: 'wood', quantity: 20 },
+            { item: 'stone', quantity: 20 },
+            { item: 'torch', quantity: 5 }
+        ],
+        gold: 150,
+        buys: ['material', 'consumable'],
+        markup: 1.25,
+        sellRate: 0.5,
+        restockInterval: 90
+    },
+    blacksmith: {
+        name: 'Ferreiro',
+        color: '#7a7a8a',
+        stock: [
+            { item: 'iron_ingot', quantity: 6 },
+            { item: 'iron_sword', quantity: 1 },
+            { item: 'leather_armor', quantity: 1 },
+            { item: 'iron_pickaxe', quantity: 1 },
+            { item: 'iron_axe', quantity: 1 }
+        ],
+        gold: 300,
+        buys: ['weapon', 'armor', 'accessory', 'tool', 'material'],
+        markup: 1.5,
+        sellRate: 0.6,
+        restockInterval: 180
+    }
+};
+
+/**
+ * Multiplicadores de preço por bioma (id do item ou tipo)
+ * Itens escassos no bioma ficam mais caros, os abundantes mais baratos
+ */
+const ShopBiomePrices = {
+    desert: { herb: 2, wood: 1.8, health_potion: 1.3, cactus_pulp: 0.6 },
+    forest: { wood: 0.6, herb: 0.8, stone: 1.3 },
+    grassland: { herb: 0.8, weapon: 1.2, armor: 1.2 }
+};
+
+// ============================================================================
+// MERCHANT COMPONENT
+// ============================================================================
+
+/**
+ * Componente Merchant - Estoque, ouro e preços de um NPC mercador
+ * Os itens à venda ficam no InventoryComponent do próprio NPC
+ */
+class MerchantComponent extends Component {
+    initialize(config) {
+        this.merchant = MerchantDefinitions[config.merchant] ? config.merchant : 'general';
+        this.gold = config.gold ?? this.getDefinition().gold;
+        this.restockTimer = this.getDefinition().restockInterval;
+    }
+    
+    getDefinition() {
+        return MerchantDefinitions[this.merchant];
+    }
+    
+    getInventory() {
+        return this.entity.getComponent('InventoryComponent');
+    }
+    
+    getBiome() {
+        const position = this.entity.getComponent('TransformComponent').position;
+        return EntityManager.getInstance().world?.getBiomeAt(position.x, position.y) || null;
+    }
+    
+    /**
+     * Multiplicador de escassez do item no bioma do mercador
+     */
+    getScarcity(definition) {
+        const modifiers = ShopBiomePrices[this.getBiome()] || {};
+        return modifiers[definition.id] ?? modifiers[definition.type] ?? 1;
+    }
+    
+    /**
+     * Preço que o jogador paga por uma unidade
+     */
+    getBuyPrice(itemId) {
+        const definition = ItemDatabase.getInstance().get(itemId);
+        if (!definition) return 0;
+        return Math.max(1, Math.ceil(definition.value * this.getDefinition().markup * this.getScarcity(definition)));
+    }
+    
+    /**
+     * Preço que o mercador paga por uma unidade (0: não compra)
+     */
+    getSellPrice(itemId) {
+        const definition = ItemDatabase.getInstance().get(itemId);
+        if (!definition || !this.getDefinition().buys.includes(definition.type)) return 0;
+        return Math.max(1, Math.floor(definition.value * this.getDefinition().sellRate * this.getScarcity(definition)));
+    }
+    
+    /**
+     * Repõe o estoque (até a quantidade definida) e metade do ouro que falta
+     */
+    restock() {
+        const definition = this.getDefinition();
+        const inventory = this.getInventory();
+        
+        definition.stock.forEach(entry => {
+            const missing = entry.quantity - inventory.countItem(entry.item);
+            if (missing > 0) inventory.addItem(entry.item, missing);
+        });
+        
+        if (this.gold < definition.gold) {
+            this.gold += Math.ceil((definition.gold - this.gold) / 2);
+        }
+    }
+    
+    update(deltaTime) {
+        this.restockTimer -= deltaTime;
+        if (this.restockTimer > 0) return;
+        
+        this.restockTimer = this.getDefinition().restockInterval;
+        this.restock();
+    }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            merchant: this.merchant,
+            gold: this.gold,
+            restockTimer: this.restockTimer
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        this.merchant = data.merchant;
+        this.gold = data.gold;
+        this.restockTimer = data.restockTimer;
+    }
+}
+
+Component.register(MerchantComponent);
+
+/**
+ * Compra uma quantidade do slot do mercador
+ * @returns {Object} { ok, quantity, reason }
+ */
+function buyFromMerchant(player, merchantEntity, index, quantity = 1) {
+    const merchant = merchantEntity.getComponent('MerchantComponent');
+    const stock = merchant.getInventory();
+    const inventory = player.getComponent('InventoryComponent');
+    const slot = stock.getSlot(index);
+    if (!slot || !inventory) return { ok: false, quantity: 0 };
+    
+    const price = merchant.getBuyPrice(slot.id);
+    const affordable = Math.floor(inventory.countItem('gold_coin') / price);
+    const amount = Math.min(quantity, slot.quantity, affordable);
+    if (amount <= 0) return { ok: false, quantity: 0, reason: 'Moedas insuficientes' };
+    
+    const itemId = slot.id;
+    const leftover = inventory.addItem(itemId, amount);
+    const bought = amount - leftover;
+    if (bought <= 0) return { ok: false, quantity: 0, reason: 'Inventário cheio' };
+    
+    slot.quantity -= bought;
+    if (slot.quantity <= 0) stock.slots[index] = null;
+    stock.changed();
+    
+    inventory.removeItem('gold_coin', bought * price);
+    merchant.gold += bought * price;
+    
+    GameEvents.emit('shop:bought', { entity: player, merchant: merchantEntity, item: itemId, quantity: bought, price });
+    return { ok: true, quantity: bought };
+}
+
+/**
+ * Vende uma quantidade do slot do jogador ao mercador
+ * @returns {Object} { ok, quantity, reason }
+ */
+function sellToMerchant(player, merchantEntity, index, quantity = 1) {
+    const merchant = merchantEntity.getComponent('MerchantComponent');
+    const inventory = player.getComponent('InventoryComponent');
+    const slot = inventory?.getSlot(index);
+    if (!slot) return { ok: false, quantity: 0 };
+    
+    const price = merchant.getSellPrice(slot.id);
+    if (price <= 0) return { ok: false, quantity: 0, reason: 'O mercador não compra isto' };
+    
+    const amount = Math.min(quantity, slot.quantity, Math.floor(merchant.gold / price));
+    if (amount <= 0) return { ok: false, quantity: 0, reason: 'O mercador está sem ouro' };
+    
+    const itemId = slot.id;
+    const sold = amount - merchant.getInventory().addItem(itemId, amount);
+    if (sold <= 0) return { ok: false, quantity: 0, reason: 'O mercador não tem espaço' };
+    
+    slot.quantity -= sold;
+    if (slot.quantity <= 0) inventory.slots[index] = null;
+    inventory.changed();
+    
+    merchant.gold -= sold * price;
+    DialogueActions.giveItem({ item: 'gold_coin', quantity: sold * price }, { player });
+    
+    GameEvents.emit('shop:sold', { entity: player, merchant: merchantEntity, item: itemId, quantity: sold, price });
+    return { ok: true, quantity: sold };
+}
+
+// ============================================================================
+// SHOP UI
+// ============================================================================
+
+/**
+ * Janela de comércio: [mercador] [jogador] (mesmo layout do baú)
+ * Clique: 1 unidade | Shift+clique: a pilha inteira
+ */
+class ShopUI extends ChestUI {
+    constructor(game) {
+        super(game);
+        this.merchant = null; // NPC mercador aberto
+        this.hovered = null;
+        this.message = null;
+    }
+    
+    get open() {
+        return !!this.merchant;
+    }
+    
+    bindEvents() {
+        document.addEventListener('keydown', (e) => {
+            if (e.key.toLowerCase() === 'escape') this.close();
+        });
+        
+        document.addEventListener('mousedown', (e) => {
+            if (!this.open || e.button !== 0) return;
+            
+            const mouse = this.game.inputManager.mouse;
+            const hit = this.getSlotAt(mouse.x, mouse.y);
+            const player = this.game.entityManager.getPlayer();
+            if (!hit || !player) return;
+            
+            const quantity = e.shiftKey ? Infinity : 1;
+            const result = hit.inventory === this.getMerchantInventory()
+                ? buyFromMerchant(player, this.merchant, hit.index, quantity)
+                : sellToMerchant(player, this.merchant, hit.index, quantity);
+            
+            if (!result.ok && result.reason) {
+                this.message = { text: result.reason, timer: 2 };
+            }
+        });
+    }
+    
+    openShop(entity) {
+        this.merchant = entity;
+        this.message = null;
+    }
+    
+    close() {
+        this.merchant = null;
+        this.hovered = null;
+    }
+    
+    getMerchantInventory() {
+        return this.merchant?.getComponent('InventoryComponent') || null;
+    }
+    
+    getPlayerInventory() {
+        return this.game.entityManager.getPlayer()?.getComponent('InventoryComponent') || null;
+    }
+    
+    // Painel da esquerda: estoque do mercador
+    getChestInventory() {
+        return this.getMerchantInventory();
+    }
+    
+    /**
+     * Linhas extras do tooltip: preço, escassez e comparação com o equipado
+     */
+    getTooltipLines(definition) {
+        const merchant = this.merchant?.getComponent('MerchantComponent');
+        if (!merchant || !this.hovered) return [];
+        
+        const lines = [];
+        const buying = this.hovered.inventory === this.getMerchantInventory();
+        
+        if (buying) {
+            const price = merchant.getBuyPrice(definition.id);
+            const difference = Math.round((price / Math.max(1, definition.value) - 1) * 100);
+            lines.push({ text: `Preço: ${price} moedas`, color: '#ffd700' });
+            lines.push({
+                text: `Valor base: ${definition.value} (${difference >= 0 ? '+' : ''}${difference}%)`,
+                color: difference > 0 ? '#e03c3c' : '#3ce03c'
+            });
+        } else if (definition.type !== 'currency') {
+            const price = merchant.getSellPrice(definition.id);
+            lines.push(price > 0
+                ? { text: `Vende por: ${price} moedas`, color: '#ffd700' }
+                : { text: 'O mercador não compra isto', color: '#888888' });
+        }
+        
+        const scarcity = merchant.getScarcity(definition);
+        if (scarcity !== 1) {
+            lines.push({
+                text: scarcity > 1 ? `Escasso neste bioma (x${scarcity})` : `Abundante neste bioma (x${scarcity})`,
+                color: '#aaaaaa'
+            });
+        }
+        
+        return lines.concat(buying ? this.getComparisonLines(definition) : []);
+    }
+    
+    /**
+     * Diferença de modificadores para o item equipado no mesmo slot
+     */
+    getComparisonLines(definition) {
+        const equipment = this.game.entityManager.getPlayer()?.getComponent('EquipmentComponent');
+        if (!definition.slot || !equipment) return [];
+        
+        const equipped = equipment.getEquipped(definition.slot);
+        const equippedDefinition = equipped && ItemDatabase.getInstance().get(equipped.id);
+        if (!equippedDefinition) {
+            return [{ text: 'Nada equipado neste slot', color: '#aaaaaa' }];
+        }
+        
+        const lines = [{ text: `Comparado a ${equippedDefinition.name}:`, color: '#aaaaaa' }];
+        const totals = new Map();
+        const accumulate = (modifiers, sign) => modifiers.forEach(modifier => {
+            const key = `${modifier.stat}:${modifier.type}`;
+            totals.set(key, (totals.get(key) || 0) + modifier.value * sign);
+        });
+        
+        accumulate(definition.modifiers || [], 1);
+        accumulate(equippedDefinition.modifiers || [], -1);
+        
+        totals.forEach((value, key) => {
+            if (Math.abs(value) < 0.0001) return;
+            const [stat, type] = key.split(':');
+            lines.push({ text: formatStatModifier({ stat, type, value }), color: value > 0 ? '#3ce03c' : '#e03c3c' });
+        });
+        
+        if (lines.length === 1) lines.push({ text: 'Sem diferença', color: '#aaaaaa' });
+        return lines;
+    }
+    
+    update(deltaTime) {
+        if (this.message) {
+            this.message.timer -= deltaTime;
+            if (this.message.timer <= 0) this.message = null;
+        }
+        
+        if (!this.open) return;
+        
+        // Mercador morto/descarregado ou jogador se afastou
+        const player = this.game.entityManager.getPlayer();
+        const transform = player?.getComponent('TransformComponent');
+        const merchantTransform = this.merchant.getComponent('TransformComponent');
+        
+        if (!this.merchant.active || this.merchant.getComponent('HealthComponent')?.dead || !transform || !merchantTransform ||
+            Math.hypot(merchantTransform.position.x - transform.position.x,
+                       merchantTransform.position.y - transform.position.y) > 96) {
+            this.close();
+        }
+    }
+    
+    render(context) {
+        if (!this.open) return;
+        
+        const database = ItemDatabase.getInstance();
+        const merchant = this.merchant.getComponent('MerchantComponent');
+        const playerInventory = this.getPlayerInventory();
+        const mouse = this.game.inputManager.mouse;
+        const cell = this.slotSize + this.padding;
+        this.hovered = this.getSlotAt(mouse.x, mouse.y);
+        
+        context.save();
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        
+        const panels = this.getPanels();
+        panels.forEach((panel, panelIndex) => {
+            if (!panel.inventory) return;
+            const buying = panelIndex === 0;
+            
+            context.fillStyle = 'rgba(0, 0, 0, 0.8)';
+            context.fillRect(panel.x, panel.y, panel.width, panel.height);
+            context.strokeStyle = '#888888';
+            context.lineWidth = 1;
+            context.strokeRect(panel.x, panel.y, panel.width, panel.height);
+            
+            context.fillStyle = '#ffffff';
+            context.font = 'bold 13px monospace';
+            context.textAlign = 'left';
+            context.textBaseline = 'top';
+            context.fillText(buying ? this.merchant.name : 'Inventário', panel.x + this.padding, panel.y + 6);
+            
+            context.fillStyle = '#ffd700';
+            context.font = '11px monospace';
+            context.textAlign = 'right';
+            const gold = buying ? merchant.gold : playerInventory.countItem('gold_coin');
+            context.fillText(`${gold} moedas`, panel.x + panel.width - this.padding, panel.y + 8);
+            context.textAlign = 'left';
+            
+            for (let i = 0; i < panel.inventory.size; i++) {
+                const x = panel.x + this.padding + (i % this.columns) * cell;
+                const y = panel.y + this.padding + 24 + Math.floor(i / this.columns) * cell;
+                const slot = panel.inventory.getSlot(i);
+                const isHovered = this.hovered && this.hovered.inventory === panel.inventory && this.hovered.index === i;
+                
+                context.fillStyle = isHovered ? 'rgba(255, 255, 255, 0.2)' : 'rgba(255, 255, 255, 0.08)';
+                context.fillRect(x, y, this.slotSize, this.slotSize);
+                
+                if (!slot) continue;
+                
+                database.drawIcon(context, slot.id, x + 6, y + 6, this.slotSize - 12);
+                
+                context.font = '10px monospace';
+                if (slot.quantity > 1) {
+                    context.fillStyle = '#ffffff';
+                    context.textAlign = 'right';
+                    context.fillText(String(slot.quantity), x + this.slotSize - 3, y + this.slotSize - 12);
+                    context.textAlign = 'left';
+                }
+                
+                // Preço unitário (vermelho: caro demais / não compra)
+                const price = buying ? merchant.getBuyPrice(slot.id) : merchant.getSellPrice(slot.id);
+                if (slot.id !== 'gold_coin') {
+                    const affordable = buying ? playerInventory.countItem('gold_coin') >= price : price > 0;
+                    context.fillStyle = affordable ? '#ffd700' : '#e03c3c';
+                    context.fillText(price > 0 ? String(price) : '-', x + 2, y + 2);
+                }
+            }
+        });
+        
+        const bottom = Math.max(...panels.map(panel => panel.y + panel.height));
+        context.textAlign = 'center';
+        context.font = '11px monospace';
+        context.fillStyle = '#aaaaaa';
+        context.fillText('Clique: 1 unidade | Shift+clique: pilha inteira', this.game.canvas.width / 2, bottom + 8);
+        
+        if (this.message) {
+            context.fillStyle = '#e03c3c';
+            context.fillText(this.message.text, this.game.canvas.width / 2, bottom + 24);
+        }
+        
+        if (this.hovered && this.game.inventoryUI) {
+            this.game.inventoryUI.renderTooltip(context, this.hovered.inventory.getSlot(this.hovered.index), mouse);
+        }
+        
+        context.restore();
+    }
+}
+
+// ============================================================================
+// INTEGRAÇÃO COM O SISTEMA EXISTENTE
+// ============================================================================
+
+CurrencyItemDefinitions.forEach(definition => {
+    AssetManifest.images[`icons/${definition.id}`] = {
+        src: `assets/icons/${definition.id}.png`,
+        width: 16,
+        height: 16,
+        placeholder: { color: definition.color, shape: 'circle' }
+    };
+});
+ItemDatabase.getInstance().register(CurrencyItemDefinitions);
+
+AssetManifest.images['portraits/merchant'] = {
+    src: 'assets/portraits/merchant.png',
+    width: 64,
+    height: 64,
+    placeholder: { color: '#e0a030' }
+};
+
+// Criaturas derrubam moedas
+LootTableDatabase.getInstance().get('goblin')?.guaranteed.push({ item: 'gold_coin', min: 2, max: 6 });
+LootTableDatabase.getInstance().get('creature')?.guaranteed.push({ item: 'gold_coin', chance: 0.5, min: 1, max: 3 });
+
+DialogueDatabase.getInstance().register({
+    merchant: {
+        portrait: 'portraits/merchant',
+        start: 'greeting',
+        nodes: {
+            greeting: {
+                text: 'Bem-vindo! Os preços de {npc} são os mais justos da região.',
+                choices: [
+                    { text: 'Quero negociar.', next: null, actions: [{ type: 'openShop' }] },
+                    { text: 'Por que os preços mudam tanto?', next: 'prices' },
+                    { text: 'Até mais.', next: null }
+                ]
+            },
+            prices: {
+                text: 'O que falta na região custa caro. No deserto, madeira e ervas valem ouro!',
+                next: 'greeting'
+            }
+        }
+    }
+});
+
+DialogueActions.openShop = (action, { npc }) => {
+    if (npc.getComponent('MerchantComponent')) {
+        window.game?.shopUI?.openShop(npc);
+    }
+};
+
+/**
+ * NPC mercador (config.merchant: tipo em MerchantDefinitions)
+ * Usa o diálogo 'merchant' e fica parado por padrão
+ */
+const createNPCWithoutMerchant = EntityManager.prototype.createNPC;
+EntityManager.prototype.createNPC = function(config = {}) {
+    const definition = MerchantDefinitions[config.merchant];
+    if (!definition) {
+        return createNPCWithoutMerchant.call(this, config);
+    }
+    
+    const npc = createNPCWithoutMerchant.call(this, {
+        name: definition.name,
+        dialogue: 'merchant',
+        behavior: 'passive',
+        color: definition.color,
+        ...config
+    });
+    
+    npc.addComponent(InventoryComponent, { size: 24 });
+    npc.addComponent(MerchantComponent, { merchant: config.merchant, gold: config.gold });
+    npc.getComponent('MerchantComponent').restock();
+    npc.addTag('merchant');
+    
+    return npc;
+};
+
+// Jogador começa com algumas moedas (config.coins)
+const createPlayerWithoutCoins = EntityManager.prototype.createPlayer;
+EntityManager.prototype.createPlayer = function(config = {}) {
+    const player = createPlayerWithoutCoins.call(this, config);
+    player.getComponent('InventoryComponent')?.addItem('gold_coin', config.coins ?? 30);
+    return player;
+};
+
+// Mercadores da vila inicial (criados no jogo novo e nos saves antigos)
+const StartingMerchants = [
+    { merchant: 'general', position: { x: -60, y: -120 } },
+    { merchant: 'blacksmith', position: { x: 60, y: -120 } }
+];
+
+// Save v16: estoque e ouro dos mercadores salvos
+// (saves antigos ganham os mercadores e o jogador, as moedas iniciais)
+SaveConfig.VERSION = 16;
+SaveMigrations[15] = (data) => {
+    data.entities.entities
+        .filter(entityData => entityData.type === 'player')
+        .forEach(entityData => updateSavedComponent(entityData, InventoryComponent, inventory => {
+            inventory.addItem('gold_coin', 30);
+        }));
+    
+    return addEntitiesToSave(data, entityManager => {
+        StartingMerchants.forEach(config => entityManager.createNPC(config));
+    });
+};
+
+const initializeEntitiesWithoutShops = GameEngine.prototype.initializeEntities;
+GameEngine.prototype.initializeEntities = function() {
+    initializeEntitiesWithoutShops.call(this);
+    
+    if (!this.shopUI) {
+        this.shopUI = new ShopUI(this);
+        
+        StartingMerchants.forEach(config => this.entityManager.createNPC(config));
+    }
+};
+
+const updateWithoutShops = GameEngine.prototype.update;
+GameEngine.prototype.update = function(deltaTime) {
+    updateWithoutShops.call(this, deltaTime);
+    this.shopUI?.update(deltaTime);
+};
+
+const isMenuOpenWithoutShop = GameEngine.prototype.isMenuOpen;
+GameEngine.prototype.isMenuOpen = function() {
+    return isMenuOpenWithoutShop.call(this) || !!this.shopUI?.open;
+};
+
+const renderUIWithoutShop = GameEngine.prototype.renderUI;
+GameEngine.prototype.renderUI = function() {
+    renderUIWithoutShop.call(this);
+    this.shopUI?.render(this.context);
+};
+
+// Tooltip na loja mostra preços e comparação
+const getTooltipLinesWithoutShop = InventoryUI.prototype.getTooltipLines;
+InventoryUI.prototype.getTooltipLines = function(definition, rarity) {
+    const lines = getTooltipLinesWithoutShop.call(this, definition, rarity);
+    return this.game.shopUI?.open ? lines.concat(this.game.shopUI.getTooltipLines(definition)) : lines;
+};
+
+console.log('✅ Parte 19 - Comércio carregado!');
+console.log('📋 Comandos disponíveis:');
+console.log('  E - Conversar com um mercador e negociar');
+console.log('  Clique: comprar/vender 1 | Shift+clique: a pilha inteira');
+
+// Exporta classes para uso em módulos futuros
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CurrencyItemDefinitions,
+        MerchantDefinitions,
+        ShopBiomePrices,
+        MerchantComponent,
+        ShopUI,
+        buyFromMerchant,
+        sellToMerchant
+    };
+}
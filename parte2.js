@@ -47,8 +47,41 @@ class Component {
         // Limpeza do componente
         this.enabled = false;
     }
+    
+    /**
+     * Serializa o estado do componente (subclasses estendem com seus dados)
+     */
+    serialize() {
+        return {
+            enabled: this.enabled
+        };
+    }
+    
+    /**
+     * Restaura o estado serializado (chamado após a criação com config padrão)
+     */
+    deserialize(data) {
+        this.enabled = data.enabled !== false;
+    }
+    
+    /**
+     * Resolve referências a outras entidades após todas serem restauradas
+     */
+    resolveReferences(entityManager) {
+        // A ser sobrescrito por componentes que referenciam entidades
+    }
+    
+    /**
+     * Registra um tipo de componente para restauração de saves
+     */
+    static register(componentType) {
+        Component.types.set(componentType.name, componentType);
+    }
 }
 
+// Tipos de componente conhecidos, por nome da classe
+Component.types = new Map();
+
 /**
  * Componente Transform - Gerencia posição, rotação e escala
  */
@@ -65,18 +98,22 @@ class TransformComponent extends Component {
     }
     
     update(deltaTime) {
-        // Salva posição anterior para colisão
+        // Salva posição anterior (colisão e interpolação)
         this.previousPosition.x = this.position.x;
         this.previousPosition.y = this.position.y;
         
         // Atualiza posição baseada na velocidade
         this.position.x += this.velocity.x * deltaTime;
         this.position.y += this.velocity.y * deltaTime;
-        
-        // Interpola posição para renderização suave
-        const alpha = 0.2; // Fator de interpolação
-        this.renderPosition.x += (this.position.x - this.renderPosition.x) * alpha;
-        this.renderPosition.y += (this.position.y - this.renderPosition.y) * alpha;
+    }
+    
+    /**
+     * Interpola a posição de renderização entre o passo anterior e o atual
+     * @param {number} alpha - Fração do passo fixo decorrida (0-1)
+     */
+    interpolate(alpha) {
+        this.renderPosition.x = this.previousPosition.x + (this.position.x - this.previousPosition.x) * alpha;
+        this.renderPosition.y = this.previousPosition.y + (this.position.y - this.previousPosition.y) * alpha;
     }
     
     move(x, y) {
@@ -87,6 +124,8 @@ class TransformComponent extends Component {
     setPosition(x, y) {
         this.position.x = x;
         this.position.y = y;
+        this.previousPosition.x = x;
+        this.previousPosition.y = y;
         this.renderPosition.x = x;
         this.renderPosition.y = y;
     }
@@ -103,6 +142,26 @@ class TransformComponent extends Component {
         const dy = this.position.y - otherTransform.position.y;
         return Math.sqrt(dx * dx + dy * dy);
     }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            position: { ...this.position },
+            velocity: { ...this.velocity },
+            rotation: this.rotation,
+            scale: { ...this.scale }
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        this.velocity = { ...data.velocity };
+        this.rotation = data.rotation;
+        this.scale = { ...data.scale };
+        this.position = { ...data.position };
+        this.previousPosition = { ...data.position };
+        this.renderPosition = { ...data.position };
+    }
 }
 
 /**
@@ -122,6 +181,10 @@ class ColliderComponent extends Component {
         // Estados de colisão
         this.isColliding = false;
         this.collisions = new Set();
+        
+        // Bloqueio contra o terreno (preenchido pelo CollisionSystem)
+        this.isStuck = false;
+        this.stuckTime = 0;
     }
     
     getBounds() {
@@ -172,6 +235,32 @@ class ColliderComponent extends Component {
         return null;
     }
     
+    serialize() {
+        return {
+            ...super.serialize(),
+            shape: this.type,
+            radius: this.radius,
+            width: this.width,
+            height: this.height,
+            offset: { ...this.offset },
+            isTrigger: this.isTrigger,
+            collisionLayer: this.collisionLayer,
+            collidesWith: [...this.collidesWith]
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        this.type = data.shape;
+        this.radius = data.radius;
+        this.width = data.width;
+        this.height = data.height;
+        this.offset = { ...data.offset };
+        this.isTrigger = data.isTrigger;
+        this.collisionLayer = data.collisionLayer;
+        this.collidesWith = [...data.collidesWith];
+    }
+    
     checkCollision(otherCollider) {
         const boundsA = this.getBounds();
         const boundsB = otherCollider.getBounds();
@@ -189,11 +278,17 @@ class ColliderComponent extends Component {
         }
         
         // Colisão círculo-AABB (simplificada)
-        if ((boundsA.type === 'circle' && boundsB.type === 'aabb') ||
-            (boundsA.type === 'aabb' && boundsB.type === 'circle')) {
-            return boundsA.type === 'circle' 
-                ? this.checkCircleAABB(boundsA, boundsB)
-                : this.checkCircleAABB(boundsB, boundsA);
+        if (boundsA.type === 'circle' && boundsB.type === 'aabb') {
+            return this.checkCircleAABB(boundsA, boundsB);
+        }
+        
+        // AABB-círculo: a normal deve apontar de B para A, como nos outros casos
+        if (boundsA.type === 'aabb' && boundsB.type === 'circle') {
+            const collision = this.checkCircleAABB(boundsB, boundsA);
+            if (collision) {
+                collision.normal = { x: -collision.normal.x, y: -collision.normal.y };
+            }
+            return collision;
         }
         
         return null;
@@ -273,6 +368,11 @@ class ColliderComponent extends Component {
         const distanceY = circle.y - closestY;
         const distanceSquared = distanceX * distanceX + distanceY * distanceY;
         
+        // Centro do círculo dentro do AABB: empurra pelo eixo de menor penetração
+        if (distanceSquared === 0) {
+            return this.checkCircleInsideAABB(circle, box);
+        }
+        
         // Se a distância é menor que o raio, há colisão
         if (distanceSquared < circle.radius * circle.radius) {
             const distance = Math.sqrt(distanceSquared);
@@ -294,6 +394,35 @@ class ColliderComponent extends Component {
         return null;
     }
     
+    checkCircleInsideAABB(circle, box) {
+        const toLeft = circle.x - box.x;
+        const toRight = box.x + box.width - circle.x;
+        const toTop = circle.y - box.y;
+        const toBottom = box.y + box.height - circle.y;
+        const minDistance = Math.min(toLeft, toRight, toTop, toBottom);
+        
+        let normal;
+        if (minDistance === toLeft) {
+            normal = { x: -1, y: 0 };
+        } else if (minDistance === toRight) {
+            normal = { x: 1, y: 0 };
+        } else if (minDistance === toTop) {
+            normal = { x: 0, y: -1 };
+        } else {
+            normal = { x: 0, y: 1 };
+        }
+        
+        return {
+            collides: true,
+            penetration: minDistance + circle.radius,
+            normal: normal,
+            contact: {
+                x: circle.x,
+                y: circle.y
+            }
+        };
+    }
+    
     render(context) {
         if (!GameConfig.DEBUG_COLLIDERS) return;
         
@@ -379,16 +508,27 @@ class PhysicsComponent extends Component {
             y: this.movementInput.y * this.speed
         };
         
-        // Interpola para a velocidade alvo
-        this.velocity.x += (targetVelocity.x - this.velocity.x) * this.acceleration * deltaTime;
-        this.velocity.y += (targetVelocity.y - this.velocity.y) * this.acceleration * deltaTime;
+        // Aproxima da velocidade alvo, limitado pela aceleração (px/s²)
+        // Um fator `acceleration * deltaTime` > 1 faria a velocidade oscilar
+        const diffX = targetVelocity.x - this.velocity.x;
+        const diffY = targetVelocity.y - this.velocity.y;
+        const diffLength = Math.sqrt(diffX * diffX + diffY * diffY);
+        const maxChange = this.acceleration * deltaTime;
+        
+        if (diffLength <= maxChange) {
+            this.velocity.x = targetVelocity.x;
+            this.velocity.y = targetVelocity.y;
+        } else {
+            this.velocity.x += diffX / diffLength * maxChange;
+            this.velocity.y += diffY / diffLength * maxChange;
+        }
         
         // Aplica forças externas
         this.applyExternalForces(deltaTime);
         
-        // Limita velocidade máxima
+        // Limita velocidade máxima (knockback pode ultrapassar enquanto a força atua)
         const currentSpeed = Math.sqrt(this.velocity.x * this.velocity.x + this.velocity.y * this.velocity.y);
-        if (currentSpeed > this.maxSpeed) {
+        if (currentSpeed > this.maxSpeed && this.externalForces.length === 0) {
             const ratio = this.maxSpeed / currentSpeed;
             this.velocity.x *= ratio;
             this.velocity.y *= ratio;
@@ -454,6 +594,38 @@ class PhysicsComponent extends Component {
         }
         return false;
     }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            speed: this.speed,
+            maxSpeed: this.maxSpeed,
+            acceleration: this.acceleration,
+            friction: this.friction,
+            mass: this.mass,
+            gravity: this.gravity,
+            grounded: this.grounded,
+            canJump: this.canJump,
+            movementInput: { ...this.movementInput },
+            velocity: { ...this.velocity },
+            externalForces: this.externalForces.map(force => ({ ...force }))
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        this.speed = data.speed;
+        this.maxSpeed = data.maxSpeed;
+        this.acceleration = data.acceleration;
+        this.friction = data.friction;
+        this.mass = data.mass;
+        this.gravity = data.gravity;
+        this.grounded = data.grounded;
+        this.canJump = data.canJump;
+        this.movementInput = { ...data.movementInput };
+        this.velocity = { ...data.velocity };
+        this.externalForces = data.externalForces.map(force => ({ ...force }));
+    }
 }
 
 /**
@@ -464,11 +636,14 @@ class RenderComponent extends Component {
         this.color = config.color || '#ff0000';
         this.sprite = config.sprite || null;
         this.spriteSheet = config.spriteSheet || null;
+        this.texture = config.texture || null; // Id de textura no AssetManager
         this.width = config.width || 32;
         this.height = config.height || 32;
         this.offset = config.offset || { x: 0, y: 0 };
         this.opacity = config.opacity || 1;
         this.blendMode = config.blendMode || 'source-over';
+        this.tint = config.tint || null;       // Cor sobreposta (ex: efeitos de status)
+        this.tintStrength = config.tintStrength || 0.45;
         
         // Animação
         this.currentAnimation = null;
@@ -487,9 +662,15 @@ class RenderComponent extends Component {
         if (this.currentAnimation && this.spriteSheet) {
             this.frameTimer += deltaTime * 1000; // Converte para ms
             
-            if (this.frameTimer >= this.frameDuration) {
+            if (this.frameTimer >= this.currentAnimation.frameDuration) {
                 this.frameTimer = 0;
-                this.frame = (this.frame + 1) % this.currentAnimation.frames.length;
+                
+                const lastFrame = this.currentAnimation.frames.length - 1;
+                if (this.currentAnimation.loop) {
+                    this.frame = (this.frame + 1) % this.currentAnimation.frames.length;
+                } else {
+                    this.frame = Math.min(this.frame + 1, lastFrame);
+                }
             }
         }
     }
@@ -529,6 +710,9 @@ class RenderComponent extends Component {
                 frame.x, frame.y, frame.width, frame.height,
                 renderX, renderY, this.width, this.height
             );
+        } else if (this.texture && this.getAssets()) {
+            // Renderiza textura/frame do atlas do AssetManager
+            this.getAssets().drawFrame(context, this.texture, renderX, renderY, this.width, this.height);
         } else {
             // Renderização padrão (círculo colorido)
             context.fillStyle = this.color;
@@ -548,6 +732,24 @@ class RenderComponent extends Component {
             context.stroke();
         }
         
+        // Tinta sobre a silhueta da entidade
+        if (this.tint) {
+            context.globalAlpha = this.opacity * this.tintStrength;
+            context.fillStyle = this.tint;
+            context.beginPath();
+            context.ellipse(
+                transform.renderPosition.x + this.offset.x,
+                transform.renderPosition.y + this.offset.y,
+                this.width / 2,
+                this.height / 2,
+                0,
+                0,
+                Math.PI * 2
+            );
+            context.fill();
+            context.globalAlpha = this.opacity;
+        }
+        
         // Debug info
         if (this.debug || GameConfig.DEBUG_ENTITIES) {
             context.strokeStyle = '#ffff00';
@@ -567,11 +769,23 @@ class RenderComponent extends Component {
         context.restore();
     }
     
-    addAnimation(name, frames) {
+    /**
+     * AssetManager (null enquanto os assets não foram carregados)
+     */
+    getAssets() {
+        return EntityManager.getInstance().assets || null;
+    }
+    
+    /**
+     * Adiciona uma animação simples de spritesheet
+     * Para estados, transições e eventos de frame, use o AnimatorComponent
+     */
+    addAnimation(name, frames, options = {}) {
         this.animations.set(name, {
             name: name,
             frames: frames,
-            loop: true
+            loop: options.loop !== false,
+            frameDuration: options.frameDuration || this.frameDuration
         });
     }
     
@@ -585,6 +799,39 @@ class RenderComponent extends Component {
             this.frameTimer = 0;
         }
     }
+    
+    serialize() {
+        // Imagens (sprite/spriteSheet) não são serializadas
+        return {
+            ...super.serialize(),
+            color: this.color,
+            texture: this.texture,
+            width: this.width,
+            height: this.height,
+            offset: { ...this.offset },
+            opacity: this.opacity,
+            blendMode: this.blendMode,
+            visible: this.visible,
+            animation: this.currentAnimation ? this.currentAnimation.name : null,
+            frame: this.frame,
+            frameTimer: this.frameTimer
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        this.color = data.color;
+        this.texture = data.texture || null;
+        this.width = data.width;
+        this.height = data.height;
+        this.offset = { ...data.offset };
+        this.opacity = data.opacity;
+        this.blendMode = data.blendMode;
+        this.visible = data.visible;
+        this.currentAnimation = data.animation ? this.animations.get(data.animation) || null : null;
+        this.frame = data.frame;
+        this.frameTimer = data.frameTimer;
+    }
 }
 
 /**
@@ -609,6 +856,15 @@ class AIComponent extends Component {
         // Memória
         this.lastKnownPlayerPosition = null;
         this.memory = new Map();
+        
+        // Navegação (usa o Pathfinder quando disponível)
+        this.path = null;
+        this.pathIndex = 0;
+        this.pathRequest = null;
+        this.pathGoal = null;
+        this.repathInterval = config.repathInterval || 0.75;
+        this.repathTimer = 0;
+        this.waypointTolerance = config.waypointTolerance || 6;
     }
     
     update(deltaTime) {
@@ -676,12 +932,11 @@ class AIComponent extends Component {
             // Chegou ao ponto de patrulha
             this.currentPatrolIndex = (this.currentPatrolIndex + 1) % this.patrolPoints.length;
             this.stateTimer = 0;
+            this.clearPath();
             physics.setMovementInput(0, 0);
         } else {
-            // Move em direção ao ponto
-            const directionX = dx / distance;
-            const directionY = dy / distance;
-            physics.setMovementInput(directionX, directionY);
+            // Move em direção ao ponto, contornando obstáculos
+            this.moveTowards(currentPoint.x, currentPoint.y, deltaTime);
         }
     }
     
@@ -689,6 +944,14 @@ class AIComponent extends Component {
         // Implementação básica de comportamento agressivo
         // Em produção, isso seria mais complexo
         
+        // Alvo morto ou removido
+        if (this.target && !this.isTargetValid()) {
+            this.target = null;
+            this.clearPath();
+            this.entity.getComponent('PhysicsComponent')?.setMovementInput(0, 0);
+            this.setState('idle');
+        }
+        
         if (!this.target) {
             // Procura por jogadores próximos
             const player = EntityManager.getInstance().getPlayer();
@@ -719,26 +982,49 @@ class AIComponent extends Component {
             const distance = Math.sqrt(dx * dx + dy * dy);
             
             if (distance < this.attackRange) {
+                this.clearPath();
                 this.setState('attack');
             } else if (distance > this.sightRange) {
                 this.target = null;
+                this.clearPath();
                 this.setState('idle');
             } else {
-                const directionX = dx / distance;
-                const directionY = dy / distance;
-                physics.setMovementInput(directionX, directionY);
+                this.moveTowards(targetTransform.position.x, targetTransform.position.y, deltaTime);
             }
         } else if (this.state === 'attack') {
-            // Lógica de ataque será implementada na parte de combate
-            this.stateTimer += deltaTime;
+            const transform = this.entity.getComponent('TransformComponent');
+            const targetTransform = this.target.getComponent('TransformComponent');
+            const physics = this.entity.getComponent('PhysicsComponent');
+            
+            if (!transform || !targetTransform || !physics) return;
             
-            if (this.stateTimer >= 1) {
+            physics.setMovementInput(0, 0);
+            
+            const dx = targetTransform.position.x - transform.position.x;
+            const dy = targetTransform.position.y - transform.position.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            
+            // Pequena folga evita alternar entre chase e attack na borda do alcance
+            if (distance > this.attackRange * 1.25) {
                 this.setState('chase');
-                this.stateTimer = 0;
+                return;
             }
+            
+            // Ataca na direção do alvo (o cooldown é controlado pelo CombatComponent)
+            this.entity.getComponent('CombatComponent')?.attack({ x: dx, y: dy });
         }
     }
     
+    /**
+     * Verifica se o alvo ainda existe e está vivo
+     */
+    isTargetValid() {
+        if (!this.target || !this.target.active) return false;
+        
+        const health = this.target.getComponent('HealthComponent');
+        return !health || !health.dead;
+    }
+    
     updatePassive(deltaTime) {
         // Comportamento passivo: foge do jogador
         const player = EntityManager.getInstance().getPlayer();
@@ -794,6 +1080,101 @@ class AIComponent extends Component {
         }
     }
     
+    /**
+     * Move a entidade até um ponto do mundo
+     * Com linha de visão livre segue em linha reta; caso contrário pede um
+     * caminho ao Pathfinder e segue seus waypoints. Sem pathfinder ou com
+     * falha na busca, volta ao movimento direto.
+     */
+    moveTowards(targetX, targetY, deltaTime) {
+        const transform = this.entity.getComponent('TransformComponent');
+        const physics = this.entity.getComponent('PhysicsComponent');
+        if (!transform || !physics) return;
+        
+        const pathfinder = EntityManager.getInstance().pathfinder;
+        const position = transform.position;
+        const goal = { x: targetX, y: targetY };
+        
+        if (!pathfinder || pathfinder.hasLineOfSight(position, goal)) {
+            this.clearPath();
+            this.steerTowards(goal);
+            return;
+        }
+        
+        // Pede um novo caminho quando o destino muda, periodicamente ou se ficou preso
+        this.repathTimer -= deltaTime;
+        const collider = this.entity.getComponent('ColliderComponent');
+        const goalMoved = !this.pathGoal ||
+            Math.abs(this.pathGoal.x - targetX) > pathfinder.world.tileSize ||
+            Math.abs(this.pathGoal.y - targetY) > pathfinder.world.tileSize;
+        
+        const needsPath = !this.path || goalMoved || collider?.isStuck;
+        
+        if (!this.pathRequest && needsPath && this.repathTimer <= 0) {
+            this.pathRequest = pathfinder.requestPath(position, goal);
+            this.pathGoal = goal;
+            this.repathTimer = this.repathInterval;
+        }
+        
+        // Consome o resultado da busca
+        if (this.pathRequest && this.pathRequest.status !== 'pending') {
+            this.path = this.pathRequest.status === 'found' ? this.pathRequest.path : null;
+            this.pathIndex = 0;
+            this.pathRequest = null;
+        }
+        
+        // Segue os waypoints
+        if (this.path && this.pathIndex < this.path.length) {
+            const waypoint = this.path[this.pathIndex];
+            const dx = waypoint.x - position.x;
+            const dy = waypoint.y - position.y;
+            
+            if (Math.sqrt(dx * dx + dy * dy) < this.waypointTolerance) {
+                this.pathIndex++;
+            }
+            
+            this.steerTowards(this.path[Math.min(this.pathIndex, this.path.length - 1)]);
+        } else if (!this.pathRequest) {
+            // Sem caminho disponível: tenta em linha reta
+            this.steerTowards(goal);
+        } else {
+            physics.setMovementInput(0, 0);
+        }
+    }
+    
+    /**
+     * Define o input de movimento na direção de um ponto
+     */
+    steerTowards(point) {
+        const transform = this.entity.getComponent('TransformComponent');
+        const physics = this.entity.getComponent('PhysicsComponent');
+        
+        const dx = point.x - transform.position.x;
+        const dy = point.y - transform.position.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        
+        if (distance < 1) {
+            physics.setMovementInput(0, 0);
+            return;
+        }
+        
+        physics.setMovementInput(dx / distance, dy / distance);
+    }
+    
+    /**
+     * Descarta o caminho atual e cancela buscas pendentes
+     */
+    clearPath() {
+        if (this.pathRequest) {
+            EntityManager.getInstance().pathfinder?.cancel(this.pathRequest);
+        }
+        
+        this.path = null;
+        this.pathIndex = 0;
+        this.pathRequest = null;
+        this.pathGoal = null;
+    }
+    
     setState(newState) {
         this.state = newState;
         this.stateTimer = 0;
@@ -801,15 +1182,67 @@ class AIComponent extends Component {
         // Notifica outros componentes da mudança de estado
         this.entity.onStateChange?.(newState);
     }
+    
+    serialize() {
+        // O caminho atual não é salvo: é recalculado após o load
+        return {
+            ...super.serialize(),
+            behavior: this.behavior,
+            state: this.state,
+            targetId: this.target ? this.target.id : null,
+            aggroRange: this.aggroRange,
+            attackRange: this.attackRange,
+            sightRange: this.sightRange,
+            patrolPoints: this.patrolPoints.map(point => ({ ...point })),
+            currentPatrolIndex: this.currentPatrolIndex,
+            stateTimer: this.stateTimer,
+            idleDuration: this.idleDuration,
+            patrolSpeed: this.patrolSpeed,
+            lastKnownPlayerPosition: this.lastKnownPlayerPosition ? { ...this.lastKnownPlayerPosition } : null,
+            memory: Array.from(this.memory.entries())
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        this.behavior = data.behavior;
+        this.state = data.state;
+        this.targetId = data.targetId;
+        this.aggroRange = data.aggroRange;
+        this.attackRange = data.attackRange;
+        this.sightRange = data.sightRange;
+        this.patrolPoints = data.patrolPoints.map(point => ({ ...point }));
+        this.currentPatrolIndex = data.currentPatrolIndex;
+        this.stateTimer = data.stateTimer;
+        this.idleDuration = data.idleDuration;
+        this.patrolSpeed = data.patrolSpeed;
+        this.lastKnownPlayerPosition = data.lastKnownPlayerPosition ? { ...data.lastKnownPlayerPosition } : null;
+        this.memory = new Map(data.memory);
+        this.clearPath();
+    }
+    
+    resolveReferences(entityManager) {
+        this.target = this.targetId ? entityManager.entities.get(this.targetId) || null : null;
+        delete this.targetId;
+    }
 }
 
+// Registra os componentes base para restauração de saves
+[
+    TransformComponent,
+    ColliderComponent,
+    PhysicsComponent,
+    RenderComponent,
+    AIComponent
+].forEach(componentType => Component.register(componentType));
+
 // ============================================================================
 // CLASSE ENTITY BASE
 // ============================================================================
 
 class Entity {
     constructor(id, name = 'Entity') {
-        this.id = id || `entity_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.id = id || `entity_${RandomService.getInstance().stream('ids').next().toString(36).substr(2, 9)}`;
         this.name = name;
         this.type = 'entity';
         this.active = true;
@@ -825,7 +1258,10 @@ class Entity {
      */
     addComponent(componentType, config = {}) {
         const component = new componentType(this, config);
-        this.components.set(component.type, component);
+        
+        // Usa o nome da classe como chave: o ColliderComponent sobrescreve
+        // `type` com a forma de colisão ('circle', 'aabb')
+        this.components.set(componentType.name, component);
         return component;
     }
     
@@ -897,6 +1333,8 @@ class Entity {
         // Render componentes na ordem correta
         const renderOrder = [
             'RenderComponent',
+            'HealthComponent',
+            'StatusEffectsComponent',
             'ColliderComponent'
         ];
         
@@ -933,6 +1371,48 @@ class Entity {
         this.active = false;
     }
     
+    /**
+     * Serializa a entidade e todos os seus componentes
+     */
+    serialize() {
+        const components = {};
+        for (const [type, component] of this.components) {
+            components[type] = component.serialize();
+        }
+        
+        return {
+            id: this.id,
+            name: this.name,
+            type: this.type,
+            active: this.active,
+            tags: Array.from(this.tags),
+            components: components
+        };
+    }
+    
+    /**
+     * Recria uma entidade a partir dos dados serializados
+     */
+    static deserialize(data) {
+        const entity = new Entity(data.id, data.name);
+        entity.type = data.type;
+        entity.active = data.active;
+        entity.tags = new Set(data.tags);
+        
+        Object.entries(data.components).forEach(([typeName, componentData]) => {
+            const componentType = Component.types.get(typeName);
+            if (!componentType) {
+                console.warn(`⚠️ Componente desconhecido ignorado no load: ${typeName}`);
+                return;
+            }
+            
+            const component = entity.addComponent(componentType);
+            component.deserialize(componentData);
+        });
+        
+        return entity;
+    }
+    
     /**
      * Clona a entidade
      */
@@ -988,6 +1468,14 @@ class EntityManager {
         return EntityManager.instance;
     }
     
+    /**
+     * Define o mundo usado pelos sistemas (colisão com terreno)
+     */
+    setWorld(world) {
+        this.world = world;
+        this.collisionSystem.setWorld(world);
+    }
+    
     /**
      * Cria uma nova entidade
      */
@@ -1202,6 +1690,9 @@ class EntityManager {
             }
         }
         
+        // Resolve colisões com o terreno após o movimento
+        this.collisionSystem.resolveTerrainCollisions(deltaTime);
+        
         // Remove entidades inativas
         this.cleanup();
         
@@ -1211,10 +1702,13 @@ class EntityManager {
     
     /**
      * Renderiza todas as entidades
+     * @param {number} alpha - Fator de interpolação entre passos fixos
      */
-    render(context) {
+    render(context, alpha = 1) {
         // Ordem de renderização
         const renderOrder = [
+            'structure',
+            'workstation',
             'creature',
             'npc', 
             'player',
@@ -1227,6 +1721,7 @@ class EntityManager {
             if (group) {
                 for (const entity of group) {
                     if (entity.active) {
+                        entity.getComponent('TransformComponent')?.interpolate(alpha);
                         entity.render(context);
                     }
                 }
@@ -1274,6 +1769,72 @@ class EntityManager {
         this.stats.active = 0;
     }
     
+    /**
+     * Serializa todas as entidades ativas
+     */
+    serialize() {
+        const entities = [];
+        for (const entity of this.entities.values()) {
+            if (entity.active) {
+                entities.push(entity.serialize());
+            }
+        }
+        
+        return {
+            nextEntityId: this.nextEntityId,
+            entities: entities
+        };
+    }
+    
+    /**
+     * Substitui todas as entidades pelas de um save
+     */
+    deserialize(data) {
+        this.applySave(this.readSave(data));
+    }
+    
+    /**
+     * Recria as entidades de um save sem alterar as atuais
+     * (se uma falhar, as já recriadas são destruídas)
+     */
+    readSave(data) {
+        const entities = [];
+        
+        try {
+            data.entities.forEach(entityData => entities.push(Entity.deserialize(entityData)));
+        } catch (error) {
+            entities.forEach(entity => entity.destroy());
+            throw error;
+        }
+        
+        return {
+            nextEntityId: data.nextEntityId,
+            entities: entities
+        };
+    }
+    
+    /**
+     * Substitui todas as entidades pelas recriadas por readSave
+     */
+    applySave(state) {
+        this.clear();
+        this.nextEntityId = state.nextEntityId;
+        
+        for (const entity of state.entities) {
+            this.entities.set(entity.id, entity);
+            this.addToGroup(entity, entity.type);
+            this.addToGroup(entity, 'all');
+            this.stats.active++;
+        }
+        
+        // Referências entre entidades (ex.: alvo da IA)
+        for (const entity of this.entities.values()) {
+            for (const component of entity.components.values()) {
+                component.resolveReferences(this);
+            }
+        }
+    }
+    
     /**
      * Obtém estatísticas
      */
@@ -1319,10 +1880,21 @@ class CollisionSystem {
         
         this.collisionCount = 0;
         this.collisionChecks = 0;
+        this.terrainCollisionCount = 0;
+        
+        // Colisão com terreno
+        this.world = null;
+        this.terrainIterations = 4;        // Passadas de resolução por entidade
+        this.stuckTimeThreshold = 0.5;     // Segundos sem progresso até marcar como preso
+        this.stuckProgressRatio = 0.2;     // Fração mínima do movimento pretendido
         
         this.setupDefaultLayers();
     }
     
+    setWorld(world) {
+        this.world = world;
+    }
+    
     setupDefaultLayers() {
         // Define layers de colisão
         const layers = [
@@ -1345,7 +1917,7 @@ class CollisionSystem {
         this.setCollisionRule('creature', ['terrain', 'player', 'npc']);
         this.setCollisionRule('terrain', ['player', 'npc', 'creature']);
         this.setCollisionRule('item', ['player']);
-        this.setCollisionRule('projectile', ['creature', 'npc', 'terrain']);
+        this.setCollisionRule('projectile', ['player', 'creature', 'npc', 'terrain']);
         this.setCollisionRule('trigger', ['player']);
     }
     
@@ -1380,19 +1952,23 @@ class CollisionSystem {
     }
     
     updateSpatialGrid() {
-        // Limpa grid
+        // Limpa grid e membros das layers
         this.broadPhase.clear();
+        this.collisionLayers.forEach(members => members.clear());
         
         // Adiciona entidades com collider ao grid
         for (const entity of this.entityManager.entities.values()) {
             if (!entity.active) continue;
             
             const collider = entity.getComponent('ColliderComponent');
-            if (!collider || collider.type === 'none') continue;
+            if (!collider || !collider.enabled || collider.type === 'none') continue;
             
             const transform = entity.getComponent('TransformComponent');
             if (!transform) continue;
             
+            // Registra na layer de colisão
+            this.collisionLayers.get(collider.collisionLayer)?.add(entity);
+            
             // Adiciona ao grid espacial
             this.broadPhase.insert(entity, transform.position.x, transform.position.y, 
                                  collider.radius || Math.max(collider.width, collider.height));
@@ -1406,7 +1982,7 @@ class CollisionSystem {
             if (!entity.active) continue;
             
             const collider = entity.getComponent('ColliderComponent');
-            if (!collider || collider.type === 'none') continue;
+            if (!collider || !collider.enabled || collider.type === 'none') continue;
             
             const transform = entity.getComponent('TransformComponent');
             if (!transform) continue;
@@ -1552,6 +2128,153 @@ class CollisionSystem {
         }
     }
     
+    /**
+     * Resolve colisões de todas as entidades contra tiles não transitáveis
+     * Os tiles bloqueados atuam como membros estáticos da layer 'terrain'
+     */
+    resolveTerrainCollisions(deltaTime) {
+        this.terrainCollisionCount = 0;
+        if (!this.world) return;
+        
+        for (const entity of this.entityManager.entities.values()) {
+            if (!entity.active || entity.hasTag('terrain')) continue;
+            
+            const collider = entity.getComponent('ColliderComponent');
+            if (!collider || collider.type === 'none' || collider.isTrigger) continue;
+            if (!this.canCollide(collider.collisionLayer, 'terrain')) continue;
+            
+            const transform = entity.getComponent('TransformComponent');
+            if (!transform) continue;
+            
+            let contacts = 0;
+            let unresolved = false;
+            
+            for (let i = 0; i < this.terrainIterations; i++) {
+                const collision = this.findTerrainCollision(collider);
+                if (!collision) break;
+                
+                contacts++;
+                this.resolveTerrainCollision(entity, collision);
+                
+                entity.onCollision(null, collision);
+                
+                // Ainda colidindo após a última passada
+                if (i === this.terrainIterations - 1 && this.findTerrainCollision(collider)) {
+                    unresolved = true;
+                }
+            }
+            
+            this.terrainCollisionCount += contacts;
+            this.updateStuckState(entity, collider, transform, contacts, unresolved, deltaTime);
+        }
+    }
+    
+    /**
+     * Encontra o tile bloqueado com maior penetração no collider
+     */
+    findTerrainCollision(collider) {
+        const bounds = collider.getBounds();
+        if (!bounds) return null;
+        
+        const tileSize = this.world.tileSize;
+        const halfWidth = bounds.type === 'circle' ? bounds.radius : 0;
+        const left = bounds.type === 'circle' ? bounds.x - halfWidth : bounds.x;
+        const top = bounds.type === 'circle' ? bounds.y - halfWidth : bounds.y;
+        const right = bounds.type === 'circle' ? bounds.x + halfWidth : bounds.x + bounds.width;
+        const bottom = bounds.type === 'circle' ? bounds.y + halfWidth : bounds.y + bounds.height;
+        
+        const minTileX = Math.floor(left / tileSize);
+        const maxTileX = Math.floor(right / tileSize);
+        const minTileY = Math.floor(top / tileSize);
+        const maxTileY = Math.floor(bottom / tileSize);
+        
+        let deepest = null;
+        
+        for (let tileY = minTileY; tileY <= maxTileY; tileY++) {
+            for (let tileX = minTileX; tileX <= maxTileX; tileX++) {
+                const tile = this.world.getTile(tileX, tileY);
+                if (!tile || this.world.isTileWalkable(tile.type)) continue;
+                
+                const tileBox = {
+                    type: 'aabb',
+                    x: tileX * tileSize,
+                    y: tileY * tileSize,
+                    width: tileSize,
+                    height: tileSize
+                };
+                
+                const collisionData = bounds.type === 'circle'
+                    ? collider.checkCircleAABB(bounds, tileBox)
+                    : collider.checkAABBAABB(bounds, tileBox);
+                
+                if (!collisionData || collisionData.penetration <= 0) continue;
+                
+                if (!deepest || collisionData.penetration > deepest.penetration) {
+                    deepest = {
+                        ...collisionData,
+                        layer: 'terrain',
+                        tile: tile,
+                        tileX: tileX,
+                        tileY: tileY
+                    };
+                }
+            }
+        }
+        
+        return deepest;
+    }
+    
+    /**
+     * Empurra a entidade para fora do tile e remove a componente da
+     * velocidade contra a parede, permitindo deslizar ao longo dela
+     */
+    resolveTerrainCollision(entity, collision) {
+        const transform = entity.getComponent('TransformComponent');
+        const physics = entity.getComponent('PhysicsComponent');
+        const { normal, penetration } = collision;
+        
+        transform.position.x += normal.x * penetration;
+        transform.position.y += normal.y * penetration;
+        
+        const velocities = physics ? [physics.velocity, transform.velocity] : [transform.velocity];
+        for (const velocity of velocities) {
+            const velocityAlongNormal = velocity.x * normal.x + velocity.y * normal.y;
+            if (velocityAlongNormal < 0) {
+                velocity.x -= velocityAlongNormal * normal.x;
+                velocity.y -= velocityAlongNormal * normal.y;
+            }
+        }
+    }
+    
+    /**
+     * Marca a entidade como presa quando o terreno impede o progresso
+     * pretendido por tempo suficiente (ou a colisão não pôde ser resolvida)
+     */
+    updateStuckState(entity, collider, transform, contacts, unresolved, deltaTime) {
+        const physics = entity.getComponent('PhysicsComponent');
+        
+        // Uma vez bloqueada, a entidade continua acumulando tempo enquanto não
+        // progredir, mesmo em frames em que apenas encosta no tile
+        let blocked = unresolved;
+        if (!blocked && (contacts > 0 || collider.stuckTime > 0) && physics) {
+            const inputMagnitude = Math.sqrt(
+                physics.movementInput.x * physics.movementInput.x +
+                physics.movementInput.y * physics.movementInput.y
+            );
+            const intendedDistance = inputMagnitude * physics.speed * deltaTime;
+            
+            const dx = transform.position.x - transform.previousPosition.x;
+            const dy = transform.position.y - transform.previousPosition.y;
+            const movedDistance = Math.sqrt(dx * dx + dy * dy);
+            
+            blocked = intendedDistance > 0 && movedDistance < intendedDistance * this.stuckProgressRatio;
+        }
+        
+        collider.stuckTime = blocked ? collider.stuckTime + deltaTime : 0;
+        
+        collider.isStuck = unresolved || collider.stuckTime >= this.stuckTimeThreshold;
+    }
+    
     getEntityPairKey(entityA, entityB) {
         // Garante que a chave seja sempre a mesma para o par, independente da ordem
         return entityA.id < entityB.id 
@@ -1563,6 +2286,7 @@ class CollisionSystem {
         return {
             collisions: this.collisionCount,
             checks: this.collisionChecks,
+            terrain: this.terrainCollisionCount,
             efficiency: this.collisionChecks > 0 
                 ? (this.collisionCount / this.collisionChecks * 100).toFixed(1) + '%'
                 : '0%'
@@ -1675,16 +2399,18 @@ class SpatialHashGrid {
 GameEngine.prototype.initializeEntities = function() {
     // Inicializa EntityManager
     this.entityManager = EntityManager.getInstance();
+    this.entityManager.setWorld(this.world);
     
     // Cria jogador
     this.playerEntity = this.entityManager.createPlayer({
         position: { x: 0, y: 0 },
         speed: 180,
         color: '#ff3333',
-        radius: 14
+        radius: 14,
+        animator: 'player'
     });
     
-    // Cria alguns NPCs para teste
+    // Moradores da vila inicial (criaturas surgem por chunk, parte 21)
     for (let i = 0; i < 5; i++) {
         const angle = (i / 5) * Math.PI * 2;
         const distance = 200;
@@ -1695,22 +2421,8 @@ GameEngine.prototype.initializeEntities = function() {
                 y: Math.sin(angle) * distance
             },
             behavior: i % 2 === 0 ? 'friendly' : 'patrol',
-            color: '#33aaff'
-        });
-    }
-    
-    // Cria algumas criaturas para teste
-    for (let i = 0; i < 3; i++) {
-        const angle = (i / 3) * Math.PI * 2 + Math.PI / 6;
-        const distance = 300;
-        this.entityManager.createCreature({
-            name: `Goblin ${i + 1}`,
-            position: {
-                x: Math.cos(angle) * distance,
-                y: Math.sin(angle) * distance
-            },
-            behavior: 'aggressive',
-            color: '#ff6633'
+            color: '#33aaff',
+            animator: 'npc'
         });
     }
     
@@ -1742,8 +2454,9 @@ GameEngine.prototype.update = function(deltaTime) {
         }
     }
     
-    // Atualiza mundo
-    this.world.update(this.player ? this.player.position : { x: 0, y: 0 });
+    // Atualiza mundo em torno do jogador
+    const playerTransform = this.player?.getComponent('TransformComponent');
+    this.world.update(playerTransform ? playerTransform.position : { x: 0, y: 0 });
     
     // Processa zoom
     this.processCameraZoom();
@@ -1781,7 +2494,7 @@ GameEngine.prototype.processCameraZoom = function() {
 };
 
 // Atualiza o método render do GameEngine
-GameEngine.prototype.render = function() {
+GameEngine.prototype.render = function(alpha = 1) {
     this.stats.renders++;
     
     // Limpa o canvas
@@ -1791,13 +2504,14 @@ GameEngine.prototype.render = function() {
     this.context.save();
     
     // Aplica transformações da câmera
+    this.camera.interpolate(alpha);
     this.camera.applyTransform(this.context);
     
     // Renderiza o mundo
     this.world.render(this.context, this.camera);
     
     // Renderiza entidades
-    this.entityManager.render(this.context);
+    this.entityManager.render(this.context, alpha);
     
     // Restaura estado do contexto
     this.context.restore();
@@ -1806,6 +2520,17 @@ GameEngine.prototype.render = function() {
     this.renderUI();
 };
 
+// Lista de controles exibida na UI (partes seguintes adicionam os seus)
+const ControlsHelp = [
+    'CONTROLES:',
+    'WASD / Setas - Mover',
+    'Espaço - Pular (teste)',
+    'Scroll - Zoom',
+    'R - Resetar Câmera',
+    'F1 - Debug Colisões',
+    'F2 - Debug Entidades'
+];
+
 // Atualiza UI para mostrar informações de entidades
 GameEngine.prototype.renderUI = function() {
     this.context.save();
@@ -1828,12 +2553,12 @@ GameEngine.prototype.renderUI = function() {
     
     const debugInfo = [
         `FPS: ${this.fps}`,
-        `Delta: ${this.deltaTime.toFixed(4)}`,
+        `Delta: ${this.deltaTime.toFixed(4)} | Steps: ${this.stepsLastFrame} | Alpha: ${this.alpha.toFixed(2)}`,
         `Player: (${playerPos.x.toFixed(1)}, ${playerPos.y.toFixed(1)})`,
         `Speed: (${playerVel.x.toFixed(1)}, ${playerVel.y.toFixed(1)})`,
         `Entities: ${entityStats.active}/${entityStats.totalEntities}`,
-        `Collisions: ${collisionStats.collisions} (${collisionStats.efficiency})`,
-        `Chunks: ${this.stats.chunksLoaded}`,
+        `Collisions: ${collisionStats.collisions} (${collisionStats.efficiency}), Terrain: ${collisionStats.terrain}`,
+        `Chunks: ${this.stats.chunksLoaded} (${this.world.pendingChunks.size} pendentes, ${this.world.chunkWorker ? 'worker' : 'main thread'}) | Seed: ${this.world.seed}`,
         `Updates: ${this.stats.updates}, Renders: ${this.stats.renders}`
     ];
     
@@ -1842,22 +2567,13 @@ GameEngine.prototype.renderUI = function() {
     });
     
     // Instruções expandidas
+    const boxHeight = ControlsHelp.length * 16 + 10;
     this.context.fillStyle = 'rgba(0, 0, 0, 0.7)';
-    this.context.fillRect(10, this.canvas.height - 100, 300, 90);
+    this.context.fillRect(10, this.canvas.height - boxHeight - 10, 300, boxHeight);
     
     this.context.fillStyle = '#ffffff';
-    const instructions = [
-        'CONTROLES:',
-        'WASD / Setas - Mover',
-        'Espaço - Pular (teste)',
-        'Scroll - Zoom',
-        'R - Resetar Câmera',
-        'F1 - Debug Colisões',
-        'F2 - Debug Entidades'
-    ];
-    
-    instructions.forEach((instruction, index) => {
-        this.context.fillText(instruction, 20, this.canvas.height - 90 + index * 16);
+    ControlsHelp.forEach((instruction, index) => {
+        this.context.fillText(instruction, 20, this.canvas.height - boxHeight + index * 16);
     });
     
     this.context.restore();
@@ -1896,7 +2612,7 @@ document.addEventListener('keydown', (e) => {
                 name: 'Test Creature',
                 position: mouseWorld,
                 behavior: 'aggressive',
-                color: `#${Math.floor(Math.random()*16777215).toString(16)}`
+                color: `#${RandomService.getInstance().stream('debug').int(0, 16777215).toString(16).padStart(6, '0')}`
             });
             
             console.log('Criatura criada em:', mouseWorld);
@@ -1909,10 +2625,9 @@ const originalInitialize = GameEngine.prototype.initialize;
 GameEngine.prototype.initialize = function() {
     originalInitialize.call(this);
     
-    // Inicializa entidades após o carregamento
-    setTimeout(() => {
-        this.initializeEntities();
-    }, 100);
+    // Inicializa entidades antes do primeiro passo do loop
+    // (o loop só inicia após o carregamento assíncrono dos assets)
+    this.initializeEntities();
 };
 
 console.log('✅ Parte 2 - Sistema de Entidades e Colisões carregado!');
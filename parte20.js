@@ -0,0 +1,620 @@
+/**
+ * INFINITE RPG - PARTE 20: ESTRUTURAS PROCEDURAIS
+ *
+ * Esta parte implementa:
+ * 1. Locais gerados por um ruído de estruturas com seed (determinísticos)
+ * 2. Vilas nos campos: casas, caminhos, tochas, baús e aldeões
+ * 3. Ruínas no deserto: muros quebrados, pisos antigos e tesouros
+ * 4. Acampamentos hostis na floresta: barracas, fogueira e goblins
+ * 5. Estruturas que atravessam bordas de chunk (cada chunk recebe a sua parte)
+ * 6. chunk.entities / chunk.items preenchidos e criados uma única vez por mundo
+ */
+
+// ============================================================================
+// DEFINIÇÕES
+// ============================================================================
+
+/**
+ * Estruturas que só aparecem nos locais gerados
+ * (desconstruí-las devolve o material do `item`)
+ */
+const GeneratedStructureTypes = {
+    path: { name: 'Caminho', item: 'stone', layer: 'floor', solid: false, color: '#a58d6a' },
+    ruin_wall: { name: 'Muro em Ruínas', item: 'stone', layer: 'object', solid: true, color: '#b8a27a' },
+    ruin_floor: { name: 'Piso Antigo', item: 'stone', layer: 'floor', solid: false, color: '#cdb891' },
+    tent: { name: 'Barraca', item: 'wood', layer: 'object', solid: true, color: '#6b5a3a', size: 28 },
+    campfire: { name: 'Fogueira', item: 'wood', layer: 'object', solid: false, light: 128, color: '#ff7043', size: 16 }
+};
+
+const GeneratedLootTables = [
+    {
+        id: 'village_chest',
+        rolls: { min: 2, max: 3 },
+        entries: [
+            { item: 'herb', weight: 30, min: 2, max: 5 },
+            { item: 'wood', weight: 25, min: 3, max: 8 },
+            { item: 'health_potion', weight: 15 },
+            { item: 'gold_coin', weight: 30, min: 5, max: 15 }
+        ]
+    },
+    {
+        id: 'ruins_chest',
+        rolls: { min: 2, max: 4 },
+        guaranteed: [
+            { item: 'gold_coin', min: 10, max: 30 }
+        ],
+        entries: [
+            { item: 'iron_ingot', weight: 30, min: 1, max: 3 },
+            { table: 'equipment', weight: 20 },
+            { item: 'health_potion', weight: 20 },
+            { weight: 30 }
+        ]
+    },
+    {
+        id: 'ruins_ground',
+        rolls: 1,
+        entries: [
+            { item: 'gold_coin', weight: 50, min: 1, max: 4 },
+            { item: 'stone', weight: 50, min: 1, max: 3 }
+        ]
+    }
+];
+
+/**
+ * Tipos de local gerado
+ * - biome: bioma em que aparece (no centro do local)
+ * - radius: raio máximo em tiles (limita a área e o espaçamento)
+ * - build(layout, random): desenha o local em coordenadas relativas ao centro
+ */
+const ProceduralStructureTypes = {
+    village: {
+        name: 'Vila',
+        biome: 'grassland',
+        radius: 14,
+        build(layout, random) {
+            // Praça central
+            layout.rect(-1, -1, 3, 3, { floor: 'path' });
+            
+            const houses = random.int(3, 5);
+            const offset = random.range(0, Math.PI * 2);
+            
+            for (let i = 0; i < houses; i++) {
+                const angle = offset + (i / houses) * Math.PI * 2 + random.range(-0.15, 0.15);
+                const distance = random.range(7, 9);
+                const width = random.int(5, 6);
+                const height = random.int(4, 5);
+                const x = Math.round(Math.cos(angle) * distance - width / 2);
+                const y = Math.round(Math.sin(angle) * distance - height / 2);
+                
+                // Porta no lado voltado para a praça
+                const centerX = x + Math.floor(width / 2);
+                const centerY = y + Math.floor(height / 2);
+                let door;
+                if (Math.abs(centerX) > Math.abs(centerY)) {
+                    door = { x: centerX > 0 ? x : x + width - 1, y: centerY };
+                } else {
+                    door = { x: centerX, y: centerY > 0 ? y : y + height - 1 };
+                }
+                const outside = {
+                    x: door.x + (door.x === x ? -1 : door.x === x + width - 1 ? 1 : 0),
+                    y: door.y + (door.y === y ? -1 : door.y === y + height - 1 ? 1 : 0)
+                };
+                
+                layout.house(x, y, width, height, door);
+                layout.path(outside.x, outside.y, 0, 0);
+                
+                // Tocha ao lado da entrada
+                if (random.chance(0.6)) {
+                    const torch = outside.y === door.y ? { x: outside.x, y: outside.y + 1 } : { x: outside.x + 1, y: outside.y };
+                    if (!layout.get(torch.x, torch.y)) {
+                        layout.set(torch.x, torch.y, { clear: true, structure: { type: 'torch' } });
+                    }
+                }
+                
+                if (random.chance(0.5)) {
+                    layout.chest(x + 1, y + 1, 'village_chest', random);
+                }
+            }
+            
+            const villagers = random.int(2, 3);
+            for (let i = 0; i < villagers; i++) {
+                layout.entity('npc', random.int(-1, 1), random.int(-1, 1), {
+                    name: `Aldeão ${i + 1}`,
+                    behavior: 'passive',
+                    color: '#33aaff',
+                    animator: 'npc'
+                });
+            }
+        }
+    },
+    
+    ruins: {
+        name: 'Ruínas',
+        biome: 'desert',
+        radius: 10,
+        build(layout, random) {
+            const rooms = random.int(1, 2);
+            
+            for (let i = 0; i < rooms; i++) {
+                const width = random.int(6, 9);
+                const height = random.int(6, 8);
+                const x = i === 0 ? -Math.floor(width / 2) : random.int(-8, 8 - width);
+                const y = i === 0 ? -Math.floor(height / 2) : random.int(-8, 8 - height);
+                
+                for (let tileY = y; tileY < y + height; tileY++) {
+                    for (let tileX = x; tileX < x + width; tileX++) {
+                        const border = tileX === x || tileY === y || tileX === x + width - 1 || tileY === y + height - 1;
+                        
+                        if (border && random.chance(0.65)) {
+                            layout.set(tileX, tileY, { clear: true, structure: { type: 'ruin_wall' } });
+                        } else if (!border && random.chance(0.7)) {
+                            layout.set(tileX, tileY, { clear: true, floor: 'ruin_floor' });
+                        } else {
+                            layout.set(tileX, tileY, { clear: true });
+                        }
+                    }
+                }
+                
+                if (i === 0) {
+                    layout.chest(x + 1 + random.int(0, width - 3), y + 1 + random.int(0, height - 3), 'ruins_chest', random);
+                }
+            }
+            
+            // Restos espalhados na areia
+            const piles = random.int(2, 4);
+            for (let i = 0; i < piles; i++) {
+                LootTableDatabase.getInstance().roll('ruins_ground', { random }).forEach(({ id, quantity }) => {
+                    layout.item(id, quantity, random.int(-9, 9), random.int(-9, 9));
+                });
+            }
+        }
+    },
+    
+    camp: {
+        name: 'Acampamento',
+        biome: 'forest',
+        radius: 7,
+        build(layout, random) {
+            layout.circle(0, 0, 5, { clear: true });
+            layout.set(0, 0, { structure: { type: 'campfire' } });
+            
+            const tents = random.int(3, 4);
+            const offset = random.range(0, Math.PI * 2);
+            for (let i = 0; i < tents; i++) {
+                const angle = offset + (i / tents) * Math.PI * 2;
+                layout.set(Math.round(Math.cos(angle) * 4), Math.round(Math.sin(angle) * 4), { structure: { type: 'tent' } });
+            }
+            
+            layout.chest(random.pick([-1, 1]), random.pick([-2, 2]), 'goblin', random);
+            
+            const goblins = random.int(3, 5);
+            for (let i = 0; i < goblins; i++) {
+                const angle = random.range(0, Math.PI * 2);
+                const distance = random.range(1.5, 3);
+                layout.entity('creature', Math.cos(angle) * distance, Math.sin(angle) * distance, {
+                    name: `Goblin do Acampamento ${i + 1}`,
+                    behavior: 'aggressive',
+                    color: '#cc5522',
+                    animator: 'creature',
+                    lootTable: 'goblin',
+                    level: random.int(1, 3)
+                });
+            }
+        }
+    }
+};
+
+/**
+ * Chão usado ao limpar o terreno de um local, por bioma do chunk
+ */
+const StructureGroundTiles = {
+    grassland: 'grass',
+    forest: 'grass',
+    desert: 'sand'
+};
+
+// ============================================================================
+// LAYOUT DE UM LOCAL
+// ============================================================================
+
+/**
+ * Planta de um local em coordenadas absolutas de tile
+ * Os construtores usam coordenadas relativas ao centro
+ */
+class StructureLayout {
+    constructor(centerX, centerY) {
+        this.centerX = centerX;
+        this.centerY = centerY;
+        this.tiles = new Map();  // "tileX,tileY" -> { clear, floor, structure }
+        this.entities = [];      // { type, config } (posição em pixels)
+        this.items = [];         // { itemId, quantity, position }
+    }
+    
+    get(x, y) {
+        return this.tiles.get(`${this.centerX + x},${this.centerY + y}`) || null;
+    }
+    
+    /**
+     * Mescla propriedades em um tile (relativo ao centro)
+     */
+    set(x, y, properties) {
+        const key = `${this.centerX + x},${this.centerY + y}`;
+        this.tiles.set(key, { ...this.tiles.get(key), ...properties });
+    }
+    
+    rect(x, y, width, height, properties) {
+        for (let tileY = y; tileY < y + height; tileY++) {
+            for (let tileX = x; tileX < x + width; tileX++) {
+                this.set(tileX, tileY, { clear: true, ...properties });
+            }
+        }
+    }
+    
+    circle(x, y, radius, properties) {
+        for (let tileY = -radius; tileY <= radius; tileY++) {
+            for (let tileX = -radius; tileX <= radius; tileX++) {
+                if (tileX * tileX + tileY * tileY <= radius * radius) {
+                    this.set(x + tileX, y + tileY, properties);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Casa: paredes, piso e porta
+     */
+    house(x, y, width, height, door) {
+        this.rect(x, y, width, height, { floor: 'floor' });
+        
+        for (let tileY = y; tileY < y + height; tileY++) {
+            for (let tileX = x; tileX < x + width; tileX++) {
+                if (tileX === x || tileY === y || tileX === x + width - 1 || tileY === y + height - 1) {
+                    this.set(tileX, tileY, { structure: { type: tileX === door.x && tileY === door.y ? 'door' : 'wall' } });
+                }
+            }
+        }
+    }
+    
+    /**
+     * Caminho em L entre dois tiles (não passa por cima de construções)
+     */
+    path(fromX, fromY, toX, toY) {
+        const stepX = Math.sign(toX - fromX);
+        const stepY = Math.sign(toY - fromY);
+        let x = fromX;
+        let y = fromY;
+        
+        const pave = () => {
+            const existing = this.get(x, y);
+            if (!existing?.structure && !existing?.floor) {
+                this.set(x, y, { clear: true, floor: 'path' });
+            }
+        };
+        
+        pave();
+        while (x !== toX) { x += stepX; pave(); }
+        while (y !== toY) { y += stepY; pave(); }
+    }
+    
+    /**
+     * Baú com conteúdo sorteado de uma tabela de loot
+     */
+    chest(x, y, lootTable, random) {
+        const slots = LootTableDatabase.getInstance().roll(lootTable, { random })
+            .slice(0, StructureTypes.chest.storage)
+            .map(({ id, quantity }) => ({ id, quantity }));
+        
+        this.set(x, y, { clear: true, structure: { type: 'chest', slots } });
+    }
+    
+    entity(type, x, y, config) {
+        const tileSize = GameConfig.TILE_SIZE;
+        this.entities.push({
+            type,
+            config: {
+                ...config,
+                position: { x: (this.centerX + x + 0.5) * tileSize, y: (this.centerY + y + 0.5) * tileSize }
+            }
+        });
+    }
+    
+    item(itemId, quantity, x, y) {
+        const tileSize = GameConfig.TILE_SIZE;
+        this.items.push({
+            itemId,
+            quantity,
+            position: { x: (this.centerX + x + 0.5) * tileSize, y: (this.centerY + y + 0.5) * tileSize }
+        });
+    }
+}
+
+// ============================================================================
+// GERADOR DE ESTRUTURAS
+// ============================================================================
+
+/**
+ * Decide os locais do mundo e entrega a cada chunk a sua parte
+ *
+ * O mundo é dividido em células de `cellSize` tiles (desalinhadas dos chunks).
+ * O ruído de estruturas decide se a célula tem um local; uma stream derivada
+ * da seed e da célula escolhe o centro e monta a planta. O local fica inteiro
+ * dentro da célula, mas pode atravessar qualquer borda de chunk.
+ */
+class StructureGenerator {
+    constructor(world) {
+        this.world = world;
+        this.seed = world.seed;
+        this.noise = new PerlinNoise(RandomService.deriveSeed(world.seed, 'worldgen:structures'));
+        
+        this.cellSize = 80;          // tiles
+        this.threshold = 0.55;       // ruído mínimo para haver local
+        this.spawnClearance = 24;    // tiles livres ao redor da origem
+        this.maxRadius = Math.max(...Object.values(ProceduralStructureTypes).map(type => type.radius));
+        
+        this.sites = new Map(); // "cellX,cellY" -> local | null
+    }
+    
+    /**
+     * Local da célula (ou null), montado uma vez e mantido em cache
+     */
+    getSite(cellX, cellY) {
+        const key = `${cellX},${cellY}`;
+        if (!this.sites.has(key)) {
+            this.sites.set(key, this.buildSite(cellX, cellY));
+        }
+        return this.sites.get(key);
+    }
+    
+    buildSite(cellX, cellY) {
+        if (this.noise.get(cellX * 0.35, cellY * 0.35) < this.threshold) return null;
+        
+        const random = new RandomStream(RandomService.deriveSeed(this.seed, `worldgen:structure:${cellX},${cellY}`));
+        const margin = this.maxRadius + 1;
+        const centerX = cellX * this.cellSize + random.int(margin, this.cellSize - margin - 1);
+        const centerY = cellY * this.cellSize + random.int(margin, this.cellSize - margin - 1);
+        
+        // Área inicial fica livre (jogador, vila e mercadores iniciais)
+        if (Math.hypot(centerX, centerY) < this.spawnClearance + this.maxRadius) return null;
+        
+        const chunkSize = this.world.chunkSize;
+        const biome = this.world.determineBiome(Math.floor(centerX / chunkSize), Math.floor(centerY / chunkSize));
+        const entry = Object.entries(ProceduralStructureTypes).find(([, definition]) => definition.biome === biome);
+        if (!entry) return null;
+        
+        const [type, definition] = entry;
+        const layout = new StructureLayout(centerX, centerY);
+        definition.build(layout, random);
+        
+        return { type, cellX, cellY, centerX, centerY, layout };
+    }
+    
+    /**
+     * Locais que podem tocar o chunk
+     */
+    getSitesForChunk(chunkX, chunkY) {
+        const chunkSize = this.world.chunkSize;
+        const minX = Math.floor((chunkX * chunkSize - this.maxRadius) / this.cellSize);
+        const maxX = Math.floor(((chunkX + 1) * chunkSize + this.maxRadius) / this.cellSize);
+        const minY = Math.floor((chunkY * chunkSize - this.maxRadius) / this.cellSize);
+        const maxY = Math.floor(((chunkY + 1) * chunkSize + this.maxRadius) / this.cellSize);
+        
+        const sites = [];
+        for (let cellY = minY; cellY <= maxY; cellY++) {
+            for (let cellX = minX; cellX <= maxX; cellX++) {
+                const site = this.getSite(cellX, cellY);
+                if (site) sites.push(site);
+            }
+        }
+        return sites;
+    }
+    
+    /**
+     * Aplica ao chunk a parte dos locais que cai nele:
+     * tiles (chão, piso, estrutura), entidades e itens
+     */
+    stamp(chunk) {
+        const chunkSize = this.world.chunkSize;
+        const startX = chunk.x * chunkSize;
+        const startY = chunk.y * chunkSize;
+        const tileSize = this.world.tileSize;
+        const inChunk = (tileX, tileY) => tileX >= startX && tileX < startX + chunkSize &&
+                                          tileY >= startY && tileY < startY + chunkSize;
+        
+        chunk.generatedTiles = new Map(); // índice -> propriedades aplicadas
+        chunk.sites = [];
+        
+        this.getSitesForChunk(chunk.x, chunk.y).forEach(site => {
+            let touched = false;
+            
+            site.layout.tiles.forEach((properties, key) => {
+                const [tileX, tileY] = key.split(',').map(Number);
+                if (!inChunk(tileX, tileY)) return;
+                
+                const stamped = {};
+                if (properties.clear) stamped.type = StructureGroundTiles[chunk.biome] || 'grass';
+                if (properties.floor) stamped.floor = properties.floor;
+                if (properties.structure) {
+                    stamped.structure = {
+                        ...properties.structure,
+                        ...(properties.structure.slots ? { slots: properties.structure.slots.map(slot => ({ ...slot })) } : {})
+                    };
+                }
+                
+                const tile = chunk.tiles[tileY - startY][tileX - startX];
+                Object.assign(tile, stamped);
+                tile.walkable = this.world.isTileWalkable(tile.type);
+                
+                chunk.generatedTiles.set((tileY - startY) * chunkSize + (tileX - startX), stamped);
+                touched = true;
+            });
+            
+            const inChunkPosition = position => inChunk(Math.floor(position.x / tileSize), Math.floor(position.y / tileSize));
+            
+            site.layout.entities.filter(entity => inChunkPosition(entity.config.position)).forEach(entity => {
+                chunk.entities.push({ type: entity.type, config: { ...entity.config, position: { ...entity.config.position } } });
+                touched = true;
+            });
+            
+            site.layout.items.filter(item => inChunkPosition(item.position)).forEach(item => {
+                chunk.items.push({ ...item, position: { ...item.position } });
+                touched = true;
+            });
+            
+            if (touched) chunk.sites.push(site.type);
+        });
+    }
+}
+
+/**
+ * Gerador de estruturas da seed atual (recriado quando a seed muda)
+ */
+World.prototype.getStructureGenerator = function() {
+    if (!this.structureGenerator || this.structureGenerator.seed !== this.seed) {
+        this.structureGenerator = new StructureGenerator(this);
+    }
+    return this.structureGenerator;
+};
+
+/**
+ * Cria as entidades e itens gerados do chunk (uma vez por mundo:
+ * depois disso eles vivem no EntityManager e nos saves)
+ */
+World.prototype.populateChunk = function(chunk) {
+    const chunkKey = `${chunk.x},${chunk.y}`;
+    if (!this.populatedChunks) this.populatedChunks = new Set();
+    if (this.populatedChunks.has(chunkKey)) return;
+    this.populatedChunks.add(chunkKey);
+    
+    const entityManager = EntityManager.getInstance();
+    
+    chunk.entities.forEach(({ type, config }) => {
+        if (type === 'npc') {
+            entityManager.createNPC(config);
+        } else if (type === 'creature') {
+            entityManager.createCreature(config);
+        }
+    });
+    
+    chunk.items.forEach(item => entityManager.createItem(item));
+};
+
+// ============================================================================
+// INTEGRAÇÃO COM O SISTEMA EXISTENTE
+// ============================================================================
+
+Object.assign(StructureTypes, GeneratedStructureTypes);
+
+Object.entries(GeneratedStructureTypes).forEach(([type, definition]) => {
+    AssetManifest.images[`structures/${type}`] = {
+        src: `assets/structures/${type}.png`,
+        placeholder: { color: definition.color }
+    };
+});
+
+LootTableDatabase.getInstance().register(GeneratedLootTables);
+
+// Locais entram nos tiles antes das alterações salvas (que têm prioridade)
+const applyTileModificationsWithoutStructures = World.prototype.applyTileModifications;
+World.prototype.applyTileModifications = function(chunk) {
+    this.getStructureGenerator().stamp(chunk);
+    applyTileModificationsWithoutStructures.call(this, chunk);
+};
+
+const addChunkWithoutStructures = World.prototype.addChunk;
+World.prototype.addChunk = function(data) {
+    const chunk = addChunkWithoutStructures.call(this, data);
+    this.populateChunk(chunk);
+    
+    if (chunk.generatedTiles.size > 0) {
+        window.game?.pathfinder?.invalidate();
+    }
+    
+    return chunk;
+};
+
+// Rebrota de um tile gerado volta ao que o local definiu
+const resetTileWithoutGenerated = World.prototype.resetTile;
+World.prototype.resetTile = function(tileX, tileY) {
+    resetTileWithoutGenerated.call(this, tileX, tileY);
+    
+    const chunkX = Math.floor(tileX / this.chunkSize);
+    const chunkY = Math.floor(tileY / this.chunkSize);
+    const index = (tileY - chunkY * this.chunkSize) * this.chunkSize + (tileX - chunkX * this.chunkSize);
+    const stamped = this.chunks.get(`${chunkX},${chunkY}`)?.generatedTiles?.get(index);
+    
+    if (stamped) {
+        const tile = this.getTile(tileX, tileY);
+        Object.assign(tile, stamped, this.getTileModification(tileX, tileY));
+        tile.walkable = this.isTileWalkable(tile.type);
+    }
+};
+
+const resetWorldWithoutStructures = World.prototype.reset;
+World.prototype.reset = function(seed) {
+    resetWorldWithoutStructures.call(this, seed);
+    this.populatedChunks = new Set();
+};
+
+const serializeWorldWithoutStructures = World.prototype.serialize;
+World.prototype.serialize = function() {
+    return {
+        ...serializeWorldWithoutStructures.call(this),
+        populatedChunks: [...(this.populatedChunks || [])]
+    };
+};
+
+const readSaveWithoutStructures = World.prototype.readSave;
+World.prototype.readSave = function(data) {
+    return {
+        ...readSaveWithoutStructures.call(this, data),
+        populatedChunks: new Set(data.populatedChunks)
+    };
+};
+
+// Save v17: chunks cujos locais gerados já criaram entidades e itens
+// (saves antigos ainda não visitaram nenhum local gerado)
+SaveConfig.VERSION = 17;
+SaveMigrations[16] = (data) => {
+    data.world.populatedChunks = [];
+    return data;
+};
+
+// Estruturas geradas ganham entidades como as construídas
+const syncWithoutGenerated = StructureManager.prototype.sync;
+StructureManager.prototype.sync = function() {
+    syncWithoutGenerated.call(this);
+    
+    const world = this.world;
+    world.loadedChunks.forEach(chunkKey => {
+        const chunk = world.chunks.get(chunkKey);
+        if (!chunk?.generated || !chunk.generatedTiles) return;
+        
+        chunk.generatedTiles.forEach((properties, index) => {
+            if (!properties.structure) return;
+            
+            const tileX = chunk.x * world.chunkSize + index % world.chunkSize;
+            const tileY = chunk.y * world.chunkSize + Math.floor(index / world.chunkSize);
+            const record = chunk.tiles[Math.floor(index / world.chunkSize)][index % world.chunkSize].structure;
+            
+            if (record && StructureTypes[record.type] && !this.entities.has(`${tileX},${tileY}`)) {
+                this.spawn(tileX, tileY, record);
+            }
+        });
+    });
+};
+
+console.log('✅ Parte 20 - Estruturas procedurais carregado!');
+console.log('📋 Comandos disponíveis:');
+console.log('  game.world.getStructureGenerator().getSitesForChunk(x, y) - locais que tocam um chunk');
+
+// Exporta classes para uso em módulos futuros
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GeneratedStructureTypes,
+        GeneratedLootTables,
+        ProceduralStructureTypes,
+        StructureGroundTiles,
+        StructureLayout,
+        StructureGenerator
+    };
+}
@@ -0,0 +1,454 @@
+/**
+ * INFINITE RPG - PARTE 21: POPULAÇÃO POR CHUNK
+ *
+ * Esta parte implementa:
+ * 1. Tabelas de spawn por bioma, avaliadas quando chunks são gerados ou recarregados
+ * 2. Limites de população por chunk e por tipo
+ * 3. Entidades de chunks descarregados são congeladas (serializadas) e
+ *    restauradas quando o chunk volta a carregar
+ * 4. Reaparecimento com intervalo (relógio do mundo), salvo junto com o mundo
+ */
+
+// ============================================================================
+// TABELAS DE SPAWN
+// ============================================================================
+
+/**
+ * Entidades que podem surgir nos chunks
+ * - type: 'creature' ou 'npc' (createCreature / createNPC)
+ * - group: quantidade por grupo { min, max }
+ * - level: nível sorteado { min, max } (criaturas)
+ * - config: demais opções de criação
+ */
+const SpawnDefinitions = {
+    goblin: {
+        type: 'creature',
+        group: { min: 1, max: 3 },
+        level: { min: 1, max: 3 },
+        config: { name: 'Goblin', behavior: 'aggressive', color: '#ff6633', animator: 'creature', lootTable: 'goblin' }
+    },
+    wolf: {
+        type: 'creature',
+        group: { min: 2, max: 3 },
+        level: { min: 2, max: 4 },
+        config: { name: 'Lobo', behavior: 'aggressive', color: '#8a8a8a', animator: 'creature', speed: 130, lootTable: 'creature' }
+    },
+    deer: {
+        type: 'creature',
+        group: { min: 1, max: 2 },
+        config: { name: 'Cervo', behavior: 'passive', color: '#b5835a', animator: 'creature', lootTable: 'creature' }
+    },
+    scorpion: {
+        type: 'creature',
+        group: { min: 1, max: 2 },
+        level: { min: 1, max: 3 },
+        config: { name: 'Escorpião', behavior: 'aggressive', color: '#c9a227', animator: 'creature', width: 22, height: 22, lootTable: 'creature' }
+    },
+    traveler: {
+        type: 'npc',
+        group: { min: 1, max: 1 },
+        config: { name: 'Viajante', behavior: 'passive', color: '#33aaff', animator: 'npc' }
+    }
+};
+
+/**
+ * Tabelas por bioma
+ * - rolls: sorteios por avaliação { min, max }
+ * - entries: [{ spawn, weight }] ({ weight } sem spawn = nada)
+ */
+const BiomeSpawnTables = {
+    grassland: {
+        rolls: { min: 1, max: 2 },
+        entries: [
+            { spawn: 'deer', weight: 40 },
+            { spawn: 'goblin', weight: 25 },
+            { spawn: 'traveler', weight: 10 },
+            { weight: 25 }
+        ]
+    },
+    forest: {
+        rolls: { min: 1, max: 2 },
+        entries: [
+            { spawn: 'wolf', weight: 35 },
+            { spawn: 'goblin', weight: 30 },
+            { spawn: 'deer', weight: 20 },
+            { weight: 15 }
+        ]
+    },
+    desert: {
+        rolls: { min: 1, max: 2 },
+        entries: [
+            { spawn: 'scorpion', weight: 50 },
+            { spawn: 'goblin', weight: 15 },
+            { weight: 35 }
+        ]
+    }
+};
+
+/**
+ * Limites de população (entidades de spawn)
+ * - perChunk: total em um chunk
+ * - perType: total de cada tipo no mundo, contando as congeladas (restaurar
+ *   um chunk nunca passa do limite)
+ */
+const SpawnCaps = {
+    perChunk: 4,
+    perType: { goblin: 20, wolf: 14, deer: 14, scorpion: 14, traveler: 3 }
+};
+
+// ============================================================================
+// GERENCIADOR DE POPULAÇÃO
+// ============================================================================
+
+/**
+ * Congela/restaura as entidades dos chunks e avalia as tabelas de spawn
+ * O estado (entidades congeladas e horário do último spawn) vive no World
+ */
+class ChunkPopulationManager {
+    constructor(world, entityManager) {
+        this.world = world;
+        this.entityManager = entityManager;
+        
+        if (!world.frozenEntities) world.frozenEntities = new Map(); // chunkKey -> [dados de entidade]
+        if (!world.spawnTimes) world.spawnTimes = new Map();         // chunkKey -> world.time
+        
+        this.freezeTypes = ['npc', 'creature', 'item', 'workstation'];
+        this.respawnInterval = 180; // segundos de mundo entre avaliações do mesmo chunk
+        this.minPlayerDistance = 400; // pixels
+        this.attempts = 12; // tentativas de posição por grupo
+    }
+    
+    getChunkKey(position) {
+        const chunkPixels = this.world.chunkSize * this.world.tileSize;
+        return `${Math.floor(position.x / chunkPixels)},${Math.floor(position.y / chunkPixels)}`;
+    }
+    
+    /**
+     * Entidades vivas que pertencem ao chunk (pela posição)
+     */
+    getChunkEntities(chunkKey, filter = () => true) {
+        const result = [];
+        
+        for (const entity of this.entityManager.entities.values()) {
+            if (!entity.active || !this.freezeTypes.includes(entity.type) || !filter(entity)) continue;
+            
+            const transform = entity.getComponent('TransformComponent');
+            if (transform && this.getChunkKey(transform.position) === chunkKey) {
+                result.push(entity);
+            }
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Serializa e remove as entidades de chunks descarregados
+     */
+    freeze(chunkKeys) {
+        const keys = new Set(chunkKeys);
+        if (keys.size === 0) return;
+        
+        let frozen = 0;
+        
+        for (const entity of this.entityManager.entities.values()) {
+            if (!entity.active || !this.freezeTypes.includes(entity.type)) continue;
+            
+            const transform = entity.getComponent('TransformComponent');
+            const chunkKey = transform && this.getChunkKey(transform.position);
+            if (!keys.has(chunkKey)) continue;
+            
+            if (!this.world.frozenEntities.has(chunkKey)) {
+                this.world.frozenEntities.set(chunkKey, []);
+            }
+            this.world.frozenEntities.get(chunkKey).push(entity.serialize());
+            
+            entity.destroy();
+            frozen++;
+        }
+        
+        if (frozen > 0) {
+            GameEvents.emit('chunk:frozen', { chunks: [...keys], count: frozen });
+        }
+    }
+    
+    /**
+     * Devolve ao EntityManager as entidades congeladas do chunk
+     */
+    restore(chunkKey) {
+        const frozen = this.world.frozenEntities.get(chunkKey);
+        if (!frozen) return;
+        
+        this.world.frozenEntities.delete(chunkKey);
+        const entities = frozen.map(data => this.entityManager.restoreEntity(data));
+        
+        // Referências entre entidades (ex.: alvo da IA)
+        entities.forEach(entity => {
+            for (const component of entity.components.values()) {
+                component.resolveReferences(this.entityManager);
+            }
+        });
+        
+        GameEvents.emit('chunk:restored', { chunk: chunkKey, count: entities.length });
+    }
+    
+    /**
+     * Avalia a tabela do bioma do chunk (respeitando intervalo e limites)
+     * @returns {number} Entidades criadas
+     */
+    evaluate(chunkKey) {
+        const chunk = this.world.chunks.get(chunkKey);
+        const table = chunk && BiomeSpawnTables[chunk.biome];
+        if (!table || !this.world.loadedChunks.has(chunkKey)) return 0;
+        
+        const time = this.world.time || 0;
+        const last = this.world.spawnTimes.get(chunkKey);
+        if (last !== undefined && time - last < this.respawnInterval) return 0;
+        this.world.spawnTimes.set(chunkKey, time);
+        
+        const random = RandomService.getInstance().stream('spawn');
+        let population = this.getChunkEntities(chunkKey, entity => entity.hasTag('spawned')).length;
+        let created = 0;
+        
+        const rolls = random.int(table.rolls.min, table.rolls.max);
+        for (let i = 0; i < rolls && population < SpawnCaps.perChunk; i++) {
+            const spawnId = this.pickEntry(table, random);
+            if (!spawnId) continue;
+            
+            const count = this.spawnGroup(chunk, spawnId, Math.min(
+                SpawnCaps.perChunk - population,
+                (SpawnCaps.perType[spawnId] ?? Infinity) - this.countSpawned(spawnId)
+            ), random);
+            
+            population += count;
+            created += count;
+        }
+        
+        return created;
+    }
+    
+    /**
+     * Entidades de um tipo de spawn, vivas ou congeladas em chunks descarregados
+     */
+    countSpawned(spawnId) {
+        const tag = `spawn:${spawnId}`;
+        let count = this.entityManager.getEntitiesByTag(tag).length;
+        
+        for (const entities of this.world.frozenEntities.values()) {
+            count += entities.filter(data => data.tags.includes(tag)).length;
+        }
+        
+        return count;
+    }
+    
+    pickEntry(table, random) {
+        const total = table.entries.reduce((sum, entry) => sum + entry.weight, 0);
+        let roll = random.next() * total;
+        
+        for (const entry of table.entries) {
+            roll -= entry.weight;
+            if (roll < 0) return SpawnDefinitions[entry.spawn] ? entry.spawn : null;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Cria um grupo ao redor de um ponto livre do chunk
+     * @param {number} limit - máximo permitido pelos limites
+     */
+    spawnGroup(chunk, spawnId, limit, random) {
+        const definition = SpawnDefinitions[spawnId];
+        const size = Math.min(limit, random.int(definition.group.min, definition.group.max));
+        if (size <= 0) return 0;
+        
+        const center = this.findSpawnPoint(chunk, random);
+        if (!center) return 0;
+        
+        let created = 0;
+        for (let i = 0; i < size; i++) {
+            const position = i === 0 ? center : this.findSpawnPoint(chunk, random, center, 64);
+            if (!position) continue;
+            
+            const config = { ...definition.config, position };
+            if (definition.level) {
+                config.level = random.int(definition.level.min, definition.level.max);
+            }
+            
+            const entity = definition.type === 'npc'
+                ? this.entityManager.createNPC(config)
+                : this.entityManager.createCreature(config);
+            
+            entity.addTag('spawned');
+            entity.addTag(`spawn:${spawnId}`);
+            created++;
+        }
+        
+        return created;
+    }
+    
+    /**
+     * Posição transitável, sem construção e longe do jogador
+     * @param {Object} near - restringe a um raio (pixels) ao redor deste ponto
+     */
+    findSpawnPoint(chunk, random, near = null, radius = 0) {
+        const world = this.world;
+        const chunkPixels = world.chunkSize * world.tileSize;
+        const player = this.entityManager.getPlayer()?.getComponent('TransformComponent')?.position;
+        
+        for (let attempt = 0; attempt < this.attempts; attempt++) {
+            const position = near
+                ? { x: near.x + random.range(-radius, radius), y: near.y + random.range(-radius, radius) }
+                : { x: (chunk.x + random.next()) * chunkPixels, y: (chunk.y + random.next()) * chunkPixels };
+            
+            const tile = world.getTileAt(position.x, position.y);
+            if (!tile || !tile.walkable || tile.structure) continue;
+            if (this.getChunkKey(position) !== `${chunk.x},${chunk.y}`) continue;
+            if (player && Math.hypot(position.x - player.x, position.y - player.y) < this.minPlayerDistance) continue;
+            
+            return position;
+        }
+        
+        return null;
+    }
+    
+    isFrozen(entityId) {
+        for (const entities of this.world.frozenEntities.values()) {
+            if (entities.some(data => data.id === entityId)) return true;
+        }
+        return false;
+    }
+}
+
+// ============================================================================
+// INTEGRAÇÃO COM O SISTEMA EXISTENTE
+// ============================================================================
+
+/**
+ * Recoloca no EntityManager uma entidade serializada
+ */
+EntityManager.prototype.restoreEntity = function(data) {
+    const entity = Entity.deserialize(data);
+    
+    this.entities.set(entity.id, entity);
+    this.addToGroup(entity, entity.type);
+    this.addToGroup(entity, 'all');
+    this.stats.active++;
+    
+    return entity;
+};
+
+// Estado da população por chunk, salvo junto com o mundo
+const resetWorldWithoutPopulation = World.prototype.reset;
+World.prototype.reset = function(seed) {
+    resetWorldWithoutPopulation.call(this, seed);
+    this.frozenEntities = new Map();
+    this.spawnTimes = new Map();
+};
+
+const serializeWorldWithoutPopulation = World.prototype.serialize;
+World.prototype.serialize = function() {
+    return {
+        ...serializeWorldWithoutPopulation.call(this),
+        frozenEntities: Object.fromEntries(this.frozenEntities || []),
+        spawnTimes: Object.fromEntries(this.spawnTimes || [])
+    };
+};
+
+const readSaveWithoutPopulation = World.prototype.readSave;
+World.prototype.readSave = function(data) {
+    return {
+        ...readSaveWithoutPopulation.call(this, data),
+        frozenEntities: new Map(Object.entries(data.frozenEntities)),
+        spawnTimes: new Map(Object.entries(data.spawnTimes))
+    };
+};
+
+// Save v18: entidades congeladas e horário dos spawns por chunk
+SaveConfig.VERSION = 18;
+SaveMigrations[17] = (data) => {
+    data.world.frozenEntities = {};
+    data.world.spawnTimes = {};
+    return data;
+};
+
+// Chunks que entram em loadedChunks: restaura congelados e avalia spawns
+const updateWorldWithoutPopulation = World.prototype.update;
+World.prototype.update = function(playerPosition) {
+    const before = new Set(this.loadedChunks);
+    updateWorldWithoutPopulation.call(this, playerPosition);
+    
+    const population = window.game?.chunkPopulation;
+    if (!population) return;
+    
+    this.loadedChunks.forEach(chunkKey => {
+        if (before.has(chunkKey) || !this.chunks.get(chunkKey)?.generated) return;
+        
+        population.restore(chunkKey);
+        population.evaluate(chunkKey);
+    });
+};
+
+// Chunk recém-gerado (já carregado) também avalia spawns
+const addChunkWithoutPopulation = World.prototype.addChunk;
+World.prototype.addChunk = function(data) {
+    const chunk = addChunkWithoutPopulation.call(this, data);
+    const chunkKey = `${chunk.x},${chunk.y}`;
+    
+    const population = window.game?.chunkPopulation;
+    if (population && this.loadedChunks.has(chunkKey)) {
+        population.restore(chunkKey);
+        population.evaluate(chunkKey);
+    }
+    
+    return chunk;
+};
+
+// Chunks descarregados congelam suas entidades
+const unloadDistantChunksWithoutPopulation = World.prototype.unloadDistantChunks;
+World.prototype.unloadDistantChunks = function(playerChunkX, playerChunkY) {
+    const before = new Set(this.loadedChunks);
+    unloadDistantChunksWithoutPopulation.call(this, playerChunkX, playerChunkY);
+    
+    const unloaded = [...before].filter(chunkKey => !this.loadedChunks.has(chunkKey));
+    window.game?.chunkPopulation?.freeze(unloaded);
+};
+
+// Escoltado congelado (ficou para trás) não conta como morto
+const refreshEscortWithoutFrozen = QuestLogComponent.prototype.refreshEscort;
+QuestLogComponent.prototype.refreshEscort = function(quest, objective, index) {
+    const population = window.game?.chunkPopulation;
+    if (quest.escort && !EntityManager.getInstance().entities.get(quest.escort.id) && population?.isFrozen(quest.escort.id)) {
+        return;
+    }
+    
+    refreshEscortWithoutFrozen.call(this, quest, objective, index);
+};
+
+const initializeEntitiesWithoutPopulation = GameEngine.prototype.initializeEntities;
+GameEngine.prototype.initializeEntities = function() {
+    initializeEntitiesWithoutPopulation.call(this);
+    
+    if (!this.chunkPopulation) {
+        this.chunkPopulation = new ChunkPopulationManager(this.world, this.entityManager);
+        
+        // Chunks gerados antes do gerenciador existir
+        this.world.loadedChunks.forEach(chunkKey => {
+            if (this.world.chunks.get(chunkKey)?.generated) this.chunkPopulation.evaluate(chunkKey);
+        });
+    }
+};
+
+console.log('✅ Parte 21 - População por chunk carregado!');
+console.log('📋 Comandos disponíveis:');
+console.log('  game.chunkPopulation.evaluate(\'x,y\') - avalia a tabela de spawn de um chunk');
+console.log('  game.world.frozenEntities - entidades congeladas por chunk');
+
+// Exporta classes para uso em módulos futuros
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SpawnDefinitions,
+        BiomeSpawnTables,
+        SpawnCaps,
+        ChunkPopulationManager
+    };
+}
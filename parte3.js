@@ -0,0 +1,533 @@
+/**
+ * INFINITE RPG - PARTE 3: PATHFINDING
+ *
+ * Esta parte implementa:
+ * 1. Fila de prioridade (binary heap) para o A*
+ * 2. Pathfinder com A* incremental sobre o grid de tiles dos chunks
+ * 3. Cache de caminhos e orçamento de nós expandidos por frame
+ * 4. Integração com o AIComponent (perseguição e patrulha)
+ */
+
+// ============================================================================
+// FILA DE PRIORIDADE - BINARY HEAP
+// ============================================================================
+
+class PriorityQueue {
+    constructor() {
+        this.items = [];
+    }
+    
+    get size() {
+        return this.items.length;
+    }
+    
+    push(item, priority) {
+        this.items.push({ item, priority });
+        this.bubbleUp(this.items.length - 1);
+    }
+    
+    pop() {
+        if (this.items.length === 0) return null;
+        
+        const top = this.items[0];
+        const last = this.items.pop();
+        
+        if (this.items.length > 0) {
+            this.items[0] = last;
+            this.sinkDown(0);
+        }
+        
+        return top.item;
+    }
+    
+    bubbleUp(index) {
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.items[parent].priority <= this.items[index].priority) break;
+            
+            [this.items[parent], this.items[index]] = [this.items[index], this.items[parent]];
+            index = parent;
+        }
+    }
+    
+    sinkDown(index) {
+        const length = this.items.length;
+        
+        while (true) {
+            const left = index * 2 + 1;
+            const right = left + 1;
+            let smallest = index;
+            
+            if (left < length && this.items[left].priority < this.items[smallest].priority) {
+                smallest = left;
+            }
+            if (right < length && this.items[right].priority < this.items[smallest].priority) {
+                smallest = right;
+            }
+            if (smallest === index) break;
+            
+            [this.items[smallest], this.items[index]] = [this.items[index], this.items[smallest]];
+            index = smallest;
+        }
+    }
+}
+
+// ============================================================================
+// PATHFINDER - A* SOBRE OS TILES DOS CHUNKS CARREGADOS
+// ============================================================================
+
+class Pathfinder {
+    constructor(world, config = {}) {
+        this.world = world;
+        
+        // Orçamento e limites
+        this.nodeBudget = config.nodeBudget || 2000;               // Nós expandidos por frame (todas as buscas)
+        this.maxNodesPerSearch = config.maxNodesPerSearch || 8000; // Desiste de buscas muito longas
+        
+        // Cache de caminhos
+        this.cache = new Map();
+        this.cacheSize = config.cacheSize || 128;
+        this.cacheLifetime = config.cacheLifetime || 5; // segundos
+        
+        // Buscas pendentes (processadas em ordem de chegada); requisições
+        // idênticas compartilham a mesma busca
+        this.queue = [];
+        this.pendingByKey = new Map();
+        this.nextRequestId = 1;
+        this.time = 0;
+        
+        // Vizinhança de 8 direções
+        this.directions = [
+            { x: 1, y: 0, cost: 1 },
+            { x: -1, y: 0, cost: 1 },
+            { x: 0, y: 1, cost: 1 },
+            { x: 0, y: -1, cost: 1 },
+            { x: 1, y: 1, cost: Math.SQRT2 },
+            { x: 1, y: -1, cost: Math.SQRT2 },
+            { x: -1, y: 1, cost: Math.SQRT2 },
+            { x: -1, y: -1, cost: Math.SQRT2 }
+        ];
+        
+        // Estatísticas
+        this.stats = {
+            requests: 0,
+            cacheHits: 0,
+            found: 0,
+            failed: 0,
+            nodesLastFrame: 0
+        };
+    }
+    
+    /**
+     * Solicita um caminho entre duas posições de mundo (pixels)
+     * Retorna um objeto de requisição (próprio de quem chamou) cujo `status`
+     * passa de 'pending' para 'found' ou 'failed' nos próximos frames
+     */
+    requestPath(from, to, options = {}) {
+        this.stats.requests++;
+        
+        const tileSize = this.world.tileSize;
+        const start = { x: Math.floor(from.x / tileSize), y: Math.floor(from.y / tileSize) };
+        const goal = { x: Math.floor(to.x / tileSize), y: Math.floor(to.y / tileSize) };
+        const key = `${start.x},${start.y}|${goal.x},${goal.y}`;
+        
+        const request = {
+            id: this.nextRequestId++,
+            key: key,
+            start: start,
+            goal: goal,
+            status: 'pending',
+            path: null,
+            reason: null,
+            onComplete: options.onComplete || null,
+            job: null
+        };
+        
+        // Falhas imediatas: chunks não carregados ou destino bloqueado
+        if (!this.isTileLoaded(start.x, start.y) || !this.isTileLoaded(goal.x, goal.y)) {
+            return this.fail(request, 'chunk_not_loaded');
+        }
+        if (!this.isWalkable(goal.x, goal.y)) {
+            return this.fail(request, 'goal_blocked');
+        }
+        
+        // Mesmo tile: caminho vazio
+        if (start.x === goal.x && start.y === goal.y) {
+            return this.succeed(request, []);
+        }
+        
+        // Cache
+        const cached = this.getCached(key);
+        if (cached) {
+            this.stats.cacheHits++;
+            return this.succeed(request, cached);
+        }
+        
+        // Reaproveita busca idêntica em andamento
+        let job = this.pendingByKey.get(key);
+        if (!job) {
+            job = {
+                key: key,
+                start: start,
+                goal: goal,
+                status: 'pending',
+                search: null,
+                requests: []
+            };
+            this.pendingByKey.set(key, job);
+            this.queue.push(job);
+        }
+        
+        job.requests.push(request);
+        request.job = job;
+        return request;
+    }
+    
+    /**
+     * Cancela uma requisição pendente
+     * (a busca compartilhada só é abandonada quando ninguém mais espera por ela)
+     */
+    cancel(request) {
+        if (!request || request.status !== 'pending') return;
+        
+        request.status = 'cancelled';
+        
+        const job = request.job;
+        request.job = null;
+        if (!job) return;
+        
+        job.requests = job.requests.filter(other => other !== request);
+        if (job.requests.length === 0) {
+            job.status = 'cancelled';
+            job.search = null;
+            this.pendingByKey.delete(job.key);
+        }
+    }
+    
+    /**
+     * Processa as buscas pendentes respeitando o orçamento de nós do frame
+     */
+    update(deltaTime) {
+        this.time += deltaTime;
+        
+        let budget = this.nodeBudget;
+        
+        while (budget > 0 && this.queue.length > 0) {
+            const job = this.queue[0];
+            
+            if (job.status !== 'pending') {
+                this.queue.shift();
+                continue;
+            }
+            
+            if (!job.search) {
+                job.search = this.createSearch(job);
+            }
+            
+            budget -= this.step(job, budget);
+            
+            if (job.status !== 'pending') {
+                this.queue.shift();
+            }
+        }
+        
+        this.stats.nodesLastFrame = this.nodeBudget - Math.max(0, budget);
+    }
+    
+    /**
+     * Estado inicial de uma busca A*
+     */
+    createSearch(job) {
+        const open = new PriorityQueue();
+        const startKey = `${job.start.x},${job.start.y}`;
+        
+        open.push(job.start, this.heuristic(job.start, job.goal));
+        
+        return {
+            open: open,
+            gScore: new Map([[startKey, 0]]),
+            cameFrom: new Map(),
+            closed: new Set(),
+            expanded: 0,
+            touchedUnloaded: false
+        };
+    }
+    
+    /**
+     * Expande até `budget` nós da busca; retorna quantos nós foram usados
+     */
+    step(job, budget) {
+        const search = job.search;
+        const { goal } = job;
+        let used = 0;
+        
+        while (used < budget) {
+            const current = search.open.pop();
+            
+            // Lista aberta esgotada: sem caminho pelos chunks carregados
+            if (!current) {
+                this.finishJob(job, null, search.touchedUnloaded ? 'chunk_not_loaded' : 'no_path');
+                return used;
+            }
+            
+            const currentKey = `${current.x},${current.y}`;
+            if (search.closed.has(currentKey)) continue;
+            search.closed.add(currentKey);
+            
+            used++;
+            search.expanded++;
+            
+            if (current.x === goal.x && current.y === goal.y) {
+                const path = this.reconstructPath(search.cameFrom, current);
+                this.storeCached(job.key, path);
+                this.finishJob(job, path);
+                return used;
+            }
+            
+            if (search.expanded >= this.maxNodesPerSearch) {
+                this.finishJob(job, null, 'search_limit');
+                return used;
+            }
+            
+            const currentG = search.gScore.get(currentKey);
+            
+            for (const direction of this.directions) {
+                const nx = current.x + direction.x;
+                const ny = current.y + direction.y;
+                const neighborKey = `${nx},${ny}`;
+                
+                if (search.closed.has(neighborKey)) continue;
+                
+                if (!this.isTileLoaded(nx, ny)) {
+                    search.touchedUnloaded = true;
+                    continue;
+                }
+                if (!this.isWalkable(nx, ny)) continue;
+                
+                // Diagonais não cortam quinas de tiles bloqueados
+                if (direction.x !== 0 && direction.y !== 0) {
+                    if (!this.isWalkable(current.x + direction.x, current.y) ||
+                        !this.isWalkable(current.x, current.y + direction.y)) {
+                        continue;
+                    }
+                }
+                
+                const tentativeG = currentG + direction.cost;
+                const knownG = search.gScore.get(neighborKey);
+                
+                if (knownG === undefined || tentativeG < knownG) {
+                    const neighbor = { x: nx, y: ny };
+                    search.gScore.set(neighborKey, tentativeG);
+                    search.cameFrom.set(neighborKey, current);
+                    search.open.push(neighbor, tentativeG + this.heuristic(neighbor, goal));
+                }
+            }
+        }
+        
+        return used;
+    }
+    
+    /**
+     * Heurística octile (admissível para 8 direções)
+     */
+    heuristic(a, b) {
+        const dx = Math.abs(a.x - b.x);
+        const dy = Math.abs(a.y - b.y);
+        return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+    }
+    
+    /**
+     * Reconstrói o caminho em tiles (sem o tile inicial) e remove pontos colineares
+     */
+    reconstructPath(cameFrom, goal) {
+        const tiles = [goal];
+        let current = goal;
+        
+        while (cameFrom.has(`${current.x},${current.y}`)) {
+            current = cameFrom.get(`${current.x},${current.y}`);
+            tiles.unshift(current);
+        }
+        
+        // Remove o tile de partida
+        tiles.shift();
+        
+        const simplified = [];
+        for (let i = 0; i < tiles.length; i++) {
+            const previous = i > 0 ? tiles[i - 1] : null;
+            const next = tiles[i + 1];
+            
+            if (previous && next &&
+                tiles[i].x - previous.x === next.x - tiles[i].x &&
+                tiles[i].y - previous.y === next.y - tiles[i].y) {
+                continue;
+            }
+            simplified.push(tiles[i]);
+        }
+        
+        return simplified;
+    }
+    
+    /**
+     * Converte tiles do caminho para pontos de mundo (centro do tile)
+     */
+    toWorldPath(tiles) {
+        const tileSize = this.world.tileSize;
+        return tiles.map(tile => ({
+            x: tile.x * tileSize + tileSize / 2,
+            y: tile.y * tileSize + tileSize / 2
+        }));
+    }
+    
+    /**
+     * Encerra uma busca e entrega o resultado a todas as requisições que a aguardam
+     */
+    finishJob(job, tiles, reason) {
+        job.status = tiles ? 'found' : 'failed';
+        job.search = null;
+        this.pendingByKey.delete(job.key);
+        
+        const requests = job.requests;
+        job.requests = [];
+        requests.forEach(request => {
+            request.job = null;
+            if (tiles) {
+                this.succeed(request, tiles);
+            } else {
+                this.fail(request, reason);
+            }
+        });
+    }
+    
+    succeed(request, tiles) {
+        request.status = 'found';
+        request.path = this.toWorldPath(tiles);
+        this.stats.found++;
+        request.onComplete?.(request);
+        return request;
+    }
+    
+    fail(request, reason) {
+        request.status = 'failed';
+        request.reason = reason;
+        this.stats.failed++;
+        request.onComplete?.(request);
+        return request;
+    }
+    
+    /**
+     * Verifica se o chunk do tile está carregado e já gerado
+     * (chunks aguardando o worker ainda não têm tiles)
+     */
+    isTileLoaded(tileX, tileY) {
+        const chunkX = Math.floor(tileX / this.world.chunkSize);
+        const chunkY = Math.floor(tileY / this.world.chunkSize);
+        const chunkKey = `${chunkX},${chunkY}`;
+        return this.world.loadedChunks.has(chunkKey) && !!this.world.chunks.get(chunkKey)?.generated;
+    }
+    
+    /**
+     * Verifica se um tile é transitável (tiles não gerados bloqueiam)
+     */
+    isWalkable(tileX, tileY) {
+        const tile = this.world.getTile(tileX, tileY);
+        return !!tile && this.world.isTileWalkable(tile.type);
+    }
+    
+    /**
+     * Verifica se há linha de visão livre entre dois pontos de mundo
+     * (percorre os tiles atravessados pelo segmento)
+     */
+    hasLineOfSight(from, to) {
+        const tileSize = this.world.tileSize;
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const steps = Math.ceil(distance / (tileSize / 2));
+        
+        for (let i = 0; i <= steps; i++) {
+            const t = steps === 0 ? 0 : i / steps;
+            const tileX = Math.floor((from.x + dx * t) / tileSize);
+            const tileY = Math.floor((from.y + dy * t) / tileSize);
+            
+            if (!this.isWalkable(tileX, tileY)) {
+                return false;
+            }
+        }
+        
+        return true;
+    }
+    
+    getCached(key) {
+        const entry = this.cache.get(key);
+        if (!entry) return null;
+        
+        if (this.time - entry.time > this.cacheLifetime) {
+            this.cache.delete(key);
+            return null;
+        }
+        
+        // Move para o fim (LRU)
+        this.cache.delete(key);
+        this.cache.set(key, entry);
+        return entry.tiles;
+    }
+    
+    storeCached(key, tiles) {
+        this.cache.set(key, { tiles: tiles, time: this.time });
+        
+        if (this.cache.size > this.cacheSize) {
+            const oldestKey = this.cache.keys().next().value;
+            this.cache.delete(oldestKey);
+        }
+    }
+    
+    /**
+     * Limpa o cache (ex.: quando tiles do mundo mudam)
+     */
+    invalidate() {
+        this.cache.clear();
+    }
+    
+    getStats() {
+        return {
+            ...this.stats,
+            pending: this.queue.length,
+            cached: this.cache.size
+        };
+    }
+}
+
+// ============================================================================
+// INTEGRAÇÃO COM O SISTEMA EXISTENTE
+// ============================================================================
+
+// Cria o pathfinder junto com as entidades
+const initializeEntitiesWithoutPathfinding = GameEngine.prototype.initializeEntities;
+GameEngine.prototype.initializeEntities = function() {
+    initializeEntitiesWithoutPathfinding.call(this);
+    
+    this.pathfinder = new Pathfinder(this.world);
+    this.entityManager.pathfinder = this.pathfinder;
+    
+    console.log('✅ Pathfinder inicializado');
+};
+
+// Processa as buscas pendentes a cada frame
+const updateWithoutPathfinding = GameEngine.prototype.update;
+GameEngine.prototype.update = function(deltaTime) {
+    updateWithoutPathfinding.call(this, deltaTime);
+    
+    if (this.pathfinder) {
+        this.pathfinder.update(deltaTime);
+    }
+};
+
+console.log('✅ Parte 3 - Pathfinding carregado!');
+
+// Exporta classes para uso em módulos futuros
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PriorityQueue,
+        Pathfinder
+    };
+}
@@ -0,0 +1,335 @@
+/**
+ * INFINITE RPG - PARTE 4: SAVE/LOAD
+ *
+ * Esta parte implementa:
+ * 1. Snapshot do estado do jogo (seed, tiles alterados, entidades, câmera)
+ * 2. Slots nomeados no localStorage
+ * 3. Exportação/importação de saves como arquivo JSON versionado
+ * 4. Migração de saves entre versões do formato
+ */
+
+// ============================================================================
+// CONFIGURAÇÃO DO FORMATO DE SAVE
+// ============================================================================
+
+const SaveConfig = {
+    FORMAT: 'infinite-rpg-save',
+    VERSION: 2,                          // Incrementar a cada mudança no formato
+    STORAGE_PREFIX: 'infiniteRPG.save.', // Prefixo das chaves no localStorage
+    QUICKSAVE_SLOT: 'quicksave'
+};
+
+/**
+ * Migrações do formato de save
+ * Cada entrada converte um save da versão N para a versão N + 1:
+ *   SaveMigrations[1] = (data) => { ...; return data; } // v1 -> v2
+ * Partes que mudam o formato incrementam SaveConfig.VERSION e registram
+ * a sua migração
+ */
+const SaveMigrations = {
+    // v1 -> v2: estado do RandomService passa a ser salvo
+    1: (data) => {
+        data.random = { seed: data.world.seed, streams: {} };
+        return data;
+    }
+};
+
+/**
+ * Acrescenta um componente novo às entidades de um save antigo
+ * `getConfig(entityData)` devolve a config da factory (null: a entidade não recebe);
+ * o componente é criado em uma entidade temporária e salvo como recém-criado
+ */
+function addComponentToSave(data, componentType, getConfig) {
+    data.entities.entities.forEach(entityData => {
+        if (entityData.components[componentType.name]) return;
+        
+        const config = getConfig(entityData);
+        if (!config) return;
+        
+        const entity = new Entity(entityData.id, entityData.name);
+        entityData.components[componentType.name] = entity.addComponent(componentType, config).serialize();
+    });
+    
+    return data;
+}
+
+/**
+ * Acrescenta a um save antigo entidades criadas pelas factories atuais
+ * `create(entityManager)` cria as entidades em um gerenciador temporário
+ * (montado sem o construtor, que devolve a instância do jogo); os ids
+ * continuam a numeração do save
+ */
+function addEntitiesToSave(data, create) {
+    const entityManager = Object.assign(Object.create(EntityManager.prototype), {
+        entities: new Map(),
+        entityGroups: new Map(),
+        nextEntityId: data.entities.nextEntityId,
+        stats: { totalCreated: 0, totalDestroyed: 0, active: 0 }
+    });
+    
+    create(entityManager);
+    
+    entityManager.entities.forEach(entity => data.entities.entities.push(entity.serialize()));
+    data.entities.nextEntityId = entityManager.nextEntityId;
+    
+    return data;
+}
+
+/**
+ * Altera o componente salvo de uma entidade usando a própria classe
+ * (restaura em uma entidade temporária, aplica `update` e salva de volta)
+ */
+function updateSavedComponent(entityData, componentType, update) {
+    const componentData = entityData.components[componentType.name];
+    if (!componentData) return;
+    
+    const entity = new Entity(entityData.id, entityData.name);
+    const component = entity.addComponent(componentType);
+    component.deserialize(componentData);
+    update(component);
+    
+    entityData.components[componentType.name] = component.serialize();
+}
+
+// ============================================================================
+// SAVE MANAGER
+// ============================================================================
+
+class SaveManager {
+    constructor(game) {
+        this.game = game;
+        this.lastSaveTime = null;
+    }
+    
+    /**
+     * Captura o estado atual do jogo
+     */
+    createSnapshot() {
+        return {
+            format: SaveConfig.FORMAT,
+            version: SaveConfig.VERSION,
+            savedAt: new Date().toISOString(),
+            random: RandomService.getInstance().serialize(),
+            world: this.game.world.serialize(),
+            camera: this.game.camera.serialize(),
+            entities: this.game.entityManager.serialize()
+        };
+    }
+    
+    /**
+     * Restaura o jogo a partir de um snapshot (migrando se necessário)
+     * Mundo e entidades são lidos antes de qualquer alteração: um save
+     * inválido falha sem deixar o jogo carregado pela metade
+     */
+    applySnapshot(snapshot) {
+        const data = this.migrate(snapshot);
+        
+        const world = this.game.world.readSave(data.world);
+        const entities = this.game.entityManager.readSave(data.entities);
+        
+        RandomService.getInstance().deserialize(data.random);
+        this.game.world.applySave(world);
+        this.game.entityManager.applySave(entities);
+        this.game.camera.deserialize(data.camera);
+        
+        this.game.player = this.game.entityManager.getPlayer();
+        
+        // Caminhos em cache referem-se ao mundo anterior
+        this.game.pathfinder?.invalidate();
+    }
+    
+    /**
+     * Converte saves de versões anteriores para a versão atual
+     */
+    migrate(snapshot) {
+        if (!snapshot || snapshot.format !== SaveConfig.FORMAT) {
+            throw new Error('Arquivo não é um save do Infinite RPG');
+        }
+        
+        if (snapshot.version > SaveConfig.VERSION) {
+            throw new Error(`Save da versão ${snapshot.version} é mais novo que o jogo (versão ${SaveConfig.VERSION})`);
+        }
+        
+        let data = snapshot;
+        while (data.version < SaveConfig.VERSION) {
+            const migration = SaveMigrations[data.version];
+            if (!migration) {
+                throw new Error(`Sem migração para saves da versão ${data.version}`);
+            }
+            
+            data = migration(data);
+            data.version++;
+        }
+        
+        return data;
+    }
+    
+    /**
+     * Salva em um slot nomeado do localStorage
+     */
+    save(slot = SaveConfig.QUICKSAVE_SLOT) {
+        try {
+            const snapshot = this.createSnapshot();
+            localStorage.setItem(SaveConfig.STORAGE_PREFIX + slot, JSON.stringify(snapshot));
+            this.lastSaveTime = snapshot.savedAt;
+            
+            console.log(`💾 Jogo salvo no slot "${slot}"`);
+            return true;
+        } catch (error) {
+            console.error(`❌ Erro ao salvar no slot "${slot}":`, error);
+            return false;
+        }
+    }
+    
+    /**
+     * Carrega um slot nomeado do localStorage
+     */
+    load(slot = SaveConfig.QUICKSAVE_SLOT) {
+        const json = localStorage.getItem(SaveConfig.STORAGE_PREFIX + slot);
+        if (!json) {
+            console.warn(`⚠️ Slot "${slot}" está vazio`);
+            return false;
+        }
+        
+        try {
+            this.applySnapshot(JSON.parse(json));
+            
+            console.log(`📂 Slot "${slot}" carregado`);
+            return true;
+        } catch (error) {
+            console.error(`❌ Erro ao carregar o slot "${slot}":`, error);
+            return false;
+        }
+    }
+    
+    /**
+     * Remove um slot
+     */
+    deleteSlot(slot) {
+        localStorage.removeItem(SaveConfig.STORAGE_PREFIX + slot);
+    }
+    
+    /**
+     * Lista os slots existentes com data e versão
+     */
+    listSlots() {
+        const slots = [];
+        
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key || !key.startsWith(SaveConfig.STORAGE_PREFIX)) continue;
+            
+            try {
+                const snapshot = JSON.parse(localStorage.getItem(key));
+                slots.push({
+                    slot: key.substring(SaveConfig.STORAGE_PREFIX.length),
+                    savedAt: snapshot.savedAt,
+                    version: snapshot.version
+                });
+            } catch (error) {
+                console.warn(`⚠️ Slot corrompido ignorado: ${key}`);
+            }
+        }
+        
+        return slots.sort((a, b) => (b.savedAt || '').localeCompare(a.savedAt || ''));
+    }
+    
+    /**
+     * Exporta o estado atual como arquivo JSON para download
+     */
+    exportToFile(filename = `infinite-rpg-${Date.now()}.json`) {
+        const snapshot = this.createSnapshot();
+        const blob = new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        
+        URL.revokeObjectURL(url);
+        console.log(`💾 Save exportado: ${filename}`);
+    }
+    
+    /**
+     * Importa um save de arquivo JSON
+     * Sem arquivo, abre o seletor de arquivos do navegador
+     */
+    importFromFile(file = null) {
+        const readFile = (selectedFile) => new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(selectedFile);
+        });
+        
+        const pickFile = () => new Promise((resolve, reject) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = 'application/json,.json';
+            input.onchange = () => {
+                if (input.files.length > 0) {
+                    resolve(input.files[0]);
+                } else {
+                    reject(new Error('Nenhum arquivo selecionado'));
+                }
+            };
+            input.click();
+        });
+        
+        return (file ? Promise.resolve(file) : pickFile())
+            .then(readFile)
+            .then(json => {
+                this.applySnapshot(JSON.parse(json));
+                console.log('📂 Save importado com sucesso');
+            })
+            .catch(error => {
+                console.error('❌ Erro ao importar save:', error);
+                throw error;
+            });
+    }
+}
+
+// ============================================================================
+// INTEGRAÇÃO COM O SISTEMA EXISTENTE
+// ============================================================================
+
+// Cria o SaveManager junto com as entidades
+const initializeEntitiesWithoutSaves = GameEngine.prototype.initializeEntities;
+GameEngine.prototype.initializeEntities = function() {
+    initializeEntitiesWithoutSaves.call(this);
+    
+    this.saveManager = new SaveManager(this);
+};
+
+// Atalhos de save rápido
+document.addEventListener('keydown', (e) => {
+    const saveManager = window.game?.saveManager;
+    if (!saveManager) return;
+    
+    if (e.key === 'F6') {
+        e.preventDefault();
+        saveManager.save();
+    }
+    
+    if (e.key === 'F9') {
+        e.preventDefault();
+        saveManager.load();
+    }
+});
+
+console.log('✅ Parte 4 - Save/Load carregado!');
+console.log('📋 Comandos disponíveis:');
+console.log('  F6 - Save rápido');
+console.log('  F9 - Load rápido');
+console.log('  game.saveManager.save(slot) / load(slot) / listSlots()');
+console.log('  game.saveManager.exportToFile() / importFromFile()');
+
+// Exporta classes para uso em módulos futuros
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SaveConfig,
+        SaveMigrations,
+        SaveManager
+    };
+}
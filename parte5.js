@@ -0,0 +1,782 @@
+/**
+ * INFINITE RPG - PARTE 5: ASSETS
+ *
+ * Esta parte implementa:
+ * 1. AssetManager com manifesto (imagens, spritesheets, JSON e áudio)
+ * 2. Tela de carregamento com barra de progresso
+ * 3. Placeholders procedurais para arquivos ausentes
+ * 4. Texturas por id para o World e o RenderComponent
+ * 5. Atlas de texturas empacotados em tempo de execução (com exportação)
+ */
+
+// ============================================================================
+// MANIFESTO DE ASSETS
+// ============================================================================
+
+/**
+ * Manifesto padrão. Cada entrada pode ter um `placeholder` com dicas para
+ * o asset procedural usado quando o arquivo não existe:
+ *   images:       { id: { src, placeholder: { color, shape } } }
+ *   spritesheets: { id: { src, frameWidth, frameHeight, frames, animations: { nome: [índices] } } }
+ *   json:         { id: { src, fallback } }
+ *   audio:        { id: { src, volume } }
+ */
+const AssetManifest = {
+    images: {
+        'tiles/grass': { src: 'assets/tiles/grass.png', placeholder: { color: TileColors.grass } },
+        'tiles/flower': { src: 'assets/tiles/flower.png', placeholder: { color: TileColors.flower } },
+        'tiles/water': { src: 'assets/tiles/water.png', placeholder: { color: TileColors.water } },
+        'tiles/mountain': { src: 'assets/tiles/mountain.png', placeholder: { color: TileColors.mountain } },
+        'tiles/hill': { src: 'assets/tiles/hill.png', placeholder: { color: TileColors.hill } },
+        'tiles/tree': { src: 'assets/tiles/tree.png', placeholder: { color: TileColors.tree } },
+        'tiles/rock': { src: 'assets/tiles/rock.png', placeholder: { color: TileColors.rock } },
+        'tiles/sand': { src: 'assets/tiles/sand.png', placeholder: { color: TileColors.sand } },
+        'tiles/cactus': { src: 'assets/tiles/cactus.png', placeholder: { color: TileColors.cactus } }
+    },
+    spritesheets: {
+        'sheets/player': {
+            src: 'assets/sprites/player.png',
+            frameWidth: 32,
+            frameHeight: 32,
+            frames: 4,
+            animations: { idle: [0], walk: [0, 1, 2, 3] },
+            placeholder: { color: '#ff3333', shape: 'circle' }
+        },
+        'sheets/npc': {
+            src: 'assets/sprites/npc.png',
+            frameWidth: 32,
+            frameHeight: 32,
+            frames: 4,
+            animations: { idle: [0, 1], walk: [0, 1, 2, 3] },
+            placeholder: { color: '#33aaff', shape: 'circle' }
+        },
+        'sheets/creature': {
+            src: 'assets/sprites/creature.png',
+            frameWidth: 32,
+            frameHeight: 32,
+            frames: 6,
+            animations: { idle: [0], walk: [0, 1, 2, 3], attack: [4, 5] },
+            placeholder: { color: '#ff6633', shape: 'circle' }
+        }
+    },
+    json: {},
+    audio: {
+        'sfx/hit': { src: 'assets/audio/hit.wav', volume: 0.6 },
+        'sfx/footstep': { src: 'assets/audio/footstep.wav', volume: 0.3 },
+        'sfx/pickup': { src: 'assets/audio/pickup.wav', volume: 0.5 }
+    }
+};
+
+// ============================================================================
+// ASSET MANAGER
+// ============================================================================
+
+class AssetManager {
+    constructor() {
+        if (AssetManager.instance) {
+            return AssetManager.instance;
+        }
+        
+        this.textures = new Map();     // id -> Image | Canvas
+        this.spriteSheets = new Map(); // id -> { image, frameWidth, frameHeight, frames, animations }
+        this.data = new Map();         // id -> objeto JSON
+        this.sounds = new Map();       // id -> Audio | null (ausente)
+        
+        // Placeholders registrados por código (prioridade sobre os procedurais)
+        this.placeholders = new Map();
+        
+        // Atlas com todas as texturas e frames carregados
+        this.atlas = null;
+        
+        // Assets cujo arquivo não foi encontrado
+        this.missing = [];
+        
+        // Tempo máximo de espera por um áudio (alguns navegadores não disparam eventos)
+        this.audioTimeout = 5000;
+        
+        // Detalhes dos placeholders são determinísticos
+        this.random = RandomService.getInstance().stream('assets');
+        
+        AssetManager.instance = this;
+    }
+    
+    static getInstance() {
+        if (!AssetManager.instance) {
+            AssetManager.instance = new AssetManager();
+        }
+        return AssetManager.instance;
+    }
+    
+    /**
+     * Carrega todos os assets de um manifesto (objeto ou URL de um JSON)
+     * onProgress recebe { loaded, total, id } após cada asset
+     */
+    async loadManifest(manifest, onProgress = null) {
+        if (typeof manifest === 'string') {
+            manifest = await this.fetchJSON(manifest);
+        }
+        
+        const tasks = [];
+        const addTasks = (entries, loader) => {
+            Object.entries(entries || {}).forEach(([id, entry]) => {
+                tasks.push({ id, load: () => loader.call(this, id, entry) });
+            });
+        };
+        
+        addTasks(manifest.images, this.loadImage);
+        addTasks(manifest.spritesheets, this.loadSpriteSheet);
+        addTasks(manifest.json, this.loadJSON);
+        addTasks(manifest.audio, this.loadAudio);
+        
+        const total = tasks.length;
+        let loaded = 0;
+        
+        if (onProgress) onProgress({ loaded, total, id: null });
+        
+        // Loaders nunca rejeitam: arquivos ausentes viram placeholders
+        await Promise.all(tasks.map(task => task.load().then(() => {
+            loaded++;
+            if (onProgress) onProgress({ loaded, total, id: task.id });
+        })));
+        
+        if (this.missing.length > 0) {
+            console.warn(`⚠️ ${this.missing.length} assets ausentes - usando placeholders:`, this.missing.join(', '));
+        }
+        
+        this.buildAtlas();
+        
+        console.log(`✅ ${total} assets carregados`);
+    }
+    
+    /**
+     * Empacota texturas e frames de spritesheets em um atlas
+     */
+    buildAtlas() {
+        const packer = new TextureAtlasPacker();
+        
+        this.textures.forEach((image, id) => packer.add(id, image));
+        this.spriteSheets.forEach(sheet => {
+            sheet.frames.forEach(frame => packer.add(frame.id, sheet.image, frame));
+        });
+        
+        this.atlas = packer.pack();
+        
+        const stats = this.atlas.getStats();
+        console.log(`🧩 Atlas: ${stats.frames} frames em ${stats.pages} página(s)`);
+    }
+    
+    /**
+     * Carrega uma imagem avulsa
+     */
+    loadImage(id, entry) {
+        return this.loadImageFile(entry.src)
+            .then(image => {
+                this.textures.set(id, image);
+            })
+            .catch(() => {
+                this.missing.push(id);
+                this.textures.set(id, this.createPlaceholder(id, entry));
+            });
+    }
+    
+    /**
+     * Carrega uma spritesheet dividida em frames de tamanho fixo
+     */
+    loadSpriteSheet(id, entry) {
+        return this.loadImageFile(entry.src)
+            .catch(() => {
+                this.missing.push(id);
+                return this.createPlaceholderSheet(entry);
+            })
+            .then(image => {
+                this.spriteSheets.set(id, this.buildSpriteSheet(id, image, entry));
+            });
+    }
+    
+    /**
+     * Carrega um arquivo JSON de dados
+     */
+    loadJSON(id, entry) {
+        return this.fetchJSON(entry.src)
+            .then(json => {
+                this.data.set(id, json);
+            })
+            .catch(() => {
+                this.missing.push(id);
+                this.data.set(id, entry.fallback !== undefined ? entry.fallback : null);
+            });
+    }
+    
+    /**
+     * Carrega um efeito sonoro
+     */
+    loadAudio(id, entry) {
+        return new Promise(resolve => {
+            if (typeof Audio === 'undefined') {
+                this.sounds.set(id, null);
+                resolve();
+                return;
+            }
+            
+            const audio = new Audio();
+            let settled = false;
+            const finish = (found) => {
+                if (settled) return;
+                settled = true;
+                
+                if (!found) this.missing.push(id);
+                this.sounds.set(id, found ? audio : null);
+                resolve();
+            };
+            
+            audio.addEventListener('canplaythrough', () => finish(true));
+            audio.addEventListener('error', () => finish(false));
+            setTimeout(() => finish(true), this.audioTimeout);
+            
+            audio.volume = entry.volume !== undefined ? entry.volume : 1;
+            audio.preload = 'auto';
+            audio.src = entry.src;
+            audio.load();
+        });
+    }
+    
+    /**
+     * Promise de uma imagem (rejeita se o arquivo não existir)
+     */
+    loadImageFile(src) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error(`Imagem não encontrada: ${src}`));
+            image.src = src;
+        });
+    }
+    
+    /**
+     * Busca e interpreta um JSON
+     */
+    fetchJSON(src) {
+        return fetch(src).then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} ao carregar ${src}`);
+            }
+            return response.json();
+        });
+    }
+    
+    /**
+     * Divide a imagem em frames e monta as animações do manifesto
+     * Cada frame recebe o id `${id}#índice`, usado no atlas
+     */
+    buildSpriteSheet(id, image, entry) {
+        const frameWidth = entry.frameWidth;
+        const frameHeight = entry.frameHeight;
+        const columns = Math.max(1, Math.floor(image.width / frameWidth));
+        const rows = Math.max(1, Math.floor(image.height / frameHeight));
+        const frameCount = entry.frames || columns * rows;
+        
+        const frames = [];
+        for (let i = 0; i < frameCount; i++) {
+            frames.push({
+                id: `${id}#${i}`,
+                x: (i % columns) * frameWidth,
+                y: Math.floor(i / columns) * frameHeight,
+                width: frameWidth,
+                height: frameHeight
+            });
+        }
+        
+        const animations = {};
+        Object.entries(entry.animations || {}).forEach(([name, indices]) => {
+            animations[name] = indices.map(index => frames[index]).filter(Boolean);
+        });
+        
+        return { image, frameWidth, frameHeight, frames, animations };
+    }
+    
+    /**
+     * Registra canvases criados por código como placeholders de ids
+     */
+    registerPlaceholders(placeholders) {
+        Object.entries(placeholders).forEach(([id, canvas]) => {
+            this.placeholders.set(id, canvas);
+        });
+    }
+    
+    /**
+     * Cria a textura procedural de um asset ausente
+     */
+    createPlaceholder(id, entry = {}) {
+        if (this.placeholders.has(id)) {
+            return this.placeholders.get(id);
+        }
+        
+        const hint = entry.placeholder || {};
+        const width = entry.width || GameConfig.TILE_SIZE;
+        const height = entry.height || GameConfig.TILE_SIZE;
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        
+        this.drawPlaceholder(context, 0, 0, width, height, hint, 0);
+        
+        return canvas;
+    }
+    
+    /**
+     * Cria a imagem de uma spritesheet ausente (um frame por índice)
+     */
+    createPlaceholderSheet(entry) {
+        const frameCount = entry.frames || 1;
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = entry.frameWidth * frameCount;
+        canvas.height = entry.frameHeight;
+        const context = canvas.getContext('2d');
+        
+        for (let i = 0; i < frameCount; i++) {
+            this.drawPlaceholder(context, i * entry.frameWidth, 0,
+                                 entry.frameWidth, entry.frameHeight,
+                                 entry.placeholder || {}, i);
+        }
+        
+        return canvas;
+    }
+    
+    /**
+     * Desenha um placeholder: cor com detalhes, círculo ou xadrez
+     * magenta (quando não há dica de cor)
+     */
+    drawPlaceholder(context, x, y, width, height, hint, frame) {
+        if (!hint.color) {
+            // Xadrez magenta: fácil de identificar como asset faltando
+            const half = Math.ceil(width / 2);
+            context.fillStyle = '#ff00ff';
+            context.fillRect(x, y, width, height);
+            context.fillStyle = '#000000';
+            context.fillRect(x, y, half, half);
+            context.fillRect(x + half, y + half, width - half, height - half);
+            return;
+        }
+        
+        if (hint.shape === 'circle') {
+            // Frames variam levemente de tamanho (animação perceptível)
+            const radius = Math.min(width, height) / 2 - 1 - (frame % 2);
+            context.fillStyle = hint.color;
+            context.beginPath();
+            context.arc(x + width / 2, y + height / 2, radius, 0, Math.PI * 2);
+            context.fill();
+            context.strokeStyle = '#000000';
+            context.lineWidth = 1;
+            context.stroke();
+            return;
+        }
+        
+        context.fillStyle = hint.color;
+        context.fillRect(x, y, width, height);
+        
+        // Detalhes em tom mais escuro
+        context.fillStyle = 'rgba(0, 0, 0, 0.15)';
+        for (let i = 0; i < 12; i++) {
+            const size = this.random.int(1, 3);
+            context.fillRect(
+                x + this.random.next() * (width - size),
+                y + this.random.next() * (height - size),
+                size, size
+            );
+        }
+    }
+    
+    /**
+     * Obtém uma textura por id
+     * Ids desconhecidos recebem um placeholder (criado uma única vez)
+     */
+    getTexture(id) {
+        if (!this.textures.has(id)) {
+            console.warn(`⚠️ Textura desconhecida: ${id}`);
+            this.textures.set(id, this.createPlaceholder(id));
+        }
+        
+        return this.textures.get(id);
+    }
+    
+    /**
+     * Obtém um frame por id: do atlas ou, fora dele, a textura inteira
+     * Retorna { image, x, y, width, height }
+     */
+    getFrame(id) {
+        const frame = this.atlas ? this.atlas.getFrame(id) : null;
+        if (frame) {
+            return { image: this.atlas.pages[frame.page], ...frame };
+        }
+        
+        const texture = this.getTexture(id);
+        return { image: texture, x: 0, y: 0, width: texture.width, height: texture.height };
+    }
+    
+    /**
+     * Desenha um frame (tile, textura ou frame de spritesheet) por id
+     */
+    drawFrame(context, id, x, y, width, height) {
+        if (this.atlas && this.atlas.drawFrame(context, id, x, y, width, height)) {
+            return;
+        }
+        
+        const texture = this.getTexture(id);
+        context.drawImage(texture, x, y,
+                          width !== undefined ? width : texture.width,
+                          height !== undefined ? height : texture.height);
+    }
+    
+    /**
+     * Verifica se existe uma textura carregada ou registrada com o id
+     */
+    hasTexture(id) {
+        return this.textures.has(id);
+    }
+    
+    /**
+     * Obtém uma spritesheet por id
+     */
+    getSpriteSheet(id) {
+        return this.spriteSheets.get(id) || null;
+    }
+    
+    /**
+     * Obtém dados JSON por id
+     */
+    getData(id) {
+        return this.data.has(id) ? this.data.get(id) : null;
+    }
+    
+    /**
+     * Toca um efeito sonoro (sons ausentes são ignorados)
+     */
+    playSound(id, volume = null) {
+        const sound = this.sounds.get(id);
+        if (!sound) return;
+        
+        // Clona para permitir o mesmo som sobreposto
+        const instance = sound.cloneNode();
+        instance.volume = volume !== null ? volume : sound.volume;
+        instance.play().catch(() => {
+            // Navegadores bloqueiam áudio antes da primeira interação
+        });
+    }
+    
+    /**
+     * Estatísticas de assets carregados
+     */
+    getStats() {
+        return {
+            textures: this.textures.size,
+            spriteSheets: this.spriteSheets.size,
+            data: this.data.size,
+            sounds: this.sounds.size,
+            missing: this.missing.length,
+            atlas: this.atlas ? this.atlas.getStats() : null
+        };
+    }
+}
+
+// ============================================================================
+// TEXTURE ATLAS
+// ============================================================================
+
+/**
+ * Conjunto de páginas (canvases grandes) com vários frames empacotados
+ * Cada frame é identificado por id ('tiles/grass', 'sheets/player#2'...)
+ */
+class TextureAtlas {
+    constructor() {
+        this.pages = [];         // Canvases
+        this.frames = new Map(); // id -> { page, x, y, width, height }
+    }
+    
+    /**
+     * Obtém o retângulo de um frame
+     */
+    getFrame(id) {
+        return this.frames.get(id) || null;
+    }
+    
+    /**
+     * Desenha um frame; retorna false se o id não estiver no atlas
+     */
+    drawFrame(context, id, x, y, width, height) {
+        const frame = this.frames.get(id);
+        if (!frame) return false;
+        
+        context.drawImage(
+            this.pages[frame.page],
+            frame.x, frame.y, frame.width, frame.height,
+            x, y, width !== undefined ? width : frame.width, height !== undefined ? height : frame.height
+        );
+        return true;
+    }
+    
+    /**
+     * Descritor JSON do atlas (páginas exportadas como `${name}-N.png`)
+     */
+    toJSON(name = 'atlas') {
+        const frames = {};
+        this.frames.forEach((frame, id) => {
+            frames[id] = { ...frame };
+        });
+        
+        return {
+            format: 'infinite-rpg-atlas',
+            version: 1,
+            pages: this.pages.map((page, index) => ({
+                image: `${name}-${index}.png`,
+                width: page.width,
+                height: page.height
+            })),
+            frames: frames
+        };
+    }
+    
+    /**
+     * Exporta as páginas (PNG) e o descritor (JSON) para download
+     */
+    exportToFiles(name = 'atlas') {
+        const download = (blob, filename) => {
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.click();
+            URL.revokeObjectURL(url);
+        };
+        
+        this.pages.forEach((page, index) => {
+            page.toBlob(blob => download(blob, `${name}-${index}.png`), 'image/png');
+        });
+        
+        const descriptor = JSON.stringify(this.toJSON(name), null, 2);
+        download(new Blob([descriptor], { type: 'application/json' }), `${name}.json`);
+        
+        console.log(`💾 Atlas exportado: ${name}.json + ${this.pages.length} página(s)`);
+    }
+    
+    /**
+     * Estatísticas do atlas
+     */
+    getStats() {
+        return {
+            pages: this.pages.length,
+            frames: this.frames.size,
+            pixels: this.pages.reduce((total, page) => total + page.width * page.height, 0)
+        };
+    }
+}
+
+/**
+ * Empacota imagens (ou partes delas) em páginas de atlas
+ * Algoritmo de prateleiras: frames ordenados por altura, preenchidos em linhas
+ */
+class TextureAtlasPacker {
+    constructor(config = {}) {
+        this.maxSize = config.maxSize || 2048; // Tamanho máximo de uma página
+        this.padding = config.padding !== undefined ? config.padding : 2; // Espaço entre frames (evita sangramento)
+        this.entries = [];
+    }
+    
+    /**
+     * Adiciona uma imagem; `rect` seleciona uma parte dela (frame de spritesheet)
+     */
+    add(id, image, rect = null) {
+        const source = rect || { x: 0, y: 0, width: image.width, height: image.height };
+        
+        if (source.width + this.padding * 2 > this.maxSize || source.height + this.padding * 2 > this.maxSize) {
+            console.warn(`⚠️ Frame maior que a página do atlas ignorado: ${id}`);
+            return;
+        }
+        
+        this.entries.push({ id, image, source });
+    }
+    
+    /**
+     * Posiciona os frames e desenha as páginas
+     */
+    pack() {
+        const atlas = new TextureAtlas();
+        const sorted = [...this.entries].sort((a, b) =>
+            b.source.height - a.source.height || b.source.width - a.source.width
+        );
+        
+        // Largura da página: raiz da área total (potência de 2), até o máximo
+        const area = sorted.reduce((total, entry) =>
+            total + (entry.source.width + this.padding * 2) * (entry.source.height + this.padding * 2), 0);
+        const widest = sorted.reduce((max, entry) => Math.max(max, entry.source.width + this.padding * 2), 1);
+        const pageWidth = Math.min(this.maxSize,
+            Math.max(widest, Math.pow(2, Math.ceil(Math.log2(Math.sqrt(area) || 1)))));
+        
+        // 1. Layout em prateleiras
+        const layouts = [];
+        let layout = { placements: [], height: 0 };
+        let shelfX = 0, shelfY = 0, shelfHeight = 0;
+        
+        sorted.forEach(entry => {
+            const width = entry.source.width + this.padding * 2;
+            const height = entry.source.height + this.padding * 2;
+            
+            // Nova prateleira
+            if (shelfX + width > pageWidth) {
+                shelfY += shelfHeight;
+                shelfX = 0;
+                shelfHeight = 0;
+            }
+            
+            // Nova página
+            if (shelfY + height > this.maxSize) {
+                layouts.push(layout);
+                layout = { placements: [], height: 0 };
+                shelfX = 0;
+                shelfY = 0;
+                shelfHeight = 0;
+            }
+            
+            layout.placements.push({ entry, x: shelfX + this.padding, y: shelfY + this.padding });
+            layout.height = Math.max(layout.height, shelfY + height);
+            
+            shelfX += width;
+            shelfHeight = Math.max(shelfHeight, height);
+        });
+        
+        if (layout.placements.length > 0) {
+            layouts.push(layout);
+        }
+        
+        // 2. Desenha cada página
+        layouts.forEach((pageLayout, pageIndex) => {
+            const page = document.createElement('canvas');
+            page.width = pageWidth;
+            page.height = pageLayout.height;
+            
+            const context = page.getContext('2d');
+            context.imageSmoothingEnabled = false;
+            
+            pageLayout.placements.forEach(({ entry, x, y }) => {
+                const { source } = entry;
+                context.drawImage(entry.image, source.x, source.y, source.width, source.height,
+                                  x, y, source.width, source.height);
+                
+                atlas.frames.set(entry.id, {
+                    page: pageIndex,
+                    x: x,
+                    y: y,
+                    width: source.width,
+                    height: source.height
+                });
+            });
+            
+            atlas.pages.push(page);
+        });
+        
+        return atlas;
+    }
+}
+
+// ============================================================================
+// TELA DE CARREGAMENTO
+// ============================================================================
+
+class LoadingScreen {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+    }
+    
+    /**
+     * Desenha a barra de progresso ({ loaded, total, id })
+     */
+    render(progress) {
+        const context = this.context;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const ratio = progress.total > 0 ? progress.loaded / progress.total : 1;
+        
+        const barWidth = Math.min(400, width * 0.6);
+        const barHeight = 16;
+        const barX = (width - barWidth) / 2;
+        const barY = height / 2;
+        
+        context.save();
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        
+        // Fundo
+        context.fillStyle = '#000000';
+        context.fillRect(0, 0, width, height);
+        
+        // Título
+        context.fillStyle = '#ffffff';
+        context.font = 'bold 28px monospace';
+        context.textAlign = 'center';
+        context.fillText('Infinite RPG', width / 2, barY - 40);
+        
+        // Barra
+        context.strokeStyle = '#ffffff';
+        context.lineWidth = 2;
+        context.strokeRect(barX, barY, barWidth, barHeight);
+        context.fillStyle = '#32cd32';
+        context.fillRect(barX + 2, barY + 2, (barWidth - 4) * ratio, barHeight - 4);
+        
+        // Asset atual
+        context.font = '12px monospace';
+        context.fillStyle = '#aaaaaa';
+        context.fillText(
+            `Carregando ${progress.id || '...'} (${progress.loaded}/${progress.total})`,
+            width / 2,
+            barY + barHeight + 24
+        );
+        
+        context.restore();
+    }
+}
+
+// ============================================================================
+// INTEGRAÇÃO COM O SISTEMA EXISTENTE
+// ============================================================================
+
+// Substitui o pré-carregamento vazio da engine pelo AssetManager
+GameEngine.prototype.preloadAssets = async function() {
+    console.log('🔄 Pré-carregando assets...');
+    
+    this.assets = AssetManager.getInstance();
+    const loadingScreen = new LoadingScreen(this.canvas);
+    
+    // Tiles criados por código servem de placeholder para os arquivos
+    this.createBasicTiles();
+    this.assets.registerPlaceholders({
+        'tiles/grass': this.basicTiles.grass,
+        'tiles/tree': this.basicTiles.forest,
+        'tiles/sand': this.basicTiles.desert
+    });
+    
+    await this.assets.loadManifest(AssetManifest, progress => loadingScreen.render(progress));
+    
+    // Texturas disponíveis para o mundo e para as entidades
+    this.world.assets = this.assets;
+    this.world.clearChunkCache();
+    EntityManager.getInstance().assets = this.assets;
+};
+
+console.log('✅ Parte 5 - Assets carregado!');
+console.log('📋 Comandos disponíveis:');
+console.log('  game.assets.getTexture(id) / getSpriteSheet(id) / getData(id)');
+console.log('  game.assets.playSound(id)');
+console.log('  game.assets.atlas.exportToFiles(nome) - exporta atlas (PNG + JSON)');
+
+// Exporta classes para uso em módulos futuros
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AssetManifest,
+        AssetManager,
+        TextureAtlas,
+        TextureAtlasPacker,
+        LoadingScreen
+    };
+}
@@ -0,0 +1,500 @@
+/**
+ * INFINITE RPG - PARTE 6: ANIMAÇÃO
+ *
+ * Esta parte implementa:
+ * 1. AnimatorComponent: máquina de estados de animação por entidade
+ * 2. Durações por frame e modos loop, once e pingpong
+ * 3. Transições guiadas por parâmetros (speed, direction, attacking...)
+ * 4. Eventos de frame (footstep, hit...) no animator e no GameEvents
+ * 5. Controllers prontos para jogador, NPCs e criaturas
+ */
+
+// ============================================================================
+// CONTROLLERS DE ANIMAÇÃO
+// ============================================================================
+
+/**
+ * Definições de animação por nome (o save guarda apenas o nome)
+ *
+ * animations: {
+ *   nome: {
+ *     frames: [índices da spritesheet ou ids de frame] | { down: [...], up: [...], left: [...], right: [...] },
+ *     frameDuration: ms por frame, durations: [ms por frame] (opcional),
+ *     mode: 'loop' | 'once' | 'pingpong',
+ *     events: { índiceDoFrame: 'evento' },
+ *     next: animação ao terminar (modo once)
+ *   }
+ * }
+ * transitions: [{ from: 'estado' | ['estados'] | '*', to, when: (params, animator) => bool }]
+ * Parâmetros automáticos: speed, moving, direction, attacking. Triggers valem por um update.
+ */
+const AnimatorControllers = {
+    player: {
+        sheet: 'sheets/player',
+        initial: 'idle',
+        animations: {
+            idle: { frames: [0], frameDuration: 250 },
+            walk: {
+                frames: [0, 1, 2, 3],
+                durations: [140, 100, 140, 100],
+                events: { 1: 'footstep', 3: 'footstep' }
+            },
+            attack: {
+                frames: [1, 2, 3],
+                frameDuration: 80,
+                mode: 'once',
+                events: { 1: 'hit' },
+                next: 'idle'
+            }
+        },
+        transitions: [
+            { from: '*', to: 'attack', when: params => params.attack },
+            { from: 'idle', to: 'walk', when: params => params.moving },
+            { from: 'walk', to: 'idle', when: params => !params.moving }
+        ]
+    },
+    
+    npc: {
+        sheet: 'sheets/npc',
+        initial: 'idle',
+        animations: {
+            idle: { frames: [0, 1], frameDuration: 400, mode: 'pingpong' },
+            walk: {
+                frames: [0, 1, 2, 3],
+                frameDuration: 150,
+                events: { 1: 'footstep', 3: 'footstep' }
+            }
+        },
+        transitions: [
+            { from: 'idle', to: 'walk', when: params => params.moving },
+            { from: 'walk', to: 'idle', when: params => !params.moving }
+        ]
+    },
+    
+    creature: {
+        sheet: 'sheets/creature',
+        initial: 'idle',
+        animations: {
+            idle: { frames: [0], frameDuration: 300 },
+            walk: { frames: [0, 1, 2, 3], frameDuration: 110 },
+            attack: {
+                frames: [4, 5, 4],
+                durations: [150, 100, 200],
+                mode: 'once',
+                events: { 1: 'hit' },
+                next: 'idle'
+            }
+        },
+        transitions: [
+            { from: '*', to: 'attack', when: params => params.attack },
+            { from: 'idle', to: 'walk', when: params => params.moving },
+            { from: 'walk', to: 'idle', when: params => !params.moving }
+        ]
+    }
+};
+
+// ============================================================================
+// ANIMATOR COMPONENT
+// ============================================================================
+
+/**
+ * Componente Animator - escolhe o frame do RenderComponent a cada update
+ * O frame é passado como id de textura (`${sheet}#índice`), desenhado pelo atlas
+ */
+class AnimatorComponent extends Component {
+    initialize(config) {
+        this.controllerName = config.controller || null;
+        this.controller = config.definition || AnimatorControllers[this.controllerName] || null;
+        this.sheet = config.sheet || (this.controller ? this.controller.sheet : null);
+        
+        // Parâmetros das transições
+        this.parameters = {
+            speed: 0,
+            moving: false,
+            direction: 'down',
+            attacking: false,
+            ...config.parameters
+        };
+        this.triggers = new Set();
+        this.autoParameters = config.autoParameters !== false;
+        this.movingThreshold = config.movingThreshold || 10; // px/s
+        
+        // Estado atual
+        this.state = null;
+        this.frameIndex = 0;
+        this.frameTime = 0; // ms no frame atual
+        this.pingpongDirection = 1;
+        this.finished = false;
+        this.playbackSpeed = config.playbackSpeed || 1;
+        
+        // Handlers de eventos de frame deste animator
+        this.events = new EventEmitter();
+        
+        // Sem controller (ex.: criado pelo load antes do deserialize)
+        if (!this.controller) {
+            if (this.controllerName) {
+                console.warn(`⚠️ Controller de animação desconhecido: ${this.controllerName}`);
+            }
+            return;
+        }
+        
+        this.play(config.initial || this.controller.initial);
+    }
+    
+    update(deltaTime) {
+        if (!this.controller || !this.state) return;
+        
+        if (this.autoParameters) {
+            this.updateParameters();
+        }
+        
+        this.evaluateTransitions();
+        this.advance(deltaTime * 1000 * this.playbackSpeed);
+        
+        // Triggers valem apenas para um update
+        this.triggers.clear();
+        
+        this.applyFrame();
+    }
+    
+    /**
+     * Lê velocidade, direção e estado de ataque dos outros componentes
+     */
+    updateParameters() {
+        const physics = this.entity.getComponent('PhysicsComponent');
+        if (physics) {
+            const { x, y } = physics.velocity;
+            this.parameters.speed = Math.sqrt(x * x + y * y);
+            this.parameters.moving = this.parameters.speed > this.movingThreshold;
+            
+            // Direção só muda em movimento (parado mantém a última)
+            if (this.parameters.moving) {
+                if (Math.abs(x) > Math.abs(y)) {
+                    this.parameters.direction = x > 0 ? 'right' : 'left';
+                } else {
+                    this.parameters.direction = y > 0 ? 'down' : 'up';
+                }
+            }
+        }
+        
+        const ai = this.entity.getComponent('AIComponent');
+        if (ai) {
+            this.parameters.attacking = ai.state === 'attack';
+        }
+    }
+    
+    /**
+     * Aplica a primeira transição válida a partir do estado atual
+     */
+    evaluateTransitions() {
+        // Parâmetros + triggers ativos (true neste update)
+        const params = { ...this.parameters };
+        this.triggers.forEach(trigger => { params[trigger] = true; });
+        
+        for (const transition of this.controller.transitions || []) {
+            if (transition.to === this.state) continue;
+            if (!this.matchesState(transition.from)) continue;
+            
+            if (transition.when(params, this)) {
+                this.play(transition.to);
+                return;
+            }
+        }
+    }
+    
+    /**
+     * Verifica se o estado atual corresponde ao `from` de uma transição
+     */
+    matchesState(from) {
+        if (from === undefined || from === '*') return true;
+        if (Array.isArray(from)) return from.includes(this.state);
+        return from === this.state;
+    }
+    
+    /**
+     * Avança o tempo da animação (em ms), trocando de frame quando necessário
+     */
+    advance(milliseconds) {
+        if (this.finished) return;
+        
+        this.frameTime += milliseconds;
+        
+        let duration = this.getFrameDuration();
+        while (this.frameTime >= duration && !this.finished) {
+            this.frameTime -= duration;
+            this.stepFrame();
+            duration = this.getFrameDuration();
+        }
+    }
+    
+    /**
+     * Passa para o próximo frame de acordo com o modo da animação
+     */
+    stepFrame() {
+        const animation = this.getAnimation();
+        const frameCount = this.getFrames().length;
+        const mode = animation.mode || 'loop';
+        
+        if (mode === 'once') {
+            if (this.frameIndex >= frameCount - 1) {
+                this.finish();
+                return;
+            }
+            this.frameIndex++;
+        } else if (mode === 'pingpong') {
+            if (frameCount <= 1) return;
+            
+            let next = this.frameIndex + this.pingpongDirection;
+            if (next < 0 || next >= frameCount) {
+                this.pingpongDirection *= -1;
+                next = this.frameIndex + this.pingpongDirection;
+            }
+            this.frameIndex = next;
+        } else {
+            this.frameIndex = (this.frameIndex + 1) % frameCount;
+        }
+        
+        this.fireFrameEvent();
+    }
+    
+    /**
+     * Fim de uma animação `once`: notifica e segue para `next`, se houver
+     */
+    finish() {
+        const animation = this.getAnimation();
+        this.finished = true;
+        
+        this.emitEvent('finished');
+        
+        if (animation.next) {
+            this.play(animation.next);
+        }
+    }
+    
+    /**
+     * Inicia uma animação pelo nome
+     */
+    play(name, forceReset = false) {
+        if (!this.controller.animations[name]) {
+            console.warn(`⚠️ Animação desconhecida: ${name}`);
+            return;
+        }
+        
+        if (this.state === name && !forceReset) return;
+        
+        this.state = name;
+        this.frameIndex = 0;
+        this.frameTime = 0;
+        this.pingpongDirection = 1;
+        this.finished = false;
+        
+        this.fireFrameEvent();
+        this.applyFrame();
+    }
+    
+    /**
+     * Define um parâmetro usado pelas transições
+     */
+    setParameter(name, value) {
+        this.parameters[name] = value;
+    }
+    
+    getParameter(name) {
+        return this.parameters[name];
+    }
+    
+    /**
+     * Ativa um trigger (parâmetro booleano que vale por um update)
+     */
+    setTrigger(name) {
+        this.triggers.add(name);
+    }
+    
+    /**
+     * Registra um handler para eventos de frame deste animator
+     */
+    on(event, handler) {
+        return this.events.on(event, handler);
+    }
+    
+    getAnimation() {
+        return this.controller.animations[this.state];
+    }
+    
+    /**
+     * Frames da animação atual (considerando a direção, se houver)
+     */
+    getFrames() {
+        const frames = this.getAnimation().frames;
+        if (Array.isArray(frames)) return frames;
+        
+        return frames[this.parameters.direction] || frames.down || Object.values(frames)[0];
+    }
+    
+    /**
+     * Duração do frame atual em ms
+     */
+    getFrameDuration() {
+        const animation = this.getAnimation();
+        const duration = animation.durations && animation.durations[this.frameIndex] !== undefined
+            ? animation.durations[this.frameIndex]
+            : animation.frameDuration || 100;
+        
+        // Evita laço infinito com durações zeradas
+        return Math.max(1, duration);
+    }
+    
+    /**
+     * Id do frame atual (índices numéricos referem-se à spritesheet)
+     */
+    getFrameId() {
+        const frames = this.getFrames();
+        const frame = frames[Math.min(this.frameIndex, frames.length - 1)];
+        return typeof frame === 'number' ? `${this.sheet}#${frame}` : frame;
+    }
+    
+    /**
+     * Dispara o evento associado ao frame atual, se houver
+     */
+    fireFrameEvent() {
+        const events = this.getAnimation().events;
+        if (events && events[this.frameIndex]) {
+            this.emitEvent(events[this.frameIndex]);
+        }
+    }
+    
+    /**
+     * Emite um evento no animator e no barramento global
+     */
+    emitEvent(event) {
+        const data = {
+            entity: this.entity,
+            event: event,
+            animation: this.state,
+            frame: this.frameIndex
+        };
+        
+        this.events.emit(event, data);
+        GameEvents.emit('animation:event', data);
+    }
+    
+    /**
+     * Passa o frame atual para o RenderComponent
+     */
+    applyFrame() {
+        const render = this.entity.getComponent('RenderComponent');
+        if (render) {
+            render.texture = this.getFrameId();
+        }
+    }
+    
+    serialize() {
+        // Apenas parâmetros simples são salvos (definições vêm do controller)
+        return {
+            ...super.serialize(),
+            controller: this.controllerName,
+            state: this.state,
+            frameIndex: this.frameIndex,
+            frameTime: this.frameTime,
+            pingpongDirection: this.pingpongDirection,
+            finished: this.finished,
+            playbackSpeed: this.playbackSpeed,
+            parameters: { ...this.parameters }
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        this.controllerName = data.controller;
+        this.controller = AnimatorControllers[data.controller] || null;
+        this.sheet = this.controller ? this.controller.sheet : null;
+        this.parameters = { ...this.parameters, ...data.parameters };
+        this.playbackSpeed = data.playbackSpeed || 1;
+        
+        if (!this.controller || !this.controller.animations[data.state]) {
+            console.warn(`⚠️ Estado de animação inválido no save: ${data.controller}/${data.state}`);
+            this.state = null;
+            return;
+        }
+        
+        this.state = data.state;
+        this.frameIndex = data.frameIndex;
+        this.frameTime = data.frameTime;
+        this.pingpongDirection = data.pingpongDirection;
+        this.finished = data.finished;
+    }
+}
+
+Component.register(AnimatorComponent);
+
+// ============================================================================
+// INTEGRAÇÃO COM O SISTEMA EXISTENTE
+// ============================================================================
+
+/**
+ * Adiciona um animator à entidade criada por uma factory
+ * `option`: nome de controller, config do AnimatorComponent ou true (controller padrão)
+ */
+function attachAnimator(entity, option, defaultController) {
+    if (!option) return;
+    
+    let config;
+    if (option === true) {
+        config = { controller: defaultController };
+    } else if (typeof option === 'string') {
+        config = { controller: option };
+    } else {
+        config = option;
+    }
+    
+    entity.addComponent(AnimatorComponent, config);
+}
+
+// Factories aceitam `animator` na config
+const createPlayerWithoutAnimator = EntityManager.prototype.createPlayer;
+EntityManager.prototype.createPlayer = function(config = {}) {
+    const player = createPlayerWithoutAnimator.call(this, config);
+    attachAnimator(player, config.animator, 'player');
+    return player;
+};
+
+const createNPCWithoutAnimator = EntityManager.prototype.createNPC;
+EntityManager.prototype.createNPC = function(config = {}) {
+    const npc = createNPCWithoutAnimator.call(this, config);
+    attachAnimator(npc, config.animator, 'npc');
+    return npc;
+};
+
+const createCreatureWithoutAnimator = EntityManager.prototype.createCreature;
+EntityManager.prototype.createCreature = function(config = {}) {
+    const creature = createCreatureWithoutAnimator.call(this, config);
+    attachAnimator(creature, config.animator, 'creature');
+    return creature;
+};
+
+// Save v3: animator salvo nas entidades (saves antigos recebem o controller do tipo)
+SaveConfig.VERSION = 3;
+SaveMigrations[2] = (data) => addComponentToSave(data, AnimatorComponent, entityData =>
+    AnimatorControllers[entityData.type] ? { controller: entityData.type } : null
+);
+
+// Passos do jogador tocam som
+GameEvents.on('animation:event', ({ entity, event }) => {
+    if (event === 'footstep' && entity.hasTag('player')) {
+        AssetManager.getInstance().playSound('sfx/footstep');
+    }
+});
+
+console.log('✅ Parte 6 - Animação carregado!');
+console.log('📋 Comandos disponíveis:');
+console.log('  animator.play(nome) / setParameter(nome, valor) / setTrigger(nome)');
+console.log('  GameEvents.on(\'animation:event\', handler)');
+
+// Exporta classes para uso em módulos futuros
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AnimatorControllers,
+        AnimatorComponent,
+        attachAnimator
+    };
+}
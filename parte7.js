@@ -0,0 +1,770 @@
+/**
+ * INFINITE RPG - PARTE 7: COMBATE CORPO A CORPO
+ *
+ * Esta parte implementa:
+ * 1. HealthComponent: vida, resistências, invulnerabilidade e morte
+ * 2. CombatComponent: ataques com cooldown e hitbox em arco à frente
+ * 3. Tipos de dano e knockback via PhysicsComponent.applyForce
+ * 4. Evento de morte e desativação (ou respawn do jogador)
+ * 5. Números de dano e barra de vida na UI
+ */
+
+// ============================================================================
+// TIPOS DE DANO
+// ============================================================================
+
+const DamageTypes = {
+    physical: { name: 'Físico', color: '#ffffff' },
+    fire: { name: 'Fogo', color: '#ff7a1a' },
+    ice: { name: 'Gelo', color: '#7fd8ff' },
+    poison: { name: 'Veneno', color: '#7fff3f' }
+};
+
+// ============================================================================
+// HEALTH COMPONENT
+// ============================================================================
+
+/**
+ * Componente Health - Vida, dano recebido e morte
+ */
+class HealthComponent extends Component {
+    initialize(config) {
+        this.maxHealth = config.maxHealth || 100;
+        this.health = config.health !== undefined ? config.health : this.maxHealth;
+        this.regeneration = config.regeneration || 0; // Vida por segundo
+        
+        // Multiplicadores por tipo de dano (0.5 = metade do dano, 0 = imune)
+        this.resistances = { ...config.resistances };
+        
+        // Defesa reduz dano com retorno decrescente: defense / (defense + 50)
+        this.defense = config.defense || 0;
+        
+        // Invulnerabilidade após receber dano (i-frames)
+        this.invulnerabilityDuration = config.invulnerabilityDuration !== undefined
+            ? config.invulnerabilityDuration : 0.4;
+        this.invulnerableTimer = 0;
+        
+        // Morte: 'destroy' desativa a entidade, 'respawn' revive após um tempo
+        this.onDeath = config.onDeath || 'destroy';
+        this.respawnDelay = config.respawnDelay || 3;
+        this.respawnTimer = 0;
+        this.respawnPoint = config.respawnPoint || null;
+        this.dead = false;
+        
+        // Barra de vida sobre a entidade
+        this.showHealthBar = config.showHealthBar !== false;
+        
+        this.lastAttacker = null;
+    }
+    
+    update(deltaTime) {
+        if (this.dead) {
+            if (this.onDeath === 'respawn') {
+                this.respawnTimer -= deltaTime;
+                if (this.respawnTimer <= 0) {
+                    this.respawn();
+                }
+            }
+            return;
+        }
+        
+        // Pisca enquanto invulnerável
+        if (this.invulnerableTimer > 0) {
+            this.invulnerableTimer = Math.max(0, this.invulnerableTimer - deltaTime);
+            
+            const render = this.entity.getComponent('RenderComponent');
+            if (render) {
+                render.opacity = this.invulnerableTimer > 0 && Math.floor(this.invulnerableTimer * 20) % 2 === 0 ? 0.4 : 1;
+            }
+        }
+        
+        if (this.regeneration > 0 && this.health < this.maxHealth) {
+            this.heal(this.regeneration * deltaTime);
+        }
+    }
+    
+    /**
+     * Barra de vida (só aparece com a vida incompleta)
+     */
+    render(context) {
+        if (!this.showHealthBar || this.dead || this.health >= this.maxHealth) return;
+        
+        const transform = this.entity.getComponent('TransformComponent');
+        const render = this.entity.getComponent('RenderComponent');
+        if (!transform) return;
+        
+        const width = 28;
+        const height = 4;
+        const x = transform.renderPosition.x - width / 2;
+        const y = transform.renderPosition.y - (render ? render.height / 2 : 16) - 8;
+        const ratio = Math.max(0, this.health / this.maxHealth);
+        
+        context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        context.fillRect(x - 1, y - 1, width + 2, height + 2);
+        context.fillStyle = ratio > 0.5 ? '#3ce03c' : ratio > 0.25 ? '#e0c93c' : '#e03c3c';
+        context.fillRect(x, y, width * ratio, height);
+    }
+    
+    /**
+     * Aplica dano
+     * @param {Object} damage - { amount, type, source, knockback: { x, y }, periodic, statusEffects }
+     * Dano periódico (veneno, queimadura) ignora e não ativa a invulnerabilidade
+     * @returns {number} Dano efetivamente aplicado (0 se ignorado)
+     */
+    takeDamage(damage) {
+        if (this.dead || (this.invulnerableTimer > 0 && !damage.periodic)) return 0;
+        
+        const type = damage.type || 'physical';
+        const resistance = this.resistances[type] !== undefined ? this.resistances[type] : 1;
+        const reduction = this.defense > 0 ? this.defense / (this.defense + 50) : 0;
+        const amount = Math.max(0, damage.amount * resistance * (1 - reduction));
+        
+        if (amount <= 0) return 0;
+        
+        this.health = Math.max(0, this.health - amount);
+        if (!damage.periodic) {
+            this.invulnerableTimer = this.invulnerabilityDuration;
+        }
+        this.lastAttacker = damage.source || null;
+        
+        // Knockback (força aplicada por um curto período)
+        if (damage.knockback) {
+            const physics = this.entity.getComponent('PhysicsComponent');
+            physics?.applyForce(damage.knockback.x, damage.knockback.y, 0.15);
+        }
+        
+        GameEvents.emit('entity:damaged', {
+            entity: this.entity,
+            source: damage.source || null,
+            amount: amount,
+            type: type
+        });
+        
+        if (this.health <= 0) {
+            this.die(damage.source || null);
+        }
+        
+        return amount;
+    }
+    
+    /**
+     * Recupera vida (limitada ao máximo)
+     */
+    heal(amount) {
+        if (this.dead) return;
+        this.health = Math.min(this.maxHealth, this.health + amount);
+    }
+    
+    /**
+     * Morte: dispara o evento e desativa a entidade (ou aguarda o respawn)
+     */
+    die(killer = null) {
+        if (this.dead) return;
+        
+        this.dead = true;
+        this.health = 0;
+        
+        GameEvents.emit('entity:died', { entity: this.entity, killer: killer });
+        
+        if (this.onDeath === 'respawn') {
+            this.respawnTimer = this.respawnDelay;
+            this.setBodyEnabled(false);
+        } else {
+            // Componentes são destruídos (cancela caminhos, listeners...)
+            // e o EntityManager remove a entidade no próximo cleanup
+            this.entity.destroy();
+        }
+    }
+    
+    /**
+     * Revive com vida cheia no ponto de respawn
+     */
+    respawn() {
+        this.dead = false;
+        this.health = this.maxHealth;
+        this.invulnerableTimer = this.invulnerabilityDuration * 3;
+        
+        const transform = this.entity.getComponent('TransformComponent');
+        if (transform && this.respawnPoint) {
+            transform.setPosition(this.respawnPoint.x, this.respawnPoint.y);
+        }
+        
+        this.setBodyEnabled(true);
+        
+        GameEvents.emit('entity:respawned', { entity: this.entity });
+    }
+    
+    /**
+     * Liga/desliga corpo da entidade (render, colisão e movimento)
+     */
+    setBodyEnabled(enabled) {
+        const render = this.entity.getComponent('RenderComponent');
+        if (render) {
+            render.visible = enabled;
+            render.opacity = 1;
+        }
+        
+        const collider = this.entity.getComponent('ColliderComponent');
+        if (collider) collider.enabled = enabled;
+        
+        const physics = this.entity.getComponent('PhysicsComponent');
+        if (physics) {
+            physics.stop();
+            physics.externalForces = [];
+            physics.enabled = enabled;
+        }
+        
+        const transform = this.entity.getComponent('TransformComponent');
+        if (transform) {
+            transform.velocity.x = 0;
+            transform.velocity.y = 0;
+        }
+    }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            maxHealth: this.maxHealth,
+            health: this.health,
+            regeneration: this.regeneration,
+            resistances: { ...this.resistances },
+            defense: this.defense,
+            invulnerabilityDuration: this.invulnerabilityDuration,
+            invulnerableTimer: this.invulnerableTimer,
+            onDeath: this.onDeath,
+            respawnDelay: this.respawnDelay,
+            respawnTimer: this.respawnTimer,
+            respawnPoint: this.respawnPoint ? { ...this.respawnPoint } : null,
+            dead: this.dead,
+            showHealthBar: this.showHealthBar
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        this.maxHealth = data.maxHealth;
+        this.health = data.health;
+        this.regeneration = data.regeneration;
+        this.resistances = { ...data.resistances };
+        this.defense = data.defense;
+        this.invulnerabilityDuration = data.invulnerabilityDuration;
+        this.invulnerableTimer = data.invulnerableTimer;
+        this.onDeath = data.onDeath;
+        this.respawnDelay = data.respawnDelay;
+        this.respawnTimer = data.respawnTimer;
+        this.respawnPoint = data.respawnPoint ? { ...data.respawnPoint } : null;
+        this.dead = data.dead;
+        this.showHealthBar = data.showHealthBar !== false;
+    }
+}
+
+// ============================================================================
+// COMBAT COMPONENT
+// ============================================================================
+
+/**
+ * Componente Combat - Ataques corpo a corpo em arco na direção do alvo
+ * Com AnimatorComponent, o golpe acontece no evento de frame 'hit'
+ */
+class CombatComponent extends Component {
+    initialize(config) {
+        this.damage = config.damage || 10;
+        this.damageType = config.damageType || 'physical';
+        this.attackCooldown = config.attackCooldown || 0.6; // segundos
+        this.range = config.range || 40;                    // Alcance a partir da borda do atacante
+        this.arc = config.arc || Math.PI * 0.6;             // Abertura do golpe (radianos)
+        this.knockback = config.knockback !== undefined ? config.knockback : 3000; // Força
+        this.targetTags = config.targetTags || ['creature'];
+        this.statusEffects = config.statusEffects || []; // [{ id, chance }] aplicados no acerto
+        
+        this.cooldownTimer = 0;
+        this.facing = { x: 1, y: 0 };
+        
+        // Golpe aguardando o frame 'hit' da animação
+        this.pendingAttack = false;
+        this.pendingTimer = 0;
+        this.hitTimeout = config.hitTimeout || 0.5; // Golpe acontece mesmo sem o evento
+        this.unsubscribeAnimator = null;
+        
+        // Último golpe (para debug)
+        this.lastSwing = null;
+    }
+    
+    update(deltaTime) {
+        if (this.cooldownTimer > 0) {
+            this.cooldownTimer = Math.max(0, this.cooldownTimer - deltaTime);
+        }
+        
+        if (this.pendingAttack) {
+            this.pendingTimer -= deltaTime;
+            if (this.pendingTimer <= 0) {
+                this.performHit();
+            }
+        }
+        
+        if (this.lastSwing) {
+            this.lastSwing.timer -= deltaTime;
+            if (this.lastSwing.timer <= 0) this.lastSwing = null;
+        }
+        
+        // Sem direção explícita, ataca para onde está andando
+        const physics = this.entity.getComponent('PhysicsComponent');
+        if (physics) {
+            const { x, y } = physics.velocity;
+            const speed = Math.sqrt(x * x + y * y);
+            if (speed > 10) {
+                this.facing = { x: x / speed, y: y / speed };
+            }
+        }
+    }
+    
+    render(context) {
+        // Arco do último golpe (debug de entidades)
+        if (!this.lastSwing || !GameConfig.DEBUG_ENTITIES) return;
+        
+        const transform = this.entity.getComponent('TransformComponent');
+        if (!transform) return;
+        
+        const angle = Math.atan2(this.lastSwing.direction.y, this.lastSwing.direction.x);
+        context.fillStyle = 'rgba(255, 255, 255, 0.25)';
+        context.beginPath();
+        context.moveTo(transform.renderPosition.x, transform.renderPosition.y);
+        context.arc(transform.renderPosition.x, transform.renderPosition.y,
+                    this.getReach(), angle - this.arc / 2, angle + this.arc / 2);
+        context.closePath();
+        context.fill();
+    }
+    
+    /**
+     * Inicia um ataque (opcionalmente em uma direção)
+     * @returns {boolean} false se em cooldown ou morto
+     */
+    attack(direction = null) {
+        if (this.cooldownTimer > 0 || this.pendingAttack) return false;
+        
+        const health = this.entity.getComponent('HealthComponent');
+        if (health && health.dead) return false;
+        
+        if (direction) {
+            const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y);
+            if (length > 0) {
+                this.facing = { x: direction.x / length, y: direction.y / length };
+            }
+        }
+        
+        this.cooldownTimer = this.attackCooldown;
+        
+        const animator = this.entity.getComponent('AnimatorComponent');
+        if (animator && animator.controller && animator.controller.animations.attack) {
+            // Golpe sincronizado com o frame 'hit' da animação
+            this.bindAnimator(animator);
+            this.pendingAttack = true;
+            this.pendingTimer = this.hitTimeout;
+            animator.setTrigger('attack');
+        } else {
+            this.performHit();
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Escuta o evento 'hit' do animator (uma única vez por componente)
+     */
+    bindAnimator(animator) {
+        if (this.unsubscribeAnimator) return;
+        
+        this.unsubscribeAnimator = animator.on('hit', () => {
+            if (this.pendingAttack) {
+                this.performHit();
+            }
+        });
+    }
+    
+    /**
+     * Alcance total a partir do centro do atacante
+     */
+    getReach(range = this.range) {
+        const collider = this.entity.getComponent('ColliderComponent');
+        return range + (collider && collider.radius ? collider.radius : 0);
+    }
+    
+    /**
+     * Aplica o golpe a todos os alvos dentro do arco
+     * `options` substitui arc/damage/range só neste golpe (ex.: habilidades)
+     * @returns {Entity[]} Entidades atingidas
+     */
+    performHit(options = {}) {
+        this.pendingAttack = false;
+        
+        const transform = this.entity.getComponent('TransformComponent');
+        if (!transform || !this.entity.active) return [];
+        
+        const { arc = this.arc, damage = this.damage, range = this.range } = options;
+        const reach = this.getReach(range);
+        const origin = transform.position;
+        const hits = [];
+        
+        this.lastSwing = { direction: { ...this.facing }, timer: 0.15 };
+        
+        for (const target of this.findCandidates(origin, reach)) {
+            if (target === this.entity || !target.active) continue;
+            if (!this.targetTags.some(tag => target.hasTag(tag))) continue;
+            
+            const health = target.getComponent('HealthComponent');
+            const targetTransform = target.getComponent('TransformComponent');
+            if (!health || health.dead || !targetTransform) continue;
+            
+            const collider = target.getComponent('ColliderComponent');
+            const targetRadius = collider && collider.radius ? collider.radius : 0;
+            
+            const dx = targetTransform.position.x - origin.x;
+            const dy = targetTransform.position.y - origin.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance - targetRadius > reach) continue;
+            
+            // Dentro do arco (alvos sobrepostos ao atacante sempre são atingidos)
+            if (distance > targetRadius) {
+                const dot = (dx * this.facing.x + dy * this.facing.y) / distance;
+                const angle = Math.acos(Math.max(-1, Math.min(1, dot)));
+                const angularMargin = Math.atan2(targetRadius, distance);
+                if (angle > arc / 2 + angularMargin) continue;
+            }
+            
+            const knockbackDirection = distance > 0
+                ? { x: dx / distance, y: dy / distance }
+                : { ...this.facing };
+            
+            const applied = health.takeDamage({
+                amount: damage,
+                type: this.damageType,
+                source: this.entity,
+                statusEffects: this.statusEffects,
+                knockback: {
+                    x: knockbackDirection.x * this.knockback,
+                    y: knockbackDirection.y * this.knockback
+                }
+            });
+            
+            if (applied > 0) {
+                hits.push(target);
+            }
+        }
+        
+        if (hits.length > 0) {
+            EntityManager.getInstance().assets?.playSound('sfx/hit');
+        }
+        
+        return hits;
+    }
+    
+    /**
+     * Entidades próximas (broad phase da colisão ou varredura completa)
+     */
+    findCandidates(origin, reach) {
+        const entityManager = EntityManager.getInstance();
+        const broadPhase = entityManager.collisionSystem?.broadPhase;
+        
+        // Margem para o raio dos alvos
+        return broadPhase
+            ? broadPhase.query(origin.x, origin.y, reach + 32)
+            : entityManager.entities.values();
+    }
+    
+    destroy() {
+        super.destroy();
+        
+        if (this.unsubscribeAnimator) {
+            this.unsubscribeAnimator();
+            this.unsubscribeAnimator = null;
+        }
+    }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            damage: this.damage,
+            damageType: this.damageType,
+            attackCooldown: this.attackCooldown,
+            range: this.range,
+            arc: this.arc,
+            knockback: this.knockback,
+            targetTags: [...this.targetTags],
+            statusEffects: this.statusEffects.map(effect => ({ ...effect })),
+            cooldownTimer: this.cooldownTimer,
+            facing: { ...this.facing }
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        this.damage = data.damage;
+        this.damageType = data.damageType;
+        this.attackCooldown = data.attackCooldown;
+        this.range = data.range;
+        this.arc = data.arc;
+        this.knockback = data.knockback;
+        this.targetTags = [...data.targetTags];
+        this.statusEffects = data.statusEffects.map(effect => ({ ...effect }));
+        this.cooldownTimer = data.cooldownTimer;
+        this.facing = { ...data.facing };
+    }
+}
+
+[HealthComponent, CombatComponent].forEach(componentType => Component.register(componentType));
+
+// ============================================================================
+// NÚMEROS DE DANO
+// ============================================================================
+
+/**
+ * Números flutuantes exibidos sobre entidades atingidas
+ */
+class DamageNumbers {
+    constructor() {
+        this.numbers = [];
+        this.duration = 0.8;
+        
+        GameEvents.on('entity:damaged', ({ entity, amount, type }) => this.add(entity, amount, type));
+    }
+    
+    add(entity, amount, type) {
+        const transform = entity.getComponent('TransformComponent');
+        if (!transform) return;
+        
+        this.numbers.push({
+            x: transform.position.x,
+            y: transform.position.y - 20,
+            text: String(Math.round(amount)),
+            color: (DamageTypes[type] || DamageTypes.physical).color,
+            timer: this.duration
+        });
+    }
+    
+    update(deltaTime) {
+        for (let i = this.numbers.length - 1; i >= 0; i--) {
+            const number = this.numbers[i];
+            number.timer -= deltaTime;
+            number.y -= 30 * deltaTime;
+            
+            if (number.timer <= 0) {
+                this.numbers.splice(i, 1);
+            }
+        }
+    }
+    
+    render(context) {
+        context.save();
+        context.font = 'bold 12px monospace';
+        context.textAlign = 'center';
+        
+        this.numbers.forEach(number => {
+            context.globalAlpha = Math.min(1, number.timer / (this.duration * 0.5));
+            context.fillStyle = '#000000';
+            context.fillText(number.text, number.x + 1, number.y + 1);
+            context.fillStyle = number.color;
+            context.fillText(number.text, number.x, number.y);
+        });
+        
+        context.restore();
+    }
+    
+    clear() {
+        this.numbers = [];
+    }
+}
+
+// ============================================================================
+// INTEGRAÇÃO COM O SISTEMA EXISTENTE
+// ============================================================================
+
+// Factories recebem vida e combate (config.health / config.combat; false desativa)
+const createPlayerWithoutCombat = EntityManager.prototype.createPlayer;
+EntityManager.prototype.createPlayer = function(config = {}) {
+    const player = createPlayerWithoutCombat.call(this, config);
+    
+    if (config.health !== false) {
+        player.addComponent(HealthComponent, {
+            maxHealth: 100,
+            invulnerabilityDuration: 0.8,
+            onDeath: 'respawn',
+            respawnPoint: { ...(config.position || { x: 0, y: 0 }) },
+            showHealthBar: false, // Exibida na UI
+            ...config.health
+        });
+    }
+    
+    if (config.combat !== false) {
+        player.addComponent(CombatComponent, {
+            damage: 15,
+            attackCooldown: 0.4,
+            range: 28,
+            targetTags: ['creature'],
+            ...config.combat
+        });
+    }
+    
+    return player;
+};
+
+const createNPCWithoutCombat = EntityManager.prototype.createNPC;
+EntityManager.prototype.createNPC = function(config = {}) {
+    const npc = createNPCWithoutCombat.call(this, config);
+    
+    if (config.health !== false) {
+        npc.addComponent(HealthComponent, {
+            maxHealth: 50,
+            ...config.health
+        });
+    }
+    
+    return npc;
+};
+
+const createCreatureWithoutCombat = EntityManager.prototype.createCreature;
+EntityManager.prototype.createCreature = function(config = {}) {
+    const creature = createCreatureWithoutCombat.call(this, config);
+    
+    if (config.health !== false) {
+        creature.addComponent(HealthComponent, {
+            maxHealth: 40,
+            ...config.health
+        });
+    }
+    
+    if (config.combat !== false) {
+        creature.addComponent(CombatComponent, {
+            damage: 8,
+            attackCooldown: 1.2,
+            range: 20,
+            knockback: 2500,
+            targetTags: ['player'],
+            ...config.combat
+        });
+    }
+    
+    return creature;
+};
+
+// Save v4: vida e combate salvos (saves antigos recebem os valores das factories)
+SaveConfig.VERSION = 4;
+SaveMigrations[3] = (data) => {
+    addComponentToSave(data, HealthComponent, entityData => ({
+        player: {
+            maxHealth: 100,
+            invulnerabilityDuration: 0.8,
+            onDeath: 'respawn',
+            respawnPoint: { x: 0, y: 0 },
+            showHealthBar: false
+        },
+        npc: { maxHealth: 50 },
+        creature: { maxHealth: 40 }
+    })[entityData.type]);
+    
+    return addComponentToSave(data, CombatComponent, entityData => ({
+        player: { damage: 15, attackCooldown: 0.4, range: 28, targetTags: ['creature'] },
+        creature: { damage: 8, attackCooldown: 1.2, range: 20, knockback: 2500, targetTags: ['player'] }
+    })[entityData.type]);
+};
+
+// Números de dano
+const initializeEntitiesWithoutCombat = GameEngine.prototype.initializeEntities;
+GameEngine.prototype.initializeEntities = function() {
+    initializeEntitiesWithoutCombat.call(this);
+    
+    if (!this.damageNumbers) {
+        this.damageNumbers = new DamageNumbers();
+    }
+};
+
+const updateWithoutCombat = GameEngine.prototype.update;
+GameEngine.prototype.update = function(deltaTime) {
+    updateWithoutCombat.call(this, deltaTime);
+    
+    this.damageNumbers?.update(deltaTime);
+};
+
+// Clique esquerdo ataca na direção do mouse; morto não se move
+const processPlayerInputWithoutCombat = GameEngine.prototype.processPlayerInput;
+GameEngine.prototype.processPlayerInput = function() {
+    const player = this.entityManager.getPlayer();
+    const health = player?.getComponent('HealthComponent');
+    
+    if (health && health.dead) {
+        player.getComponent('PhysicsComponent')?.stop();
+        return;
+    }
+    
+    processPlayerInputWithoutCombat.call(this);
+    
+    const combat = player?.getComponent('CombatComponent');
+    if (combat && this.inputManager.mouse.down) {
+        const transform = player.getComponent('TransformComponent');
+        const mouseWorld = this.camera.screenToWorld(this.inputManager.mouse.x, this.inputManager.mouse.y);
+        
+        combat.attack({
+            x: mouseWorld.x - transform.position.x,
+            y: mouseWorld.y - transform.position.y
+        });
+    }
+};
+
+// Números de dano são desenhados no espaço do mundo, sobre as entidades
+const renderEntitiesWithoutCombat = EntityManager.prototype.render;
+EntityManager.prototype.render = function(context, alpha = 1) {
+    renderEntitiesWithoutCombat.call(this, context, alpha);
+    
+    window.game?.damageNumbers?.render(context);
+};
+
+// Barra de vida do jogador
+const renderUIWithoutCombat = GameEngine.prototype.renderUI;
+GameEngine.prototype.renderUI = function() {
+    renderUIWithoutCombat.call(this);
+    
+    const health = this.entityManager.getPlayer()?.getComponent('HealthComponent');
+    if (!health) return;
+    
+    const width = 200;
+    const height = 14;
+    const x = this.canvas.width - width - 20;
+    const y = 20;
+    
+    this.context.save();
+    this.context.setTransform(1, 0, 0, 1, 0, 0);
+    
+    this.context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    this.context.fillRect(x - 4, y - 4, width + 8, height + 8);
+    this.context.fillStyle = '#e03c3c';
+    this.context.fillRect(x, y, width * (health.health / health.maxHealth), height);
+    
+    this.context.fillStyle = '#ffffff';
+    this.context.font = '11px monospace';
+    this.context.textBaseline = 'top';
+    this.context.fillText(
+        health.dead
+            ? `Morto - revivendo em ${Math.ceil(health.respawnTimer)}s`
+            : `HP ${Math.ceil(health.health)}/${health.maxHealth}`,
+        x + 6,
+        y + 1
+    );
+    
+    this.context.restore();
+};
+
+ControlsHelp.push('Clique Esquerdo - Atacar');
+
+console.log('✅ Parte 7 - Combate carregado!');
+console.log('📋 Comandos disponíveis:');
+console.log('  Clique esquerdo - Atacar na direção do mouse');
+console.log('  GameEvents.on(\'entity:damaged\' / \'entity:died\', handler)');
+
+// Exporta classes para uso em módulos futuros
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DamageTypes,
+        HealthComponent,
+        CombatComponent,
+        DamageNumbers
+    };
+}
@@ -0,0 +1,766 @@
+/**
+ * INFINITE RPG - PARTE 8: PROJÉTEIS
+ *
+ * Esta parte implementa:
+ * 1. ProjectileComponent: movimento, tempo de vida, perfuração e homing
+ * 2. Colisão contínua (swept) contra entidades e terreno
+ * 3. Dano em área (explosões) com queda de dano pela distância
+ * 4. Pool de projéteis reutilizáveis (EntityManager.createProjectile)
+ * 5. RangedWeaponComponent: armas de disparo mirando com o mouse
+ */
+
+// ============================================================================
+// PROJECTILE COMPONENT
+// ============================================================================
+
+/**
+ * Componente Projectile - Move o projétil e aplica dano ao atingir alvos
+ * A colisão é feita por varredura do segmento percorrido em cada passo,
+ * então projéteis rápidos não atravessam criaturas nem árvores
+ */
+class ProjectileComponent extends Component {
+    initialize(config) {
+        const direction = config.direction || { x: 1, y: 0 };
+        const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y) || 1;
+        
+        this.speed = config.speed || 400;
+        this.velocity = {
+            x: direction.x / length * this.speed,
+            y: direction.y / length * this.speed
+        };
+        this.radius = config.radius || 4;
+        
+        this.lifetime = config.lifetime || 1.5; // segundos
+        this.age = 0;
+        
+        // Dano
+        this.damage = config.damage || 10;
+        this.damageType = config.damageType || 'physical';
+        this.knockback = config.knockback !== undefined ? config.knockback : 1200;
+        this.owner = config.owner || null;
+        this.targetTags = config.targetTags || this.getDefaultTargetTags();
+        this.statusEffects = config.statusEffects || []; // [{ id, chance }] aplicados no acerto
+        
+        // Perfuração: quantos alvos extras o projétil atravessa
+        this.pierce = config.pierce || 0;
+        this.hitEntities = new Set();
+        
+        // Homing: curva em direção ao alvo mais próximo (radianos por segundo)
+        this.homing = config.homing || 0;
+        this.homingRange = config.homingRange || 200;
+        this.homingTarget = null;
+        
+        // Área de efeito: explode no impacto (ou ao expirar)
+        this.aoeRadius = config.aoeRadius || 0;
+        this.explodeOnExpire = config.explodeOnExpire || false;
+        
+        // Tiles que bloqueiam projéteis (água não bloqueia)
+        this.solidTiles = config.solidTiles || ['mountain', 'tree', 'cactus'];
+        
+        this.alive = true;
+    }
+    
+    /**
+     * Alvos padrão: projéteis do jogador acertam criaturas e vice-versa
+     */
+    getDefaultTargetTags() {
+        return this.owner && !this.owner.hasTag('player') ? ['player'] : ['creature'];
+    }
+    
+    update(deltaTime) {
+        if (!this.alive) return;
+        
+        this.age += deltaTime;
+        if (this.age >= this.lifetime) {
+            const transform = this.entity.getComponent('TransformComponent');
+            if (this.explodeOnExpire && transform) {
+                this.explode(transform.position);
+            }
+            this.expire();
+            return;
+        }
+        
+        if (this.homing > 0) {
+            this.updateHoming(deltaTime);
+        }
+        
+        this.move(deltaTime);
+    }
+    
+    /**
+     * Avança pelo segmento do passo, resolvendo o primeiro impacto
+     */
+    move(deltaTime) {
+        const transform = this.entity.getComponent('TransformComponent');
+        if (!transform) return;
+        
+        const start = { x: transform.position.x, y: transform.position.y };
+        const end = {
+            x: start.x + this.velocity.x * deltaTime,
+            y: start.y + this.velocity.y * deltaTime
+        };
+        
+        // Terreno limita até onde o projétil chega neste passo
+        const terrainT = this.sweepTerrain(start, end);
+        const maxT = terrainT !== null ? terrainT : 1;
+        
+        const hits = this.sweepEntities(start, end)
+            .filter(hit => hit.t <= maxT)
+            .sort((a, b) => a.t - b.t);
+        
+        for (const hit of hits) {
+            const point = {
+                x: start.x + (end.x - start.x) * hit.t,
+                y: start.y + (end.y - start.y) * hit.t
+            };
+            
+            if (this.aoeRadius > 0) {
+                this.impact(point);
+                return;
+            }
+            
+            this.hit(hit.entity);
+            
+            if (this.hitEntities.size > this.pierce) {
+                this.impact(point);
+                return;
+            }
+        }
+        
+        if (terrainT !== null) {
+            this.impact({
+                x: start.x + (end.x - start.x) * terrainT,
+                y: start.y + (end.y - start.y) * terrainT
+            });
+            return;
+        }
+        
+        transform.position.x = end.x;
+        transform.position.y = end.y;
+        transform.rotation = Math.atan2(this.velocity.y, this.velocity.x);
+    }
+    
+    /**
+     * Fração do segmento onde o projétil encontra um tile sólido (ou null)
+     */
+    sweepTerrain(start, end) {
+        const world = EntityManager.getInstance().world;
+        if (!world) return null;
+        
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        
+        // Amostras a cada meio tile
+        const steps = Math.max(1, Math.ceil(length / (world.tileSize / 2)));
+        
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            const tile = world.getTileAt(start.x + dx * t, start.y + dy * t);
+            
+            if (tile && this.solidTiles.includes(tile.type)) {
+                return (i - 1) / steps;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Alvos cruzados pelo segmento, com a fração do primeiro contato
+     * @returns {Array<{entity: Entity, t: number}>}
+     */
+    sweepEntities(start, end) {
+        const entityManager = EntityManager.getInstance();
+        const collisionSystem = entityManager.collisionSystem;
+        
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const halfLength = Math.sqrt(dx * dx + dy * dy) / 2;
+        
+        // Busca ao redor do ponto médio do segmento
+        const candidates = collisionSystem.broadPhase.query(
+            start.x + dx / 2,
+            start.y + dy / 2,
+            halfLength + this.radius + 32
+        );
+        
+        const hits = [];
+        for (const target of candidates) {
+            if (!this.canHit(target, collisionSystem)) continue;
+            
+            const targetTransform = target.getComponent('TransformComponent');
+            const collider = target.getComponent('ColliderComponent');
+            const targetRadius = collider.radius || Math.max(collider.width, collider.height) / 2;
+            
+            const t = ProjectileComponent.sweepCircle(
+                start, end, targetTransform.position, targetRadius + this.radius
+            );
+            
+            if (t !== null) {
+                hits.push({ entity: target, t: t });
+            }
+        }
+        
+        return hits;
+    }
+    
+    /**
+     * Verifica se uma entidade pode ser atingida por este projétil
+     */
+    canHit(target, collisionSystem) {
+        if (target === this.entity || target === this.owner || !target.active) return false;
+        if (this.hitEntities.has(target)) return false;
+        if (!this.targetTags.some(tag => target.hasTag(tag))) return false;
+        
+        const collider = target.getComponent('ColliderComponent');
+        if (!collider || !collider.enabled) return false;
+        if (!collisionSystem.canCollide('projectile', collider.collisionLayer)) return false;
+        
+        const health = target.getComponent('HealthComponent');
+        return !!health && !health.dead && !!target.getComponent('TransformComponent');
+    }
+    
+    /**
+     * Primeiro contato entre um segmento e um círculo
+     * @returns {number|null} Fração do segmento (0-1) ou null se não cruza
+     */
+    static sweepCircle(start, end, center, radius) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const fx = start.x - center.x;
+        const fy = start.y - center.y;
+        
+        const c = fx * fx + fy * fy - radius * radius;
+        if (c <= 0) return 0; // Já começa dentro
+        
+        const a = dx * dx + dy * dy;
+        if (a === 0) return null;
+        
+        const b = 2 * (fx * dx + fy * dy);
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant < 0) return null;
+        
+        const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+        return t >= 0 && t <= 1 ? t : null;
+    }
+    
+    /**
+     * Curva a direção em direção ao alvo mais próximo
+     */
+    updateHoming(deltaTime) {
+        const transform = this.entity.getComponent('TransformComponent');
+        if (!transform) return;
+        
+        if (!this.homingTarget || !this.canHit(this.homingTarget, EntityManager.getInstance().collisionSystem)) {
+            this.homingTarget = this.findHomingTarget(transform.position);
+            if (!this.homingTarget) return;
+        }
+        
+        const targetPosition = this.homingTarget.getComponent('TransformComponent').position;
+        const desired = Math.atan2(targetPosition.y - transform.position.y, targetPosition.x - transform.position.x);
+        const current = Math.atan2(this.velocity.y, this.velocity.x);
+        
+        // Menor diferença angular (-PI..PI), limitada pela taxa de curva
+        let difference = desired - current;
+        difference = Math.atan2(Math.sin(difference), Math.cos(difference));
+        
+        const maxTurn = this.homing * deltaTime;
+        const angle = current + Math.max(-maxTurn, Math.min(maxTurn, difference));
+        
+        this.velocity.x = Math.cos(angle) * this.speed;
+        this.velocity.y = Math.sin(angle) * this.speed;
+    }
+    
+    findHomingTarget(position) {
+        const collisionSystem = EntityManager.getInstance().collisionSystem;
+        let closest = null;
+        let closestDistance = this.homingRange;
+        
+        for (const target of collisionSystem.broadPhase.query(position.x, position.y, this.homingRange)) {
+            if (!this.canHit(target, collisionSystem)) continue;
+            
+            const targetPosition = target.getComponent('TransformComponent').position;
+            const distance = Math.hypot(targetPosition.x - position.x, targetPosition.y - position.y);
+            
+            if (distance < closestDistance) {
+                closest = target;
+                closestDistance = distance;
+            }
+        }
+        
+        return closest;
+    }
+    
+    /**
+     * Aplica o dano de impacto direto
+     */
+    hit(target) {
+        this.hitEntities.add(target);
+        
+        const length = this.speed || 1;
+        target.getComponent('HealthComponent').takeDamage({
+            amount: this.damage,
+            type: this.damageType,
+            source: this.owner || this.entity,
+            statusEffects: this.statusEffects,
+            knockback: {
+                x: this.velocity.x / length * this.knockback,
+                y: this.velocity.y / length * this.knockback
+            }
+        });
+        
+        GameEvents.emit('projectile:hit', { projectile: this.entity, target: target });
+    }
+    
+    /**
+     * Fim da trajetória: explode (se tiver área) e volta ao pool
+     */
+    impact(point) {
+        const transform = this.entity.getComponent('TransformComponent');
+        if (transform) {
+            transform.position.x = point.x;
+            transform.position.y = point.y;
+        }
+        
+        if (this.aoeRadius > 0) {
+            this.explode(point);
+        }
+        
+        this.expire();
+    }
+    
+    /**
+     * Dano em área: 100% no centro até 50% na borda do raio
+     */
+    explode(point) {
+        const collisionSystem = EntityManager.getInstance().collisionSystem;
+        
+        for (const target of collisionSystem.broadPhase.query(point.x, point.y, this.aoeRadius + 32)) {
+            if (!this.canHit(target, collisionSystem)) continue;
+            
+            const targetPosition = target.getComponent('TransformComponent').position;
+            const dx = targetPosition.x - point.x;
+            const dy = targetPosition.y - point.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance > this.aoeRadius) continue;
+            
+            const falloff = 1 - 0.5 * (distance / this.aoeRadius);
+            const direction = distance > 0 ? { x: dx / distance, y: dy / distance } : { x: 0, y: 0 };
+            
+            this.hitEntities.add(target);
+            target.getComponent('HealthComponent').takeDamage({
+                amount: this.damage * falloff,
+                type: this.damageType,
+                source: this.owner || this.entity,
+                statusEffects: this.statusEffects,
+                knockback: {
+                    x: direction.x * this.knockback * falloff,
+                    y: direction.y * this.knockback * falloff
+                }
+            });
+        }
+        
+        GameEvents.emit('projectile:exploded', {
+            projectile: this.entity,
+            position: { ...point },
+            radius: this.aoeRadius,
+            damageType: this.damageType
+        });
+    }
+    
+    /**
+     * Devolve o projétil ao pool
+     */
+    expire() {
+        if (!this.alive) return;
+        
+        this.alive = false;
+        this.homingTarget = null;
+        this.hitEntities.clear();
+        
+        EntityManager.getInstance().releaseProjectile(this.entity);
+    }
+}
+
+// ============================================================================
+// POOL DE PROJÉTEIS
+// ============================================================================
+
+/**
+ * Reaproveita entidades de projéteis para evitar criar e descartar
+ * componentes a cada disparo
+ */
+class ProjectilePool {
+    constructor(entityManager, maxSize = 128) {
+        this.entityManager = entityManager;
+        this.maxSize = maxSize;
+        this.available = [];
+        
+        this.stats = {
+            created: 0,
+            reused: 0
+        };
+    }
+    
+    /**
+     * Obtém um projétil configurado (reutilizado ou novo)
+     */
+    acquire(config) {
+        const entity = this.available.pop();
+        if (!entity) {
+            this.stats.created++;
+            return this.build(config);
+        }
+        
+        this.stats.reused++;
+        
+        // Volta ao EntityManager com o mesmo id
+        entity.active = true;
+        this.entityManager.entities.set(entity.id, entity);
+        this.entityManager.addToGroup(entity, entity.type);
+        this.entityManager.addToGroup(entity, 'all');
+        this.entityManager.stats.active++;
+        
+        this.configure(entity, config);
+        return entity;
+    }
+    
+    /**
+     * Cria uma nova entidade de projétil
+     */
+    build(config) {
+        const projectile = this.entityManager.createEntity(config.name || 'Projectile', 'projectile');
+        
+        projectile.addComponent(TransformComponent, {});
+        projectile.addComponent(RenderComponent, {});
+        projectile.addComponent(ProjectileComponent, config);
+        projectile.addTag('projectile');
+        
+        this.configure(projectile, config);
+        return projectile;
+    }
+    
+    /**
+     * Aplica a configuração de disparo aos componentes
+     */
+    configure(entity, config) {
+        const position = config.position || { x: 0, y: 0 };
+        const radius = config.radius || 4;
+        
+        entity.name = config.name || 'Projectile';
+        entity.getComponent('TransformComponent').setPosition(position.x, position.y);
+        
+        const render = entity.getComponent('RenderComponent');
+        render.color = config.color || (DamageTypes[config.damageType] || DamageTypes.physical).color;
+        render.texture = config.texture || null;
+        render.width = radius * 2;
+        render.height = radius * 2;
+        render.visible = true;
+        
+        const projectile = entity.getComponent('ProjectileComponent');
+        projectile.initialize(config);
+        projectile.enabled = true;
+    }
+    
+    /**
+     * Retira o projétil do EntityManager e guarda para reuso
+     */
+    release(entity) {
+        if (!this.entityManager.entities.has(entity.id)) return;
+        
+        this.entityManager.entities.delete(entity.id);
+        for (const group of this.entityManager.entityGroups.values()) {
+            group.delete(entity);
+        }
+        this.entityManager.stats.active--;
+        
+        if (this.available.length < this.maxSize) {
+            entity.active = false;
+            this.available.push(entity);
+        } else {
+            entity.destroy();
+            this.entityManager.stats.totalDestroyed++;
+        }
+    }
+    
+    clear() {
+        this.available = [];
+    }
+    
+    getStats() {
+        return {
+            ...this.stats,
+            available: this.available.length
+        };
+    }
+}
+
+// ============================================================================
+// RANGED WEAPON COMPONENT
+// ============================================================================
+
+/**
+ * Componente RangedWeapon - Dispara projéteis com cadência, dispersão e
+ * múltiplos projéteis por disparo (ex.: espingarda)
+ */
+class RangedWeaponComponent extends Component {
+    initialize(config) {
+        this.name = config.name || 'Arco';
+        this.fireCooldown = config.fireCooldown || 0.5; // segundos
+        this.count = config.count || 1;                 // Projéteis por disparo
+        this.spread = config.spread || 0;               // Abertura total (radianos)
+        this.muzzleOffset = config.muzzleOffset || 16;  // Distância do centro ao ponto de saída
+        
+        // Configuração repassada a EntityManager.createProjectile
+        this.projectile = { speed: 500, damage: 8, lifetime: 1.2, radius: 3, ...config.projectile };
+        
+        this.cooldownTimer = 0;
+    }
+    
+    update(deltaTime) {
+        if (this.cooldownTimer > 0) {
+            this.cooldownTimer = Math.max(0, this.cooldownTimer - deltaTime);
+        }
+    }
+    
+    /**
+     * Dispara em direção a um ponto do mundo
+     * @returns {Entity[]} Projéteis criados (vazio se em cooldown)
+     */
+    fireAt(worldX, worldY) {
+        const transform = this.entity.getComponent('TransformComponent');
+        if (!transform) return [];
+        
+        return this.fire({
+            x: worldX - transform.position.x,
+            y: worldY - transform.position.y
+        });
+    }
+    
+    /**
+     * Dispara em uma direção
+     */
+    fire(direction) {
+        if (this.cooldownTimer > 0) return [];
+        
+        const health = this.entity.getComponent('HealthComponent');
+        if (health && health.dead) return [];
+        
+        const transform = this.entity.getComponent('TransformComponent');
+        if (!transform) return [];
+        
+        this.cooldownTimer = this.fireCooldown;
+        
+        const baseAngle = Math.atan2(direction.y, direction.x);
+        const random = RandomService.getInstance().stream('combat');
+        const projectiles = [];
+        
+        for (let i = 0; i < this.count; i++) {
+            // Distribui os projéteis na abertura com um pequeno desvio aleatório
+            const slot = this.count > 1 ? i / (this.count - 1) - 0.5 : 0;
+            const jitter = this.spread > 0 ? (random.next() - 0.5) * this.spread / Math.max(2, this.count) : 0;
+            const angle = baseAngle + slot * this.spread + jitter;
+            
+            const shotDirection = { x: Math.cos(angle), y: Math.sin(angle) };
+            
+            projectiles.push(EntityManager.getInstance().createProjectile({
+                ...this.projectile,
+                position: {
+                    x: transform.position.x + shotDirection.x * this.muzzleOffset,
+                    y: transform.position.y + shotDirection.y * this.muzzleOffset
+                },
+                direction: shotDirection,
+                owner: this.entity
+            }));
+        }
+        
+        GameEvents.emit('weapon:fired', { entity: this.entity, weapon: this, projectiles: projectiles });
+        return projectiles;
+    }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            name: this.name,
+            fireCooldown: this.fireCooldown,
+            count: this.count,
+            spread: this.spread,
+            muzzleOffset: this.muzzleOffset,
+            projectile: { ...this.projectile },
+            cooldownTimer: this.cooldownTimer
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        this.name = data.name;
+        this.fireCooldown = data.fireCooldown;
+        this.count = data.count;
+        this.spread = data.spread;
+        this.muzzleOffset = data.muzzleOffset;
+        this.projectile = { ...data.projectile };
+        this.cooldownTimer = data.cooldownTimer;
+    }
+}
+
+Component.register(RangedWeaponComponent);
+
+// ============================================================================
+// EFEITOS DE IMPACTO
+// ============================================================================
+
+/**
+ * Anéis de explosão dos projéteis com dano em área
+ */
+class ImpactEffects {
+    constructor() {
+        this.effects = [];
+        this.duration = 0.3;
+        
+        GameEvents.on('projectile:exploded', ({ position, radius, damageType }) => {
+            this.effects.push({
+                x: position.x,
+                y: position.y,
+                radius: radius,
+                color: (DamageTypes[damageType] || DamageTypes.physical).color,
+                timer: this.duration
+            });
+        });
+    }
+    
+    update(deltaTime) {
+        for (let i = this.effects.length - 1; i >= 0; i--) {
+            this.effects[i].timer -= deltaTime;
+            if (this.effects[i].timer <= 0) {
+                this.effects.splice(i, 1);
+            }
+        }
+    }
+    
+    render(context) {
+        context.save();
+        
+        this.effects.forEach(effect => {
+            const progress = 1 - effect.timer / this.duration;
+            context.globalAlpha = 1 - progress;
+            context.strokeStyle = effect.color;
+            context.lineWidth = 3;
+            context.beginPath();
+            context.arc(effect.x, effect.y, effect.radius * (0.3 + 0.7 * progress), 0, Math.PI * 2);
+            context.stroke();
+        });
+        
+        context.restore();
+    }
+    
+    clear() {
+        this.effects = [];
+    }
+}
+
+// ============================================================================
+// INTEGRAÇÃO COM O SISTEMA EXISTENTE
+// ============================================================================
+
+/**
+ * Cria (ou reaproveita do pool) um projétil
+ * @param {Object} config - position, direction, speed, lifetime, damage, damageType,
+ *                          radius, pierce, homing, homingRange, aoeRadius, owner, targetTags
+ */
+EntityManager.prototype.createProjectile = function(config = {}) {
+    if (!this.projectilePool) {
+        this.projectilePool = new ProjectilePool(this);
+    }
+    
+    return this.projectilePool.acquire(config);
+};
+
+EntityManager.prototype.releaseProjectile = function(entity) {
+    this.projectilePool?.release(entity);
+};
+
+// Projéteis são transitórios e não entram nos saves
+const serializeEntitiesWithProjectiles = EntityManager.prototype.serialize;
+EntityManager.prototype.serialize = function() {
+    const data = serializeEntitiesWithProjectiles.call(this);
+    data.entities = data.entities.filter(entityData => entityData.type !== 'projectile');
+    return data;
+};
+
+// Jogador recebe uma arma de disparo (config.ranged; false desativa)
+const createPlayerWithoutRanged = EntityManager.prototype.createPlayer;
+EntityManager.prototype.createPlayer = function(config = {}) {
+    const player = createPlayerWithoutRanged.call(this, config);
+    
+    if (config.ranged !== false) {
+        player.addComponent(RangedWeaponComponent, {
+            name: 'Arco',
+            fireCooldown: 0.35,
+            ...config.ranged
+        });
+    }
+    
+    return player;
+};
+
+// Save v5: arma de disparo do jogador salva (projéteis ficam fora do save)
+SaveConfig.VERSION = 5;
+SaveMigrations[4] = (data) => addComponentToSave(data, RangedWeaponComponent, entityData =>
+    entityData.type === 'player' ? { name: 'Arco', fireCooldown: 0.35 } : null
+);
+
+const initializeEntitiesWithoutProjectiles = GameEngine.prototype.initializeEntities;
+GameEngine.prototype.initializeEntities = function() {
+    initializeEntitiesWithoutProjectiles.call(this);
+    
+    if (!this.impactEffects) {
+        this.impactEffects = new ImpactEffects();
+    }
+};
+
+const updateWithoutProjectiles = GameEngine.prototype.update;
+GameEngine.prototype.update = function(deltaTime) {
+    updateWithoutProjectiles.call(this, deltaTime);
+    
+    this.impactEffects?.update(deltaTime);
+};
+
+// Clique direito dispara em direção ao mouse
+const processPlayerInputWithoutRanged = GameEngine.prototype.processPlayerInput;
+GameEngine.prototype.processPlayerInput = function() {
+    processPlayerInputWithoutRanged.call(this);
+    
+    const player = this.entityManager.getPlayer();
+    const weapon = player?.getComponent('RangedWeaponComponent');
+    
+    if (weapon && this.inputManager.mouse.rightDown) {
+        const mouseWorld = this.camera.screenToWorld(this.inputManager.mouse.x, this.inputManager.mouse.y);
+        weapon.fireAt(mouseWorld.x, mouseWorld.y);
+    }
+};
+
+const renderEntitiesWithoutProjectiles = EntityManager.prototype.render;
+EntityManager.prototype.render = function(context, alpha = 1) {
+    renderEntitiesWithoutProjectiles.call(this, context, alpha);
+    
+    window.game?.impactEffects?.render(context);
+};
+
+ControlsHelp.push('Clique Direito - Disparar');
+
+console.log('✅ Parte 8 - Projéteis carregado!');
+console.log('📋 Comandos disponíveis:');
+console.log('  Clique direito - Disparar na direção do mouse');
+console.log('  game.entityManager.createProjectile({ position, direction, speed, pierce, homing, aoeRadius })');
+console.log('  game.entityManager.projectilePool.getStats()');
+
+// Exporta classes para uso em módulos futuros
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ProjectileComponent,
+        ProjectilePool,
+        RangedWeaponComponent,
+        ImpactEffects
+    };
+}
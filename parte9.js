@@ -0,0 +1,897 @@
+/**
+ * INFINITE RPG - PARTE 9: ITENS E INVENTÁRIO
+ *
+ * Esta parte implementa:
+ * 1. Definições de itens (padrão + assets/data/items.json) com pilhas,
+ *    raridade, ícones e metadados
+ * 2. Itens no mundo coletados por colisão trigger com o jogador
+ * 3. InventoryComponent com slots: mover, dividir, largar e usar
+ * 4. Grade do inventário desenhada no canvas (tecla I)
+ * 5. Inventário e itens no chão persistem no save
+ */
+
+// ============================================================================
+// DEFINIÇÕES DE ITENS
+// ============================================================================
+
+const ItemRarities = {
+    common: { name: 'Comum', color: '#c8c8c8' },
+    uncommon: { name: 'Incomum', color: '#3cd05a' },
+    rare: { name: 'Raro', color: '#3c8cff' },
+    epic: { name: 'Épico', color: '#b04cff' },
+    legendary: { name: 'Lendário', color: '#ffa020' }
+};
+
+/**
+ * Itens embutidos no jogo
+ * assets/data/items.json (mesmo formato) acrescenta ou substitui itens
+ */
+const ItemDefinitions = [
+    {
+        id: 'wood',
+        name: 'Madeira',
+        description: 'Tora de madeira. Material de construção.',
+        type: 'material',
+        rarity: 'common',
+        maxStack: 99,
+        color: '#8b5a2b',
+        value: 1
+    },
+    {
+        id: 'stone',
+        name: 'Pedra',
+        description: 'Pedra comum.',
+        type: 'material',
+        rarity: 'common',
+        maxStack: 99,
+        color: '#8a8a8a',
+        value: 1
+    },
+    {
+        id: 'herb',
+        name: 'Erva',
+        description: 'Erva medicinal usada em poções.',
+        type: 'material',
+        rarity: 'common',
+        maxStack: 50,
+        color: '#4caf50',
+        value: 2
+    },
+    {
+        id: 'health_potion',
+        name: 'Poção de Vida',
+        description: 'Recupera 30 pontos de vida.',
+        type: 'consumable',
+        rarity: 'uncommon',
+        maxStack: 10,
+        color: '#e53935',
+        value: 15,
+        use: { heal: 30 }
+    },
+    {
+        id: 'iron_sword',
+        name: 'Espada de Ferro',
+        description: 'Lâmina simples e confiável.',
+        type: 'weapon',
+        rarity: 'rare',
+        maxStack: 1,
+        color: '#b0bec5',
+        value: 60,
+        slot: 'weapon',
+        modifiers: [{ stat: 'damage', type: 'add', value: 10 }]
+    },
+    {
+        id: 'leather_armor',
+        name: 'Armadura de Couro',
+        description: 'Proteção leve.',
+        type: 'armor',
+        rarity: 'uncommon',
+        maxStack: 1,
+        color: '#a1662f',
+        value: 40,
+        slot: 'armor',
+        modifiers: [
+            { stat: 'defense', type: 'add', value: 8 },
+            { stat: 'speed', type: 'mult', value: -0.05 }
+        ]
+    },
+    {
+        id: 'swift_ring',
+        name: 'Anel da Agilidade',
+        description: 'Os passos ficam mais leves.',
+        type: 'accessory',
+        rarity: 'epic',
+        maxStack: 1,
+        color: '#26c6da',
+        value: 120,
+        slot: 'accessory',
+        modifiers: [{ stat: 'speed', type: 'mult', value: 0.15 }]
+    }
+];
+
+/**
+ * Efeitos de uso de consumíveis (chave em `use` -> handler)
+ * Retornam true quando o efeito foi aplicado
+ */
+const ItemUseEffects = {
+    heal: (entity, amount) => {
+        const health = entity.getComponent('HealthComponent');
+        if (!health || health.dead || health.health >= health.maxHealth) return false;
+        
+        health.heal(amount);
+        return true;
+    }
+};
+
+// ============================================================================
+// ITEM DATABASE
+// ============================================================================
+
+/**
+ * Registro de definições de itens (singleton)
+ */
+class ItemDatabase {
+    constructor() {
+        if (ItemDatabase.instance) {
+            return ItemDatabase.instance;
+        }
+        
+        this.items = new Map();
+        this.register(ItemDefinitions);
+        
+        ItemDatabase.instance = this;
+    }
+    
+    static getInstance() {
+        if (!ItemDatabase.instance) {
+            ItemDatabase.instance = new ItemDatabase();
+        }
+        return ItemDatabase.instance;
+    }
+    
+    /**
+     * Registra definições (array ou { items: [...] }), preenchendo padrões
+     */
+    register(definitions) {
+        const list = Array.isArray(definitions) ? definitions : (definitions && definitions.items) || [];
+        
+        list.forEach(definition => {
+            if (!definition.id) {
+                console.warn('⚠️ Definição de item sem id ignorada:', definition);
+                return;
+            }
+            
+            this.items.set(definition.id, {
+                name: definition.id,
+                description: '',
+                type: 'material',
+                rarity: 'common',
+                maxStack: 1,
+                color: '#ffffff',
+                icon: `icons/${definition.id}`,
+                value: 0,
+                metadata: {},
+                ...definition
+            });
+        });
+        
+        return list.length;
+    }
+    
+    get(id) {
+        return this.items.get(id) || null;
+    }
+    
+    has(id) {
+        return this.items.has(id);
+    }
+    
+    getAll() {
+        return Array.from(this.items.values());
+    }
+    
+    getRarity(definition) {
+        return ItemRarities[definition.rarity] || ItemRarities.common;
+    }
+    
+    /**
+     * Desenha o ícone de um item (textura do AssetManager ou círculo colorido)
+     */
+    drawIcon(context, id, x, y, size) {
+        const definition = this.get(id);
+        if (!definition) return;
+        
+        const assets = EntityManager.getInstance().assets;
+        if (assets && assets.hasTexture(definition.icon)) {
+            assets.drawFrame(context, definition.icon, x, y, size, size);
+            return;
+        }
+        
+        context.fillStyle = definition.color;
+        context.beginPath();
+        context.arc(x + size / 2, y + size / 2, size / 2 - 2, 0, Math.PI * 2);
+        context.fill();
+        context.strokeStyle = '#000000';
+        context.lineWidth = 1;
+        context.stroke();
+    }
+}
+
+// Ícones e dados de itens entram no manifesto (arquivos ausentes viram placeholders)
+ItemDefinitions.forEach(definition => {
+    AssetManifest.images[`icons/${definition.id}`] = {
+        src: `assets/icons/${definition.id}.png`,
+        width: 16,
+        height: 16,
+        placeholder: { color: definition.color, shape: 'circle' }
+    };
+});
+AssetManifest.json['data/items'] = { src: 'assets/data/items.json', fallback: null };
+
+// ============================================================================
+// ITEM COMPONENT (ITEM NO MUNDO)
+// ============================================================================
+
+/**
+ * Componente Item - Pilha de itens no chão, coletada ao tocar o jogador
+ */
+class ItemComponent extends Component {
+    initialize(config) {
+        this.itemId = config.itemId || null;
+        this.quantity = config.quantity || 1;
+        this.pickupDelay = config.pickupDelay || 0; // Itens largados não voltam na hora
+        this.bobTimer = 0;
+    }
+    
+    update(deltaTime) {
+        if (this.pickupDelay > 0) {
+            this.pickupDelay = Math.max(0, this.pickupDelay - deltaTime);
+        }
+        
+        // Flutua levemente
+        this.bobTimer += deltaTime;
+        const render = this.entity.getComponent('RenderComponent');
+        if (render) {
+            render.offset.y = Math.sin(this.bobTimer * 3) * 2;
+        }
+    }
+    
+    onCollision(otherEntity) {
+        if (this.pickupDelay > 0 || this.quantity <= 0 || !this.entity.active) return;
+        
+        const inventory = otherEntity.getComponent('InventoryComponent');
+        if (!inventory) return;
+        
+        const leftover = inventory.addItem(this.itemId, this.quantity);
+        const picked = this.quantity - leftover;
+        if (picked <= 0) return;
+        
+        this.quantity = leftover;
+        
+        GameEvents.emit('item:picked', { entity: otherEntity, itemId: this.itemId, quantity: picked });
+        EntityManager.getInstance().assets?.playSound('sfx/pickup');
+        
+        if (this.quantity <= 0) {
+            this.entity.destroy();
+        }
+    }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            itemId: this.itemId,
+            quantity: this.quantity,
+            pickupDelay: this.pickupDelay
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        this.itemId = data.itemId;
+        this.quantity = data.quantity;
+        this.pickupDelay = data.pickupDelay;
+    }
+}
+
+// ============================================================================
+// INVENTORY COMPONENT
+// ============================================================================
+
+/**
+ * Componente Inventory - Slots com pilhas { id, quantity }
+ */
+class InventoryComponent extends Component {
+    initialize(config) {
+        this.size = config.size || 24;
+        this.slots = new Array(this.size).fill(null);
+        
+        (config.items || []).forEach(item => this.addItem(item.id, item.quantity || 1));
+    }
+    
+    /**
+     * Adiciona itens completando pilhas existentes e depois slots vazios
+     * @returns {number} Quantidade que não coube
+     */
+    addItem(itemId, quantity = 1) {
+        const definition = ItemDatabase.getInstance().get(itemId);
+        if (!definition) {
+            console.warn(`⚠️ Item desconhecido: ${itemId}`);
+            return quantity;
+        }
+        
+        let remaining = quantity;
+        
+        for (let i = 0; i < this.size && remaining > 0; i++) {
+            const slot = this.slots[i];
+            if (slot && slot.id === itemId && slot.quantity < definition.maxStack) {
+                const added = Math.min(remaining, definition.maxStack - slot.quantity);
+                slot.quantity += added;
+                remaining -= added;
+            }
+        }
+        
+        for (let i = 0; i < this.size && remaining > 0; i++) {
+            if (!this.slots[i]) {
+                const added = Math.min(remaining, definition.maxStack);
+                this.slots[i] = { id: itemId, quantity: added };
+                remaining -= added;
+            }
+        }
+        
+        if (remaining < quantity) {
+            this.changed();
+        }
+        
+        return remaining;
+    }
+    
+    /**
+     * Remove itens de qualquer slot
+     * @returns {boolean} false se não havia quantidade suficiente (nada é removido)
+     */
+    removeItem(itemId, quantity = 1) {
+        if (this.countItem(itemId) < quantity) return false;
+        
+        let remaining = quantity;
+        for (let i = this.size - 1; i >= 0 && remaining > 0; i--) {
+            const slot = this.slots[i];
+            if (slot && slot.id === itemId) {
+                const removed = Math.min(remaining, slot.quantity);
+                slot.quantity -= removed;
+                remaining -= removed;
+                
+                if (slot.quantity <= 0) {
+                    this.slots[i] = null;
+                }
+            }
+        }
+        
+        this.changed();
+        return true;
+    }
+    
+    countItem(itemId) {
+        return this.slots.reduce((total, slot) => total + (slot && slot.id === itemId ? slot.quantity : 0), 0);
+    }
+    
+    hasItem(itemId, quantity = 1) {
+        return this.countItem(itemId) >= quantity;
+    }
+    
+    getSlot(index) {
+        return this.slots[index] || null;
+    }
+    
+    /**
+     * Move um slot para outro: junta pilhas do mesmo item ou troca de lugar
+     */
+    moveSlot(from, to) {
+        if (from === to || !this.isValidSlot(from) || !this.isValidSlot(to)) return false;
+        
+        const source = this.slots[from];
+        const target = this.slots[to];
+        if (!source) return false;
+        
+        if (target && target.id === source.id) {
+            const maxStack = ItemDatabase.getInstance().get(source.id).maxStack;
+            const moved = Math.min(source.quantity, maxStack - target.quantity);
+            if (moved <= 0) return false;
+            
+            target.quantity += moved;
+            source.quantity -= moved;
+            if (source.quantity <= 0) {
+                this.slots[from] = null;
+            }
+        } else {
+            this.slots[from] = target;
+            this.slots[to] = source;
+        }
+        
+        this.changed();
+        return true;
+    }
+    
+    /**
+     * Divide uma pilha, levando `quantity` (padrão: metade) para um slot vazio
+     * @returns {number} Índice do novo slot ou -1
+     */
+    splitStack(index, quantity = null) {
+        const slot = this.slots[index];
+        if (!slot || slot.quantity < 2) return -1;
+        
+        const amount = quantity !== null ? quantity : Math.floor(slot.quantity / 2);
+        if (amount <= 0 || amount >= slot.quantity) return -1;
+        
+        const emptyIndex = this.slots.indexOf(null);
+        if (emptyIndex === -1) return -1;
+        
+        slot.quantity -= amount;
+        this.slots[emptyIndex] = { id: slot.id, quantity: amount };
+        
+        this.changed();
+        return emptyIndex;
+    }
+    
+    /**
+     * Larga itens de um slot no chão, à frente da entidade
+     * @returns {Entity|null} Item criado no mundo
+     */
+    dropSlot(index, quantity = null) {
+        const slot = this.slots[index];
+        if (!slot) return null;
+        
+        const amount = Math.min(quantity !== null ? quantity : slot.quantity, slot.quantity);
+        const transform = this.entity.getComponent('TransformComponent');
+        if (!transform || amount <= 0) return null;
+        
+        slot.quantity -= amount;
+        if (slot.quantity <= 0) {
+            this.slots[index] = null;
+        }
+        
+        const facing = this.entity.getComponent('CombatComponent')?.facing || { x: 0, y: 1 };
+        const item = EntityManager.getInstance().createItem({
+            itemId: slot.id,
+            quantity: amount,
+            position: {
+                x: transform.position.x + facing.x * 28,
+                y: transform.position.y + facing.y * 28
+            },
+            pickupDelay: 1.5
+        });
+        
+        GameEvents.emit('item:dropped', { entity: this.entity, itemId: slot.id, quantity: amount });
+        this.changed();
+        return item;
+    }
+    
+    /**
+     * Usa o item do slot (consumíveis aplicam seus efeitos e são gastos)
+     * @returns {boolean} true se o item foi usado
+     */
+    useSlot(index) {
+        const slot = this.slots[index];
+        if (!slot) return false;
+        
+        const definition = ItemDatabase.getInstance().get(slot.id);
+        if (!definition || !definition.use) return false;
+        
+        let applied = false;
+        Object.entries(definition.use).forEach(([effect, value]) => {
+            const handler = ItemUseEffects[effect];
+            if (!handler) {
+                console.warn(`⚠️ Efeito de item desconhecido: ${effect}`);
+                return;
+            }
+            
+            if (handler(this.entity, value, definition)) {
+                applied = true;
+            }
+        });
+        
+        if (!applied) return false;
+        
+        if (definition.type === 'consumable') {
+            slot.quantity--;
+            if (slot.quantity <= 0) {
+                this.slots[index] = null;
+            }
+        }
+        
+        GameEvents.emit('item:used', { entity: this.entity, itemId: definition.id });
+        this.changed();
+        return true;
+    }
+    
+    isValidSlot(index) {
+        return Number.isInteger(index) && index >= 0 && index < this.size;
+    }
+    
+    changed() {
+        GameEvents.emit('inventory:changed', { entity: this.entity, inventory: this });
+    }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            size: this.size,
+            slots: this.slots.map(slot => slot ? { ...slot } : null)
+        };
+    }
+    
+    deserialize(data) {
+        super.deserialize(data);
+        this.size = data.size;
+        this.slots = data.slots.map(slot => slot ? { ...slot } : null);
+    }
+}
+
+[ItemComponent, InventoryComponent].forEach(componentType => Component.register(componentType));
+
+// ============================================================================
+// INTERFACE DO INVENTÁRIO
+// ============================================================================
+
+/**
+ * Grade do inventário desenhada no canvas
+ * Clique: pega/solta pilha | Shift+Clique: divide | Clique direito: usa | Q: larga
+ */
+class InventoryUI {
+    constructor(game) {
+        this.game = game;
+        this.open = false;
+        
+        this.columns = 6;
+        this.slotSize = 40;
+        this.padding = 6;
+        
+        this.selectedSlot = -1; // Slot "na mão" aguardando destino
+        this.hoveredSlot = -1;
+        
+        this.bindEvents();
+    }
+    
+    bindEvents() {
+        document.addEventListener('keydown', (e) => {
+            const key = e.key.toLowerCase();
+            
+            if (key === 'i') {
+                this.toggle();
+            } else if (key === 'escape' && this.open) {
+                this.close();
+            } else if (key === 'q' && this.open && this.hoveredSlot !== -1) {
+                this.getInventory()?.dropSlot(this.hoveredSlot, e.shiftKey ? null : 1);
+            }
+        });
+        
+        document.addEventListener('mousedown', (e) => {
+            if (this.open) {
+                this.onClick(e.button, e.shiftKey);
+            }
+        });
+    }
+    
+    getInventory() {
+        return this.game.entityManager.getPlayer()?.getComponent('InventoryComponent') || null;
+    }
+    
+    toggle() {
+        if (this.open) {
+            this.close();
+        } else {
+            this.open = true;
+        }
+    }
+    
+    close() {
+        this.open = false;
+        this.selectedSlot = -1;
+    }
+    
+    /**
+     * Retângulo da janela (centralizada no canvas)
+     */
+    getBounds(inventory) {
+        const rows = Math.ceil(inventory.size / this.columns);
+        const width = this.columns * (this.slotSize + this.padding) + this.padding;
+        const height = rows * (this.slotSize + this.padding) + this.padding + 24;
+        
+        return {
+            x: Math.floor((this.game.canvas.width - width) / 2),
+            y: Math.floor((this.game.canvas.height - height) / 2),
+            width: width,
+            height: height
+        };
+    }
+    
+    /**
+     * Índice do slot sob a posição de tela (ou -1)
+     */
+    getSlotAt(screenX, screenY) {
+        const inventory = this.getInventory();
+        if (!inventory) return -1;
+        
+        const bounds = this.getBounds(inventory);
+        const localX = screenX - bounds.x - this.padding;
+        const localY = screenY - bounds.y - this.padding - 24;
+        const cell = this.slotSize + this.padding;
+        
+        if (localX < 0 || localY < 0 || localX % cell > this.slotSize || localY % cell > this.slotSize) {
+            return -1;
+        }
+        
+        const index = Math.floor(localY / cell) * this.columns + Math.floor(localX / cell);
+        return index < inventory.size ? index : -1;
+    }
+    
+    onClick(button, shift) {
+        const inventory = this.getInventory();
+        if (!inventory) return;
+        
+        const mouse = this.game.inputManager.mouse;
+        const index = this.getSlotAt(mouse.x, mouse.y);
+        
+        if (index === -1) {
+            this.selectedSlot = -1;
+            return;
+        }
+        
+        if (button === 2) {
+            inventory.useSlot(index);
+        } else if (shift) {
+            inventory.splitStack(index);
+        } else if (this.selectedSlot === -1) {
+            if (inventory.getSlot(index)) {
+                this.selectedSlot = index;
+            }
+        } else {
+            inventory.moveSlot(this.selectedSlot, index);
+            this.selectedSlot = -1;
+        }
+    }
+    
+    render(context) {
+        const inventory = this.getInventory();
+        if (!this.open || !inventory) return;
+        
+        const database = ItemDatabase.getInstance();
+        const bounds = this.getBounds(inventory);
+        const mouse = this.game.inputManager.mouse;
+        this.hoveredSlot = this.getSlotAt(mouse.x, mouse.y);
+        
+        context.save();
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        
+        context.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        context.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        context.strokeStyle = '#888888';
+        context.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        
+        context.fillStyle = '#ffffff';
+        context.font = 'bold 13px monospace';
+        context.textBaseline = 'top';
+        context.fillText('Inventário', bounds.x + this.padding, bounds.y + 6);
+        
+        for (let i = 0; i < inventory.size; i++) {
+            const x = bounds.x + this.padding + (i % this.columns) * (this.slotSize + this.padding);
+            const y = bounds.y + this.padding + 24 + Math.floor(i / this.columns) * (this.slotSize + this.padding);
+            const slot = inventory.getSlot(i);
+            
+            context.fillStyle = i === this.hoveredSlot ? 'rgba(255, 255, 255, 0.2)' : 'rgba(255, 255, 255, 0.08)';
+            context.fillRect(x, y, this.slotSize, this.slotSize);
+            
+            if (slot) {
+                const definition = database.get(slot.id);
+                
+                // Borda na cor da raridade
+                context.strokeStyle = definition ? database.getRarity(definition).color : '#ff00ff';
+                context.lineWidth = i === this.selectedSlot ? 3 : 1;
+                context.strokeRect(x + 0.5, y + 0.5, this.slotSize - 1, this.slotSize - 1);
+                
+                database.drawIcon(context, slot.id, x + 6, y + 6, this.slotSize - 12);
+                
+                if (slot.quantity > 1) {
+                    context.fillStyle = '#ffffff';
+                    context.font = '11px monospace';
+                    context.textAlign = 'right';
+                    context.fillText(String(slot.quantity), x + this.slotSize - 3, y + this.slotSize - 13);
+                    context.textAlign = 'left';
+                }
+            }
+        }
+        
+        this.renderTooltip(context, inventory.getSlot(this.hoveredSlot), mouse);
+        
+        context.restore();
+    }
+    
+    /**
+     * Linhas do tooltip de um item ({ text, color })
+     */
+    getTooltipLines(definition, rarity) {
+        return [
+            { text: definition.name, color: rarity.color },
+            { text: `${rarity.name} - ${definition.type}`, color: '#aaaaaa' },
+            { text: definition.description, color: '#ffffff' }
+        ];
+    }
+    
+    /**
+     * Nome, raridade e descrição do item sob o mouse
+     */
+    renderTooltip(context, slot, mouse) {
+        if (!slot) return;
+        
+        const database = ItemDatabase.getInstance();
+        const definition = database.get(slot.id);
+        if (!definition) return;
+        
+        const rarity = database.getRarity(definition);
+        const lines = this.getTooltipLines(definition, rarity);
+        
+        context.font = '11px monospace';
+        const width = Math.max(...lines.map(line => context.measureText(line.text).width)) + 12;
+        const height = lines.length * 14 + 8;
+        const x = Math.min(mouse.x + 14, this.game.canvas.width - width);
+        const y = Math.min(mouse.y + 14, this.game.canvas.height - height);
+        
+        context.fillStyle = 'rgba(20, 20, 30, 0.95)';
+        context.fillRect(x, y, width, height);
+        context.strokeStyle = rarity.color;
+        context.lineWidth = 1;
+        context.strokeRect(x, y, width, height);
+        
+        lines.forEach((line, index) => {
+            context.fillStyle = line.color;
+            context.fillText(line.text, x + 6, y + 4 + index * 14);
+        });
+    }
+}
+
+// ============================================================================
+// INTEGRAÇÃO COM O SISTEMA EXISTENTE
+// ============================================================================
+
+/**
+ * Cria uma pilha de itens no chão
+ * @param {Object} config - itemId, quantity, position, pickupDelay
+ */
+EntityManager.prototype.createItem = function(config = {}) {
+    const definition = ItemDatabase.getInstance().get(config.itemId);
+    const item = this.createEntity(definition ? definition.name : 'Item', 'item');
+    
+    item.addComponent(TransformComponent, {
+        position: config.position || { x: 0, y: 0 }
+    });
+    
+    item.addComponent(RenderComponent, {
+        color: definition ? definition.color : '#ff00ff',
+        // Só ícones do manifesto: os demais usam o círculo colorido
+        texture: definition && AssetManifest.images[definition.icon] ? definition.icon : null,
+        width: 16,
+        height: 16
+    });
+    
+    item.addComponent(ColliderComponent, {
+        type: 'circle',
+        radius: 10,
+        isTrigger: true,
+        collisionLayer: 'item',
+        collidesWith: ['player']
+    });
+    
+    item.addComponent(ItemComponent, {
+        itemId: config.itemId,
+        quantity: config.quantity || 1,
+        pickupDelay: config.pickupDelay || 0
+    });
+    
+    item.addTag('item');
+    
+    return item;
+};
+
+// Jogador recebe um inventário (config.inventory; false desativa)
+const createPlayerWithoutInventory = EntityManager.prototype.createPlayer;
+EntityManager.prototype.createPlayer = function(config = {}) {
+    const player = createPlayerWithoutInventory.call(this, config);
+    
+    if (config.inventory !== false) {
+        player.addComponent(InventoryComponent, {
+            size: 24,
+            items: [{ id: 'health_potion', quantity: 2 }],
+            ...config.inventory
+        });
+    }
+    
+    return player;
+};
+
+// Save v6: inventário do jogador e itens no chão salvos
+SaveConfig.VERSION = 6;
+SaveMigrations[5] = (data) => addComponentToSave(data, InventoryComponent, entityData =>
+    entityData.type === 'player' ? { size: 24, items: [{ id: 'health_potion', quantity: 2 }] } : null
+);
+
+// Alguns itens espalhados perto do início
+const initializeEntitiesWithoutItems = GameEngine.prototype.initializeEntities;
+GameEngine.prototype.initializeEntities = function() {
+    initializeEntitiesWithoutItems.call(this);
+    
+    if (!this.inventoryUI) {
+        this.inventoryUI = new InventoryUI(this);
+    }
+    
+    [
+        { itemId: 'wood', quantity: 5, position: { x: 80, y: 40 } },
+        { itemId: 'herb', quantity: 3, position: { x: -60, y: 70 } },
+        { itemId: 'health_potion', quantity: 1, position: { x: 40, y: -90 } }
+    ].forEach(config => this.entityManager.createItem(config));
+};
+
+// Definições de assets/data/items.json após o carregamento
+const preloadAssetsWithoutItems = GameEngine.prototype.preloadAssets;
+GameEngine.prototype.preloadAssets = async function() {
+    await preloadAssetsWithoutItems.call(this);
+    
+    const data = this.assets.getData('data/items');
+    if (data) {
+        const count = ItemDatabase.getInstance().register(data);
+        console.log(`📦 ${count} itens carregados de assets/data/items.json`);
+    }
+};
+
+/**
+ * Algum menu aberto? (cliques pertencem à interface, não ao combate)
+ */
+GameEngine.prototype.isMenuOpen = function() {
+    return !!this.inventoryUI?.open;
+};
+
+const processPlayerInputWithoutInventory = GameEngine.prototype.processPlayerInput;
+GameEngine.prototype.processPlayerInput = function() {
+    if (!this.isMenuOpen()) {
+        processPlayerInputWithoutInventory.call(this);
+        return;
+    }
+    
+    // Com menu aberto, o jogador se move mas não ataca
+    const mouse = this.inputManager.mouse;
+    const { down, rightDown } = mouse;
+    mouse.down = false;
+    mouse.rightDown = false;
+    
+    processPlayerInputWithoutInventory.call(this);
+    
+    mouse.down = down;
+    mouse.rightDown = rightDown;
+};
+
+const renderUIWithoutInventory = GameEngine.prototype.renderUI;
+GameEngine.prototype.renderUI = function() {
+    renderUIWithoutInventory.call(this);
+    
+    this.inventoryUI?.render(this.context);
+};
+
+ControlsHelp.push('I - Inventário');
+
+console.log('✅ Parte 9 - Itens e Inventário carregado!');
+console.log('📋 Comandos disponíveis:');
+console.log('  I - Abrir/fechar inventário (Esc fecha)');
+console.log('  Clique: mover | Shift+Clique: dividir | Clique direito: usar | Q: largar');
+console.log('  game.entityManager.createItem({ itemId, quantity, position })');
+console.log('  ItemDatabase.getInstance().getAll()');
+
+// Exporta classes para uso em módulos futuros
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ItemRarities,
+        ItemDefinitions,
+        ItemUseEffects,
+        ItemDatabase,
+        ItemComponent,
+        InventoryComponent,
+        InventoryUI
+    };
+}